@@ -6,33 +6,146 @@ const vehicleRoutes = require("./routes/vehicleRoutes")
 const intersectionRoutes = require("./routes/intersectionRoutes")
 const sensorRoutes = require("./routes/sensorRoutes")
 const alertRoutes = require("./routes/alertRoutes")
+const alertRuleRoutes = require("./routes/alertRuleRoutes")
 const dataReceiverRoutes = require("./routes/dataReceiverRoutes")
 const historicalRoutes = require("./routes/historicalRoutes")
 const riskRoutes = require("./routes/riskRoutes")
+const riskModelRoutes = require("./routes/riskModelRoutes")
 const coordinationRoutes = require("./routes/coordinationRoutes")
+const deadLetterRoutes = require("./routes/deadLetterRoutes")
+const replayRoutes = require("./routes/replayRoutes")
+const aggregateRoutes = require("./routes/aggregateRoutes")
+const streamAdminRoutes = require("./routes/streamAdminRoutes")
+const incidentRoutes = require("./routes/incidentRoutes")
+const webhookRoutes = require("./routes/webhookRoutes")
+const escalationPolicyRoutes = require("./routes/escalationPolicyRoutes")
+const maintenanceWindowRoutes = require("./routes/maintenanceWindowRoutes")
+const geofenceRoutes = require("./routes/geofenceRoutes")
+const PersistenceService = require("./services/persistenceService")
+const KafkaConsumerService = require("./services/kafkaConsumerService")
+const ChangeStreamFeedService = require("./services/changeStreamFeedService")
+const AlertService = require("./services/alertService")
+const AlertRuleService = require("./services/alertRuleService")
+const IncidentService = require("./services/incidentService")
+const WebhookService = require("./services/webhookService")
+const EscalationService = require("./services/escalationService")
+const MaintenanceService = require("./services/maintenanceService")
+const GeofenceService = require("./services/geofenceService")
+const WebSocketService = require("./services/webSocketService")
+const AggregationService = require("./services/aggregationService")
+const StreamService = require("./services/streamService")
+const { captureRawBody } = require("./utils/ingestAuth")
 
 const app = express()
 
 // Middleware
 app.use(cors())
-app.use(express.json())
+// Bulk ingest batches are far larger than regular request bodies
+// Raw bodies are kept for the ingest signature check
+app.use("/api/receive/bulk", express.json({ limit: config.INGEST_BULK_LIMIT, verify: captureRawBody }))
+app.use(express.json({ verify: captureRawBody }))
 
 // Routes for API endpoints
 app.use("/api/traffic", trafficRoutes)
 app.use("/api/vehicles", vehicleRoutes)
 app.use("/api/intersections", intersectionRoutes)
 app.use("/api/sensors", sensorRoutes)
+// Mounted ahead of /api/alerts, whose /:id routes would otherwise take /rules
+app.use("/api/alerts/rules", alertRuleRoutes)
+app.use("/api/alerts/escalation-policies", escalationPolicyRoutes)
+app.use("/api/alerts/maintenance-windows", maintenanceWindowRoutes)
+app.use("/api/alerts/geofences", geofenceRoutes)
 app.use("/api/alerts", alertRoutes)
+app.use("/api/incidents", incidentRoutes)
+app.use("/api/webhooks", webhookRoutes)
 app.use("/api/historical", historicalRoutes)
+app.use("/api/risk/models", riskModelRoutes)
 app.use("/api/risk", riskRoutes)
 app.use("/api/coordination", coordinationRoutes)
+app.use("/api/replay", replayRoutes)
+app.use("/api/aggregates", aggregateRoutes)
+app.use("/api/admin/streams", streamAdminRoutes)
 
 // Routes for receiving data from Kafka consumers
 app.use("/api/receive", dataReceiverRoutes)
+app.use("/api/dead-letters", deadLetterRoutes)
+
+// Commit consumer offsets and flush buffered ingest writes before the process exits
+const shutdown = async (signal) => {
+  console.log(`${signal} received, flushing pending ingest writes...`)
+  try {
+    if (config.KAFKA_ENABLED) {
+      await KafkaConsumerService.getInstance().stop()
+    }
+    if (ChangeStreamFeedService.isEnabled()) {
+      await ChangeStreamFeedService.getInstance().stop()
+    }
+    StreamService.getInstance().stopHeartbeat()
+    await StreamService.getInstance().stopFanout()
+    WebSocketService.getInstance().close()
+    if (config.AGGREGATE_ENABLED) {
+      AggregationService.getInstance().stop()
+    }
+    AlertRuleService.getInstance().stop()
+    IncidentService.getInstance().stop()
+    WebhookService.getInstance().stop()
+    EscalationService.getInstance().stop()
+    MaintenanceService.getInstance().stop()
+    GeofenceService.getInstance().stop()
+    await PersistenceService.getInstance().shutdown()
+  } catch (error) {
+    console.error("Error flushing ingest writes:", error)
+  }
+  process.exit(0)
+}
 
 // Start server
 const startServer = async () => {
-  app.listen(config.PORT, () => {
+  process.once("SIGINT", () => shutdown("SIGINT"))
+  process.once("SIGTERM", () => shutdown("SIGTERM"))
+
+  StreamService.getInstance().startHeartbeat()
+  try {
+    await StreamService.getInstance().startFanout()
+  } catch (error) {
+    console.error(`Stream fan-out (${config.STREAM_PUBSUB}) not started, broadcasts stay on this instance:`, error.message)
+  }
+
+  // Indexes of the alert filters and message search (not awaited, errors are logged)
+  AlertService.getInstance().ensureIndexes()
+
+  // Register the INCIDENT stream and close incidents that went quiet
+  if (config.INCIDENTS_ENABLED) {
+    IncidentService.getInstance().start()
+  }
+
+  // Retry failed webhook deliveries, including those left over from a previous run
+  if (config.WEBHOOKS_ENABLED) {
+    WebhookService.getInstance().start()
+  }
+
+  // Register the aggregate stream types before clients can subscribe
+  if (config.AGGREGATE_ENABLED) {
+    AggregationService.getInstance().start()
+  }
+
+  if (config.KAFKA_ENABLED) {
+    try {
+      await KafkaConsumerService.getInstance().start()
+    } catch (error) {
+      console.error("Kafka consumer not started, data will only arrive through /api/receive")
+    }
+  }
+
+  if (ChangeStreamFeedService.isEnabled()) {
+    try {
+      await ChangeStreamFeedService.getInstance().start()
+    } catch (error) {
+      console.error("Change stream feed not started, streams will not receive stored inserts")
+    }
+  }
+
+  const server = app.listen(config.PORT, () => {
     console.log(`Traffic API running on http://localhost:${config.PORT}`)
     console.log("🚀 ENHANCED TRAFFIC MONITORING API - v2.0")
     console.log("=" * 50)
@@ -49,11 +162,23 @@ const startServer = async () => {
     console.log("- GET /api/intersections/stream - Real-time intersection data stream")
     console.log("- GET /api/sensors/health - Sensor health data")
     console.log("- GET /api/sensors/stream - Real-time sensor health stream")
-    console.log("- GET /api/alerts - Traffic alerts")
-    console.log("- GET /api/alerts/stream - Real-time traffic alerts stream")
+    console.log("- GET /api/alerts - Traffic alerts (filters: start/end, type, severity, sensor_id, intersection_id, resolved, q, geofence)")
+    console.log("- GET /api/alerts/stream - Real-time traffic alerts stream (?geofence= for an area)")
+    console.log(`- WS ${config.WS_PATH} - WebSocket for all streams: subscribe/unsubscribe to streams and intersections, acknowledge alerts${config.WS_ENABLED ? "" : " (disabled, WS_ENABLED)"}`)
     console.log("- GET /api/alerts/stats - Alert statistics and analytics")
+    console.log("- GET /api/alerts/sla - Alert SLA report (response times, breaches, daily trend)")
     console.log("- GET /api/alerts/count - Alert count with filtering")
     console.log("- GET /api/alerts/debug - Alert collection diagnostics")
+    console.log("- GET /api/alerts/:id - Alert with lifecycle status and history (also /:id/history)")
+    console.log("- POST /api/alerts/:id/acknowledge|assign|notes|resolve|reopen - Alert lifecycle actions (also PATCH /:id)")
+    console.log(`- GET|POST /api/alerts/rules - Alert rules run on incoming records (also GET|PUT|PATCH|DELETE /:id, GET /status)${config.ALERT_RULES_ENABLED ? "" : " (disabled, ALERT_RULES_ENABLED)"}`)
+    console.log(`- GET|POST /api/alerts/escalation-policies - Re-notify/escalate unacknowledged alerts, auto-resolve cleared rule alerts (also GET|PUT|PATCH|DELETE /:id, GET /status)${config.ESCALATION_ENABLED ? "" : " (disabled, ESCALATION_ENABLED)"}`)
+    console.log(`- GET|POST /api/alerts/maintenance-windows - Suppress alerts of intersections/sensors during maintenance (also GET|PUT|PATCH|DELETE /:id, GET /:id/alerts)${config.MAINTENANCE_WINDOWS_ENABLED ? "" : " (disabled, MAINTENANCE_WINDOWS_ENABLED)"}`)
+    console.log("- GET|POST /api/alerts/geofences - Named areas (polygon or radius) for ?geofence= on the alert list and stream (also GET|PUT|PATCH|DELETE /:id, GET /status)")
+    console.log(`- GET /api/incidents - Incidents correlating alerts by intersection, time and type (also /:id, /:id/timeline, /stats)${config.INCIDENTS_ENABLED ? "" : " (disabled, INCIDENTS_ENABLED)"}`)
+    console.log("- GET /api/incidents/stream - Real-time incident updates stream")
+    console.log(`- GET|POST /api/webhooks - Alert webhooks with severity/type/intersection filters (also GET|PUT|PATCH|DELETE /:id, POST /:id/test, GET /:id/deliveries)${config.WEBHOOKS_ENABLED ? "" : " (disabled, WEBHOOKS_ENABLED)"}`)
+    console.log("- GET /api/webhooks/deliveries - Signed delivery log with retries (also GET /deliveries/:id, POST /deliveries/:id/redeliver)")
     
     console.log("\n🎯 Enhanced Intersection Coordination:")
     console.log("- GET /api/intersections/:id/coordination - Real-time coordination status")
@@ -86,12 +211,31 @@ const startServer = async () => {
     console.log("- GET /api/historical/average - Average historical metrics")
     
     console.log("\n⚠️ Risk Analysis:")
-    console.log("- GET /api/risk/analysis - Risk analysis")
-    console.log("- GET /api/risk/heatmap - Risk heatmap")
+    console.log("- GET /api/risk/analysis - Risk analysis (?model= risk model profile, name or name@version)")
+    console.log("- GET /api/risk/heatmap - Risk heatmap (?model=)")
+    console.log("- GET|POST /api/risk/models - Versioned risk model profiles: weights, levels, thresholds (also GET|PUT|PATCH|DELETE /:id, GET /:id/versions[/:version], POST /:id/versions/:version/restore)")
     console.log("- GET /api/risk/timeline - Risk timeline")
     console.log("- GET /api/risk/factors - Risk factor breakdown")
     console.log("- GET /api/risk/incidents - Incident log")
     
+    console.log("\n📊 Aggregate Streams:")
+    console.log(`- GET /api/aggregates/stream?window=10s&mode=tumbling|sliding - Windowed traffic/vehicle summaries${config.AGGREGATE_ENABLED ? ` (${config.AGGREGATE_WINDOWS.join(", ")})` : " (disabled, AGGREGATE_ENABLED)"}`)
+    console.log("- GET /api/aggregates/windows - Available windows and subscribers")
+    console.log("- GET /api/aggregates/latest - Summaries of the last emitted window")
+
+    console.log("\n⏪ Historical Replay:")
+    console.log("- POST /api/replay/sessions - Replay stored data through the SSE streams (1x, 10x, max)")
+    console.log("- GET /api/replay/sessions - Replay sessions and their progress (also /:id)")
+    console.log("- POST /api/replay/sessions/:id/start|pause|seek|stop - Control a replay session")
+    console.log("- DELETE /api/replay/sessions/:id - Stop and remove a replay session")
+
+    console.log("\n🛠️ Stream Administration:")
+    console.log("- GET /api/admin/streams/stats - Connection, fan-out and backpressure statistics")
+    console.log("- GET /api/admin/streams/clients - Connected stream clients per stream and intersection (also /:id)")
+    console.log("- DELETE /api/admin/streams/clients/:id - Forcibly disconnect a stream client")
+    console.log("- POST /api/admin/streams/notice - Send a system notice to all stream clients")
+    console.log(`  Admin key: ${config.ADMIN_API_KEY ? "required" : "not set, admin endpoints are open"} (ADMIN_API_KEY)`)
+
     console.log("\n📥 Data Receiver Endpoints (for Kafka consumers):")
     console.log("- POST /api/receive/traffic - Receive traffic data")
     console.log("- POST /api/receive/vehicle - Receive vehicle data")
@@ -99,6 +243,16 @@ const startServer = async () => {
     console.log("- POST /api/receive/sensor - Receive sensor health data")
     console.log("- POST /api/receive/alert - Receive traffic alerts")
     console.log("- POST /api/receive/coordination - Receive coordination summaries")
+    console.log("- POST /api/receive/bulk - Bulk NDJSON / JSON array ingest of mixed record types")
+    console.log("- GET /api/receive/status - Ingest persistence, deduplication, dead-letter and Kafka consumer status")
+    console.log("- GET /api/dead-letters - Failed or rejected ingest records (also /stats, /:id)")
+    console.log("- POST /api/dead-letters/:id/replay - Re-submit a dead letter, optionally corrected")
+    console.log("- POST /api/dead-letters/replay - Re-submit pending dead letters in batch")
+    console.log(`  Ingest persistence: ${config.INGEST_PERSIST ? "enabled" : "disabled"} (INGEST_PERSIST)`)
+    console.log(`  Signed ingest: ${config.INGEST_AUTH_ENABLED ? `required (${Object.keys(config.INGEST_PRODUCER_SECRETS).length} producers)` : "disabled"} (INGEST_PRODUCER_SECRETS)`)
+    console.log(`  Stream fan-out across instances: ${config.STREAM_PUBSUB} (STREAM_PUBSUB)`)
+    console.log(`  Live feed mode: ${config.STREAM_FEED_MODE} (STREAM_FEED_MODE)`)
+    console.log(`  Built-in Kafka consumer: ${config.KAFKA_ENABLED ? `enabled (${config.KAFKA_TRANSPORT})` : "disabled"} (KAFKA_ENABLED)`)
     
     console.log("\n🎉 Enhanced Features Available:")
     console.log("✅ Collection mapping fixed")
@@ -116,6 +270,35 @@ const startServer = async () => {
     console.log("✅ Weather correlation analysis for vehicle behavior")
     console.log("=" * 50)
   })
+
+  if (config.WS_ENABLED) {
+    WebSocketService.getInstance().attach(server)
+  }
+
+  // Loaded after listening (not awaited), so an unreachable database does not
+  // hold up startup; the reload timers retry a failed first load
+  if (config.ALERT_RULES_ENABLED) {
+    AlertRuleService.getInstance().start().catch(() => {
+      console.error("Alert rules not loaded yet, retrying every", config.ALERT_RULES_RELOAD_MS, "ms")
+    })
+  }
+  if (config.MAINTENANCE_WINDOWS_ENABLED) {
+    if (!config.INGEST_PERSIST) {
+      console.warn("Maintenance windows: ingested alerts are not stored suppressed without INGEST_PERSIST=true")
+    }
+    MaintenanceService.getInstance().start().catch(() => {
+      console.error("Maintenance windows not loaded yet, retrying every", config.MAINTENANCE_RELOAD_MS, "ms")
+    })
+  }
+  // Sensor locations placing the alerts without coordinates in geofences
+  GeofenceService.getInstance().start().catch(() => {
+    console.error("Sensor locations not loaded yet, retrying every", config.GEOFENCE_SENSOR_RELOAD_MS, "ms")
+  })
+  if (config.ESCALATION_ENABLED) {
+    EscalationService.getInstance().start().catch(() => {
+      console.error("Escalation policies not loaded yet, retrying every", config.ESCALATION_POLL_MS, "ms")
+    })
+  }
 }
 
 module.exports = { app, startServer }
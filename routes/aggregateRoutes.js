@@ -0,0 +1,80 @@
+const express = require("express")
+const router = express.Router()
+const config = require("../config/config")
+const AggregationService = require("../services/aggregationService")
+const StreamService = require("../services/streamService")
+const { parseStreamFilter } = require("../utils/streamFilter")
+
+/**
+ * Resolve ?window= and ?mode= to an aggregate window, replying 400/503 if unavailable
+ */
+function resolveWindow(req, res) {
+  if (!config.AGGREGATE_ENABLED) {
+    res.status(503).json({ error: "Aggregate streams are disabled", details: "Set AGGREGATE_ENABLED=true" })
+    return null
+  }
+
+  const aggregationService = AggregationService.getInstance()
+  const { window = config.AGGREGATE_WINDOWS[0], mode = "tumbling" } = req.query
+  const definition = aggregationService.findWindow(window, mode)
+  if (!definition) {
+    res.status(400).json({
+      error: `No ${mode} aggregate window of ${window}`,
+      available: aggregationService.getWindows(),
+    })
+    return null
+  }
+  return definition
+}
+
+// Available aggregate windows and their subscribers
+router.get("/windows", (req, res) => {
+  if (!config.AGGREGATE_ENABLED) {
+    return res.json({ enabled: false, windows: [] })
+  }
+  res.json({
+    enabled: true,
+    slide_ms: config.AGGREGATE_SLIDE_MS,
+    windows: AggregationService.getInstance().getWindows(),
+  })
+})
+
+// Summaries of the last emitted window (?window=10s&mode=tumbling&intersection_id=)
+router.get("/latest", (req, res) => {
+  const definition = resolveWindow(req, res)
+  if (!definition) return
+
+  const { intersection_id } = req.query
+  const summaries = AggregationService.getInstance()
+    .getLatest(definition.stream)
+    .filter(summary => !intersection_id || summary.intersection_id === intersection_id)
+
+  res.json({ stream: definition.stream, data: summaries })
+})
+
+// Stream window summaries (?window=10s&mode=tumbling|sliding&intersection_id=&filter=)
+router.get("/stream", parseStreamFilter, (req, res) => {
+  const definition = resolveWindow(req, res)
+  if (!definition) return
+
+  const streamService = StreamService.getInstance()
+  const { intersection_id } = req.query
+  if (intersection_id) {
+    streamService.addIntersectionClient(definition.stream, intersection_id, res, { filter: req.streamFilter })
+  } else {
+    streamService.addClient(definition.stream, res, { filter: req.streamFilter })
+  }
+
+  res.write(`data: ${JSON.stringify({
+    type: "connection",
+    message: "Connected to aggregate stream",
+    stream_type: definition.stream,
+    window: definition.label,
+    mode: definition.mode,
+    emit_every_ms: definition.step,
+    intersection_id: intersection_id || null,
+    timestamp: new Date().toISOString()
+  })}\n\n`)
+})
+
+module.exports = router
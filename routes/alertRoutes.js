@@ -2,33 +2,74 @@ const express = require("express")
 const router = express.Router()
 const Database = require("../db/database")
 const StreamService = require("../services/streamService")
+const AlertService = require("../services/alertService")
+const GeofenceService = require("../services/geofenceService")
+const { parseStreamFilter, combineFilters } = require("../utils/streamFilter")
+const { parseSlaTargets, buildSlaReport } = require("../utils/slaReport")
+const { toDateExpression, timeRangeQuery } = require("../utils/timestamps")
+const { requireAdminKey } = require("../utils/adminAuth")
 const config = require("../config/config")
 
+/**
+ * Build the Mongo filter of the alert query parameters, replying 400 with
+ * their errors or 404 for an unknown ?geofence=
+ * @returns {Promise<object|null>} The filter, or null if the reply was sent
+ */
+async function filterOrReply(req, res) {
+  const { filter, errors } = AlertService.buildFilter(req.query)
+  if (errors.length > 0) {
+    res.status(400).json({ error: "Invalid alert filters", details: errors })
+    return null
+  }
+
+  // Text search needs the message text index
+  if (filter.$text) {
+    await AlertService.getInstance().ensureIndexes()
+  }
+
+  if (req.query.geofence) {
+    const geofenceService = GeofenceService.getInstance()
+    const geofence = await geofenceService.getGeofence(req.query.geofence)
+    if (!geofence) {
+      res.status(404).json({ error: "Geofence not found", geofence: req.query.geofence })
+      return null
+    }
+    filter.$and = [geofenceService.alertQuery(geofence)]
+  }
+  return filter
+}
+
+/**
+ * Express middleware adding ?geofence= to the stream filter, replying 404 if unknown
+ */
+async function streamGeofence(req, res, next) {
+  if (!req.query.geofence) {
+    return next()
+  }
+  try {
+    const geofenceService = GeofenceService.getInstance()
+    const geofence = await geofenceService.getGeofence(req.query.geofence)
+    if (!geofence) {
+      return res.status(404).json({ error: "Geofence not found", geofence: req.query.geofence })
+    }
+    req.streamFilter = combineFilters(req.streamFilter, geofenceService.streamPredicate(geofence))
+    next()
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to load geofence", details: error.message })
+  }
+}
+
 // Get all traffic alerts with pagination
 router.get("/", async (req, res) => {
   const db = Database.getInstance()
   try {
     const collection = await db.getCollection(config.ALERTS_COLLECTION)
-    const { page = 1, limit = 50, type, sensor_id, start, end } = req.query
-
-    const filter = {}
+    const { page = 1, limit = 50 } = req.query
 
-    // Filter by alert type if provided
-    if (type) {
-      filter.type = type
-    }
-
-    // Filter by sensor ID if provided
-    if (sensor_id) {
-      filter.sensor_id = sensor_id
-    }
-
-    // Filter by time range if provided
-    if (start || end) {
-      // We'll handle timestamp filtering in aggregation instead of here
-      // because we need to convert string timestamps to dates first
-      console.log("Time range filtering will be handled in aggregation pipelines")
-    }
+    // Alerts suppressed by a maintenance window are hidden unless asked for
+    const filter = await filterOrReply(req, res)
+    if (!filter) return
 
     const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
 
@@ -66,27 +107,10 @@ router.get("/stats", async (req, res) => {
     const collection = await db.getCollection(config.ALERTS_COLLECTION)
     console.log("Collection obtained successfully")
     
-    const { type, sensor_id, start, end } = req.query
-    console.log("Query parameters:", { type, sensor_id, start, end })
-
-    const filter = {}
-
-    // Filter by alert type if provided
-    if (type) {
-      filter.type = type
-    }
+    console.log("Query parameters:", req.query)
 
-    // Filter by sensor ID if provided
-    if (sensor_id) {
-      filter.sensor_id = sensor_id
-    }
-
-    // Filter by time range if provided
-    if (start || end) {
-      // We'll handle timestamp filtering in aggregation instead of here
-      // because we need to convert string timestamps to dates first
-      console.log("Time range filtering will be handled in aggregation pipelines")
-    }
+    const filter = await filterOrReply(req, res)
+    if (!filter) return
 
     console.log("Filter:", JSON.stringify(filter, null, 2))
 
@@ -115,56 +139,12 @@ router.get("/stats", async (req, res) => {
     const sampleDoc = await collection.findOne({})
     console.log("Sample document structure:", JSON.stringify(sampleDoc, null, 2))
 
-    // Create a base pipeline stage for timestamp conversion and filtering
-    const createBaseFilter = () => {
-      const baseStages = [
-        {
-          $addFields: {
-            timestampDate: {
-              $switch: {
-                branches: [
-                  {
-                    case: { $eq: [{ $type: "$timestamp" }, "date"] },
-                    then: "$timestamp"
-                  },
-                  {
-                    case: { $eq: [{ $type: "$timestamp" }, "string"] },
-                    then: {
-                      $dateFromString: { 
-                        dateString: "$timestamp",
-                        onError: new Date() // Fallback to current date if parsing fails
-                      }
-                    }
-                  }
-                ],
-                default: new Date() // Fallback for any other type
-              }
-            }
-          }
-        }
-      ]
-
-      // Add time range filtering if provided
-      if (start || end) {
-        const timeFilter = {}
-        if (start) {
-          timeFilter.$gte = new Date(start)
-        }
-        if (end) {
-          timeFilter.$lte = new Date(end)
-        }
-        baseStages.push({
-          $match: {
-            ...filter,
-            timestampDate: timeFilter
-          }
-        })
-      } else {
-        baseStages.push({ $match: filter })
-      }
-
-      return baseStages
-    }
+    // Filter first (a text search must be the first stage), then convert
+    // string timestamps to dates for the hourly and recent counts
+    const createBaseFilter = () => [
+      { $match: filter },
+      { $addFields: { timestampDate: toDateExpression("$timestamp") } },
+    ]
 
     // Get total count with proper timestamp handling
     console.log("Getting total count...")
@@ -244,6 +224,7 @@ router.get("/stats", async (req, res) => {
     console.log("Getting hourly distribution...")
     const hourlyDistributionPipeline = [
       ...createBaseFilter(),
+      { $match: { timestampDate: { $ne: null } } },
       {
         $group: {
           _id: { $hour: "$timestampDate" },
@@ -260,28 +241,6 @@ router.get("/stats", async (req, res) => {
     console.log("Getting recent alerts...")
     const last24Hours = new Date(Date.now() - 24 * 60 * 60 * 1000)
     
-    // Handle both string and Date timestamps for recent alerts filter
-    const recentAlertsFilter = {
-      ...filter,
-      $or: [
-        // If timestamp is a Date
-        { 
-          timestamp: { 
-            $type: "date",
-            $gte: last24Hours 
-          }
-        },
-        // If timestamp is a string
-        {
-          timestamp: {
-            $type: "string",
-            $gte: last24Hours.toISOString()
-          }
-        }
-      ]
-    }
-    
-    // For simpler approach, let's use aggregation for recent count too
     const recentAlertsPipeline = [
       ...createBaseFilter(),
       {
@@ -381,36 +340,10 @@ router.get("/count", async (req, res) => {
   const db = Database.getInstance()
   try {
     const collection = await db.getCollection(config.ALERTS_COLLECTION)
-    const { type, sensor_id, severity, resolved, start, end } = req.query
+    const { type, sensor_id, severity, intersection_id, resolved, start, end, q, geofence, suppressed } = req.query
 
-    const filter = {}
-
-    // Filter by alert type if provided
-    if (type) {
-      filter.type = type
-    }
-
-    // Filter by sensor ID if provided
-    if (sensor_id) {
-      filter.sensor_id = sensor_id
-    }
-
-    // Filter by severity if provided
-    if (severity) {
-      filter.severity = severity
-    }
-
-    // Filter by resolution status if provided
-    if (resolved !== undefined) {
-      filter.resolved = resolved === 'true'
-    }
-
-    // Filter by time range if provided
-    if (start || end) {
-      // We'll handle timestamp filtering in aggregation instead of here
-      // because we need to convert string timestamps to dates first
-      console.log("Time range filtering will be handled in aggregation pipelines")
-    }
+    const filter = await filterOrReply(req, res)
+    if (!filter) return
 
     const count = await collection.countDocuments(filter)
 
@@ -420,7 +353,11 @@ router.get("/count", async (req, res) => {
         type: type || null,
         sensor_id: sensor_id || null,
         severity: severity || null,
+        intersection_id: intersection_id || null,
         resolved: resolved !== undefined ? resolved === 'true' : null,
+        q: q || null,
+        geofence: geofence || null,
+        suppressed: suppressed || "hidden",
         time_range: {
           start: start || null,
           end: end || null,
@@ -433,6 +370,83 @@ router.get("/count", async (req, res) => {
   }
 })
 
+// SLA report: time to acknowledge and resolve against targets per severity,
+// by severity, type, intersection and operator, with a daily trend
+router.get("/sla", async (req, res) => {
+  try {
+    const { type, severity, sensor_id, intersection_id, limit = 20 } = req.query
+    const end = req.query.end ? new Date(req.query.end) : new Date()
+    const start = req.query.start ? new Date(req.query.start) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000)
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) {
+      return res.status(400).json({ error: "start and end must be dates, start before end" })
+    }
+
+    // Targets from ALERT_SLA_TARGETS, overridden per severity by ?targets=critical:2m/30m
+    const configured = parseSlaTargets(config.ALERT_SLA_TARGETS)
+    const requested = parseSlaTargets(req.query.targets)
+    if (requested.errors.length > 0) {
+      return res.status(400).json({ error: "Invalid SLA targets", details: requested.errors })
+    }
+    const targets = { ...configured.targets, ...requested.targets }
+
+    const filter = { suppressed: { $ne: true } }
+    if (type) filter.type = type
+    if (severity) filter.severity = severity
+    if (sensor_id) filter.sensor_id = sensor_id
+    if (intersection_id) filter.intersection_id = intersection_id
+
+    const collection = await Database.getInstance().getCollection(config.ALERTS_COLLECTION)
+    const alerts = await collection
+      .aggregate([
+        { $match: { ...filter, ...timeRangeQuery(start, end) } },
+        // Stored timestamps are Dates or ISO strings
+        { $addFields: { raised_at: toDateExpression("$timestamp") } },
+        {
+          $project: {
+            _id: 0,
+            raised_at: 1,
+            type: 1,
+            severity: 1,
+            intersection_id: 1,
+            resolved: 1,
+            resolved_at: 1,
+            resolved_by: 1,
+            resolution_time: 1,
+            acknowledged_at: 1,
+            acknowledged_by: 1,
+          },
+        },
+        // The most recent alerts are kept when the period holds more than the cap
+        { $sort: { raised_at: -1 } },
+        { $limit: config.ALERT_SLA_MAX_ALERTS + 1 },
+      ], { allowDiskUse: true })
+      .toArray()
+
+    const truncated = alerts.length > config.ALERT_SLA_MAX_ALERTS
+    const report = buildSlaReport(truncated ? alerts.slice(0, config.ALERT_SLA_MAX_ALERTS) : alerts, {
+      targets,
+      start,
+      end,
+      groupLimit: Number.parseInt(limit) || 20,
+    })
+
+    res.json({
+      ...report,
+      filters: {
+        type: type || null,
+        severity: severity || null,
+        sensor_id: sensor_id || null,
+        intersection_id: intersection_id || null,
+      },
+      truncated,
+      generated_at: new Date().toISOString(),
+    })
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to build alert SLA report", details: error.message })
+  }
+})
+
 // Debug endpoint to check alerts collection status
 router.get("/debug", async (req, res) => {
   const db = Database.getInstance()
@@ -512,9 +526,159 @@ router.get("/debug", async (req, res) => {
 })
 
 // Stream traffic alerts in real-time
-router.get("/stream", (req, res) => {
+router.get("/stream", parseStreamFilter, streamGeofence, (req, res) => {
   const streamService = StreamService.getInstance()
-  streamService.addClient("ALERT", res)
+  streamService.addClient("ALERT", res, { filter: req.streamFilter })
+})
+
+/**
+ * Optional string fields of a request body: undefined when absent, null when empty
+ * @param {object} req - Express request
+ * @param {string[]} fields - Field names
+ * @returns {{ values: object, errors: object[] }} errors for the fields that are not strings
+ */
+function stringFields(req, fields) {
+  const values = {}
+  const errors = []
+  fields.forEach(field => {
+    const value = req.body ? req.body[field] : undefined
+    if (value === undefined || value === null || value === "") {
+      values[field] = value === undefined ? undefined : null
+    } else if (typeof value !== "string") {
+      errors.push({ field, message: "must be a string" })
+    } else {
+      values[field] = value
+    }
+  })
+  return { values, errors }
+}
+
+/**
+ * Reply 400 with every error of an alert update body
+ * @returns {boolean} true if the reply was sent
+ */
+function rejectInvalidUpdate(res, errors) {
+  if (errors.length === 0) {
+    return false
+  }
+  res.status(400).json({ error: "Invalid alert update", details: errors })
+  return true
+}
+
+/**
+ * Run an alert lifecycle change and reply with the updated alert
+ * (404 if it does not exist, 409 if its status does not allow the change)
+ */
+async function applyAlertChange(req, res, change) {
+  try {
+    const alert = await change(AlertService.getInstance())
+    if (!alert) {
+      return res.status(404).json({ error: "Alert not found", alert_id: req.params.id })
+    }
+    res.json({ ...alert, status: AlertService.statusOf(alert) })
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, alert_id: req.params.id })
+    }
+    console.error("Alert update error:", error)
+    res.status(500).json({ error: "Failed to update alert", details: error.message })
+  }
+}
+
+// Get a single alert with its lifecycle status and history
+router.get("/:id", async (req, res) => {
+  try {
+    const alert = await AlertService.getInstance().getAlert(req.params.id)
+    if (!alert) {
+      return res.status(404).json({ error: "Alert not found", alert_id: req.params.id })
+    }
+    res.json({ ...alert, status: AlertService.statusOf(alert) })
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch alert", details: error.message })
+  }
+})
+
+// Change history of an alert, oldest first
+router.get("/:id/history", async (req, res) => {
+  try {
+    const history = await AlertService.getInstance().getHistory(req.params.id)
+    if (!history) {
+      return res.status(404).json({ error: "Alert not found", alert_id: req.params.id })
+    }
+    res.json({ alert_id: req.params.id, data: history })
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch alert history", details: error.message })
+  }
+})
+
+// Acknowledge an open alert ({ by, note })
+router.post("/:id/acknowledge", requireAdminKey, (req, res) => {
+  const { values: { by, note }, errors } = stringFields(req, ["by", "note"])
+  if (rejectInvalidUpdate(res, errors)) return
+  applyAlertChange(req, res, service => service.acknowledge(req.params.id, { by, note }))
+})
+
+// Assign an alert to an operator ({ assignee, by, note }); assignee null unassigns it
+router.post("/:id/assign", requireAdminKey, (req, res) => {
+  const { values: { assignee, by, note }, errors } = stringFields(req, ["assignee", "by", "note"])
+  if (assignee === undefined && !errors.some(error => error.field === "assignee")) {
+    errors.push({ field: "assignee", message: "is required (null to unassign)" })
+  }
+  if (rejectInvalidUpdate(res, errors)) return
+  applyAlertChange(req, res, service => service.assign(req.params.id, { assignee, by, note }))
+})
+
+// Add a note ({ text, by })
+router.post("/:id/notes", requireAdminKey, (req, res) => {
+  const { values: { text, by }, errors } = stringFields(req, ["text", "by"])
+  if (!text && !errors.some(error => error.field === "text")) {
+    errors.push({ field: "text", message: "is required" })
+  }
+  if (rejectInvalidUpdate(res, errors)) return
+  applyAlertChange(req, res, service => service.addNote(req.params.id, { text, by }))
+})
+
+// Resolve an alert ({ by, resolution_message, note })
+router.post("/:id/resolve", requireAdminKey, (req, res) => {
+  const { values, errors } = stringFields(req, ["by", "resolution_message", "note"])
+  if (rejectInvalidUpdate(res, errors)) return
+  const { by, resolution_message: resolutionMessage, note } = values
+  applyAlertChange(req, res, service =>
+    service.resolve(req.params.id, { by, resolution_message: resolutionMessage, note })
+  )
+})
+
+// Reopen a resolved alert ({ by, note })
+router.post("/:id/reopen", requireAdminKey, (req, res) => {
+  const { values: { by, note }, errors } = stringFields(req, ["by", "note"])
+  if (rejectInvalidUpdate(res, errors)) return
+  applyAlertChange(req, res, service => service.reopen(req.params.id, { by, note }))
+})
+
+/**
+ * Update an alert in one request:
+ * { status?: "acknowledged" | "resolved" | "open", assigned_to?, note?, resolution_message?, by? }
+ * The assignment and the status change (carrying the note), or the note alone
+ * when the status does not change, are written together: if either is not
+ * allowed (409), nothing is changed.
+ */
+router.patch("/:id", requireAdminKey, (req, res) => {
+  const { status } = req.body || {}
+  const { values, errors } = stringFields(req, ["assigned_to", "by", "note", "resolution_message"])
+  const { assigned_to: assignee, by, note, resolution_message: resolutionMessage } = values
+  if (status !== undefined && !["acknowledged", "resolved", "open"].includes(status)) {
+    errors.push({ field: "status", message: 'must be "acknowledged", "resolved" or "open"' })
+  }
+  if (errors.length === 0 && status === undefined && assignee === undefined && !note) {
+    errors.push({ field: null, message: "Nothing to update: set status, assigned_to or note" })
+  }
+  if (rejectInvalidUpdate(res, errors)) return
+
+  applyAlertChange(req, res, service =>
+    service.update(req.params.id, { status, assignee, by, note, resolution_message: resolutionMessage })
+  )
 })
 
 module.exports = router
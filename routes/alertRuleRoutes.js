@@ -0,0 +1,98 @@
+const express = require("express")
+const router = express.Router()
+const AlertRuleService = require("../services/alertRuleService")
+const { validateRule } = require("../utils/alertRules")
+const { requireAdminKey } = require("../utils/adminAuth")
+
+/**
+ * Reply 400 with the validation errors of a rule body
+ * @returns {object|null} The validated fields, or null if the reply was sent
+ */
+function validatedRule(req, res, options) {
+  const { rule, errors } = validateRule(req.body, options)
+  if (errors.length > 0) {
+    res.status(400).json({ error: "Invalid alert rule", details: errors })
+    return null
+  }
+  return rule
+}
+
+// List rules (?enabled=true|false&stream=TRAFFIC)
+router.get("/", async (req, res) => {
+  try {
+    const { enabled, stream } = req.query
+    const filter = {}
+    if (enabled !== undefined) {
+      filter.enabled = enabled === "true"
+    }
+    if (stream) {
+      filter.stream = stream.toUpperCase()
+    }
+    res.json({ data: await AlertRuleService.getInstance().listRules(filter) })
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch alert rules", details: error.message })
+  }
+})
+
+// Rule engine status: active rules and evaluation counters
+router.get("/status", (req, res) => {
+  res.json(AlertRuleService.getInstance().getStatus())
+})
+
+router.get("/:id", async (req, res) => {
+  try {
+    const rule = await AlertRuleService.getInstance().getRule(req.params.id)
+    if (!rule) {
+      return res.status(404).json({ error: "Alert rule not found", rule_id: req.params.id })
+    }
+    res.json(rule)
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch alert rule", details: error.message })
+  }
+})
+
+// Create a rule
+router.post("/", requireAdminKey, async (req, res) => {
+  const rule = validatedRule(req, res)
+  if (!rule) return
+  try {
+    res.status(201).json(await AlertRuleService.getInstance().createRule(rule))
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to create alert rule", details: error.message })
+  }
+})
+
+// Replace (PUT) or partially update (PATCH, e.g. { enabled: false }) a rule
+const updateRule = (partial) => async (req, res) => {
+  const fields = validatedRule(req, res, { partial })
+  if (!fields) return
+  try {
+    const rule = await AlertRuleService.getInstance().updateRule(req.params.id, fields)
+    if (!rule) {
+      return res.status(404).json({ error: "Alert rule not found", rule_id: req.params.id })
+    }
+    res.json(rule)
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to update alert rule", details: error.message })
+  }
+}
+router.put("/:id", requireAdminKey, updateRule(false))
+router.patch("/:id", requireAdminKey, updateRule(true))
+
+router.delete("/:id", requireAdminKey, async (req, res) => {
+  try {
+    if (!(await AlertRuleService.getInstance().deleteRule(req.params.id))) {
+      return res.status(404).json({ error: "Alert rule not found", rule_id: req.params.id })
+    }
+    res.json({ deleted: true, rule_id: req.params.id })
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to delete alert rule", details: error.message })
+  }
+})
+
+module.exports = router
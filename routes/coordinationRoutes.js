@@ -2,6 +2,7 @@ const express = require("express")
 const router = express.Router()
 const Database = require("../db/database")
 const StreamService = require("../services/streamService")
+const { parseStreamFilter } = require("../utils/streamFilter")
 const config = require("../config/config")
 
 // Get intersection coordination status with real-time data
@@ -588,7 +589,7 @@ router.get("/intersections", async (req, res) => {
 })
 
 // Real-time coordination streaming endpoint
-router.get("/stream", (req, res) => {
+router.get("/stream", parseStreamFilter, (req, res) => {
   res.setHeader("Content-Type", "text/event-stream")
   res.setHeader("Cache-Control", "no-cache")
   res.setHeader("Connection", "keep-alive")
@@ -596,7 +597,7 @@ router.get("/stream", (req, res) => {
   
   
   const streamService = StreamService.getInstance()
-  streamService.addClient("COORDINATION", res)
+  streamService.addClient("COORDINATION", res, { filter: req.streamFilter })
   
   // Send initial connection confirmation
   res.write(`data: ${JSON.stringify({
@@ -614,7 +615,7 @@ router.get("/stream", (req, res) => {
 })
 
 // Intersection-specific coordination streaming
-router.get("/intersections/:intersectionId/stream", (req, res) => {
+router.get("/intersections/:intersectionId/stream", parseStreamFilter, (req, res) => {
   const { intersectionId } = req.params
   
   res.setHeader("Content-Type", "text/event-stream")
@@ -624,7 +625,7 @@ router.get("/intersections/:intersectionId/stream", (req, res) => {
   
   
   const streamService = StreamService.getInstance()
-  streamService.addClient("COORDINATION", res)
+  streamService.addClient("COORDINATION", res, { filter: req.streamFilter })
   
   // Send initial connection confirmation
   res.write(`data: ${JSON.stringify({
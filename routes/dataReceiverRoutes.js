@@ -1,9 +1,81 @@
 const express = require("express");
 const router = express.Router();
-const StreamService = require("../services/streamService");
+const config = require("../config/config");
+const IngestService = require("../services/ingestService");
+const PersistenceService = require("../services/persistenceService");
+const KafkaConsumerService = require("../services/kafkaConsumerService");
+const ChangeStreamFeedService = require("../services/changeStreamFeedService");
+const DeduplicationService = require("../services/deduplicationService");
+const DeadLetterService = require("../services/deadLetterService");
+const { captureRawBody, requireSignedIngest } = require("../utils/ingestAuth");
 
-// Initialize stream service
-const streamService = StreamService.getInstance();
+// Initialize ingest and persistence services
+const ingestService = IngestService.getInstance();
+const persistenceService = PersistenceService.getInstance();
+const deduplicationService = DeduplicationService.getInstance();
+const deadLetterService = DeadLetterService.getInstance();
+
+// NDJSON bulk bodies are parsed here, ahead of the signature check that needs them
+router.use("/bulk", express.text({
+  type: ["application/x-ndjson", "application/jsonl"],
+  limit: config.INGEST_BULK_LIMIT,
+  verify: captureRawBody,
+}));
+
+// Every receiver endpoint requires a producer signature when ingest auth is enabled
+router.use(requireSignedIngest);
+
+/**
+ * Ingest options taken from the request
+ * @param {object} req - Express request object
+ * @returns {object} { idempotencyKey, producerId }
+ */
+function ingestOptions(req) {
+  return {
+    idempotencyKey: req.get("Idempotency-Key") || undefined,
+    producerId: req.producerId,
+  };
+}
+
+/**
+ * Reply 422 with the field errors of a record that failed schema validation,
+ * keeping the record in the dead-letter store
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {object} result - Rejected ingest result
+ */
+function rejectInvalid(req, res, result) {
+  deadLetterService.record({
+    stream: result.stream,
+    source: "http",
+    reason: "validation_failed",
+    errors: result.errors,
+    payload: req.body,
+    producer_id: req.producerId,
+  });
+
+  res.status(422).json({
+    error: `Invalid ${result.stream.toLowerCase()} record`,
+    details: result.errors,
+  });
+}
+
+/**
+ * Keep a record whose processing threw in the dead-letter store
+ * @param {string} stream - The stream type
+ * @param {object} req - Express request object
+ * @param {Error} error - Processing error
+ */
+function deadLetterFailure(stream, req, error) {
+  deadLetterService.record({
+    stream,
+    source: "http",
+    reason: "processing_error",
+    error: error.message,
+    payload: req.body,
+    producer_id: req.producerId,
+  });
+}
 
 /**
  * Enhanced endpoint to receive traffic data from Kafka consumer
@@ -11,30 +83,20 @@ const streamService = StreamService.getInstance();
  */
 router.post("/traffic", (req, res) => {
   try {
-    const data = req.body;
-    
-    // Detect enhanced intersection coordination data
-    const isEnhanced = !!(data.intersection_id && (
-      data.sensor_direction || 
-      data.coordinated_weather || 
-      data.vehicle_flow_rate !== undefined ||
-      data.traffic_light_phase
-    ));
-
-    // Broadcast to connected clients with enhancement info
-    streamService.broadcast("TRAFFIC", {
-      ...data,
-      _enhanced: isEnhanced,
-      _received_at: new Date().toISOString()
-    });
+    // Enhanced = intersection coordination fields present (see ingestSchemas)
+    const result = ingestService.ingest("TRAFFIC", req.body, ingestOptions(req));
+    if (!result.accepted) return rejectInvalid(req, res, result);
 
-    res.status(200).json({ 
-      success: true, 
-      enhanced: isEnhanced,
-      intersection_coordination: isEnhanced && data.intersection_id ? true : false
+    res.status(200).json({
+      success: true,
+      enhanced: result.enhanced,
+      persisted: result.persisted,
+      duplicate: result.duplicate,
+      intersection_coordination: result.enhanced && result.record.intersection_id ? true : false
     });
   } catch (error) {
     console.error("Error broadcasting traffic data:", error);
+    deadLetterFailure("TRAFFIC", req, error);
     res.status(500).json({ error: "Failed to broadcast traffic data" });
   }
 });
@@ -45,34 +107,24 @@ router.post("/traffic", (req, res) => {
  */
 router.post("/intersection", (req, res) => {
   try {
-    const data = req.body;
-    
-    // Detect enhanced intersection coordination data
-    const isEnhanced = !!(data.intersection_id && (
-      data.coordinated_light_status || 
-      data.intersection_efficiency !== undefined ||
-      data.total_intersection_vehicles !== undefined ||
-      data.phase_time_remaining !== undefined
-    ));
-
-    // Broadcast to connected clients
-    streamService.broadcast("INTERSECTION", {
-      ...data,
-      _enhanced: isEnhanced,
-      _received_at: new Date().toISOString()
-    });
+    // Enhanced = intersection coordination fields present (see ingestSchemas)
+    const result = ingestService.ingest("INTERSECTION", req.body, ingestOptions(req));
+    if (!result.accepted) return rejectInvalid(req, res, result);
 
-    res.status(200).json({ 
-      success: true, 
-      enhanced: isEnhanced,
-      coordination_features: isEnhanced ? [
-        "light_coordination", 
-        "efficiency_monitoring", 
+    res.status(200).json({
+      success: true,
+      enhanced: result.enhanced,
+      persisted: result.persisted,
+      duplicate: result.duplicate,
+      coordination_features: result.enhanced ? [
+        "light_coordination",
+        "efficiency_monitoring",
         "vehicle_counting"
       ] : []
     });
   } catch (error) {
     console.error("Error broadcasting intersection data:", error);
+    deadLetterFailure("INTERSECTION", req, error);
     res.status(500).json({ error: "Failed to broadcast intersection data" });
   }
 });
@@ -83,38 +135,22 @@ router.post("/intersection", (req, res) => {
  */
 router.post("/coordination", (req, res) => {
   try {
-    const { intersection_id, coordination_state, message_type, enhanced_fields } = req.body;
-    
-    // Broadcast coordination update to connected clients
-    streamService.broadcast("COORDINATION", {
-      type: "intersection_coordination",
-      intersection_id,
-      coordination_state,
-      message_type,
-      enhanced_fields,
-      timestamp: new Date().toISOString(),
-      _coordination_summary: true
-    });
+    const result = ingestService.ingest("COORDINATION", req.body, ingestOptions(req));
+    if (!result.accepted) return rejectInvalid(req, res, result);
 
-    // Also broadcast as intersection update for general listeners
-    streamService.broadcast("INTERSECTION", {
-      type: "coordination_update",
-      intersection_id,
-      coordination_summary: coordination_state,
-      enhanced_fields,
-      timestamp: new Date().toISOString(),
-      _coordination_summary: true
-    });
+    const { intersection_id, coordination_state } = result.record;
 
-    res.status(200).json({ 
+    res.status(200).json({
       success: true,
       intersection_id,
-      coordination_processed: true,
+      coordination_processed: !result.duplicate,
+      duplicate: result.duplicate,
       sensors_tracked: coordination_state?.sensors?.length || 0,
       directions_tracked: coordination_state?.sensorDirections?.size || 0
     });
   } catch (error) {
     console.error("Error processing coordination data:", error);
+    deadLetterFailure("COORDINATION", req, error);
     res.status(500).json({ error: "Failed to process coordination data" });
   }
 });
@@ -124,11 +160,13 @@ router.post("/coordination", (req, res) => {
  */
 router.post("/vehicle", (req, res) => {
   try {
-    // Broadcast to connected clients
-    streamService.broadcast("VEHICLE", req.body);
-    res.status(200).json({ success: true });
+    const result = ingestService.ingest("VEHICLE", req.body, ingestOptions(req));
+    if (!result.accepted) return rejectInvalid(req, res, result);
+
+    res.status(200).json({ success: true, persisted: result.persisted, duplicate: result.duplicate });
   } catch (error) {
     console.error("Error broadcasting vehicle data:", error);
+    deadLetterFailure("VEHICLE", req, error);
     res.status(500).json({ error: "Failed to broadcast vehicle data" });
   }
 });
@@ -138,11 +176,13 @@ router.post("/vehicle", (req, res) => {
  */
 router.post("/sensor", (req, res) => {
   try {
-    // Broadcast to connected clients
-    streamService.broadcast("SENSOR", req.body);
-    res.status(200).json({ success: true });
+    const result = ingestService.ingest("SENSOR", req.body, ingestOptions(req));
+    if (!result.accepted) return rejectInvalid(req, res, result);
+
+    res.status(200).json({ success: true, persisted: result.persisted, duplicate: result.duplicate });
   } catch (error) {
     console.error("Error broadcasting sensor health data:", error);
+    deadLetterFailure("SENSOR", req, error);
     res.status(500).json({ error: "Failed to broadcast sensor health data" });
   }
 });
@@ -152,13 +192,159 @@ router.post("/sensor", (req, res) => {
  */
 router.post("/alert", (req, res) => {
   try {
-    // Broadcast to connected clients
-    streamService.broadcast("ALERT", req.body);
-    res.status(200).json({ success: true });
+    const result = ingestService.ingest("ALERT", req.body, ingestOptions(req));
+    if (!result.accepted) return rejectInvalid(req, res, result);
+
+    res.status(200).json({ success: true, persisted: result.persisted, duplicate: result.duplicate });
   } catch (error) {
     console.error("Error broadcasting traffic alert:", error);
+    deadLetterFailure("ALERT", req, error);
     res.status(500).json({ error: "Failed to broadcast traffic alert" });
   }
 });
 
+/**
+ * Bulk ingest of mixed record types for high-rate producers.
+ * Body is newline-delimited JSON (application/x-ndjson) or a JSON array. Each
+ * entry is an envelope { stream: "vehicle", data: {...} }, or a bare record
+ * when ?stream= names the stream of the whole batch. Every entry is routed
+ * through the regular ingest pipeline and reported as accepted or rejected.
+ * An Idempotency-Key header applies per line ("<key>#<line>"); an envelope
+ * idempotency_key overrides it.
+ */
+router.post("/bulk", (req, res) => {
+  let entries;
+  if (typeof req.body === "string") {
+    // NDJSON: keep line numbers of blank lines so results match the input
+    entries = req.body.split("\n").map((text, index) => ({ line: index + 1, text: text.trim() }))
+      .filter((entry) => entry.text !== "");
+  } else if (Array.isArray(req.body)) {
+    entries = req.body.map((value, index) => ({ line: index + 1, value }));
+  } else {
+    return res.status(400).json({
+      error: "Bulk body must be NDJSON (application/x-ndjson) or a JSON array",
+    });
+  }
+
+  if (entries.length > config.INGEST_BULK_MAX_RECORDS) {
+    return res.status(413).json({
+      error: `Bulk request exceeds ${config.INGEST_BULK_MAX_RECORDS} records`,
+      records: entries.length,
+    });
+  }
+
+  const defaultStream = req.query.stream ? IngestService.resolveStream(req.query.stream) : null;
+  if (req.query.stream && !defaultStream) {
+    return res.status(400).json({ error: `Unknown stream ${req.query.stream}` });
+  }
+
+  const { idempotencyKey: requestKey, producerId } = ingestOptions(req);
+  const context = { defaultStream, requestKey, producerId, deadLetters: [] };
+  const summary = { accepted: 0, rejected: 0, duplicates: 0, by_stream: {} };
+  const results = entries.map((entry) => {
+    const result = ingestBulkEntry(entry, context);
+    if (result.duplicate) {
+      summary.accepted++;
+      summary.duplicates++;
+    } else if (result.accepted) {
+      summary.accepted++;
+      summary.by_stream[result.stream] = (summary.by_stream[result.stream] || 0) + 1;
+    } else {
+      summary.rejected++;
+    }
+    return result;
+  });
+
+  // Rejected lines go to the dead-letter store in one write
+  deadLetterService.recordMany(context.deadLetters);
+
+  res.status(200).json({
+    success: summary.rejected === 0,
+    total: entries.length,
+    ...summary,
+    results,
+  });
+});
+
+/**
+ * Parse and ingest one bulk entry. Rejected entries are added to context.deadLetters.
+ * @param {object} entry - { line, text } for NDJSON or { line, value } for arrays
+ * @param {object} context - Request-wide bulk settings
+ * @param {string|null} context.defaultStream - Stream type from ?stream=
+ * @param {string|undefined} context.requestKey - Idempotency-Key header of the request
+ * @param {string|undefined} context.producerId - Authenticated producer of the request
+ * @param {object[]} context.deadLetters - Collected dead letters
+ * @returns {object} Per-line result
+ */
+function ingestBulkEntry(entry, context) {
+  const { defaultStream, requestKey, producerId, deadLetters } = context;
+  const reject = (stream, reason, errors, payload, error) => {
+    deadLetters.push({
+      stream,
+      source: "bulk",
+      reason,
+      error,
+      errors,
+      payload,
+      producer_id: producerId,
+      metadata: { line: entry.line },
+    });
+    return { line: entry.line, stream, accepted: false, errors };
+  };
+
+  let value = entry.value;
+  if (entry.text !== undefined) {
+    try {
+      value = JSON.parse(entry.text);
+    } catch (error) {
+      return reject(null, "invalid_json", [{ field: null, message: `Invalid JSON: ${error.message}` }], entry.text);
+    }
+  }
+
+  let stream = defaultStream;
+  let data = value;
+  let idempotencyKey = requestKey ? `${requestKey}#${entry.line}` : undefined;
+  if (value && typeof value === "object" && value.stream !== undefined && value.data !== undefined) {
+    stream = IngestService.resolveStream(value.stream);
+    data = value.data;
+    idempotencyKey = value.idempotency_key || idempotencyKey;
+    if (!stream) {
+      return reject(null, "unknown_stream", [{ field: "stream", message: `Unknown stream ${value.stream}` }], value);
+    }
+  }
+
+  if (!stream) {
+    return reject(null, "unknown_stream", [{ field: "stream", message: "is required (envelope { stream, data } or ?stream=)" }], value);
+  }
+
+  try {
+    const result = ingestService.ingest(stream, data, { idempotencyKey, producerId });
+    return result.accepted
+      ? { line: entry.line, stream, accepted: true, duplicate: result.duplicate, enhanced: result.enhanced, persisted: result.persisted }
+      : reject(stream, "validation_failed", result.errors, data);
+  } catch (error) {
+    console.error(`Error ingesting bulk line ${entry.line}:`, error);
+    return reject(stream, "processing_error", [{ field: null, message: "Failed to process record" }], data, error.message);
+  }
+}
+
+/**
+ * Ingest status: persistence batching, deduplication counters, built-in
+ * Kafka consumer (offsets and lag) and change stream feed
+ */
+router.get("/status", async (req, res) => {
+  try {
+    res.json({
+      persistence: persistenceService.getStats(),
+      deduplication: deduplicationService.getStats(),
+      dead_letters: deadLetterService.getStats(),
+      kafka: await KafkaConsumerService.getInstance().getStatus(),
+      change_stream: ChangeStreamFeedService.getInstance().getStatus(),
+    });
+  } catch (error) {
+    console.error("Error fetching ingest status:", error);
+    res.status(500).json({ error: "Failed to fetch ingest status", details: error.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,219 @@
+const express = require("express")
+const router = express.Router()
+const Database = require("../db/database")
+const DeadLetterService = require("../services/deadLetterService")
+const IngestService = require("../services/ingestService")
+const PersistenceService = require("../services/persistenceService")
+const { requireAdminKey } = require("../utils/adminAuth")
+
+// Dead letters hold raw producer payloads, and replays inject records
+router.use(requireAdminKey)
+
+/**
+ * Re-submit a dead letter. Persistence failures are written straight to their
+ * collection (they were already broadcast); everything else goes back through
+ * the ingest pipeline. A corrected payload was not signed by the original
+ * producer, so it is not attributed to it.
+ * @param {object} letter - The dead letter
+ * @param {object} [overrides] - { data, stream } corrections from the request body
+ * @returns {Promise<object>} { letter, outcome }
+ */
+async function replayDeadLetter(letter, overrides = {}) {
+  const deadLetterService = DeadLetterService.getInstance()
+  const payload = overrides.data !== undefined ? overrides.data : letter.payload
+  const stream = overrides.stream ? IngestService.resolveStream(overrides.stream) : letter.stream
+
+  let outcome
+  try {
+    if (!stream) {
+      outcome = {
+        accepted: false,
+        errors: [{ field: "stream", message: "Dead letter has no valid stream, pass one in the replay body" }],
+      }
+    } else if (letter.reason === "persistence_failed" && overrides.data === undefined) {
+      const db = Database.getInstance()
+      const collection = await db.getCollection(PersistenceService.getInstance().getCollectionName(stream))
+      await collection.insertOne(payload)
+      outcome = { accepted: true, duplicate: false, errors: [] }
+    } else {
+      outcome = IngestService.getInstance().ingest(stream, payload, {
+        producerId: overrides.data === undefined ? letter.producer_id || undefined : undefined,
+      })
+    }
+  } catch (error) {
+    outcome = { accepted: false, errors: [{ field: null, message: error.message }] }
+  }
+
+  const updated = await deadLetterService.recordReplay(letter, outcome, overrides.data)
+
+  return {
+    letter: updated,
+    outcome: {
+      accepted: outcome.accepted,
+      duplicate: !!outcome.duplicate,
+      errors: outcome.errors || [],
+    },
+  }
+}
+
+// List dead letters with pagination and filtering
+router.get("/", async (req, res) => {
+  try {
+    const collection = await DeadLetterService.getInstance().getCollection()
+    const { page = 1, limit = 50, stream, reason, source, status, producer_id, start, end } = req.query
+
+    const filter = {}
+    if (stream) filter.stream = stream.toUpperCase()
+    if (reason) filter.reason = reason
+    if (source) filter.source = source
+    if (status) filter.status = status
+    if (producer_id) filter.producer_id = producer_id
+    if (start || end) {
+      filter.created_at = {}
+      if (start) filter.created_at.$gte = new Date(start)
+      if (end) filter.created_at.$lte = new Date(end)
+    }
+
+    const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
+
+    const data = await collection
+      .find(filter)
+      .project({ replay_history: 0 })
+      .sort({ created_at: -1 })
+      .skip(skip)
+      .limit(Number.parseInt(limit))
+      .toArray()
+
+    const total = await collection.countDocuments(filter)
+
+    res.json({
+      data,
+      pagination: {
+        total,
+        page: Number.parseInt(page),
+        limit: Number.parseInt(limit),
+        pages: Math.ceil(total / Number.parseInt(limit)),
+      },
+    })
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch dead letters" })
+  }
+})
+
+// Dead letter counts by status, reason and stream
+router.get("/stats", async (req, res) => {
+  try {
+    const collection = await DeadLetterService.getInstance().getCollection()
+
+    const [byStatus, byReason, byStream] = await Promise.all(
+      ["$status", "$reason", "$stream"].map(field =>
+        collection.aggregate([
+          { $group: { _id: field, count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+        ]).toArray()
+      )
+    )
+
+    res.json({
+      byStatus: byStatus.map(item => ({ status: item._id, count: item.count })),
+      byReason: byReason.map(item => ({ reason: item._id, count: item.count })),
+      byStream: byStream.map(item => ({ stream: item._id, count: item.count })),
+      service: DeadLetterService.getInstance().getStats(),
+    })
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch dead letter statistics" })
+  }
+})
+
+// Re-submit pending dead letters in batch, by id list or filter
+router.post("/replay", async (req, res) => {
+  try {
+    const deadLetterService = DeadLetterService.getInstance()
+    const collection = await deadLetterService.getCollection()
+    const { ids, stream, reason, source, limit = 100 } = req.body || {}
+
+    const filter = { status: "pending" }
+    if (Array.isArray(ids)) {
+      const objectIds = ids.map(id => DeadLetterService.parseId(id))
+      if (objectIds.some(id => !id)) {
+        return res.status(400).json({ error: "Invalid dead letter id in ids" })
+      }
+      filter._id = { $in: objectIds }
+    }
+    if (stream) filter.stream = stream.toUpperCase()
+    if (reason) filter.reason = reason
+    if (source) filter.source = source
+
+    const letters = await collection
+      .find(filter)
+      .sort({ created_at: 1 })
+      .limit(Math.min(Number.parseInt(limit) || 100, 1000))
+      .toArray()
+
+    // Sequential, so replays keep the original arrival order
+    const results = []
+    for (const letter of letters) {
+      const { outcome } = await replayDeadLetter(letter)
+      results.push({ id: letter._id, stream: letter.stream, ...outcome })
+    }
+
+    res.json({
+      total: results.length,
+      replayed: results.filter(result => result.accepted).length,
+      failed: results.filter(result => !result.accepted).length,
+      results,
+    })
+  } catch (error) {
+    console.error("Dead letter replay error:", error)
+    res.status(500).json({ error: "Failed to replay dead letters", details: error.message })
+  }
+})
+
+// Inspect a single dead letter, including its replay history
+router.get("/:id", async (req, res) => {
+  try {
+    if (!DeadLetterService.parseId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid dead letter id" })
+    }
+
+    const letter = await DeadLetterService.getInstance().findById(req.params.id)
+    if (!letter) {
+      return res.status(404).json({ error: "Dead letter not found" })
+    }
+
+    res.json(letter)
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch dead letter" })
+  }
+})
+
+// Re-submit a single dead letter, optionally with a corrected payload ({ data, stream })
+router.post("/:id/replay", async (req, res) => {
+  try {
+    if (!DeadLetterService.parseId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid dead letter id" })
+    }
+
+    const letter = await DeadLetterService.getInstance().findById(req.params.id)
+    if (!letter) {
+      return res.status(404).json({ error: "Dead letter not found" })
+    }
+
+    const { data, stream } = req.body || {}
+    const { letter: updated, outcome } = await replayDeadLetter(letter, { data, stream })
+
+    res.status(outcome.accepted ? 200 : 422).json({
+      success: outcome.accepted,
+      ...outcome,
+      dead_letter: updated,
+    })
+  } catch (error) {
+    console.error("Dead letter replay error:", error)
+    res.status(500).json({ error: "Failed to replay dead letter", details: error.message })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,94 @@
+const express = require("express")
+const router = express.Router()
+const EscalationService = require("../services/escalationService")
+const { validatePolicy } = require("../utils/escalationPolicies")
+const { requireAdminKey } = require("../utils/adminAuth")
+
+/**
+ * Reply 400 with the validation errors of a policy body
+ * @returns {object|null} The validated fields, or null if the reply was sent
+ */
+function validatedPolicy(req, res, options) {
+  const { policy, errors } = validatePolicy(req.body, options)
+  if (errors.length > 0) {
+    res.status(400).json({ error: "Invalid escalation policy", details: errors })
+    return null
+  }
+  return policy
+}
+
+// List policies (?enabled=true|false)
+router.get("/", async (req, res) => {
+  try {
+    const filter = {}
+    if (req.query.enabled !== undefined) {
+      filter.enabled = req.query.enabled === "true"
+    }
+    res.json({ data: await EscalationService.getInstance().listPolicies(filter) })
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch escalation policies", details: error.message })
+  }
+})
+
+// Escalation status: active policies and counters
+router.get("/status", (req, res) => {
+  res.json(EscalationService.getInstance().getStatus())
+})
+
+router.get("/:id", async (req, res) => {
+  try {
+    const policy = await EscalationService.getInstance().getPolicy(req.params.id)
+    if (!policy) {
+      return res.status(404).json({ error: "Escalation policy not found", policy_id: req.params.id })
+    }
+    res.json(policy)
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch escalation policy", details: error.message })
+  }
+})
+
+// Create a policy
+router.post("/", requireAdminKey, async (req, res) => {
+  const policy = validatedPolicy(req, res)
+  if (!policy) return
+  try {
+    res.status(201).json(await EscalationService.getInstance().createPolicy(policy))
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to create escalation policy", details: error.message })
+  }
+})
+
+// Replace (PUT) or partially update (PATCH, e.g. { enabled: false }) a policy
+const updatePolicy = (partial) => async (req, res) => {
+  const fields = validatedPolicy(req, res, { partial })
+  if (!fields) return
+  try {
+    const policy = await EscalationService.getInstance().updatePolicy(req.params.id, fields)
+    if (!policy) {
+      return res.status(404).json({ error: "Escalation policy not found", policy_id: req.params.id })
+    }
+    res.json(policy)
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to update escalation policy", details: error.message })
+  }
+}
+router.put("/:id", requireAdminKey, updatePolicy(false))
+router.patch("/:id", requireAdminKey, updatePolicy(true))
+
+router.delete("/:id", requireAdminKey, async (req, res) => {
+  try {
+    if (!(await EscalationService.getInstance().deletePolicy(req.params.id))) {
+      return res.status(404).json({ error: "Escalation policy not found", policy_id: req.params.id })
+    }
+    res.json({ deleted: true, policy_id: req.params.id })
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to delete escalation policy", details: error.message })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,103 @@
+const express = require("express")
+const router = express.Router()
+const GeofenceService = require("../services/geofenceService")
+const { validateGeofence } = require("../utils/geofences")
+const { requireAdminKey } = require("../utils/adminAuth")
+
+/**
+ * Reply 400 with the validation errors of a geofence body
+ * @returns {object|null} The validated fields, or null if the reply was sent
+ */
+function validatedGeofence(req, res, options) {
+  const { geofence, errors } = validateGeofence(req.body, options)
+  if (errors.length > 0) {
+    res.status(400).json({ error: "Invalid geofence", details: errors })
+    return null
+  }
+  return geofence
+}
+
+router.get("/", async (req, res) => {
+  try {
+    res.json({ data: await GeofenceService.getInstance().listGeofences() })
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch geofences", details: error.message })
+  }
+})
+
+// Cached sensor locations placing the alerts without coordinates
+router.get("/status", (req, res) => {
+  res.json(GeofenceService.getInstance().getStatus())
+})
+
+// A geofence by id or name, with the sensors located inside it
+router.get("/:id", async (req, res) => {
+  try {
+    const service = GeofenceService.getInstance()
+    const geofence = await service.getGeofence(req.params.id)
+    if (!geofence) {
+      return res.status(404).json({ error: "Geofence not found", geofence: req.params.id })
+    }
+    res.json({ ...geofence, sensor_ids: service.sensorsWithin(geofence) })
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch geofence", details: error.message })
+  }
+})
+
+// Register a geofence
+router.post("/", requireAdminKey, async (req, res) => {
+  const geofence = validatedGeofence(req, res)
+  if (!geofence) return
+  try {
+    res.status(201).json(await GeofenceService.getInstance().createGeofence(geofence))
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to create geofence", details: error.message })
+  }
+})
+
+// Replace (PUT) or partially update (PATCH, e.g. { radius_m }) a geofence
+const updateGeofence = (partial) => async (req, res) => {
+  try {
+    const service = GeofenceService.getInstance()
+    const current = partial ? await service.getGeofence(req.params.id) : {}
+    if (!current) {
+      return res.status(404).json({ error: "Geofence not found", geofence: req.params.id })
+    }
+    const fields = validatedGeofence(req, res, { partial, current })
+    if (!fields) return
+
+    const geofence = await service.updateGeofence(req.params.id, fields)
+    if (!geofence) {
+      return res.status(404).json({ error: "Geofence not found", geofence: req.params.id })
+    }
+    res.json(geofence)
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to update geofence", details: error.message })
+  }
+}
+router.put("/:id", requireAdminKey, updateGeofence(false))
+router.patch("/:id", requireAdminKey, updateGeofence(true))
+
+router.delete("/:id", requireAdminKey, async (req, res) => {
+  try {
+    if (!(await GeofenceService.getInstance().deleteGeofence(req.params.id))) {
+      return res.status(404).json({ error: "Geofence not found", geofence: req.params.id })
+    }
+    res.json({ deleted: true, geofence: req.params.id })
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to delete geofence", details: error.message })
+  }
+})
+
+module.exports = router
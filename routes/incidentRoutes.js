@@ -0,0 +1,81 @@
+const express = require("express")
+const router = express.Router()
+const IncidentService = require("../services/incidentService")
+const StreamService = require("../services/streamService")
+const { parseStreamFilter } = require("../utils/streamFilter")
+
+// List incidents, most recently active first (without their alerts and timeline)
+router.get("/", async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status, intersection_id, severity, category, start, end } = req.query
+
+    const filter = {}
+    if (status) filter.status = status
+    if (intersection_id) filter.intersection_id = intersection_id
+    if (severity) filter.severity = severity
+    if (category) filter.category = category
+    // Incidents overlapping [start, end]
+    if (start) filter.last_alert_at = { $gte: new Date(start) }
+    if (end) filter.started_at = { $lte: new Date(end) }
+
+    const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
+    const { data, total } = await IncidentService.getInstance().listIncidents(filter, {
+      skip,
+      limit: Number.parseInt(limit),
+    })
+
+    res.json({
+      data,
+      pagination: {
+        total,
+        page: Number.parseInt(page),
+        limit: Number.parseInt(limit),
+        pages: Math.ceil(total / Number.parseInt(limit)),
+      },
+    })
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch incidents", details: error.message })
+  }
+})
+
+// Correlation counters
+router.get("/stats", (req, res) => {
+  res.json(IncidentService.getInstance().getStats())
+})
+
+// Stream incident changes in real-time
+router.get("/stream", parseStreamFilter, (req, res) => {
+  IncidentService.getInstance() // registers the INCIDENT stream
+  StreamService.getInstance().addClient("INCIDENT", res, { filter: req.streamFilter })
+})
+
+// Incident with its alerts and timeline
+router.get("/:id", async (req, res) => {
+  try {
+    const incident = await IncidentService.getInstance().getIncident(req.params.id)
+    if (!incident) {
+      return res.status(404).json({ error: "Incident not found", incident_id: req.params.id })
+    }
+    res.json(incident)
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch incident", details: error.message })
+  }
+})
+
+// Timeline of an incident, oldest first
+router.get("/:id/timeline", async (req, res) => {
+  try {
+    const incident = await IncidentService.getInstance().getIncident(req.params.id)
+    if (!incident) {
+      return res.status(404).json({ error: "Incident not found", incident_id: req.params.id })
+    }
+    res.json({ incident_id: req.params.id, status: incident.status, data: incident.timeline || [] })
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch incident timeline", details: error.message })
+  }
+})
+
+module.exports = router
@@ -2,6 +2,7 @@ const express = require("express")
 const router = express.Router()
 const Database = require("../db/database")
 const StreamService = require("../services/streamService")
+const { parseStreamFilter } = require("../utils/streamFilter")
 const config = require("../config/config")
 
 // Get all intersection data with pagination
@@ -1356,12 +1357,12 @@ router.get("/:id/debug", async (req, res) => {
 })
 
 // Stream intersection data in real-time
-router.get("/stream", (req, res) => {
+router.get("/stream", parseStreamFilter, (req, res) => {
   res.setHeader("Content-Type", "text/event-stream");
   res.setHeader("Cache-Control", "no-cache");
   res.setHeader("Connection", "keep-alive");
   const streamService = StreamService.getInstance()
-  streamService.addClient("INTERSECTION", res)
+  streamService.addClient("INTERSECTION", res, { filter: req.streamFilter })
 })
 
 module.exports = router
@@ -0,0 +1,129 @@
+const express = require("express")
+const router = express.Router()
+const Database = require("../db/database")
+const MaintenanceService = require("../services/maintenanceService")
+const { validateMaintenanceWindow } = require("../utils/maintenanceWindows")
+const { requireAdminKey } = require("../utils/adminAuth")
+const config = require("../config/config")
+
+/**
+ * Reply 400 with the validation errors of a window body
+ * @returns {object|null} The validated fields, or null if the reply was sent
+ */
+function validatedWindow(req, res, options) {
+  const { window, errors } = validateMaintenanceWindow(req.body, options)
+  if (errors.length > 0) {
+    res.status(400).json({ error: "Invalid maintenance window", details: errors })
+    return null
+  }
+  return window
+}
+
+// List windows (?state=active|scheduled|ended)
+router.get("/", async (req, res) => {
+  try {
+    res.json({ data: await MaintenanceService.getInstance().listWindows({ state: req.query.state }) })
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch maintenance windows", details: error.message })
+  }
+})
+
+// Cached windows and suppression counter of this instance
+router.get("/status", (req, res) => {
+  res.json(MaintenanceService.getInstance().getStatus())
+})
+
+router.get("/:id", async (req, res) => {
+  try {
+    const window = await MaintenanceService.getInstance().getWindow(req.params.id)
+    if (!window) {
+      return res.status(404).json({ error: "Maintenance window not found", window_id: req.params.id })
+    }
+    res.json(window)
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch maintenance window", details: error.message })
+  }
+})
+
+// Alerts suppressed by a window, newest first
+router.get("/:id/alerts", async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query
+    const collection = await Database.getInstance().getCollection(config.ALERTS_COLLECTION)
+    const filter = { suppressed: true, "suppressed_by.window_id": req.params.id }
+    const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
+
+    const data = await collection
+      .find(filter)
+      .sort({ received_at: -1 })
+      .skip(skip)
+      .limit(Number.parseInt(limit))
+      .toArray()
+    const total = await collection.countDocuments(filter)
+
+    res.json({
+      data,
+      pagination: {
+        total,
+        page: Number.parseInt(page),
+        limit: Number.parseInt(limit),
+        pages: Math.ceil(total / Number.parseInt(limit)),
+      },
+    })
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch suppressed alerts", details: error.message })
+  }
+})
+
+// Schedule a window
+router.post("/", requireAdminKey, async (req, res) => {
+  const window = validatedWindow(req, res)
+  if (!window) return
+  try {
+    res.status(201).json(await MaintenanceService.getInstance().createWindow(window))
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to create maintenance window", details: error.message })
+  }
+})
+
+// Replace (PUT) or partially update (PATCH, e.g. { ends_at } to end it early) a window
+const updateWindow = (partial) => async (req, res) => {
+  try {
+    const service = MaintenanceService.getInstance()
+    const current = partial ? await service.getWindow(req.params.id) : {}
+    if (!current) {
+      return res.status(404).json({ error: "Maintenance window not found", window_id: req.params.id })
+    }
+    const fields = validatedWindow(req, res, { partial, current })
+    if (!fields) return
+
+    const window = await service.updateWindow(req.params.id, fields)
+    if (!window) {
+      return res.status(404).json({ error: "Maintenance window not found", window_id: req.params.id })
+    }
+    res.json(window)
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to update maintenance window", details: error.message })
+  }
+}
+router.put("/:id", requireAdminKey, updateWindow(false))
+router.patch("/:id", requireAdminKey, updateWindow(true))
+
+router.delete("/:id", requireAdminKey, async (req, res) => {
+  try {
+    if (!(await MaintenanceService.getInstance().deleteWindow(req.params.id))) {
+      return res.status(404).json({ error: "Maintenance window not found", window_id: req.params.id })
+    }
+    res.json({ deleted: true, window_id: req.params.id })
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to delete maintenance window", details: error.message })
+  }
+})
+
+module.exports = router
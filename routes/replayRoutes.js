@@ -0,0 +1,126 @@
+const express = require("express")
+const router = express.Router()
+const ReplayService = require("../services/replayService")
+const { requireAdminKey } = require("../utils/adminAuth")
+
+// Sessions broadcast into the live streams of every client
+router.use(requireAdminKey)
+
+/**
+ * Look up the session named in the URL, replying 404 if it does not exist
+ */
+function findSession(req, res) {
+  const session = ReplayService.getInstance().getSession(req.params.id)
+  if (!session) {
+    res.status(404).json({ error: "Replay session not found" })
+  }
+  return session
+}
+
+// Create a replay session ({ start, end, speed, streams, intersection_id, sensor_id, max_gap_ms, autostart })
+router.post("/sessions", (req, res) => {
+  try {
+    const { autostart = true, ...options } = req.body || {}
+    if (!options.start) {
+      return res.status(400).json({ error: "start is required" })
+    }
+
+    const session = ReplayService.getInstance().createSession(options)
+    if (autostart) {
+      session.play()
+    }
+
+    res.status(201).json(session.toJSON())
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
+    console.error("Replay error:", error)
+    res.status(500).json({ error: "Failed to create replay session", details: error.message })
+  }
+})
+
+// List replay sessions
+router.get("/sessions", (req, res) => {
+  res.json({ data: ReplayService.getInstance().listSessions() })
+})
+
+// Replay session status and progress
+router.get("/sessions/:id", (req, res) => {
+  const session = findSession(req, res)
+  if (session) {
+    res.json(session.toJSON())
+  }
+})
+
+// Start or resume a session
+router.post("/sessions/:id/start", (req, res) => {
+  const session = findSession(req, res)
+  if (!session) return
+  if (!session.isActive()) {
+    return res.status(409).json({ error: `Replay session is ${session.status}` })
+  }
+  session.play()
+  res.json(session.toJSON())
+})
+
+// Pause a running session
+router.post("/sessions/:id/pause", (req, res) => {
+  const session = findSession(req, res)
+  if (!session) return
+  if (session.status !== "running") {
+    return res.status(409).json({ error: `Replay session is ${session.status}` })
+  }
+  session.pause()
+  res.json(session.toJSON())
+})
+
+// Jump to a point in the replayed range ({ to })
+router.post("/sessions/:id/seek", (req, res) => {
+  const session = findSession(req, res)
+  if (!session) return
+  if (!session.isActive()) {
+    return res.status(409).json({ error: `Replay session is ${session.status}` })
+  }
+
+  const to = new Date((req.body || {}).to)
+  if (Number.isNaN(to.getTime()) || to < session.start || to > session.end) {
+    return res.status(400).json({
+      error: "to must be a timestamp inside the replayed range",
+      start: session.start.toISOString(),
+      end: session.end.toISOString(),
+    })
+  }
+
+  session.seek(to)
+  res.json({ ...session.toJSON(), seeking_to: to.toISOString() })
+})
+
+// Stop a session, keeping it for inspection
+router.post("/sessions/:id/stop", async (req, res) => {
+  const session = findSession(req, res)
+  if (!session) return
+  try {
+    await session.stop()
+    res.json(session.toJSON())
+  } catch (error) {
+    console.error("Replay error:", error)
+    res.status(500).json({ error: "Failed to stop replay session", details: error.message })
+  }
+})
+
+// Stop and remove a session
+router.delete("/sessions/:id", async (req, res) => {
+  try {
+    const removed = await ReplayService.getInstance().removeSession(req.params.id)
+    if (!removed) {
+      return res.status(404).json({ error: "Replay session not found" })
+    }
+    res.json({ success: true })
+  } catch (error) {
+    console.error("Replay error:", error)
+    res.status(500).json({ error: "Failed to remove replay session", details: error.message })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,154 @@
+const express = require("express")
+const router = express.Router()
+const RiskModelService = require("../services/riskModelService")
+const { validateRiskModel } = require("../utils/riskModels")
+const { requireAdminKey } = require("../utils/adminAuth")
+
+/**
+ * Reply 400 with the validation errors of a risk model body
+ * @returns {object|null} The validated fields, or null if the reply was sent
+ */
+function validatedModel(req, res, options) {
+  const { model, errors } = validateRiskModel(req.body, options)
+  if (errors.length > 0) {
+    res.status(400).json({ error: "Invalid risk model", details: errors })
+    return null
+  }
+  return model
+}
+
+// Stored profiles, after the built-in default model
+router.get("/", async (req, res) => {
+  try {
+    const models = await RiskModelService.getInstance().listModels()
+    res.json({ data: [RiskModelService.builtIn(), ...models] })
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch risk models", details: error.message })
+  }
+})
+
+// A profile by id or name ("default" for the built-in model)
+router.get("/:id", async (req, res) => {
+  try {
+    if (req.params.id === "default") {
+      return res.json(RiskModelService.builtIn())
+    }
+    const model = await RiskModelService.getInstance().getModel(req.params.id)
+    if (!model) {
+      return res.status(404).json({ error: "Risk model not found", model: req.params.id })
+    }
+    res.json(model)
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch risk model", details: error.message })
+  }
+})
+
+// Versions of a profile, newest first
+router.get("/:id/versions", async (req, res) => {
+  try {
+    const service = RiskModelService.getInstance()
+    const model = await service.getModel(req.params.id)
+    if (!model) {
+      return res.status(404).json({ error: "Risk model not found", model: req.params.id })
+    }
+    res.json({ data: await service.listVersions(model._id.toString()) })
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch risk model versions", details: error.message })
+  }
+})
+
+// One version of a profile, with its definition
+router.get("/:id/versions/:version", async (req, res) => {
+  try {
+    const service = RiskModelService.getInstance()
+    const model = await service.getModel(req.params.id)
+    const version = model && (await service.getVersion(model._id.toString(), Number.parseInt(req.params.version)))
+    if (!version) {
+      return res.status(404).json({ error: "Risk model version not found", model: req.params.id, version: req.params.version })
+    }
+    res.json(version)
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch risk model version", details: error.message })
+  }
+})
+
+// Create a profile (version 1)
+router.post("/", requireAdminKey, async (req, res) => {
+  const model = validatedModel(req, res)
+  if (!model) return
+  try {
+    res.status(201).json(await RiskModelService.getInstance().createModel(model))
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to create risk model", details: error.message })
+  }
+})
+
+// Save the next version: PUT replaces the profile (omitted parts reset to the
+// defaults), PATCH changes some values, e.g. { "weights": { "environment": 0.3 } }
+const updateModel = (partial) => async (req, res) => {
+  try {
+    const service = RiskModelService.getInstance()
+    const current = await service.getModel(req.params.id)
+    if (!current) {
+      return res.status(404).json({ error: "Risk model not found", model: req.params.id })
+    }
+    const fields = validatedModel(req, res, { partial, current })
+    if (!fields) return
+
+    const model = await service.updateModel(current._id.toString(), fields)
+    if (!model) {
+      return res.status(404).json({ error: "Risk model not found", model: req.params.id })
+    }
+    res.json(model)
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to update risk model", details: error.message })
+  }
+}
+router.put("/:id", requireAdminKey, updateModel(false))
+router.patch("/:id", requireAdminKey, updateModel(true))
+
+// Save an earlier version as the next version
+router.post("/:id/versions/:version/restore", requireAdminKey, async (req, res) => {
+  try {
+    const updatedBy = req.body && typeof req.body.updated_by === "string" ? req.body.updated_by : null
+    const model = await RiskModelService.getInstance().restoreVersion(
+      req.params.id,
+      Number.parseInt(req.params.version),
+      { updated_by: updatedBy }
+    )
+    if (!model) {
+      return res.status(404).json({ error: "Risk model version not found", model: req.params.id, version: req.params.version })
+    }
+    res.json(model)
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to restore risk model version", details: error.message })
+  }
+})
+
+// Delete a profile and its versions
+router.delete("/:id", requireAdminKey, async (req, res) => {
+  try {
+    if (!(await RiskModelService.getInstance().deleteModel(req.params.id))) {
+      return res.status(404).json({ error: "Risk model not found", model: req.params.id })
+    }
+    res.json({ deleted: true, model: req.params.id })
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to delete risk model", details: error.message })
+  }
+})
+
+module.exports = router
@@ -10,8 +10,30 @@ const express = require("express")
 const router = express.Router()
 const Database = require("../db/database")
 const config = require("../config/config")
+const RiskModelService = require("../services/riskModelService")
 const { calculateRiskScore, calculateRiskScoreV1, identifyRiskFactors, analyzeRiskPatterns } = require("../utils/riskAnalysis")
 
+/**
+ * Express middleware resolving ?model= (RISK_DEFAULT_MODEL without it) to
+ * req.riskModel, { model, info }, for every risk endpoint; replies 404 if the
+ * model does not exist
+ */
+async function resolveRiskModel(req, res, next) {
+  try {
+    const resolved = await RiskModelService.getInstance().resolve(req.query.model)
+    if (!resolved) {
+      return res.status(404).json({ error: "Risk model not found", model: req.query.model || config.RISK_DEFAULT_MODEL })
+    }
+    req.riskModel = resolved
+    next()
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to load risk model", details: error.message })
+  }
+}
+
+router.use(resolveRiskModel)
+
 /**
  * ENDPOINT 1: Comprehensive Risk Analysis
  * GET /api/risk/analysis
@@ -32,7 +54,10 @@ router.get("/analysis", async (req, res) => {
       time_window = 60 // minutes for recent data
     } = req.query
 
-    console.log("Query parameters:", { intersection_id, sensor_id, location_id, include_historical, time_window })
+    console.log("Query parameters:", { intersection_id, sensor_id, location_id, include_historical, time_window, model: req.query.model })
+
+    // Risk model profile (weights, levels and thresholds) to score with
+    const { riskModel } = req
 
     // === STEP 1: Get Current Traffic Data ===
     const trafficCollection = await db.getCollection(config.COLLECTION_NAME)
@@ -115,7 +140,8 @@ router.get("/analysis", async (req, res) => {
       trafficData,
       intersectionData,
       null, // Environmental data is included in traffic/intersection data
-      recentAlerts
+      recentAlerts,
+      riskModel.model
     )
 
     console.log("Risk analysis completed. Score:", riskAnalysis.riskScore)
@@ -153,7 +179,7 @@ router.get("/analysis", async (req, res) => {
     const recommendations = []
 
     // Critical risk recommendations
-    if (riskAnalysis.riskScore >= 80) {
+    if (riskAnalysis.riskLevel === 'critical') {
       recommendations.push({
         priority: 'critical',
         action: 'immediate_attention',
@@ -162,7 +188,7 @@ router.get("/analysis", async (req, res) => {
     }
 
     // High risk recommendations
-    if (riskAnalysis.riskScore >= 60) {
+    if (riskAnalysis.riskLevel === 'critical' || riskAnalysis.riskLevel === 'high') {
       recommendations.push({
         priority: 'high',
         action: 'increased_monitoring',
@@ -234,6 +260,7 @@ router.get("/analysis", async (req, res) => {
       historical_analysis: historicalAnalysis,
       metadata: {
         analysis_timestamp: new Date().toISOString(),
+        risk_model: riskModel.info,
         data_sources: {
           traffic_collection: config.COLLECTION_NAME,
           intersection_collection: config.INTERSECTION_COLLECTION,
@@ -281,7 +308,9 @@ router.get("/heatmap", async (req, res) => {
       include_factors = 'false'
     } = req.query
 
-    console.log("Query parameters:", { time_window, min_risk_score, max_risk_score, include_factors })
+    console.log("Query parameters:", { time_window, min_risk_score, max_risk_score, include_factors, model: req.query.model })
+
+    const { riskModel } = req
 
     // === STEP 1: Get Recent Traffic Data by Location ===
     const trafficCollection = await db.getCollection(config.COLLECTION_NAME)
@@ -682,7 +711,8 @@ router.get("/heatmap", async (req, res) => {
         location.traffic_data || {},
         location.intersection_data,
         null,
-        locationAlerts
+        locationAlerts,
+        riskModel.model
       )
 
       // Filter by risk score range
@@ -747,7 +777,8 @@ router.get("/heatmap", async (req, res) => {
           min: parseFloat(min_risk_score),
           max: parseFloat(max_risk_score)
         },
-        include_risk_factors: include_factors === 'true'
+        include_risk_factors: include_factors === 'true',
+        risk_model: riskModel.info
       },
       metadata: {
         generated_at: new Date().toISOString(),
@@ -2,6 +2,7 @@ const express = require("express")
 const router = express.Router()
 const Database = require("../db/database")
 const StreamService = require("../services/streamService")
+const { parseStreamFilter } = require("../utils/streamFilter")
 const config = require("../config/config")
 
 // Get sensor registry (NEW ENHANCED ENDPOINT)
@@ -650,12 +651,12 @@ router.get("/history/:sensorId", async (req, res) => {
 })
 
 // Stream sensor health data in real-time
-router.get("/stream", (req, res) => {
+router.get("/stream", parseStreamFilter, (req, res) => {
   res.setHeader("Content-Type", "text/event-stream");
   res.setHeader("Cache-Control", "no-cache");
   res.setHeader("Connection", "keep-alive");
   const streamService = StreamService.getInstance()
-  streamService.addClient("SENSOR", res)
+  streamService.addClient("SENSOR", res, { filter: req.streamFilter })
 })
 
 module.exports = router
@@ -0,0 +1,91 @@
+const express = require("express")
+const router = express.Router()
+const StreamService = require("../services/streamService")
+const { requireAdminKey } = require("../utils/adminAuth")
+
+const NOTICE_LEVELS = ["info", "warning", "critical"]
+
+router.use(requireAdminKey)
+
+// Connection counts, fan-out and backpressure statistics
+router.get("/stats", (req, res) => {
+  res.json(StreamService.getInstance().getConnectionStats())
+})
+
+// Connected clients (?stream=TRAFFIC&intersection_id=&transport=sse|websocket)
+router.get("/clients", (req, res) => {
+  const { stream, intersection_id, transport } = req.query
+  const clients = StreamService.getInstance().listClients().filter(client =>
+    (!transport || client.transport === transport) &&
+    client.subscriptions.some(subscription =>
+      (!stream || subscription.stream === stream.toUpperCase()) &&
+      (!intersection_id || subscription.intersection_id === intersection_id)
+    )
+  )
+
+  // Counts per stream and per intersection of the listed clients
+  const byStream = {}
+  const byIntersection = {}
+  clients.forEach(client => {
+    client.subscriptions.forEach(subscription => {
+      if (subscription.intersection_id) {
+        byIntersection[subscription.intersection_id] = byIntersection[subscription.intersection_id] || {}
+        byIntersection[subscription.intersection_id][subscription.stream] =
+          (byIntersection[subscription.intersection_id][subscription.stream] || 0) + 1
+      } else {
+        byStream[subscription.stream] = (byStream[subscription.stream] || 0) + 1
+      }
+    })
+  })
+
+  res.json({
+    total: clients.length,
+    by_stream: byStream,
+    by_intersection: byIntersection,
+    clients,
+    timestamp: new Date().toISOString()
+  })
+})
+
+router.get("/clients/:id", (req, res) => {
+  const client = StreamService.getInstance().listClients().find(client => client.id === req.params.id)
+  if (!client) {
+    return res.status(404).json({ error: "Stream client not found", client_id: req.params.id })
+  }
+  res.json(client)
+})
+
+// Forcibly disconnect a client ({ reason } in the body is sent to the client first)
+router.delete("/clients/:id", (req, res) => {
+  const reason = req.body && typeof req.body.reason === "string" ? req.body.reason : undefined
+  if (!StreamService.getInstance().disconnectClient(req.params.id, reason)) {
+    return res.status(404).json({ error: "Stream client not found", client_id: req.params.id })
+  }
+  res.json({ disconnected: true, client_id: req.params.id })
+})
+
+// Send a system notice to all clients, or those of some streams: { message, level?, streams? }
+router.post("/notice", (req, res) => {
+  const { message, level = "info", streams } = req.body || {}
+  if (typeof message !== "string" || message.trim() === "") {
+    return res.status(400).json({ error: "message is required" })
+  }
+  if (!NOTICE_LEVELS.includes(level)) {
+    return res.status(400).json({ error: `level must be one of ${NOTICE_LEVELS.join(", ")}` })
+  }
+
+  const streamService = StreamService.getInstance()
+  let streamTypes = null
+  if (streams !== undefined) {
+    streamTypes = [].concat(streams).map(stream => String(stream).toUpperCase())
+    const unknown = streamTypes.filter(stream => !streamService.clients[stream])
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown streams: ${unknown.join(", ")}` })
+    }
+  }
+
+  const recipients = streamService.broadcastNotice({ message, level, streams: streamTypes })
+  res.json({ sent: true, level, streams: streamTypes, recipients, timestamp: new Date().toISOString() })
+})
+
+module.exports = router
@@ -2,6 +2,7 @@ const express = require("express")
 const router = express.Router()
 const Database = require("../db/database")
 const StreamService = require("../services/streamService")
+const { parseStreamFilter } = require("../utils/streamFilter")
 const { calculateRiskScore, calculateRiskScoreV1, identifyRiskFactors } = require("../utils/riskAnalysis")
 const config = require("../config/config")
 
@@ -722,14 +723,14 @@ router.get("/congestion-time", async (req, res) => {
 })
 
 // Real-Time Traffic Data Streaming with Enhanced Features
-router.get("/stream", (req, res) => {
+router.get("/stream", parseStreamFilter, (req, res) => {
   res.setHeader("Content-Type", "text/event-stream")
   res.setHeader("Cache-Control", "no-cache")
   res.setHeader("Connection", "keep-alive")
   res.setHeader("Access-Control-Allow-Origin", "*")
   
   const streamService = StreamService.getInstance()
-  streamService.addClient("TRAFFIC", res)
+  streamService.addClient("TRAFFIC", res, { filter: req.streamFilter })
   
   // Send initial connection confirmation with enhanced features info
   res.write(`data: ${JSON.stringify({
@@ -747,7 +748,7 @@ router.get("/stream", (req, res) => {
 })
 
 // NEW: Intersection-specific streaming endpoint
-router.get("/intersection/:intersectionId/stream", (req, res) => {
+router.get("/intersection/:intersectionId/stream", parseStreamFilter, (req, res) => {
   const { intersectionId } = req.params
   
   res.setHeader("Content-Type", "text/event-stream")
@@ -757,24 +758,8 @@ router.get("/intersection/:intersectionId/stream", (req, res) => {
   
   const streamService = StreamService.getInstance()
   
-  // Add client with intersection-specific filtering
-  const originalAddClient = streamService.addClient.bind(streamService)
-  streamService.addClient("TRAFFIC", res)
-  
-  // Override broadcast for this client to filter by intersection
-  const originalWrite = res.write.bind(res)
-  res.write = (data) => {
-    try {
-      const parsed = JSON.parse(data.replace('data: ', '').replace('\n\n', ''))
-      if (parsed.data && parsed.data.intersection_id === intersectionId) {
-        originalWrite(data)
-      } else if (parsed.type === "connection") {
-        originalWrite(data) // Always send connection messages
-      }
-    } catch (error) {
-      originalWrite(data) // Send as-is if parsing fails
-    }
-  }
+  // Only traffic events of this intersection (with their own resume history)
+  streamService.addIntersectionClient("TRAFFIC", intersectionId, res, { filter: req.streamFilter })
   
   // Send initial connection confirmation
   res.write(`data: ${JSON.stringify({
@@ -2,6 +2,7 @@ const express = require("express")
 const router = express.Router()
 const Database = require("../db/database")
 const StreamService = require("../services/streamService")
+const { parseStreamFilter, combineFilters, fieldEquals } = require("../utils/streamFilter")
 const config = require("../config/config")
 
 // Enhanced vehicle length specifications from new Rust simulator
@@ -769,7 +770,7 @@ function getVehicleClassBreakdown(vehicleClasses) {
 }
 
 // NEW: Enhanced streaming with intersection and weather filtering
-router.get("/stream", (req, res) => {
+router.get("/stream", parseStreamFilter, (req, res) => {
   res.setHeader("Content-Type", "text/event-stream")
   res.setHeader("Cache-Control", "no-cache")
   res.setHeader("Connection", "keep-alive")
@@ -780,8 +781,13 @@ router.get("/stream", (req, res) => {
   
   // Enhanced streaming with filtering capabilities
   const { intersection_id, sensor_direction, weather_condition } = req.query
+  const filter = combineFilters(
+    req.streamFilter,
+    fieldEquals("sensor_direction", sensor_direction),
+    fieldEquals("coordinated_weather.conditions", weather_condition)
+  )
   if (intersection_id) {
-    streamService.addIntersectionClient("VEHICLE", intersection_id, res)
+    streamService.addIntersectionClient("VEHICLE", intersection_id, res, { filter })
     
     // Send initial connection confirmation with filter info
     res.write(`data: ${JSON.stringify({
@@ -790,12 +796,13 @@ router.get("/stream", (req, res) => {
       filters: {
         intersection_id,
         sensor_direction: sensor_direction || null,
-        weather_condition: weather_condition || null
+        weather_condition: weather_condition || null,
+        filter: req.query.filter || null
       },
       timestamp: new Date().toISOString()
     })}\n\n`)
   } else {
-    streamService.addClient("VEHICLE", res)
+    streamService.addClient("VEHICLE", res, { filter })
     
     // Send initial connection confirmation
     res.write(`data: ${JSON.stringify({
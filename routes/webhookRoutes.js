@@ -0,0 +1,189 @@
+const express = require("express")
+const router = express.Router()
+const WebhookService = require("../services/webhookService")
+const { validateWebhook } = require("../utils/webhooks")
+const { requireAdminKey } = require("../utils/adminAuth")
+
+// Subscriptions hold receiver URLs and signing secrets
+router.use(requireAdminKey)
+
+/**
+ * Reply 400 with the validation errors of a webhook body
+ * @returns {object|null} The validated fields, or null if the reply was sent
+ */
+function validatedWebhook(req, res, options) {
+  const { webhook, errors } = validateWebhook(req.body, options)
+  if (errors.length > 0) {
+    res.status(400).json({ error: "Invalid webhook", details: errors })
+    return null
+  }
+  return webhook
+}
+
+/**
+ * Reply with a page of deliveries matching a filter
+ */
+async function sendDeliveries(req, res, filter) {
+  const { page = 1, limit = 50, status, event } = req.query
+  if (status) filter.status = status
+  if (event) filter.event = event
+
+  const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
+  const { data, total } = await WebhookService.getInstance().listDeliveries(filter, {
+    skip,
+    limit: Number.parseInt(limit),
+  })
+
+  res.json({
+    data,
+    pagination: {
+      total,
+      page: Number.parseInt(page),
+      limit: Number.parseInt(limit),
+      pages: Math.ceil(total / Number.parseInt(limit)),
+    },
+  })
+}
+
+// List subscriptions (?enabled=true|false)
+router.get("/", async (req, res) => {
+  try {
+    const filter = {}
+    if (req.query.enabled !== undefined) {
+      filter.enabled = req.query.enabled === "true"
+    }
+    const webhooks = await WebhookService.getInstance().listWebhooks(filter)
+    res.json({ data: webhooks.map(WebhookService.redact) })
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch webhooks", details: error.message })
+  }
+})
+
+// Delivery counters
+router.get("/stats", (req, res) => {
+  res.json(WebhookService.getInstance().getStats())
+})
+
+// Delivery log of all subscriptions (?status=pending|delivered|failed&event=)
+router.get("/deliveries", async (req, res) => {
+  try {
+    await sendDeliveries(req, res, {})
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch webhook deliveries", details: error.message })
+  }
+})
+
+// One delivery with its payload and attempts
+router.get("/deliveries/:deliveryId", async (req, res) => {
+  try {
+    const delivery = await WebhookService.getInstance().getDelivery(req.params.deliveryId)
+    if (!delivery) {
+      return res.status(404).json({ error: "Webhook delivery not found", delivery_id: req.params.deliveryId })
+    }
+    res.json(delivery)
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch webhook delivery", details: error.message })
+  }
+})
+
+// Send a delivery again, as a new delivery with the same payload
+router.post("/deliveries/:deliveryId/redeliver", async (req, res) => {
+  try {
+    const delivery = await WebhookService.getInstance().redeliver(req.params.deliveryId)
+    if (!delivery) {
+      return res.status(404).json({ error: "Webhook delivery not found", delivery_id: req.params.deliveryId })
+    }
+    res.status(202).json(delivery)
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, delivery_id: req.params.deliveryId })
+    }
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to redeliver webhook", details: error.message })
+  }
+})
+
+router.get("/:id", async (req, res) => {
+  try {
+    const webhook = await WebhookService.getInstance().getWebhook(req.params.id)
+    if (!webhook) {
+      return res.status(404).json({ error: "Webhook not found", webhook_id: req.params.id })
+    }
+    res.json(WebhookService.redact(webhook))
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch webhook", details: error.message })
+  }
+})
+
+// Create a subscription; the response is the only one including its secret
+router.post("/", async (req, res) => {
+  const webhook = validatedWebhook(req, res)
+  if (!webhook) return
+  try {
+    res.status(201).json(await WebhookService.getInstance().createWebhook(webhook))
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to create webhook", details: error.message })
+  }
+})
+
+// Replace (PUT) or change some fields (PATCH) of a subscription
+const updateWebhook = (partial) => async (req, res) => {
+  const fields = validatedWebhook(req, res, { partial })
+  if (!fields) return
+  try {
+    const webhook = await WebhookService.getInstance().updateWebhook(req.params.id, fields)
+    if (!webhook) {
+      return res.status(404).json({ error: "Webhook not found", webhook_id: req.params.id })
+    }
+    res.json(WebhookService.redact(webhook))
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to update webhook", details: error.message })
+  }
+}
+router.put("/:id", updateWebhook(false))
+router.patch("/:id", updateWebhook(true))
+
+router.delete("/:id", async (req, res) => {
+  try {
+    const deleted = await WebhookService.getInstance().deleteWebhook(req.params.id)
+    if (!deleted) {
+      return res.status(404).json({ error: "Webhook not found", webhook_id: req.params.id })
+    }
+    res.json({ deleted: true, webhook_id: req.params.id })
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to delete webhook", details: error.message })
+  }
+})
+
+// Send a ping event, whatever the subscription's filters
+router.post("/:id/test", async (req, res) => {
+  try {
+    const delivery = await WebhookService.getInstance().sendTest(req.params.id)
+    if (!delivery) {
+      return res.status(404).json({ error: "Webhook not found", webhook_id: req.params.id })
+    }
+    res.status(202).json(delivery)
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to send test webhook", details: error.message })
+  }
+})
+
+// Delivery log of one subscription
+router.get("/:id/deliveries", async (req, res) => {
+  try {
+    await sendDeliveries(req, res, { webhook_id: req.params.id })
+  } catch (error) {
+    console.error("DB Error:", error)
+    res.status(500).json({ error: "Failed to fetch webhook deliveries", details: error.message })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,241 @@
+const config = require("../config/config");
+const StreamService = require("./streamService");
+const { percentile, mean, round, parseDuration } = require("../utils/statistics");
+
+const AGGREGATED_STREAMS = ["TRAFFIC", "VEHICLE"];
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+/**
+ * Service keeping tumbling and sliding windows over TRAFFIC and VEHICLE
+ * broadcasts and emitting a summary per window on aggregate stream types:
+ *
+ *   AGGREGATE_10S          tumbling 10s windows, emitted every 10s
+ *   AGGREGATE_1M_SLIDING   the last minute, emitted every AGGREGATE_SLIDE_MS
+ *
+ * Each emission broadcasts one summary over all intersections
+ * (intersection_id null) and one per intersection seen in the window.
+ */
+class AggregationService {
+  constructor() {
+    this.streamService = StreamService.getInstance();
+    this.slideMs = config.AGGREGATE_SLIDE_MS;
+    this.windows = [];
+
+    config.AGGREGATE_WINDOWS.forEach((label) => {
+      const size = parseDuration(label);
+      if (!size) {
+        console.warn(`Ignoring invalid aggregate window "${label}"`);
+        return;
+      }
+      const name = `AGGREGATE_${label.toUpperCase()}`;
+      this.windows.push({ label, size, mode: "tumbling", stream: name, step: size });
+      if (size > this.slideMs) {
+        this.windows.push({ label, size, mode: "sliding", stream: `${name}_SLIDING`, step: this.slideMs });
+      }
+    });
+    // Every instance sees all TRAFFIC/VEHICLE broadcasts, so summaries are not fanned out
+    this.windows.forEach((window) => this.streamService.registerStream(window.stream, { local: true }));
+
+    this.retentionMs = Math.max(0, ...this.windows.map((window) => window.size));
+    this.observations = []; // { time, stream, intersection_id, speed, density, direction }, oldest first
+    this.latest = new Map(); // aggregate stream -> summaries of the last emission
+    this.timers = new Map(); // aggregate stream -> timeout
+    this.running = false;
+
+    this.streamService.onBroadcast((stream, data) => this.observe(stream, data));
+  }
+
+  static getInstance() {
+    if (!AggregationService.instance) {
+      AggregationService.instance = new AggregationService();
+    }
+    return AggregationService.instance;
+  }
+
+  /**
+   * Start collecting broadcasts and emitting window summaries
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    this.windows.forEach((window) => this.schedule(window));
+    console.log(`Aggregate streams: ${this.windows.map((window) => window.stream).join(", ")}`);
+  }
+
+  stop() {
+    this.running = false;
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  /**
+   * Record a live TRAFFIC or VEHICLE broadcast. Replayed history is not aggregated.
+   * @param {string} stream - The stream type
+   * @param {object} data - Broadcast data
+   */
+  observe(stream, data) {
+    if (!this.running || !AGGREGATED_STREAMS.includes(stream) || data._replay) {
+      return;
+    }
+
+    this.observations.push({
+      time: Date.now(),
+      stream,
+      intersection_id: data.intersection_id || null,
+      speed: stream === "VEHICLE" ? data.speed_kmh : data.speed,
+      density: stream === "TRAFFIC" ? data.density : undefined,
+      direction: data.sensor_direction || null,
+    });
+  }
+
+  /**
+   * Arm the timer emitting the next window, aligned to multiples of its step
+   */
+  schedule(window) {
+    const end = Math.ceil((Date.now() + 1) / window.step) * window.step;
+    const timer = setTimeout(() => {
+      this.emit(window, end);
+      this.prune(end);
+      if (this.running) {
+        this.schedule(window);
+      }
+    }, end - Date.now());
+    timer.unref();
+    this.timers.set(window.stream, timer);
+  }
+
+  /**
+   * Broadcast the summaries of the window ending at `end`
+   * @param {object} window - Window definition
+   * @param {number} end - Window end (epoch ms, exclusive)
+   */
+  emit(window, end) {
+    const start = end - window.size;
+    const inWindow = this.observations.filter((observation) => observation.time >= start && observation.time < end);
+
+    const byIntersection = new Map();
+    inWindow.forEach((observation) => {
+      if (!observation.intersection_id) return;
+      if (!byIntersection.has(observation.intersection_id)) {
+        byIntersection.set(observation.intersection_id, []);
+      }
+      byIntersection.get(observation.intersection_id).push(observation);
+    });
+
+    const summaries = [this.summarize(window, start, end, null, inWindow)];
+    byIntersection.forEach((observations, intersectionId) => {
+      summaries.push(this.summarize(window, start, end, intersectionId, observations));
+    });
+
+    summaries.forEach((summary) => this.streamService.broadcast(window.stream, summary));
+    this.latest.set(window.stream, summaries);
+  }
+
+  /**
+   * Summarize the observations of one window
+   * @returns {object} Window summary
+   */
+  summarize(window, start, end, intersectionId, observations) {
+    const vehicles = observations.filter((observation) => observation.stream === "VEHICLE");
+    const traffic = observations.filter((observation) => observation.stream === "TRAFFIC");
+
+    // Spot speeds of individual vehicles; sensor average speeds when no vehicle records arrived
+    const vehicleSpeeds = vehicles.map((observation) => observation.speed).filter(isNumber);
+    const speedSource = vehicleSpeeds.length > 0 ? "vehicle" : "traffic";
+    const speeds = vehicleSpeeds.length > 0
+      ? vehicleSpeeds
+      : traffic.map((observation) => observation.speed).filter(isNumber);
+    const densities = traffic.map((observation) => observation.density).filter(isNumber);
+
+    const hours = window.size / (60 * 60 * 1000);
+    const byDirection = {};
+    vehicles.forEach((observation) => {
+      const direction = observation.direction || "unknown";
+      if (!byDirection[direction]) {
+        byDirection[direction] = { vehicles: 0, speeds: [] };
+      }
+      byDirection[direction].vehicles++;
+      if (isNumber(observation.speed)) {
+        byDirection[direction].speeds.push(observation.speed);
+      }
+    });
+
+    return {
+      type: "aggregate",
+      window: window.label,
+      mode: window.mode,
+      window_ms: window.size,
+      window_start: new Date(start).toISOString(),
+      window_end: new Date(end).toISOString(),
+      intersection_id: intersectionId,
+      count: observations.length,
+      vehicle_count: vehicles.length,
+      traffic_count: traffic.length,
+      speed: {
+        source: speedSource,
+        samples: speeds.length,
+        mean: round(mean(speeds)),
+        p85: round(percentile(speeds, 85)),
+        min: speeds.length > 0 ? speeds.reduce((a, b) => Math.min(a, b)) : null,
+        max: speeds.length > 0 ? speeds.reduce((a, b) => Math.max(a, b)) : null,
+      },
+      density: {
+        samples: densities.length,
+        mean: round(mean(densities)),
+        max: densities.length > 0 ? densities.reduce((a, b) => Math.max(a, b)) : null,
+      },
+      flow: {
+        vehicles: vehicles.length,
+        vehicles_per_hour: round(vehicles.length / hours, 1),
+        by_direction: Object.fromEntries(
+          Object.entries(byDirection).map(([direction, stats]) => [direction, {
+            vehicles: stats.vehicles,
+            vehicles_per_hour: round(stats.vehicles / hours, 1),
+            mean_speed: round(mean(stats.speeds)),
+          }])
+        ),
+      },
+    };
+  }
+
+  /**
+   * Drop observations older than the longest window
+   */
+  prune(now) {
+    const cutoff = now - this.retentionMs;
+    const firstKept = this.observations.findIndex((observation) => observation.time >= cutoff);
+    this.observations.splice(0, firstKept === -1 ? this.observations.length : firstKept);
+  }
+
+  /**
+   * Find the aggregate stream for a window size and mode
+   * @param {string} window - Window size, e.g. "10s" or "60s"
+   * @param {string} [mode] - "tumbling" or "sliding"
+   * @returns {object|null} Window definition
+   */
+  findWindow(window, mode = "tumbling") {
+    const size = parseDuration(window);
+    return this.windows.find((definition) => definition.size === size && definition.mode === mode) || null;
+  }
+
+  getWindows() {
+    const stats = this.streamService.getConnectionStats().global_streams;
+    return this.windows.map((window) => ({
+      window: window.label,
+      mode: window.mode,
+      stream: window.stream,
+      window_ms: window.size,
+      emit_every_ms: window.step,
+      clients: stats[window.stream] || 0,
+    }));
+  }
+
+  getLatest(stream) {
+    return this.latest.get(stream) || [];
+  }
+}
+
+module.exports = AggregationService;
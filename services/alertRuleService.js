@@ -0,0 +1,397 @@
+const { ObjectId } = require("mongodb");
+const Database = require("../db/database");
+const config = require("../config/config");
+const StreamService = require("./streamService");
+const ChangeStreamFeedService = require("./changeStreamFeedService");
+const IncidentService = require("./incidentService");
+const WebhookService = require("./webhookService");
+const MaintenanceService = require("./maintenanceService");
+const EscalationService = require("./escalationService");
+const { parseFilter } = require("../utils/streamFilter");
+const { RULE_STREAMS } = require("../utils/alertRules");
+
+/**
+ * Alert rule engine: rules stored in MongoDB are evaluated against every record
+ * ingested on their stream. A rule fires for a location (the value of its
+ * group_by field) when its condition matches
+ *
+ *   - on a single record (default),
+ *   - on `consecutive` records in a row from that location, or
+ *   - continuously for `duration` (every record from that location matching),
+ *
+ * and not within `cooldown` of its previous alert for the same location.
+ * Fired alerts are stored in the alerts collection, broadcast on ALERT,
+ * correlated into incidents and sent to the matching webhooks. Once a record
+ * of that location no longer matches, escalation policies with auto_resolve
+ * resolve the rule's alerts there.
+ *
+ * Whether a location is firing and when it last fired are saved in
+ * ALERT_RULE_STATE_COLLECTION and picked up again after a restart, so cooldowns
+ * hold and alerts raised before it can still be auto-resolved. Streaks and
+ * durations stay in memory: they start over after a restart, and each instance
+ * counts the records it receives itself.
+ */
+class AlertRuleService {
+  constructor() {
+    this.streamService = StreamService.getInstance();
+    this.rules = []; // enabled rules with compiled predicates
+    this.states = new Map(); // "ruleId|location" -> { count, since, lastFiredAt, firing }
+    this.statesRestored = false;
+    this.stateWrites = Promise.resolve(); // saved states, written in order
+    this.reloadTimer = null;
+    this.loadedAt = null;
+    this.lastError = null;
+    this.stats = { evaluated: 0, matched: 0, fired: 0, suppressed: 0, errors: 0, last_fired_at: null };
+  }
+
+  static getInstance() {
+    if (!AlertRuleService.instance) {
+      AlertRuleService.instance = new AlertRuleService();
+    }
+    return AlertRuleService.instance;
+  }
+
+  async getCollection() {
+    return Database.getInstance().getCollection(config.ALERT_RULES_COLLECTION);
+  }
+
+  async getStateCollection() {
+    return Database.getInstance().getCollection(config.ALERT_RULE_STATE_COLLECTION);
+  }
+
+  /**
+   * Load the rules and reload them periodically, picking up changes made
+   * through other API instances
+   */
+  async start() {
+    if (!this.reloadTimer && config.ALERT_RULES_RELOAD_MS > 0) {
+      this.reloadTimer = setInterval(() => this.reload().catch(() => {}), config.ALERT_RULES_RELOAD_MS);
+      this.reloadTimer.unref();
+    }
+    await this.reload();
+  }
+
+  stop() {
+    clearInterval(this.reloadTimer);
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Reload the enabled rules from MongoDB
+   */
+  async reload() {
+    try {
+      const collection = await this.getCollection();
+      const documents = await collection.find({ enabled: true }).toArray();
+      const rules = [];
+      documents.forEach((document) => {
+        try {
+          rules.push(AlertRuleService.compile(document));
+        } catch (error) {
+          console.error(`Skipping alert rule ${document._id} with invalid condition:`, error.message);
+        }
+      });
+
+      this.rules = rules;
+      this.loadedAt = new Date().toISOString();
+
+      // Forget the streaks of rules that were removed or disabled
+      const ids = new Set(rules.map((rule) => rule.id));
+      Array.from(this.states.keys()).forEach((key) => {
+        if (!ids.has(key.slice(0, key.indexOf("|")))) this.states.delete(key);
+      });
+      if (!this.statesRestored) {
+        await this.restoreStates(ids);
+      }
+    } catch (error) {
+      this.lastError = error.message;
+      console.error("Error loading alert rules:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Pick up the firing state saved for the loaded rules before a restart. A
+   * failure is retried on the next reload.
+   * @param {Set<string>} ruleIds - Ids of the loaded rules
+   */
+  async restoreStates(ruleIds) {
+    try {
+      const collection = await this.getStateCollection();
+      const saved = await collection.find({ rule_id: { $in: Array.from(ruleIds) } }).toArray();
+      saved.forEach((document) => {
+        if (!this.states.has(document._id)) {
+          const lastFiredAt = document.last_fired_at ? new Date(document.last_fired_at).getTime() : null;
+          this.states.set(document._id, { count: 0, since: null, lastFiredAt, firing: !!document.firing });
+        }
+      });
+      this.statesRestored = true;
+    } catch (error) {
+      this.lastError = error.message;
+      console.error("Error restoring alert rule states:", error.message);
+    }
+  }
+
+  /**
+   * Save whether a location is firing and when it last fired
+   * @returns {Promise<void>} Settles once the write is done (never rejects)
+   */
+  saveState(key, rule, location, state) {
+    const document = {
+      rule_id: rule.id,
+      location: location === undefined ? null : location,
+      firing: state.firing,
+      last_fired_at: state.lastFiredAt === null ? null : new Date(state.lastFiredAt),
+      updated_at: new Date(),
+    };
+    this.stateWrites = this.stateWrites
+      .then(() => this.getStateCollection())
+      .then((collection) => collection.updateOne({ _id: key }, { $set: document }, { upsert: true }))
+      .catch((error) => {
+        this.stats.errors++;
+        this.lastError = error.message;
+        console.error(`Error saving state of alert rule ${rule.name}:`, error.message);
+      });
+    return this.stateWrites;
+  }
+
+  /**
+   * Forget the streaks and saved state of a rule
+   */
+  async clearStates(ruleId) {
+    Array.from(this.states.keys()).forEach((key) => {
+      if (key.startsWith(`${ruleId}|`)) this.states.delete(key);
+    });
+    const collection = await this.getStateCollection();
+    await collection.deleteMany({ rule_id: ruleId });
+  }
+
+  /**
+   * Attach the compiled predicate to a stored rule
+   */
+  static compile(document) {
+    const { condition } = document;
+    return {
+      ...document,
+      id: document._id.toString(),
+      predicate: parseFilter(typeof condition === "object" ? JSON.stringify(condition) : condition),
+    };
+  }
+
+  /**
+   * Evaluate the rules of a stream against an ingested record. Never throws:
+   * rule failures must not reject the record.
+   * @param {string} stream - The stream type
+   * @param {object} record - Validated record
+   */
+  evaluate(stream, record) {
+    if (!RULE_STREAMS.includes(stream)) {
+      return;
+    }
+    this.rules.forEach((rule) => {
+      if (rule.stream !== stream) {
+        return;
+      }
+      try {
+        this.evaluateRule(rule, record);
+      } catch (error) {
+        this.stats.errors++;
+        this.lastError = error.message;
+        console.error(`Error evaluating alert rule ${rule.name}:`, error.message);
+      }
+    });
+  }
+
+  evaluateRule(rule, record) {
+    this.stats.evaluated++;
+    const location = AlertRuleService.getField(record, rule.group_by);
+    const key = `${rule.id}|${location === undefined || location === null ? "" : location}`;
+    const state = this.states.get(key) || { count: 0, since: null, lastFiredAt: null, firing: false };
+    this.states.set(key, state);
+
+    if (!rule.predicate(record)) {
+      // A record outside the condition breaks the streak
+      state.count = 0;
+      state.since = null;
+      if (state.firing) {
+        state.firing = false;
+        this.saveState(key, rule, location, state);
+        if (config.ESCALATION_ENABLED) EscalationService.getInstance().conditionCleared(rule, location);
+      }
+      return;
+    }
+
+    this.stats.matched++;
+    const recordTime = new Date(record.timestamp).getTime();
+    const time = Number.isFinite(recordTime) ? recordTime : Date.now();
+    state.count++;
+    if (state.since === null) {
+      state.since = time;
+    }
+
+    if (rule.consecutive && state.count < rule.consecutive) return;
+    if (rule.duration_ms && time - state.since < rule.duration_ms) return;
+
+    const now = Date.now();
+    if (state.lastFiredAt !== null && now - state.lastFiredAt < rule.cooldown_ms) {
+      this.stats.suppressed++;
+      return;
+    }
+    state.lastFiredAt = now;
+    state.firing = true;
+    this.saveState(key, rule, location, state);
+
+    this.fire(rule, record, location, { readings: state.count, first_match_at: new Date(state.since) });
+  }
+
+  /**
+   * Store and broadcast the alert of a fired rule
+   */
+  fire(rule, record, location, trigger) {
+    const now = new Date();
+    const alert = {
+      type: rule.alert_type || rule.name,
+      severity: rule.severity,
+      message: rule.message || `${rule.name}: ${typeof rule.condition === "object" ? JSON.stringify(rule.condition) : rule.condition}`,
+      sensor_id: record.sensor_id,
+      intersection_id: record.intersection_id,
+      location: location === undefined ? null : location,
+      timestamp: now,
+      status: "open",
+      resolved: false,
+      source: "rule",
+      rule_id: rule.id,
+      rule_name: rule.name,
+      trigger: {
+        stream: rule.stream,
+        condition: rule.condition,
+        group_by: rule.group_by,
+        consecutive: rule.consecutive || null,
+        duration_ms: rule.duration_ms || null,
+        ...trigger,
+        record,
+      },
+      received_at: now,
+    };
+
+    this.stats.fired++;
+    this.stats.last_fired_at = now.toISOString();
+
+    // Alerts in a maintenance window are stored, but go no further
+    const suppressed = config.MAINTENANCE_WINDOWS_ENABLED && !!MaintenanceService.getInstance().suppress(alert);
+
+    Database.getInstance()
+      .getCollection(config.ALERTS_COLLECTION)
+      .then((collection) => collection.insertOne(alert))
+      .then(({ insertedId }) => {
+        if (suppressed) {
+          return;
+        }
+        // In change stream feed mode the insert itself reaches the ALERT stream
+        if (!ChangeStreamFeedService.isEnabled()) {
+          this.streamService.broadcast("ALERT", { ...alert, _id: insertedId.toString() });
+        }
+        if (config.INCIDENTS_ENABLED) {
+          IncidentService.getInstance().correlate({ ...alert, _id: insertedId });
+        }
+        if (config.WEBHOOKS_ENABLED) {
+          WebhookService.getInstance().notify("alert.created", { ...alert, _id: insertedId.toString() });
+        }
+      })
+      .catch((error) => {
+        this.stats.errors++;
+        this.lastError = error.message;
+        console.error(`Error storing alert of rule ${rule.name}:`, error.message);
+      });
+  }
+
+  static getField(data, path) {
+    return path.split(".").reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+  }
+
+  static parseId(id) {
+    return typeof id === "string" && ObjectId.isValid(id) ? new ObjectId(id) : null;
+  }
+
+  async listRules(filter = {}) {
+    const collection = await this.getCollection();
+    return collection.find(filter).sort({ created_at: 1 }).toArray();
+  }
+
+  async getRule(ruleId) {
+    const objectId = AlertRuleService.parseId(ruleId);
+    if (!objectId) {
+      return null;
+    }
+    const collection = await this.getCollection();
+    return collection.findOne({ _id: objectId });
+  }
+
+  /**
+   * Store a validated rule and start applying it
+   * @param {object} rule - Output of validateRule
+   */
+  async createRule(rule) {
+    const collection = await this.getCollection();
+    const now = new Date();
+    const document = { ...rule, created_at: now, updated_at: now };
+    const { insertedId } = await collection.insertOne(document);
+    await this.reload();
+    return { _id: insertedId, ...document };
+  }
+
+  /**
+   * Update a rule (validated fields only) and reapply the rules
+   * @returns {Promise<object|null>} The updated rule, or null if it does not exist
+   */
+  async updateRule(ruleId, fields) {
+    const objectId = AlertRuleService.parseId(ruleId);
+    if (!objectId) {
+      return null;
+    }
+    const collection = await this.getCollection();
+    const rule = await collection.findOneAndUpdate(
+      { _id: objectId },
+      { $set: { ...fields, updated_at: new Date() } },
+      { returnDocument: "after" }
+    );
+    if (rule) {
+      // A changed rule starts over
+      await this.clearStates(ruleId);
+      await this.reload();
+    }
+    return rule;
+  }
+
+  /**
+   * @returns {Promise<boolean>} false if the rule does not exist
+   */
+  async deleteRule(ruleId) {
+    const objectId = AlertRuleService.parseId(ruleId);
+    if (!objectId) {
+      return false;
+    }
+    const collection = await this.getCollection();
+    const { deletedCount } = await collection.deleteOne({ _id: objectId });
+    if (deletedCount > 0) {
+      await this.clearStates(ruleId);
+      await this.reload();
+    }
+    return deletedCount > 0;
+  }
+
+  getStatus() {
+    return {
+      enabled: config.ALERT_RULES_ENABLED,
+      active_rules: this.rules.length,
+      loaded_at: this.loadedAt,
+      reload_ms: config.ALERT_RULES_RELOAD_MS,
+      tracked_locations: this.states.size,
+      stats: this.stats,
+      last_error: this.lastError,
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
+
+module.exports = AlertRuleService;
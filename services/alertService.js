@@ -0,0 +1,498 @@
+const { ObjectId } = require("mongodb");
+const Database = require("../db/database");
+const config = require("../config/config");
+const StreamService = require("./streamService");
+const WebhookService = require("./webhookService");
+const { SEVERITIES } = require("../utils/alertRules");
+const { timeRangeQuery } = require("../utils/timestamps");
+
+/**
+ * Service for operator actions on stored alerts: acknowledge, assign, add
+ * notes, resolve and reopen. Every change is appended to the alert's history
+ * and broadcast on the ALERT stream so other operators see it immediately
+ * (and sent to the webhooks subscribed to alert.updated).
+ *
+ * Lifecycle: open -> acknowledged -> resolved, and resolved -> open (reopen).
+ * Escalation policies renotify and escalate alerts left open.
+ */
+class AlertService {
+  constructor() {
+    this.streamService = StreamService.getInstance();
+    this.indexesReady = null;
+  }
+
+  static getInstance() {
+    if (!AlertService.instance) {
+      AlertService.instance = new AlertService();
+    }
+    return AlertService.instance;
+  }
+
+  /**
+   * Parse an alert id
+   * @param {string} id - Hex ObjectId
+   * @returns {ObjectId|null} null if the id is malformed
+   */
+  static parseId(id) {
+    return typeof id === "string" && ObjectId.isValid(id) ? new ObjectId(id) : null;
+  }
+
+  /**
+   * Lifecycle status of an alert. Alerts stored before the lifecycle existed
+   * have no status field; theirs follows from the resolved/acknowledged flags.
+   * @param {object} alert - Stored alert
+   * @returns {string} "open" | "acknowledged" | "resolved"
+   */
+  static statusOf(alert) {
+    if (alert.resolved === true) return "resolved";
+    if (alert.acknowledged === true) return "acknowledged";
+    return "open";
+  }
+
+  /**
+   * Query hiding the alerts suppressed by a maintenance window
+   * @param {string} [suppressed] - "true" for suppressed alerts only, "all" for every alert
+   */
+  static suppressionFilter(suppressed) {
+    if (suppressed === "all") return {};
+    if (suppressed === "true") return { suppressed: true };
+    return { suppressed: { $ne: true } };
+  }
+
+  /**
+   * Query matching the alerts in a lifecycle status
+   * @param {string} status - "open" | "acknowledged" | "resolved"
+   */
+  static statusFilter(status) {
+    switch (status) {
+      case "resolved":
+        return { resolved: true };
+      case "acknowledged":
+        return { resolved: { $ne: true }, acknowledged: true };
+      default:
+        return { resolved: { $ne: true }, acknowledged: { $ne: true } };
+    }
+  }
+
+  /**
+   * Query of the alert list, count and stats endpoints. type, sensor_id,
+   * severity and intersection_id take comma-separated values; start and end
+   * bound the alert timestamp, stored as a Date or an ISO string; q searches
+   * the alert messages (text index).
+   * @param {object} query - Request query
+   * @returns {{ filter: object, errors: {field: string, message: string}[] }}
+   */
+  static buildFilter(query) {
+    const { type, sensor_id, severity, intersection_id, resolved, start, end, q, suppressed } = query;
+    const filter = AlertService.suppressionFilter(suppressed);
+    const errors = [];
+    const oneOrMany = (value) => {
+      const values = String(value).split(",").map((item) => item.trim()).filter(Boolean);
+      return values.length === 1 ? values[0] : { $in: values };
+    };
+
+    if (type) filter.type = oneOrMany(type);
+    if (sensor_id) filter.sensor_id = oneOrMany(sensor_id);
+    if (intersection_id) filter.intersection_id = oneOrMany(intersection_id);
+    if (severity) {
+      const severities = String(severity).split(",").map((item) => item.trim()).filter(Boolean);
+      const unknown = severities.filter((item) => !SEVERITIES.includes(item));
+      if (unknown.length > 0) {
+        errors.push({ field: "severity", message: `must be one of ${SEVERITIES.join(", ")}` });
+      }
+      filter.severity = oneOrMany(severity);
+    }
+
+    if (resolved !== undefined) {
+      if (resolved !== "true" && resolved !== "false") {
+        errors.push({ field: "resolved", message: "must be true or false" });
+      }
+      // Alerts stored before the lifecycle existed may have no resolved flag
+      filter.resolved = resolved === "true" ? true : { $ne: true };
+    }
+
+    const range = { start: null, end: null };
+    for (const [field, value] of [["start", start], ["end", end]]) {
+      if (value === undefined || value === "") continue;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        errors.push({ field, message: "must be a date" });
+      } else {
+        range[field] = date;
+      }
+    }
+    if (range.start && range.end && range.start > range.end) {
+      errors.push({ field: "end", message: "must not be before start" });
+    }
+    Object.assign(filter, timeRangeQuery(range.start, range.end));
+
+    if (q !== undefined) {
+      const search = String(q).trim();
+      if (!search || search.length > 200) {
+        errors.push({ field: "q", message: "must be 1 to 200 characters" });
+      } else {
+        filter.$text = { $search: search };
+      }
+    }
+
+    return { filter, errors };
+  }
+
+  /**
+   * Create the indexes of the alert queries on first use (the collection is
+   * also written by external producers, so they are not assumed to exist)
+   */
+  async ensureIndexes() {
+    if (!this.indexesReady) {
+      this.indexesReady = Database.getInstance().getCollection(config.ALERTS_COLLECTION).then((collection) => collection.createIndexes([
+        { key: { timestamp: -1 } },
+        { key: { type: 1, timestamp: -1 } },
+        { key: { sensor_id: 1, timestamp: -1 } },
+        { key: { intersection_id: 1, timestamp: -1 } },
+        { key: { severity: 1, resolved: 1, timestamp: -1 } },
+        { key: { message: "text" }, name: "alert_message_text" },
+      ])).catch((error) => {
+        this.indexesReady = null;
+        console.error("Error creating alert indexes:", error.message);
+      });
+    }
+    await this.indexesReady;
+  }
+
+  /**
+   * Get a stored alert
+   * @param {string} alertId - Alert id
+   * @returns {Promise<object|null>} null if it does not exist
+   */
+  async getAlert(alertId) {
+    const objectId = AlertService.parseId(alertId);
+    if (!objectId) {
+      return null;
+    }
+    const collection = await Database.getInstance().getCollection(config.ALERTS_COLLECTION);
+    return collection.findOne({ _id: objectId });
+  }
+
+  /**
+   * Get the change history of an alert, oldest first
+   * @param {string} alertId - Alert id
+   * @returns {Promise<object[]|null>} null if the alert does not exist
+   */
+  async getHistory(alertId) {
+    const alert = await this.getAlert(alertId);
+    return alert ? alert.history || [] : null;
+  }
+
+  /**
+   * Acknowledge an open alert
+   * @param {string} alertId - Alert id
+   * @param {object} [options]
+   * @param {string} [options.by] - Operator acknowledging the alert
+   * @param {string} [options.note] - Note stored with the history entry
+   * @returns {Promise<object|null>} The updated alert, or null if it does not exist
+   * @throws {Error} with statusCode 409 if the alert is not open
+   */
+  async acknowledge(alertId, options = {}) {
+    return this.applyChanges(alertId, [AlertService.acknowledgeChange(options)]);
+  }
+
+  /**
+   * Assign an unresolved alert to an operator, or unassign it
+   * @param {string} alertId - Alert id
+   * @param {object} options
+   * @param {string|null} options.assignee - Operator, null to unassign
+   * @param {string} [options.by] - Operator making the assignment
+   * @param {string} [options.note] - Note stored with the history entry
+   * @returns {Promise<object|null>} The updated alert, or null if it does not exist
+   * @throws {Error} with statusCode 409 if the alert is resolved
+   */
+  async assign(alertId, options) {
+    return this.applyChanges(alertId, [AlertService.assignChange(options)]);
+  }
+
+  /**
+   * Add a note to an alert, whatever its status
+   * @param {string} alertId - Alert id
+   * @param {object} options
+   * @param {string} options.text - Note text
+   * @param {string} [options.by] - Author
+   * @returns {Promise<object|null>} The updated alert, or null if it does not exist
+   */
+  async addNote(alertId, options) {
+    return this.applyChanges(alertId, [AlertService.noteChange(options)]);
+  }
+
+  /**
+   * Resolve an alert
+   * @param {string} alertId - Alert id
+   * @param {object} [options]
+   * @param {string} [options.by] - Operator resolving the alert
+   * @param {string} [options.resolution_message] - How the alert was resolved
+   * @param {string} [options.note] - Note stored with the history entry
+   * @returns {Promise<object|null>} The updated alert, or null if it does not exist
+   * @throws {Error} with statusCode 409 if the alert is already resolved
+   */
+  async resolve(alertId, options = {}) {
+    return this.applyChanges(alertId, [AlertService.resolveChange(options)]);
+  }
+
+  /**
+   * Reopen a resolved alert. It needs to be acknowledged again.
+   * @param {string} alertId - Alert id
+   * @param {object} [options]
+   * @param {string} [options.by] - Operator reopening the alert
+   * @param {string} [options.note] - Reason, stored with the history entry
+   * @returns {Promise<object|null>} The updated alert, or null if it does not exist
+   * @throws {Error} with statusCode 409 if the alert is not resolved
+   */
+  async reopen(alertId, options = {}) {
+    return this.applyChanges(alertId, [AlertService.reopenChange(options)]);
+  }
+
+  /**
+   * Assign an alert and change its status in one write: both are checked
+   * against the alert's current status first, so a refused status change
+   * leaves the assignment untouched too. The note goes with the status change,
+   * or is added on its own when the status does not change.
+   * @param {string} alertId - Alert id
+   * @param {object} options
+   * @param {string} [options.status] - "acknowledged" | "resolved" | "open"
+   * @param {string|null} [options.assignee] - Operator, null to unassign, undefined to leave as is
+   * @param {string} [options.by] - Operator making the change
+   * @param {string} [options.note] - Note stored with the history entry
+   * @param {string} [options.resolution_message] - How the alert was resolved
+   * @returns {Promise<object|null>} The updated alert, or null if it does not exist
+   * @throws {Error} with statusCode 409 if the alert's status does not allow a change
+   */
+  async update(alertId, { status, assignee, by = null, note = null, resolution_message = null }) {
+    const changes = [];
+    if (assignee !== undefined) {
+      changes.push(AlertService.assignChange({ assignee, by }));
+    }
+    switch (status) {
+      case "acknowledged":
+        changes.push(AlertService.acknowledgeChange({ by, note }));
+        break;
+      case "resolved":
+        changes.push(AlertService.resolveChange({ by, resolution_message, note }));
+        break;
+      case "open":
+        changes.push(AlertService.reopenChange({ by, note }));
+        break;
+      default:
+        if (note) {
+          changes.push(AlertService.noteChange({ text: note, by }));
+        }
+    }
+    return changes.length > 0 ? this.applyChanges(alertId, changes) : this.getAlert(alertId);
+  }
+
+  static acknowledgeChange({ by = null, note = null } = {}) {
+    return {
+      action: "acknowledged",
+      by,
+      note,
+      allowedFrom: ["open"],
+      change: (alert, now) => ({
+        $set: { status: "acknowledged", acknowledged: true, acknowledged_at: now, acknowledged_by: by },
+      }),
+    };
+  }
+
+  static assignChange({ assignee, by = null, note = null }) {
+    return {
+      action: assignee ? "assigned" : "unassigned",
+      by,
+      note,
+      allowedFrom: ["open", "acknowledged"],
+      change: (alert, now) => ({
+        $set: { assigned_to: assignee, assigned_at: now, assigned_by: by },
+        details: { assigned_to: assignee, previous_assignee: alert.assigned_to || null },
+      }),
+    };
+  }
+
+  static noteChange({ text, by = null }) {
+    return { action: "note_added", by, note: text };
+  }
+
+  static resolveChange({ by = null, resolution_message = null, note = null } = {}) {
+    return {
+      action: "resolved",
+      by,
+      note,
+      allowedFrom: ["open", "acknowledged"],
+      change: (alert, now) => {
+        // Minutes since the alert was raised, like the resolution_time of imported alerts
+        const raisedAt = new Date(alert.timestamp).getTime();
+        const resolutionTime = Number.isFinite(raisedAt)
+          ? Math.round(((now.getTime() - raisedAt) / 60000) * 100) / 100
+          : null;
+        return {
+          $set: {
+            status: "resolved",
+            resolved: true,
+            resolved_at: now,
+            resolved_by: by,
+            resolution_time: resolutionTime,
+            resolution_message,
+          },
+          details: { resolution_time: resolutionTime },
+        };
+      },
+    };
+  }
+
+  static reopenChange({ by = null, note = null } = {}) {
+    return {
+      action: "reopened",
+      by,
+      note,
+      allowedFrom: ["resolved"],
+      change: (alert, now) => ({
+        $set: { status: "open", resolved: false, acknowledged: false, reopened_at: now },
+        $unset: {
+          resolved_at: "",
+          resolved_by: "",
+          resolution_time: "",
+          resolution_message: "",
+          acknowledged_at: "",
+          acknowledged_by: "",
+        },
+      }),
+    };
+  }
+
+  /**
+   * Run a step of an escalation policy on an alert still open: "renotify"
+   * broadcasts it again, "escalate" also raises its escalation level and
+   * records who it was escalated to. Each step runs once per alert.
+   * @param {string} alertId - Alert id
+   * @param {object} policy - Stored escalation policy
+   * @param {number} stepIndex - Index of the step in policy.steps
+   * @returns {Promise<object|null>} The updated alert, or null if it does not exist
+   * @throws {Error} with statusCode 409 if the alert is no longer open or the step already ran
+   */
+  async escalate(alertId, policy, stepIndex) {
+    const step = policy.steps[stepIndex];
+    const key = `${policy._id}:${stepIndex}`;
+    const escalating = step.action === "escalate";
+    return this.applyChanges(alertId, [{
+      action: escalating ? "escalated" : "renotified",
+      by: "system",
+      allowedFrom: ["open"],
+      filter: { escalation_steps: { $ne: key } },
+      change: (alert, now) => ({
+        $set: escalating
+          ? { escalation_level: (alert.escalation_level || 0) + 1, escalated_to: step.notify, escalated_at: now }
+          : { last_notified_at: now },
+        $addToSet: { escalation_steps: key },
+        details: {
+          policy_id: policy._id.toString(),
+          policy_name: policy.name,
+          step: stepIndex + 1,
+          after_ms: step.after_ms,
+          ...(escalating ? { escalated_to: step.notify } : {}),
+        },
+      }),
+    }]);
+  }
+
+  /**
+   * Apply lifecycle changes in one write: check each against the alert's
+   * status (as left by the changes before it), update the alert together with
+   * a history entry per change, and broadcast the result
+   * @param {string} alertId - Alert id
+   * @param {object[]} changes - Changes, in order:
+   * @param {string} changes[].action - History action ("acknowledged", "resolved", ...)
+   * @param {string|null} changes[].by - Operator making the change
+   * @param {string|null} [changes[].note] - Note stored with the history entry
+   * @param {string[]} [changes[].allowedFrom] - Statuses the change applies to (default: any)
+   * @param {object} [changes[].filter] - Extra condition the alert must meet for the change to apply
+   * @param {Function} [changes[].change] - (alert, now) => { $set, $unset, $addToSet, details }
+   * @returns {Promise<object|null>} The updated alert, or null if it does not exist
+   * @throws {Error} with statusCode 409 if the alert's status does not allow a change; nothing is written then
+   */
+  async applyChanges(alertId, changes) {
+    const objectId = AlertService.parseId(alertId);
+    if (!objectId) {
+      return null;
+    }
+
+    const collection = await Database.getInstance().getCollection(config.ALERTS_COLLECTION);
+    const current = await collection.findOne({ _id: objectId });
+    if (!current) {
+      return null;
+    }
+
+    const now = new Date();
+    const initial = AlertService.statusOf(current);
+    const update = { $set: { updated_at: now } };
+    const filter = {};
+    const entries = [];
+    let status = initial;
+    for (const { action, by, note = null, allowedFrom = null, filter: condition = {}, change = () => ({}) } of changes) {
+      if (allowedFrom && !allowedFrom.includes(status)) {
+        throw Object.assign(new Error(`Alert is ${status}, it cannot be ${action}`), { statusCode: 409 });
+      }
+      const { $set = {}, $unset, $addToSet, details = {} } = change(current, now);
+      entries.push({
+        action,
+        by,
+        at: now,
+        from_status: status,
+        to_status: $set.status || status,
+        ...(note ? { note } : {}),
+        ...details,
+      });
+      status = $set.status || status;
+      Object.assign(update.$set, $set, { updated_at: now });
+      if ($unset) {
+        update.$unset = { ...update.$unset, ...$unset };
+      }
+      if ($addToSet) {
+        update.$addToSet = { ...update.$addToSet, ...$addToSet };
+      }
+      Object.assign(filter, condition);
+    }
+    update.$push = { history: { $each: entries } };
+
+    // Status changes are conditional on the status read above, so two concurrent ones cannot both apply
+    const checked = changes.some((change) => change.allowedFrom);
+    const alert = await collection.findOneAndUpdate(
+      { _id: objectId, ...(checked ? AlertService.statusFilter(initial) : {}), ...filter },
+      update,
+      { returnDocument: "after" }
+    );
+    if (!alert) {
+      throw Object.assign(new Error("Alert was changed concurrently, retry"), { statusCode: 409 });
+    }
+
+    entries.forEach((entry) => this.broadcastChange(entry.action, alert, entry));
+    return alert;
+  }
+
+  /**
+   * Broadcast an alert change on the ALERT stream and send it to the webhooks
+   * @param {string} action - What changed ("acknowledged", "resolved", ...)
+   * @param {object} alert - The updated alert
+   * @param {object} [entry] - History entry recorded for the change
+   */
+  broadcastChange(action, alert, entry = null) {
+    const update = {
+      type: "alert_update",
+      action,
+      alert_id: alert._id.toString(),
+      intersection_id: alert.intersection_id,
+      status: AlertService.statusOf(alert),
+      change: entry,
+      alert: { ...alert, _id: alert._id.toString() },
+    };
+    this.streamService.broadcast("ALERT", update);
+    if (config.WEBHOOKS_ENABLED) {
+      WebhookService.getInstance().notify("alert.updated", update.alert, update);
+    }
+  }
+}
+
+module.exports = AlertService;
@@ -0,0 +1,303 @@
+const os = require("os");
+const Database = require("../db/database");
+const config = require("../config/config");
+const StreamService = require("./streamService");
+
+// Collection -> stream type receiving its inserts
+const FEED_COLLECTIONS = {
+  [config.COLLECTION_NAME]: "TRAFFIC",
+  [config.VEHICLE_COLLECTION]: "VEHICLE",
+  [config.INTERSECTION_COLLECTION]: "INTERSECTION",
+  [config.SENSOR_HEALTH_COLLECTION]: "SENSOR",
+  [config.ALERTS_COLLECTION]: "ALERT",
+};
+
+// Server errors meaning a saved resume token can no longer be used
+const LOST_TOKEN_CODES = [
+  260, // InvalidResumeToken
+  280, // ChangeStreamFatalError
+  286, // ChangeStreamHistoryLost
+];
+
+/**
+ * Feed mode "changestream" (STREAM_FEED_MODE): watch the data collections with
+ * MongoDB change streams and push every insert to StreamService, whoever wrote
+ * it, instead of relying on producers to POST to /api/receive.
+ *
+ * The resume token of each collection is saved in CHANGE_STREAM_TOKEN_COLLECTION
+ * after its event has been broadcast, so a restart resumes right after the last
+ * delivered insert. Tokens are kept per instance (STREAM_INSTANCE_ID, or the
+ * host name) since every instance watches on its own and delivers to its own
+ * clients. Change streams need MongoDB running as a replica set.
+ */
+class ChangeStreamFeedService {
+  constructor() {
+    this.streamService = StreamService.getInstance();
+    this.tokenCollectionName = config.CHANGE_STREAM_TOKEN_COLLECTION;
+    // Stable across restarts, unlike the generated fan-out id
+    this.instanceId = config.STREAM_INSTANCE_ID || os.hostname();
+    this.tokens = null; // resume token collection
+    this.watchers = new Map(); // collection name -> watcher state
+    this.status = "stopped";
+    this.startedAt = null;
+    this.lastError = null;
+    this.stats = {
+      broadcast: 0,
+      errors: 0,
+      restarts: 0,
+      tokens_saved: 0,
+      tokens_lost: 0,
+      last_event_at: null,
+    };
+  }
+
+  static getInstance() {
+    if (!ChangeStreamFeedService.instance) {
+      ChangeStreamFeedService.instance = new ChangeStreamFeedService();
+    }
+    return ChangeStreamFeedService.instance;
+  }
+
+  /**
+   * Whether the API is configured to feed its streams from change streams
+   * @returns {boolean}
+   */
+  static isEnabled() {
+    return config.STREAM_FEED_MODE === "changestream";
+  }
+
+  /**
+   * Get the collection whose inserts feed a stream
+   * @param {string} stream - The stream type
+   * @returns {string|undefined} Collection name
+   */
+  static getCollectionName(stream) {
+    return Object.keys(FEED_COLLECTIONS).find((collection) => FEED_COLLECTIONS[collection] === stream);
+  }
+
+  /**
+   * Id of the resume token document of a collection for this instance
+   * @param {string} collection - Collection name
+   * @returns {string}
+   */
+  tokenId(collection) {
+    return `${this.instanceId}:${collection}`;
+  }
+
+  /**
+   * Load the saved resume tokens and open a change stream per collection
+   */
+  async start() {
+    if (this.status === "running" || this.status === "starting") {
+      return;
+    }
+
+    this.status = "starting";
+    try {
+      const database = Database.getInstance();
+      this.tokens = await database.getCollection(this.tokenCollectionName);
+      const collections = Object.keys(FEED_COLLECTIONS);
+      const saved = await this.tokens
+        .find({ _id: { $in: [...collections.map((collection) => this.tokenId(collection)), ...collections] } })
+        .toArray();
+
+      for (const [collection, stream] of Object.entries(FEED_COLLECTIONS)) {
+        // Tokens saved before they were kept per instance have the collection as id
+        const token = saved.find((document) => document._id === this.tokenId(collection)) ||
+          saved.find((document) => document._id === collection);
+        const watcher = {
+          collection,
+          stream,
+          changeStream: null,
+          restartTimer: null,
+          token: token ? token.token : null,
+          savedToken: token ? token.token : null,
+          saving: null,
+          dirty: false,
+          received: 0,
+          resumed_from_token: !!token,
+        };
+        this.watchers.set(collection, watcher);
+        this.watch(watcher, await database.getCollection(collection));
+      }
+
+      this.status = "running";
+      this.startedAt = new Date().toISOString();
+      console.log(`Change stream feed watching: ${Object.keys(FEED_COLLECTIONS).join(", ")}`);
+    } catch (error) {
+      this.status = "error";
+      this.lastError = error.message;
+      console.error("Error starting change stream feed:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Close the change streams and wait for pending resume token writes
+   */
+  async stop() {
+    if (this.status === "stopped") {
+      return;
+    }
+
+    this.status = "stopping";
+    for (const watcher of this.watchers.values()) {
+      clearTimeout(watcher.restartTimer);
+      watcher.restartTimer = null;
+      if (watcher.changeStream) {
+        await watcher.changeStream.close().catch(() => {});
+        watcher.changeStream = null;
+      }
+      if (watcher.saving) {
+        await watcher.saving;
+      }
+    }
+    this.status = "stopped";
+  }
+
+  /**
+   * Open the change stream of a collection, starting after its last saved event
+   * @param {object} watcher - Watcher state
+   * @param {object} collection - MongoDB collection
+   */
+  watch(watcher, collection) {
+    const pipeline = [{ $match: { operationType: "insert" } }];
+    const options = watcher.token ? { startAfter: watcher.token } : {};
+    watcher.changeStream = collection.watch(pipeline, options);
+
+    watcher.changeStream.on("change", (change) => this.handleChange(watcher, change));
+    watcher.changeStream.on("error", (error) => {
+      this.stats.errors++;
+      this.lastError = error.message;
+      console.error(`Change stream error on ${watcher.collection}:`, error.message);
+
+      if (LOST_TOKEN_CODES.includes(error.code)) {
+        // The oplog no longer holds the saved position: continue from now on
+        this.stats.tokens_lost++;
+        watcher.token = null;
+      }
+      this.scheduleRestart(watcher);
+    });
+  }
+
+  scheduleRestart(watcher) {
+    if (this.status !== "running" || watcher.restartTimer) {
+      return;
+    }
+    watcher.restartTimer = setTimeout(async () => {
+      watcher.restartTimer = null;
+      try {
+        await watcher.changeStream.close().catch(() => {});
+        this.stats.restarts++;
+        this.watch(watcher, await Database.getInstance().getCollection(watcher.collection));
+      } catch (error) {
+        this.lastError = error.message;
+        console.error(`Error restarting change stream on ${watcher.collection}:`, error.message);
+        this.scheduleRestart(watcher);
+      }
+    }, 1000);
+    watcher.restartTimer.unref();
+  }
+
+  /**
+   * Broadcast an inserted document, then record its resume token
+   * @param {object} watcher - Watcher state
+   * @param {object} change - Change event
+   */
+  handleChange(watcher, change) {
+    const document = change.fullDocument;
+    // Alerts suppressed by a maintenance window are stored but not streamed
+    if (document && document.suppressed !== true) {
+      try {
+        // Every instance runs its own change streams, so broadcasts are not fanned out
+        this.streamService.deliver(watcher.stream, {
+          ...document,
+          _id: String(document._id),
+          _feed: "changestream",
+        });
+        watcher.received++;
+        this.stats.broadcast++;
+        this.stats.last_event_at = new Date().toISOString();
+      } catch (error) {
+        this.stats.errors++;
+        this.lastError = error.message;
+        console.error(`Error broadcasting ${watcher.collection} change:`, error.message);
+      }
+    }
+
+    watcher.token = change._id;
+    this.saveToken(watcher);
+  }
+
+  /**
+   * Save the latest resume token of a collection. Writes are serialized per
+   * collection; events arriving during a write are covered by the next one.
+   * @param {object} watcher - Watcher state
+   * @returns {Promise<void>}
+   */
+  saveToken(watcher) {
+    if (watcher.saving) {
+      watcher.dirty = true;
+      return watcher.saving;
+    }
+
+    watcher.saving = (async () => {
+      do {
+        watcher.dirty = false;
+        const token = watcher.token;
+        await this.tokens.updateOne(
+          { _id: this.tokenId(watcher.collection) },
+          {
+            $set: {
+              token,
+              instance_id: this.instanceId,
+              collection: watcher.collection,
+              stream: watcher.stream,
+              updated_at: new Date(),
+            },
+          },
+          { upsert: true }
+        );
+        watcher.savedToken = token;
+        this.stats.tokens_saved++;
+      } while (watcher.dirty);
+    })()
+      .catch((error) => {
+        this.stats.errors++;
+        this.lastError = error.message;
+        console.error(`Error saving change stream resume token for ${watcher.collection}:`, error.message);
+      })
+      .finally(() => {
+        watcher.saving = null;
+      });
+
+    return watcher.saving;
+  }
+
+  /**
+   * Get feed status per watched collection
+   */
+  getStatus() {
+    return {
+      enabled: ChangeStreamFeedService.isEnabled(),
+      mode: config.STREAM_FEED_MODE,
+      status: this.status,
+      started_at: this.startedAt,
+      token_collection: this.tokenCollectionName,
+      instance_id: this.instanceId,
+      collections: Array.from(this.watchers.values()).map((watcher) => ({
+        collection: watcher.collection,
+        stream: watcher.stream,
+        watching: !!watcher.changeStream && !watcher.changeStream.closed,
+        received: watcher.received,
+        resumed_from_token: watcher.resumed_from_token,
+        token_saved: watcher.savedToken !== null && watcher.savedToken === watcher.token,
+      })),
+      stats: this.stats,
+      last_error: this.lastError,
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
+
+module.exports = ChangeStreamFeedService;
@@ -0,0 +1,168 @@
+const { ObjectId } = require("mongodb");
+const Database = require("../db/database");
+const config = require("../config/config");
+
+/**
+ * Service storing ingest records that were rejected or failed to process in a
+ * dead-letter collection, so failures can be audited and replayed.
+ *
+ * Dead letter document:
+ * {
+ *   stream, source ("http" | "bulk" | "kafka" | "persistence"),
+ *   reason ("validation_failed" | "invalid_json" | "unknown_stream" |
+ *           "processing_error" | "persistence_failed"),
+ *   error, errors, payload, producer_id, metadata,
+ *   status ("pending" | "replayed"), attempts, replay_history,
+ *   created_at, updated_at
+ * }
+ */
+class DeadLetterService {
+  constructor() {
+    this.enabled = config.INGEST_DEAD_LETTER_ENABLED;
+    this.indexesReady = null;
+    this.stats = {
+      recorded: 0,
+      failed: 0,
+    };
+  }
+
+  static getInstance() {
+    if (!DeadLetterService.instance) {
+      DeadLetterService.instance = new DeadLetterService();
+    }
+    return DeadLetterService.instance;
+  }
+
+  /**
+   * Get the dead-letter collection, creating its indexes on first use
+   */
+  async getCollection() {
+    const collection = await Database.getInstance().getCollection(config.DEAD_LETTER_COLLECTION);
+    if (!this.indexesReady) {
+      this.indexesReady = collection.createIndexes([
+        { key: { status: 1, created_at: -1 } },
+        { key: { stream: 1, reason: 1, created_at: -1 } },
+      ]).catch((error) => {
+        this.indexesReady = null;
+        console.error("Error creating dead-letter indexes:", error.message);
+      });
+    }
+    await this.indexesReady;
+    return collection;
+  }
+
+  /**
+   * Store failed ingest records. Never throws: a dead-letter failure is only logged.
+   * @param {object[]} entries - { stream, source, reason, error, errors, payload, producer_id, metadata }
+   * @returns {Promise<number>} Number of dead letters stored
+   */
+  async recordMany(entries) {
+    if (!this.enabled || entries.length === 0) {
+      return 0;
+    }
+
+    const now = new Date();
+    const documents = entries.map((entry) => ({
+      stream: entry.stream || null,
+      source: entry.source,
+      reason: entry.reason,
+      error: entry.error || null,
+      errors: entry.errors || [],
+      payload: entry.payload === undefined ? null : entry.payload,
+      producer_id: entry.producer_id || null,
+      metadata: entry.metadata || {},
+      status: "pending",
+      attempts: 0,
+      replay_history: [],
+      created_at: now,
+      updated_at: now,
+    }));
+
+    try {
+      const collection = await this.getCollection();
+      const result = await collection.insertMany(documents, { ordered: false });
+      this.stats.recorded += result.insertedCount;
+      return result.insertedCount;
+    } catch (error) {
+      this.stats.failed += documents.length;
+      console.error(`Error storing ${documents.length} dead letters:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Store a single failed ingest record
+   * @param {object} entry - See recordMany
+   */
+  async record(entry) {
+    return this.recordMany([entry]);
+  }
+
+  /**
+   * Parse a dead letter id
+   * @param {string} id - Hex ObjectId
+   * @returns {ObjectId|null} null if the id is malformed
+   */
+  static parseId(id) {
+    return ObjectId.isValid(id) ? new ObjectId(id) : null;
+  }
+
+  /**
+   * Find a dead letter by id
+   * @param {string} id - Hex ObjectId
+   * @returns {Promise<object|null>}
+   */
+  async findById(id) {
+    const objectId = DeadLetterService.parseId(id);
+    if (!objectId) {
+      return null;
+    }
+    const collection = await this.getCollection();
+    return collection.findOne({ _id: objectId });
+  }
+
+  /**
+   * Record the outcome of a replay attempt
+   * @param {object} letter - The dead letter
+   * @param {object} outcome - { accepted, duplicate, errors }
+   * @param {*} [payload] - Corrected payload that was replayed, if any
+   */
+  async recordReplay(letter, outcome, payload) {
+    const collection = await this.getCollection();
+    const now = new Date();
+    const update = {
+      $set: {
+        status: outcome.accepted ? "replayed" : letter.status,
+        updated_at: now,
+      },
+      $inc: { attempts: 1 },
+      $push: {
+        replay_history: {
+          at: now,
+          accepted: outcome.accepted,
+          duplicate: !!outcome.duplicate,
+          errors: outcome.errors || [],
+          corrected: payload !== undefined,
+        },
+      },
+    };
+    if (payload !== undefined) {
+      update.$set.corrected_payload = payload;
+    }
+
+    return collection.findOneAndUpdate({ _id: letter._id }, update, { returnDocument: "after" });
+  }
+
+  /**
+   * Get dead-letter service statistics
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      collection: config.DEAD_LETTER_COLLECTION,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = DeadLetterService;
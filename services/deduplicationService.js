@@ -0,0 +1,98 @@
+const config = require("../config/config");
+
+/**
+ * Service remembering recently ingested record keys so that producer retries
+ * are dropped instead of being broadcast and stored twice.
+ * Keys are kept for a fixed window; since every key lives equally long, the
+ * Map insertion order is also the expiry order.
+ */
+class DeduplicationService {
+  constructor() {
+    this.enabled = config.INGEST_DEDUP_ENABLED;
+    this.windowMs = config.INGEST_DEDUP_WINDOW_MS;
+    this.maxKeys = config.INGEST_DEDUP_MAX_KEYS;
+    this.seen = new Map(); // "STREAM:key" -> expiry time (ms)
+    this.stats = {
+      checked: 0,
+      duplicates: 0,
+      duplicates_by_stream: {},
+    };
+  }
+
+  static getInstance() {
+    if (!DeduplicationService.instance) {
+      DeduplicationService.instance = new DeduplicationService();
+    }
+    return DeduplicationService.instance;
+  }
+
+  /**
+   * Check a record key and remember it for the deduplication window
+   * @param {string} stream - The stream type
+   * @param {string|null} key - Idempotency or natural key
+   * @returns {boolean} true if the key was already seen within the window
+   */
+  isDuplicate(stream, key) {
+    if (!this.enabled || !key) {
+      return false;
+    }
+
+    const now = Date.now();
+    const scopedKey = `${stream}:${key}`;
+    this.stats.checked++;
+
+    const expiresAt = this.seen.get(scopedKey);
+    if (expiresAt !== undefined && expiresAt > now) {
+      this.stats.duplicates++;
+      this.stats.duplicates_by_stream[stream] = (this.stats.duplicates_by_stream[stream] || 0) + 1;
+      return true;
+    }
+
+    // Re-insert so the key moves to the end of the expiry order
+    this.seen.delete(scopedKey);
+    this.seen.set(scopedKey, now + this.windowMs);
+    this.evict(now);
+    return false;
+  }
+
+  /**
+   * Forget a key, e.g. when processing of the record failed and a retry must go through
+   * @param {string} stream - The stream type
+   * @param {string|null} key - Idempotency or natural key
+   */
+  forget(stream, key) {
+    if (key) {
+      this.seen.delete(`${stream}:${key}`);
+    }
+  }
+
+  /**
+   * Drop expired keys, and the oldest keys beyond the configured maximum
+   * @param {number} now - Current time (ms)
+   */
+  evict(now) {
+    for (const [key, expiresAt] of this.seen) {
+      if (expiresAt > now && this.seen.size <= this.maxKeys) {
+        break;
+      }
+      this.seen.delete(key);
+    }
+  }
+
+  /**
+   * Get deduplication statistics
+   */
+  getStats() {
+    this.evict(Date.now());
+    return {
+      enabled: this.enabled,
+      window_ms: this.windowMs,
+      max_keys: this.maxKeys,
+      tracked_keys: this.seen.size,
+      ...this.stats,
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
+
+module.exports = DeduplicationService;
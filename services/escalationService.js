@@ -0,0 +1,257 @@
+const { ObjectId } = require("mongodb");
+const Database = require("../db/database");
+const config = require("../config/config");
+const AlertService = require("./alertService");
+const WebhookService = require("./webhookService");
+const { policyMatches } = require("../utils/escalationPolicies");
+
+/**
+ * Escalation policies for alerts left unacknowledged. Every ESCALATION_POLL_MS
+ * the steps of the enabled policies run on the stored alerts they match that
+ * are still open that long after they were received (`received_at`):
+ * "renotify" broadcasts the alert again, "escalate" also raises its escalation
+ * level and names who it goes to. Both are recorded in the alert's history and
+ * sent to the webhooks subscribed to alert.escalated.
+ *
+ * Policies with `auto_resolve` resolve rule alerts once the rule's condition
+ * clears for their location.
+ *
+ * Each step is claimed on the alert itself (escalation_steps), so it runs once
+ * even with several API instances.
+ */
+class EscalationService {
+  constructor() {
+    this.alertService = AlertService.getInstance();
+    this.policies = []; // enabled policies
+    this.pollTimer = null;
+    this.running = false;
+    this.lastRunAt = null;
+    this.lastError = null;
+    this.stats = { renotified: 0, escalated: 0, auto_resolved: 0, errors: 0 };
+  }
+
+  static getInstance() {
+    if (!EscalationService.instance) {
+      EscalationService.instance = new EscalationService();
+    }
+    return EscalationService.instance;
+  }
+
+  async getCollection() {
+    return Database.getInstance().getCollection(config.ESCALATION_POLICIES_COLLECTION);
+  }
+
+  /**
+   * Load the policies and run their steps periodically
+   */
+  async start() {
+    if (!this.pollTimer) {
+      this.pollTimer = setInterval(() => {
+        this.run().catch((error) => {
+          this.stats.errors++;
+          this.lastError = error.message;
+          console.error("Error running escalation policies:", error.message);
+        });
+      }, config.ESCALATION_POLL_MS);
+      this.pollTimer.unref();
+    }
+    await this.reload();
+  }
+
+  stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  async reload() {
+    const collection = await this.getCollection();
+    this.policies = await collection.find({ enabled: true }).toArray();
+  }
+
+  /**
+   * Reload the policies, then run every step due
+   */
+  async run() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    try {
+      await this.reload();
+      const alerts = await Database.getInstance().getCollection(config.ALERTS_COLLECTION);
+      const now = Date.now();
+
+      for (const policy of this.policies) {
+        for (let index = 0; index < policy.steps.length; index++) {
+          const step = policy.steps[index];
+          const due = await alerts
+            .find({
+              ...AlertService.statusFilter("open"),
+              suppressed: { $ne: true },
+              received_at: {
+                $lte: new Date(now - step.after_ms),
+                $gte: new Date(now - config.ESCALATION_MAX_AGE_MS),
+              },
+              escalation_steps: { $ne: `${policy._id}:${index}` },
+              ...(policy.severities.length > 0 ? { severity: { $in: policy.severities } } : {}),
+              ...(policy.alert_types.length > 0 ? { type: { $in: policy.alert_types } } : {}),
+            }, { projection: { _id: 1 } })
+            .limit(config.ESCALATION_BATCH_SIZE)
+            .toArray();
+
+          for (const { _id } of due) {
+            await this.runStep(_id.toString(), policy, index);
+          }
+        }
+      }
+      this.lastRunAt = new Date().toISOString();
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async runStep(alertId, policy, index) {
+    try {
+      const alert = await this.alertService.escalate(alertId, policy, index);
+      if (!alert) {
+        return;
+      }
+      const entry = alert.history[alert.history.length - 1];
+      this.stats[entry.action]++;
+      if (config.WEBHOOKS_ENABLED) {
+        const data = { ...alert, _id: alertId };
+        WebhookService.getInstance().notify("alert.escalated", data, {
+          action: entry.action,
+          alert_id: alertId,
+          escalation: entry,
+          alert: data,
+        });
+      }
+    } catch (error) {
+      // 409: acknowledged meanwhile, or another instance ran the step
+      if (error.statusCode !== 409) {
+        this.stats.errors++;
+        this.lastError = error.message;
+        console.error(`Error escalating alert ${alertId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Resolve the unresolved alerts of a rule for a location whose condition
+   * cleared, when an auto_resolve policy applies to them. Never throws.
+   * @param {object} rule - Compiled alert rule
+   * @param {*} location - group_by value of the location
+   */
+  conditionCleared(rule, location) {
+    const sample = { severity: rule.severity, type: rule.alert_type || rule.name };
+    if (!this.policies.some((policy) => policy.auto_resolve && policyMatches(policy, sample))) {
+      return;
+    }
+
+    Database.getInstance()
+      .getCollection(config.ALERTS_COLLECTION)
+      .then((alerts) => alerts
+        .find({ rule_id: rule.id, location: location === undefined ? null : location, resolved: { $ne: true } }, { projection: { _id: 1 } })
+        .toArray())
+      .then((unresolved) => Promise.all(unresolved.map(({ _id }) =>
+        this.alertService
+          .resolve(_id.toString(), { by: "system", resolution_message: "Condition cleared" })
+          .then((alert) => {
+            if (alert) this.stats.auto_resolved++;
+          })
+          .catch((error) => {
+            if (error.statusCode !== 409) throw error;
+          })
+      )))
+      .catch((error) => {
+        this.stats.errors++;
+        this.lastError = error.message;
+        console.error(`Error auto-resolving alerts of rule ${rule.name}:`, error.message);
+      });
+  }
+
+  static parseId(id) {
+    return typeof id === "string" && ObjectId.isValid(id) ? new ObjectId(id) : null;
+  }
+
+  async listPolicies(filter = {}) {
+    const collection = await this.getCollection();
+    return collection.find(filter).sort({ created_at: 1 }).toArray();
+  }
+
+  async getPolicy(policyId) {
+    const objectId = EscalationService.parseId(policyId);
+    if (!objectId) {
+      return null;
+    }
+    const collection = await this.getCollection();
+    return collection.findOne({ _id: objectId });
+  }
+
+  /**
+   * Store a validated policy
+   * @param {object} policy - Output of validatePolicy
+   */
+  async createPolicy(policy) {
+    const collection = await this.getCollection();
+    const now = new Date();
+    const document = { ...policy, created_at: now, updated_at: now };
+    const { insertedId } = await collection.insertOne(document);
+    await this.reload();
+    return { _id: insertedId, ...document };
+  }
+
+  /**
+   * Update a policy (validated fields only). Alerts remember the steps they
+   * went through by position, so changing the steps of a policy in use can
+   * skip or repeat a step on its open alerts.
+   * @returns {Promise<object|null>} The updated policy, or null if it does not exist
+   */
+  async updatePolicy(policyId, fields) {
+    const objectId = EscalationService.parseId(policyId);
+    if (!objectId) {
+      return null;
+    }
+    const collection = await this.getCollection();
+    const policy = await collection.findOneAndUpdate(
+      { _id: objectId },
+      { $set: { ...fields, updated_at: new Date() } },
+      { returnDocument: "after" }
+    );
+    if (policy) {
+      await this.reload();
+    }
+    return policy;
+  }
+
+  /**
+   * @returns {Promise<boolean>} false if the policy does not exist
+   */
+  async deletePolicy(policyId) {
+    const objectId = EscalationService.parseId(policyId);
+    if (!objectId) {
+      return false;
+    }
+    const collection = await this.getCollection();
+    const { deletedCount } = await collection.deleteOne({ _id: objectId });
+    if (deletedCount > 0) {
+      await this.reload();
+    }
+    return deletedCount > 0;
+  }
+
+  getStatus() {
+    return {
+      enabled: config.ESCALATION_ENABLED,
+      active_policies: this.policies.length,
+      poll_ms: config.ESCALATION_POLL_MS,
+      last_run_at: this.lastRunAt,
+      stats: this.stats,
+      last_error: this.lastError,
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
+
+module.exports = EscalationService;
@@ -0,0 +1,253 @@
+const { ObjectId } = require("mongodb");
+const Database = require("../db/database");
+const config = require("../config/config");
+const { containsPoint, geofenceQuery, alertLocation } = require("../utils/geofences");
+const { timeRangeQuery } = require("../utils/timestamps");
+
+/**
+ * Named geofences (a polygon, or a radius around a point) that the alert list
+ * and the ALERT stream can be restricted to, e.g. a field crew's patrol area:
+ * GET /api/alerts?geofence=north-patrol.
+ *
+ * Alerts without coordinates are placed at their sensor's location: the one
+ * registered in the sensor registry, else the latest location_x/location_y
+ * the sensor reported in the traffic data of the last
+ * GEOFENCE_SENSOR_LOOKBACK_MS. Those locations are cached and reloaded every
+ * GEOFENCE_SENSOR_RELOAD_MS.
+ */
+class GeofenceService {
+  constructor() {
+    this.sensorLocations = new Map(); // sensor_id -> [longitude, latitude]
+    this.registeredCount = 0;
+    this.reloadTimer = null;
+    this.loadedAt = null;
+    this.indexesReady = null;
+    this.trafficIndexReady = null;
+  }
+
+  static getInstance() {
+    if (!GeofenceService.instance) {
+      GeofenceService.instance = new GeofenceService();
+    }
+    return GeofenceService.instance;
+  }
+
+  async getCollection() {
+    const collection = await Database.getInstance().getCollection(config.GEOFENCES_COLLECTION);
+    if (!this.indexesReady) {
+      // Retried on the next call if index creation fails
+      this.indexesReady = collection.createIndex({ name: 1 }, { unique: true }).catch((error) => {
+        this.indexesReady = null;
+        throw error;
+      });
+    }
+    await this.indexesReady;
+    return collection;
+  }
+
+  /**
+   * Create the index serving the reported-location lookup (the traffic
+   * collection is written by external producers, so it is not assumed to exist)
+   */
+  async ensureTrafficIndex(traffic) {
+    if (!this.trafficIndexReady) {
+      this.trafficIndexReady = traffic.createIndex({ sensor_id: 1, timestamp: 1 }).catch((error) => {
+        this.trafficIndexReady = null;
+        console.error("Error creating the sensor location index:", error.message);
+      });
+    }
+    await this.trafficIndexReady;
+  }
+
+  /**
+   * Load the sensor locations and reload them periodically
+   */
+  async start() {
+    if (!this.reloadTimer) {
+      this.reloadTimer = setInterval(() => this.loadSensorLocations().catch(() => {}), config.GEOFENCE_SENSOR_RELOAD_MS);
+      this.reloadTimer.unref();
+    }
+    await this.loadSensorLocations();
+  }
+
+  stop() {
+    clearInterval(this.reloadTimer);
+    this.reloadTimer = null;
+  }
+
+  async loadSensorLocations() {
+    try {
+      const db = Database.getInstance();
+      const registry = await db.getCollection(config.SENSOR_REGISTRY_COLLECTION);
+      const traffic = await db.getCollection(config.COLLECTION_NAME);
+      await this.ensureTrafficIndex(traffic);
+      const since = new Date(Date.now() - config.GEOFENCE_SENSOR_LOOKBACK_MS);
+      const [registered, reported] = await Promise.all([
+        registry
+          .find(
+            { sensor_id: { $type: "string" }, location_x: { $type: "number" }, location_y: { $type: "number" } },
+            { projection: { _id: 0, sensor_id: 1, location_x: 1, location_y: 1 } }
+          )
+          .toArray(),
+        traffic
+          .aggregate([
+            {
+              $match: {
+                sensor_id: { $type: "string" },
+                location_x: { $type: "number" },
+                location_y: { $type: "number" },
+                ...timeRangeQuery(since, null),
+              },
+            },
+            // $last needs an order: the latest report of each sensor comes last
+            { $sort: { sensor_id: 1, timestamp: 1 } },
+            {
+              $group: {
+                _id: "$sensor_id",
+                location_x: { $last: "$location_x" },
+                location_y: { $last: "$location_y" },
+              },
+            },
+          ])
+          .toArray(),
+      ]);
+
+      // Registered locations take precedence over reported ones
+      const locations = new Map(reported.map((sensor) => [sensor._id, [sensor.location_x, sensor.location_y]]));
+      registered.forEach((sensor) => locations.set(sensor.sensor_id, [sensor.location_x, sensor.location_y]));
+      this.sensorLocations = locations;
+      this.registeredCount = registered.length;
+      this.loadedAt = new Date().toISOString();
+    } catch (error) {
+      console.error("Error loading sensor locations:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Sensors located inside a geofence
+   * @param {object} geofence - Stored geofence
+   * @returns {string[]}
+   */
+  sensorsWithin(geofence) {
+    return Array.from(this.sensorLocations.entries())
+      .filter(([, [x, y]]) => containsPoint(geofence, x, y))
+      .map(([sensorId]) => sensorId);
+  }
+
+  /**
+   * MongoDB query matching the stored alerts inside a geofence
+   * @param {object} geofence - Stored geofence
+   */
+  alertQuery(geofence) {
+    return geofenceQuery(geofence, this.sensorsWithin(geofence));
+  }
+
+  /**
+   * Stream filter predicate passing the ALERT events inside a geofence: new
+   * alerts, and alert_update events by the location of their alert
+   * @param {object} geofence - Stored geofence
+   * @returns {Function} (data) => boolean
+   */
+  streamPredicate(geofence) {
+    return (data) => {
+      const alert = data.type === "alert_update" && data.alert ? data.alert : data;
+      const location = alertLocation(alert, this.sensorLocations);
+      return location !== null && containsPoint(geofence, location[0], location[1]);
+    };
+  }
+
+  static parseId(id) {
+    return typeof id === "string" && ObjectId.isValid(id) ? new ObjectId(id) : null;
+  }
+
+  async listGeofences() {
+    const collection = await this.getCollection();
+    return collection.find({}).sort({ name: 1 }).toArray();
+  }
+
+  /**
+   * Get a geofence by id or by name
+   * @param {string} ref - Geofence id or name
+   * @returns {Promise<object|null>}
+   */
+  async getGeofence(ref) {
+    const collection = await this.getCollection();
+    const objectId = GeofenceService.parseId(ref);
+    return (objectId && (await collection.findOne({ _id: objectId }))) || collection.findOne({ name: ref });
+  }
+
+  /**
+   * Store a validated geofence
+   * @param {object} geofence - Output of validateGeofence
+   * @throws {Error} with statusCode 409 if the name is taken
+   */
+  async createGeofence(geofence) {
+    const collection = await this.getCollection();
+    const now = new Date();
+    const document = { ...geofence, created_at: now, updated_at: now };
+    try {
+      const { insertedId } = await collection.insertOne(document);
+      return { _id: insertedId, ...document };
+    } catch (error) {
+      throw GeofenceService.duplicateName(error, geofence.name);
+    }
+  }
+
+  /**
+   * Update a geofence (validated fields only)
+   * @param {string} ref - Geofence id or name
+   * @returns {Promise<object|null>} The updated geofence, or null if it does not exist
+   * @throws {Error} with statusCode 409 if renamed to a taken name
+   */
+  async updateGeofence(ref, fields) {
+    const current = await this.getGeofence(ref);
+    if (!current) {
+      return null;
+    }
+    const collection = await this.getCollection();
+    try {
+      return await collection.findOneAndUpdate(
+        { _id: current._id },
+        { $set: { ...fields, updated_at: new Date() } },
+        { returnDocument: "after" }
+      );
+    } catch (error) {
+      throw GeofenceService.duplicateName(error, fields.name);
+    }
+  }
+
+  /**
+   * @param {string} ref - Geofence id or name
+   * @returns {Promise<boolean>} false if the geofence does not exist
+   */
+  async deleteGeofence(ref) {
+    const current = await this.getGeofence(ref);
+    if (!current) {
+      return false;
+    }
+    const collection = await this.getCollection();
+    const { deletedCount } = await collection.deleteOne({ _id: current._id });
+    return deletedCount > 0;
+  }
+
+  static duplicateName(error, name) {
+    if (error.code === 11000) {
+      return Object.assign(new Error(`A geofence named "${name}" already exists`), { statusCode: 409 });
+    }
+    return error;
+  }
+
+  getStatus() {
+    return {
+      sensor_locations: this.sensorLocations.size,
+      registered_locations: this.registeredCount,
+      loaded_at: this.loadedAt,
+      reload_ms: config.GEOFENCE_SENSOR_RELOAD_MS,
+      lookback_ms: config.GEOFENCE_SENSOR_LOOKBACK_MS,
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
+
+module.exports = GeofenceService;
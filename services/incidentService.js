@@ -0,0 +1,379 @@
+const { ObjectId } = require("mongodb");
+const Database = require("../db/database");
+const config = require("../config/config");
+const StreamService = require("./streamService");
+const { naturalKey } = require("../utils/ingestSchemas");
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 };
+const MAX_INCIDENT_ALERTS = 500; // alert entries kept per incident (alert_count keeps counting)
+const MAX_TIMELINE_ENTRIES = 1000;
+
+/**
+ * Correlation of alerts into incidents. An alert joins the active incident of
+ * its location (intersection, or sensor for alerts without one) and category
+ * when that incident's last alert is at most INCIDENT_WINDOW_MS older;
+ * otherwise it opens a new incident. Categories come from INCIDENT_TYPE_GROUPS
+ * (types not listed there form the "traffic" category), so e.g. a collision,
+ * the sudden braking around it and the resulting congestion become one incident.
+ *
+ * An alert repeating the type and sensor of one already in the incident within
+ * INCIDENT_DEDUP_MS is counted as a duplicate of it instead of a new entry.
+ * Incidents without alerts for INCIDENT_WINDOW_MS are closed.
+ *
+ * A location has at most one active incident per category (a partial unique
+ * index), which an alert opens with an upsert, so instances correlating alerts
+ * of one location at the same moment join the same incident.
+ *
+ * Changes are broadcast on the INCIDENT stream.
+ */
+class IncidentService {
+  constructor() {
+    this.streamService = StreamService.getInstance();
+    this.streamService.registerStream("INCIDENT");
+    this.windowMs = config.INCIDENT_WINDOW_MS;
+    this.dedupMs = config.INCIDENT_DEDUP_MS;
+    this.pending = new Map(); // incident key -> promise of the last correlation, to serialize them
+    this.sweepTimer = null;
+    this.indexesReady = null;
+    this.stats = { correlated: 0, opened: 0, duplicates: 0, closed: 0, errors: 0 };
+  }
+
+  static getInstance() {
+    if (!IncidentService.instance) {
+      IncidentService.instance = new IncidentService();
+    }
+    return IncidentService.instance;
+  }
+
+  async getCollection() {
+    const collection = await Database.getInstance().getCollection(config.INCIDENTS_COLLECTION);
+    if (!this.indexesReady) {
+      // Retried on the next call if index creation fails
+      this.indexesReady = Promise.all([
+        collection.createIndex({ incident_key: 1, category: 1, status: 1, last_alert_at: -1 }),
+        collection.createIndex({ status: 1, last_alert_at: -1 }),
+        collection.createIndex({ intersection_id: 1, started_at: -1 }),
+        collection.createIndex(
+          { incident_key: 1, category: 1 },
+          { name: "one_active_incident", unique: true, partialFilterExpression: { status: "active" } }
+        ),
+      ]).catch((error) => {
+        this.indexesReady = null;
+        throw error;
+      });
+    }
+    await this.indexesReady;
+    return collection;
+  }
+
+  /**
+   * Start closing idle incidents
+   */
+  start() {
+    if (this.sweepTimer) {
+      return;
+    }
+    this.sweepTimer = setInterval(() => {
+      this.closeIdle().catch((error) => {
+        this.stats.errors++;
+        console.error("Error closing idle incidents:", error.message);
+      });
+    }, Math.min(this.windowMs, 60 * 1000));
+    this.sweepTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Category of an alert type (see INCIDENT_TYPE_GROUPS)
+   */
+  static categoryOf(type) {
+    return config.INCIDENT_TYPE_GROUPS[String(type).toLowerCase()] || "traffic";
+  }
+
+  static maxSeverity(a, b) {
+    return (SEVERITY_RANK[b] || 0) > (SEVERITY_RANK[a] || 0) ? b : a;
+  }
+
+  /**
+   * Add an alert to its incident. Correlations of one location run one at a
+   * time on an instance, which keeps a burst from contending for the upsert.
+   * @param {object} alert - Ingested or rule-generated alert, with its _id once it is stored
+   * @param {object} [options]
+   * @param {string} [options.alertKey] - Idempotency key of the ingested alert, its natural key by default
+   * @returns {Promise<object|null>} The incident, or null if the alert has no location
+   */
+  correlate(alert, { alertKey = null } = {}) {
+    const key = alert.intersection_id
+      ? `intersection:${alert.intersection_id}`
+      : alert.sensor_id
+        ? `sensor:${alert.sensor_id}`
+        : null;
+    if (!key) {
+      return Promise.resolve(null);
+    }
+
+    const previous = this.pending.get(key) || Promise.resolve();
+    const next = previous
+      .then(() => this.attach(key, alert, alertKey))
+      .catch((error) => {
+        this.stats.errors++;
+        console.error("Error correlating alert into an incident:", error.message);
+        return null;
+      });
+    this.pending.set(key, next);
+    next.then(() => {
+      if (this.pending.get(key) === next) {
+        this.pending.delete(key);
+      }
+    });
+    return next;
+  }
+
+  async attach(key, alert, alertKey) {
+    const collection = await this.getCollection();
+    const alertTime = new Date(alert.timestamp);
+    const time = Number.isFinite(alertTime.getTime()) ? alertTime : new Date();
+    const category = IncidentService.categoryOf(alert.type);
+    const severity = SEVERITY_RANK[alert.severity] ? alert.severity : "medium";
+    const now = new Date();
+    const entry = {
+      alert_id: alert._id ? alert._id.toString() : null,
+      // Finds alerts stored by an external consumer, whose id is not known here
+      alert_key: alertKey || naturalKey("ALERT", alert),
+      type: alert.type || null,
+      sensor_id: alert.sensor_id || null,
+      severity,
+      message: alert.message || null,
+      timestamp: time,
+      last_seen: time,
+      duplicates: 0,
+    };
+    this.stats.correlated++;
+
+    // The active incident that went quiet for longer than the window is closed first
+    await this.closeWhere(collection, {
+      incident_key: key,
+      category,
+      status: "active",
+      last_alert_at: { $lt: new Date(time.getTime() - this.windowMs) },
+    });
+
+    const opened = {
+      intersection_id: alert.intersection_id || null,
+      severity,
+      title: `${category} incident at ${alert.intersection_id || alert.sensor_id}`,
+      started_at: time,
+      last_alert_at: time,
+      closed_at: null,
+      alert_count: 1,
+      duplicate_count: 0,
+      sensor_ids: entry.sensor_id ? [entry.sensor_id] : [],
+      types: entry.type ? [entry.type] : [],
+      alerts: [entry],
+      timeline: [{ at: now, event: "opened", alert: entry }],
+      created_at: now,
+      updated_at: now,
+    };
+    for (let attempt = 1; ; attempt++) {
+      let result;
+      try {
+        result = await collection.findOneAndUpdate(
+          { incident_key: key, category, status: "active" },
+          { $setOnInsert: opened },
+          { upsert: true, returnDocument: "after", includeResultMetadata: true }
+        );
+      } catch (error) {
+        // Another instance opened the incident at the same moment: join it
+        if (error.code === 11000 && attempt < 3) continue;
+        throw error;
+      }
+
+      if (result.lastErrorObject && result.lastErrorObject.upserted) {
+        this.stats.opened++;
+        this.broadcastChange("opened", result.value);
+        return result.value;
+      }
+      const updated = await this.addAlert(collection, result.value, entry, time, now);
+      // null if the incident was closed in between: open a new one
+      if (updated || attempt >= 3) {
+        return updated;
+      }
+    }
+  }
+
+  /**
+   * Add an alert entry to an active incident, or count it as a duplicate
+   * @returns {Promise<object|null>} The updated incident, null if it is no longer active
+   */
+  async addAlert(collection, incident, entry, time, now) {
+    const lastAlertAt = time > incident.last_alert_at ? time : incident.last_alert_at;
+    const duplicate = incident.alerts.find((existing) =>
+      existing.type === entry.type &&
+      existing.sensor_id === entry.sensor_id &&
+      Math.abs(time - existing.last_seen) <= this.dedupMs
+    );
+
+    const raisedSeverity = IncidentService.maxSeverity(incident.severity, entry.severity);
+    const timeline = duplicate ? [] : [{ at: now, event: "alert_added", alert: entry }];
+    if (raisedSeverity !== incident.severity) {
+      timeline.push({ at: now, event: "severity_raised", from: incident.severity, to: raisedSeverity, alert: entry });
+    }
+
+    const update = {
+      $inc: { alert_count: 1 },
+      $set: { last_alert_at: lastAlertAt, updated_at: now, severity: raisedSeverity },
+    };
+    if (timeline.length > 0) {
+      update.$push = { timeline: { $each: timeline, $slice: -MAX_TIMELINE_ENTRIES } };
+    }
+
+    let action;
+    if (duplicate) {
+      action = "duplicate";
+      update.$inc.duplicate_count = 1;
+      update.$inc["alerts.$[entry].duplicates"] = 1;
+      update.$set["alerts.$[entry].last_seen"] = time;
+    } else {
+      action = "alert_added";
+      update.$push.alerts = { $each: [entry], $slice: -MAX_INCIDENT_ALERTS };
+      const addToSet = {};
+      if (entry.sensor_id) addToSet.sensor_ids = entry.sensor_id;
+      if (entry.type) addToSet.types = entry.type;
+      if (Object.keys(addToSet).length > 0) update.$addToSet = addToSet;
+    }
+
+    const updated = await collection.findOneAndUpdate(
+      { _id: incident._id, status: "active" },
+      update,
+      {
+        returnDocument: "after",
+        ...(duplicate ? {
+          arrayFilters: [{
+            "entry.type": duplicate.type,
+            "entry.sensor_id": duplicate.sensor_id,
+            "entry.timestamp": duplicate.timestamp,
+          }],
+        } : {}),
+      }
+    );
+    if (updated) {
+      if (duplicate) this.stats.duplicates++;
+      this.broadcastChange(action, updated);
+    }
+    return updated;
+  }
+
+  /**
+   * Close the active incidents without alerts for INCIDENT_WINDOW_MS
+   * @returns {Promise<number>} Incidents closed
+   */
+  async closeIdle() {
+    const collection = await this.getCollection();
+    const cutoff = new Date(Date.now() - this.windowMs);
+    const idle = await collection
+      .find({ status: "active", last_alert_at: { $lt: cutoff } }, { projection: { _id: 1 } })
+      .toArray();
+
+    let closed = 0;
+    for (const { _id } of idle) {
+      if (await this.closeWhere(collection, { _id, status: "active", last_alert_at: { $lt: cutoff } })) {
+        closed++;
+      }
+    }
+    return closed;
+  }
+
+  /**
+   * Close the active incident matching a filter as idle
+   * @returns {Promise<object|null>} The closed incident, null if none matched
+   */
+  async closeWhere(collection, filter) {
+    const now = new Date();
+    const incident = await collection.findOneAndUpdate(
+      filter,
+      {
+        $set: { status: "closed", closed_at: now, updated_at: now },
+        $push: { timeline: { $each: [{ at: now, event: "closed", reason: "idle" }], $slice: -MAX_TIMELINE_ENTRIES } },
+      },
+      { returnDocument: "after" }
+    );
+    if (incident) {
+      this.stats.closed++;
+      this.broadcastChange("closed", incident);
+    }
+    return incident;
+  }
+
+  /**
+   * Broadcast an incident change on the INCIDENT stream (without its alert and timeline lists)
+   * @param {string} action - "opened" | "alert_added" | "duplicate" | "closed"
+   * @param {object} incident - The updated incident
+   */
+  broadcastChange(action, incident) {
+    const summary = IncidentService.summarize(incident);
+    this.streamService.broadcast("INCIDENT", {
+      type: "incident_update",
+      action,
+      incident_id: summary._id,
+      intersection_id: incident.intersection_id,
+      severity: incident.severity,
+      incident: summary,
+      latest_alert: incident.alerts[incident.alerts.length - 1] || null,
+    });
+  }
+
+  /**
+   * Incident without its alert and timeline lists
+   */
+  static summarize(incident) {
+    const { alerts, timeline, ...summary } = incident;
+    return { ...summary, _id: incident._id.toString() };
+  }
+
+  static parseId(id) {
+    return typeof id === "string" && ObjectId.isValid(id) ? new ObjectId(id) : null;
+  }
+
+  /**
+   * List incidents, newest first, without their alert and timeline lists
+   * @param {object} filter - MongoDB filter
+   * @param {object} options - { skip, limit }
+   */
+  async listIncidents(filter, { skip = 0, limit = 50 } = {}) {
+    const collection = await this.getCollection();
+    const [data, total] = await Promise.all([
+      collection
+        .find(filter, { projection: { alerts: 0, timeline: 0 } })
+        .sort({ last_alert_at: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      collection.countDocuments(filter),
+    ]);
+    return { data, total };
+  }
+
+  async getIncident(incidentId) {
+    const objectId = IncidentService.parseId(incidentId);
+    if (!objectId) {
+      return null;
+    }
+    const collection = await this.getCollection();
+    return collection.findOne({ _id: objectId });
+  }
+
+  getStats() {
+    return {
+      enabled: config.INCIDENTS_ENABLED,
+      window_ms: this.windowMs,
+      dedup_ms: this.dedupMs,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = IncidentService;
@@ -0,0 +1,184 @@
+const { ObjectId } = require("mongodb");
+const config = require("../config/config");
+const StreamService = require("./streamService");
+const PersistenceService = require("./persistenceService");
+const DeduplicationService = require("./deduplicationService");
+const ChangeStreamFeedService = require("./changeStreamFeedService");
+const AlertRuleService = require("./alertRuleService");
+const IncidentService = require("./incidentService");
+const WebhookService = require("./webhookService");
+const MaintenanceService = require("./maintenanceService");
+const { validateRecord, naturalKey } = require("../utils/ingestSchemas");
+
+// Stream types accepted by the ingest pipeline, keyed by their /api/receive name
+const INGEST_STREAMS = {
+  traffic: "TRAFFIC",
+  vehicle: "VEHICLE",
+  intersection: "INTERSECTION",
+  sensor: "SENSOR",
+  alert: "ALERT",
+  coordination: "COORDINATION",
+};
+
+/**
+ * Ingest pipeline shared by the /api/receive routes and the Kafka consumer:
+ * validate a record against its stream schema, drop duplicates, broadcast it
+ * to SSE clients and queue it for persistence.
+ */
+class IngestService {
+  constructor() {
+    this.streamService = StreamService.getInstance();
+    this.persistenceService = PersistenceService.getInstance();
+    this.deduplicationService = DeduplicationService.getInstance();
+    this.alertRuleService = AlertRuleService.getInstance();
+    this.incidentService = IncidentService.getInstance();
+    this.webhookService = WebhookService.getInstance();
+    this.maintenanceService = MaintenanceService.getInstance();
+  }
+
+  static getInstance() {
+    if (!IngestService.instance) {
+      IngestService.instance = new IngestService();
+    }
+    return IngestService.instance;
+  }
+
+  /**
+   * Resolve a stream name ("vehicle", "VEHICLE") to its stream type
+   * @param {string} name - Stream name
+   * @returns {string|null} Stream type, or null if not an ingest stream
+   */
+  static resolveStream(name) {
+    if (typeof name !== "string") {
+      return null;
+    }
+    return INGEST_STREAMS[name.toLowerCase()] || null;
+  }
+
+  /**
+   * Validate, broadcast and persist a single record
+   * @param {string} stream - The stream type (TRAFFIC, VEHICLE, etc.)
+   * @param {object} data - The received record
+   * @param {object} [options]
+   * @param {string} [options.idempotencyKey] - Producer-supplied key, replaces the natural key
+   * @param {string} [options.producerId] - Authenticated producer, recorded on the record
+   * @returns {object} { accepted, duplicate, stream, errors, record, enhanced, persisted }
+   */
+  ingest(stream, data, options = {}) {
+    const validation = validateRecord(stream, data);
+    if (!validation.valid) {
+      return {
+        accepted: false,
+        duplicate: false,
+        stream,
+        errors: validation.errors,
+        record: null,
+        enhanced: false,
+        persisted: false,
+      };
+    }
+
+    const { record, enhanced } = validation;
+    if (options.producerId) {
+      record._producer_id = options.producerId;
+    }
+
+    // Retries of an already ingested record are acknowledged but not re-broadcast or re-stored
+    const dedupKey = options.idempotencyKey || naturalKey(stream, record);
+    if (this.deduplicationService.isDuplicate(stream, dedupKey)) {
+      return {
+        accepted: true,
+        duplicate: true,
+        stream,
+        errors: [],
+        record,
+        enhanced,
+        persisted: false,
+      };
+    }
+
+    // In change stream feed mode the stored record is broadcast once it is inserted
+    const fedByChangeStream = ChangeStreamFeedService.isEnabled()
+      && this.persistenceService.isEnabled()
+      && !!ChangeStreamFeedService.getCollectionName(stream);
+
+    // Stored alerts get their id now, so that incidents can refer to them before the batch is written
+    if (stream === "ALERT" && this.persistenceService.isEnabled() && !record._id) {
+      record._id = new ObjectId();
+    }
+
+    // Alerts in a maintenance window are stored, but go no further
+    const suppressed = stream === "ALERT" && config.MAINTENANCE_WINDOWS_ENABLED
+      && !!this.maintenanceService.suppress(record);
+
+    let persisted;
+    try {
+      if (stream === "COORDINATION") {
+        this.broadcastCoordination(record);
+      } else if (!fedByChangeStream && !suppressed) {
+        // Broadcast to connected clients with enhancement info
+        this.streamService.broadcast(stream, {
+          ...record,
+          _enhanced: enhanced,
+          _received_at: new Date().toISOString(),
+        });
+      }
+
+      // Persist when running as the ingest path
+      persisted = this.persistenceService.enqueue(stream, { ...record, _enhanced: enhanced });
+    } catch (error) {
+      // Let the producer's retry through
+      this.deduplicationService.forget(stream, dedupKey);
+      throw error;
+    }
+
+    if (config.ALERT_RULES_ENABLED) {
+      this.alertRuleService.evaluate(stream, record);
+    }
+    if (stream === "ALERT" && !suppressed) {
+      if (config.INCIDENTS_ENABLED) this.incidentService.correlate(record, { alertKey: dedupKey });
+      if (config.WEBHOOKS_ENABLED) this.webhookService.notify("alert.created", record);
+    }
+
+    return {
+      accepted: true,
+      duplicate: false,
+      stream,
+      errors: [],
+      record,
+      enhanced,
+      persisted,
+    };
+  }
+
+  /**
+   * Broadcast an intersection coordination summary to COORDINATION and INTERSECTION clients
+   * @param {object} record - Validated coordination record
+   */
+  broadcastCoordination(record) {
+    const { intersection_id, coordination_state, message_type, enhanced_fields } = record;
+
+    // Broadcast coordination update to connected clients
+    this.streamService.broadcast("COORDINATION", {
+      type: "intersection_coordination",
+      intersection_id,
+      coordination_state,
+      message_type,
+      enhanced_fields,
+      timestamp: new Date().toISOString(),
+      _coordination_summary: true
+    });
+
+    // Also broadcast as intersection update for general listeners
+    this.streamService.broadcast("INTERSECTION", {
+      type: "coordination_update",
+      intersection_id,
+      coordination_summary: coordination_state,
+      enhanced_fields,
+      timestamp: new Date().toISOString(),
+      _coordination_summary: true
+    });
+  }
+}
+
+module.exports = IngestService;
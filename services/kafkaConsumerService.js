@@ -0,0 +1,281 @@
+const config = require("../config/config");
+const IngestService = require("./ingestService");
+const DeadLetterService = require("./deadLetterService");
+const { KafkaJsTransport, InMemoryTransport } = require("./kafkaTransports");
+
+/**
+ * In-process Kafka consumer that feeds the ingest pipeline (and through it
+ * StreamService.broadcast) directly, replacing the HTTP hop through
+ * /api/receive for the main topics.
+ * Offsets are committed after broadcast, periodically and on stop.
+ */
+class KafkaConsumerService {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.transport] - Transport instance (see kafkaTransports)
+   * @param {object} [options.topics] - Stream type -> topic name
+   */
+  constructor(options = {}) {
+    this.transport = options.transport || KafkaConsumerService.createTransport();
+    this.topics = options.topics || config.KAFKA_TOPICS;
+    this.streams = {}; // topic -> stream type
+    Object.entries(this.topics).forEach(([stream, topic]) => {
+      this.streams[topic] = stream;
+    });
+    this.commitIntervalMs = config.KAFKA_COMMIT_INTERVAL_MS;
+    this.ingestService = IngestService.getInstance();
+    this.deadLetterService = DeadLetterService.getInstance();
+
+    this.status = "stopped";
+    this.startedAt = null;
+    this.lastError = null;
+    this.commitTimer = null;
+    this.positions = new Map(); // "topic:partition" -> { topic, partition, offset }
+    this.committed = new Map(); // "topic:partition" -> committed offset
+    this.stats = {
+      received: 0,
+      broadcast: 0,
+      skipped: 0,
+      invalid: 0,
+      duplicates: 0,
+      failed: 0,
+      commits: 0,
+      last_message_at: null,
+    };
+  }
+
+  static getInstance() {
+    if (!KafkaConsumerService.instance) {
+      KafkaConsumerService.instance = new KafkaConsumerService();
+    }
+    return KafkaConsumerService.instance;
+  }
+
+  /**
+   * Create the transport selected by KAFKA_TRANSPORT
+   */
+  static createTransport() {
+    if (config.KAFKA_TRANSPORT === "memory") {
+      return new InMemoryTransport();
+    }
+    return new KafkaJsTransport({
+      brokers: config.KAFKA_BROKERS,
+      clientId: config.KAFKA_CLIENT_ID,
+      groupId: config.KAFKA_GROUP_ID,
+    });
+  }
+
+  /**
+   * Connect, subscribe to every configured topic and start consuming
+   */
+  async start() {
+    if (this.status === "running" || this.status === "starting") {
+      return;
+    }
+
+    this.status = "starting";
+    try {
+      this.transport.onCrash((error, restart) => this.handleCrash(error, restart));
+      await this.transport.connect();
+      await this.transport.subscribe(Object.values(this.topics));
+      await this.transport.run((message) => this.handleMessage(message));
+
+      this.commitTimer = setInterval(() => {
+        this.commit().catch((error) => {
+          this.lastError = error.message;
+          console.error("Error committing Kafka offsets:", error.message);
+        });
+      }, this.commitIntervalMs);
+      if (this.commitTimer.unref) {
+        this.commitTimer.unref();
+      }
+
+      this.status = "running";
+      this.startedAt = new Date().toISOString();
+      console.log(`Kafka consumer subscribed to: ${Object.values(this.topics).join(", ")}`);
+    } catch (error) {
+      this.status = "error";
+      this.lastError = error.message;
+      console.error("Error starting Kafka consumer:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Commit processed offsets and disconnect
+   */
+  async stop() {
+    if (this.status === "stopped") {
+      return;
+    }
+
+    this.status = "stopping";
+    if (this.commitTimer) {
+      clearInterval(this.commitTimer);
+      this.commitTimer = null;
+    }
+
+    try {
+      await this.commit();
+      await this.transport.disconnect();
+    } catch (error) {
+      this.lastError = error.message;
+      console.error("Error stopping Kafka consumer:", error.message);
+    } finally {
+      this.status = "stopped";
+    }
+  }
+
+  /**
+   * Record a consumer crash reported by the transport. A crash the transport
+   * restarts from leaves the consumer "restarting" until the next message.
+   * @param {Error} error - Crash cause
+   * @param {boolean} restart - Whether the transport restarts the consumer
+   */
+  handleCrash(error, restart) {
+    this.lastError = error.message;
+    console.error(`Kafka consumer crashed${restart ? ", restarting" : ""}:`, error.message);
+    if (restart) {
+      this.status = "restarting";
+      return;
+    }
+    this.status = "crashed";
+    if (this.commitTimer) {
+      clearInterval(this.commitTimer);
+      this.commitTimer = null;
+    }
+  }
+
+  /**
+   * Ingest a consumed message on the stream of its topic
+   * @param {object} message - { topic, partition, offset, value }
+   */
+  async handleMessage({ topic, partition, offset, value }) {
+    const stream = this.streams[topic];
+    this.stats.received++;
+    this.stats.last_message_at = new Date().toISOString();
+    if (this.status === "restarting") {
+      this.status = "running";
+    }
+
+    const deadLetter = { stream, source: "kafka", metadata: { topic, partition, offset } };
+    let text;
+    let data;
+
+    try {
+      if (value === null || value === undefined) {
+        // Tombstones (null values, e.g. on compacted topics) carry no record
+        this.stats.skipped++;
+        return this.advance(topic, partition, offset);
+      }
+      text = value.toString();
+      data = JSON.parse(text);
+      const result = this.ingestService.ingest(stream, data);
+      if (!result.accepted) {
+        this.stats.invalid++;
+        console.error(`Invalid ${topic} message at offset ${offset}:`, JSON.stringify(result.errors));
+        this.deadLetterService.record({ ...deadLetter, reason: "validation_failed", errors: result.errors, payload: data });
+      } else if (result.duplicate) {
+        this.stats.duplicates++;
+      } else {
+        this.stats.broadcast++;
+      }
+    } catch (error) {
+      this.stats.failed++;
+      console.error(`Error processing ${topic} message at offset ${offset}:`, error.message);
+      this.deadLetterService.record({
+        ...deadLetter,
+        reason: data === undefined ? "invalid_json" : "processing_error",
+        error: error.message,
+        payload: data === undefined ? text : data,
+      });
+    }
+
+    // Bad messages are skipped too (and dead-lettered), otherwise they would block the partition
+    this.advance(topic, partition, offset);
+  }
+
+  /**
+   * Mark a message as processed: its successor is the next offset to commit
+   */
+  advance(topic, partition, offset) {
+    this.positions.set(`${topic}:${partition}`, {
+      topic,
+      partition,
+      offset: (Number(offset) + 1).toString(),
+    });
+  }
+
+  /**
+   * Commit the offsets processed since the last commit
+   */
+  async commit() {
+    const offsets = [];
+    this.positions.forEach((position, key) => {
+      if (this.committed.get(key) !== position.offset) {
+        offsets.push(position);
+      }
+    });
+
+    if (offsets.length === 0) {
+      return;
+    }
+
+    await this.transport.commit(offsets);
+    offsets.forEach((position) => {
+      this.committed.set(`${position.topic}:${position.partition}`, position.offset);
+    });
+    this.stats.commits++;
+  }
+
+  /**
+   * Get consumer lag per topic and partition (high watermark - next offset to process)
+   */
+  async getLag() {
+    const lag = {};
+    for (const topic of Object.values(this.topics)) {
+      const watermarks = await this.transport.fetchHighWatermarks(topic);
+      lag[topic] = watermarks.map(({ partition, offset }) => {
+        const position = this.positions.get(`${topic}:${partition}`);
+        return {
+          partition,
+          high_watermark: Number(offset),
+          position: position ? Number(position.offset) : null,
+          committed: this.committed.has(`${topic}:${partition}`)
+            ? Number(this.committed.get(`${topic}:${partition}`))
+            : null,
+          lag: position ? Math.max(0, Number(offset) - Number(position.offset)) : null,
+        };
+      });
+    }
+    return lag;
+  }
+
+  /**
+   * Get consumer status, with lag when the consumer is running
+   */
+  async getStatus() {
+    let lag = null;
+    if (this.status === "running") {
+      try {
+        lag = await this.getLag();
+      } catch (error) {
+        this.lastError = error.message;
+      }
+    }
+
+    return {
+      enabled: config.KAFKA_ENABLED,
+      transport: this.transport instanceof InMemoryTransport ? "memory" : "kafka",
+      status: this.status,
+      started_at: this.startedAt,
+      topics: this.topics,
+      stats: this.stats,
+      lag,
+      last_error: this.lastError,
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
+
+module.exports = KafkaConsumerService;
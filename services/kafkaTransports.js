@@ -0,0 +1,159 @@
+const { Kafka } = require("kafkajs");
+
+/**
+ * Transports used by KafkaConsumerService.
+ *
+ * A transport exposes connect(), subscribe(topics), run(handler),
+ * commit(offsets), fetchHighWatermarks(topic), onCrash(listener) and
+ * disconnect(). The handler receives { topic, partition, offset, value } for
+ * every message, where offset is a string (as in kafkajs) and value a Buffer,
+ * a string or null (tombstones). The crash listener is called with
+ * (error, restart) when the consumer stops on an error.
+ */
+
+/**
+ * Transport backed by a real Kafka cluster through kafkajs
+ */
+class KafkaJsTransport {
+  constructor({ brokers, clientId, groupId }) {
+    this.kafka = new Kafka({ clientId, brokers });
+    this.consumer = this.kafka.consumer({ groupId });
+    this.admin = this.kafka.admin();
+  }
+
+  onCrash(listener) {
+    // kafkajs restarts the consumer itself on retriable errors (payload.restart)
+    this.consumer.on(this.consumer.events.CRASH, ({ payload }) => listener(payload.error, !!payload.restart));
+  }
+
+  async connect() {
+    await this.consumer.connect();
+    await this.admin.connect();
+  }
+
+  async subscribe(topics) {
+    await this.consumer.subscribe({ topics, fromBeginning: false });
+  }
+
+  async run(handler) {
+    // Offsets are committed by the service once messages have been broadcast
+    await this.consumer.run({
+      autoCommit: false,
+      eachMessage: ({ topic, partition, message }) =>
+        handler({ topic, partition, offset: message.offset, value: message.value }),
+    });
+  }
+
+  async commit(offsets) {
+    await this.consumer.commitOffsets(offsets);
+  }
+
+  async fetchHighWatermarks(topic) {
+    const partitions = await this.admin.fetchTopicOffsets(topic);
+    return partitions.map(({ partition, high }) => ({ partition, offset: high }));
+  }
+
+  async disconnect() {
+    await this.consumer.disconnect();
+    await this.admin.disconnect();
+  }
+}
+
+/**
+ * Single-partition in-process stand-in for a broker. Used for local
+ * development without Kafka and for exercising the consumer in tests:
+ * produce() appends to a topic log and delivers to the running handler.
+ */
+class InMemoryTransport {
+  constructor() {
+    this.logs = new Map(); // topic -> [{ offset, value }]
+    this.positions = new Map(); // topic -> next offset to deliver
+    this.committed = new Map(); // topic -> committed offset
+    this.topics = [];
+    this.handler = null;
+    this.crashListener = null;
+    this.delivering = Promise.resolve();
+  }
+
+  onCrash(listener) {
+    this.crashListener = listener;
+  }
+
+  async connect() {}
+
+  async subscribe(topics) {
+    this.topics = topics;
+    topics.forEach((topic) => {
+      if (!this.logs.has(topic)) {
+        this.logs.set(topic, []);
+      }
+    });
+  }
+
+  async run(handler) {
+    this.handler = handler;
+    this.deliver();
+  }
+
+  /**
+   * Append a message to a topic
+   * @param {string} topic - Topic name
+   * @param {object|string|null} value - Message value (objects are JSON encoded, null is a tombstone)
+   * @returns {Promise<string>} Offset of the appended message, resolved once delivered
+   */
+  async produce(topic, value) {
+    if (!this.logs.has(topic)) {
+      this.logs.set(topic, []);
+    }
+    const log = this.logs.get(topic);
+    const offset = String(log.length);
+    log.push({ offset, value: value === null || typeof value === "string" ? value : JSON.stringify(value) });
+    await this.deliver();
+    return offset;
+  }
+
+  /**
+   * Deliver undelivered messages of subscribed topics, one at a time and in order
+   */
+  deliver() {
+    this.delivering = this.delivering.then(async () => {
+      for (const topic of this.topics) {
+        const log = this.logs.get(topic) || [];
+        let position = this.positions.has(topic)
+          ? this.positions.get(topic)
+          : this.committed.get(topic) || 0;
+
+        while (this.handler && position < log.length) {
+          const { offset, value } = log[position];
+          await this.handler({ topic, partition: 0, offset, value: value === null ? null : Buffer.from(value) });
+          position++;
+        }
+        this.positions.set(topic, position);
+      }
+    });
+    return this.delivering;
+  }
+
+  async commit(offsets) {
+    offsets.forEach(({ topic, offset }) => {
+      this.committed.set(topic, Number(offset));
+    });
+  }
+
+  async fetchHighWatermarks(topic) {
+    const log = this.logs.get(topic) || [];
+    return [{ partition: 0, offset: String(log.length) }];
+  }
+
+  async disconnect() {
+    this.handler = null;
+    await this.delivering;
+    // Resume from the committed offsets on the next run, like a consumer group
+    this.positions.clear();
+  }
+}
+
+module.exports = {
+  KafkaJsTransport,
+  InMemoryTransport,
+};
@@ -0,0 +1,182 @@
+const { ObjectId } = require("mongodb");
+const Database = require("../db/database");
+const config = require("../config/config");
+const { windowCovers } = require("../utils/maintenanceWindows");
+
+/**
+ * Scheduled maintenance windows per intersection or sensor. Alerts raised in
+ * an open window are still stored, marked `suppressed`, but are hidden from
+ * /api/alerts and not broadcast, correlated, escalated or sent to webhooks.
+ *
+ * The mark is set on the copy this API stores: ingested alerts are only stored
+ * suppressed with INGEST_PERSIST=true. When an external consumer stores them,
+ * they are still kept off the stream, incidents and webhooks, but are listed
+ * and escalated like any other alert (getStatus warns about it).
+ *
+ * Windows that have not ended are cached so that ingest can check alerts
+ * without a query; the cache is reloaded every MAINTENANCE_RELOAD_MS and after
+ * every change made through this instance.
+ */
+class MaintenanceService {
+  constructor() {
+    this.windows = []; // windows not ended yet
+    this.reloadTimer = null;
+    this.loadedAt = null;
+    this.stats = { suppressed: 0 };
+  }
+
+  static getInstance() {
+    if (!MaintenanceService.instance) {
+      MaintenanceService.instance = new MaintenanceService();
+    }
+    return MaintenanceService.instance;
+  }
+
+  async getCollection() {
+    return Database.getInstance().getCollection(config.MAINTENANCE_WINDOWS_COLLECTION);
+  }
+
+  /**
+   * Load the windows and reload them periodically, picking up changes made
+   * through other API instances
+   */
+  async start() {
+    if (!this.reloadTimer) {
+      this.reloadTimer = setInterval(() => this.reload().catch(() => {}), config.MAINTENANCE_RELOAD_MS);
+      this.reloadTimer.unref();
+    }
+    await this.reload();
+  }
+
+  stop() {
+    clearInterval(this.reloadTimer);
+    this.reloadTimer = null;
+  }
+
+  async reload() {
+    try {
+      const collection = await this.getCollection();
+      this.windows = await collection.find({ ends_at: { $gt: new Date() } }).toArray();
+      this.loadedAt = new Date().toISOString();
+    } catch (error) {
+      console.error("Error loading maintenance windows:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the open window covering an alert, and mark the alert suppressed by it
+   * @param {object} alert - Alert about to be stored (modified in place)
+   * @returns {object|null} The window, or null if the alert is not suppressed
+   */
+  suppress(alert) {
+    const raisedAt = new Date(alert.timestamp);
+    const time = Number.isFinite(raisedAt.getTime()) ? raisedAt : new Date();
+    const window = this.windows.find((candidate) => windowCovers(candidate, alert, time));
+    if (!window) {
+      return null;
+    }
+    alert.suppressed = true;
+    alert.suppressed_by = { window_id: window._id.toString(), name: window.name };
+    this.stats.suppressed++;
+    return window;
+  }
+
+  static parseId(id) {
+    return typeof id === "string" && ObjectId.isValid(id) ? new ObjectId(id) : null;
+  }
+
+  /**
+   * List windows, latest start first
+   * @param {object} [options]
+   * @param {string} [options.state] - "active" | "scheduled" | "ended"
+   */
+  async listWindows({ state } = {}) {
+    const now = new Date();
+    const filter = {
+      active: { starts_at: { $lte: now }, ends_at: { $gt: now } },
+      scheduled: { starts_at: { $gt: now } },
+      ended: { ends_at: { $lte: now } },
+    }[state] || {};
+    const collection = await this.getCollection();
+    return collection.find(filter).sort({ starts_at: -1 }).toArray();
+  }
+
+  async getWindow(windowId) {
+    const objectId = MaintenanceService.parseId(windowId);
+    if (!objectId) {
+      return null;
+    }
+    const collection = await this.getCollection();
+    return collection.findOne({ _id: objectId });
+  }
+
+  /**
+   * Store a validated window and start applying it
+   * @param {object} window - Output of validateMaintenanceWindow
+   */
+  async createWindow(window) {
+    const collection = await this.getCollection();
+    const now = new Date();
+    const document = { ...window, created_at: now, updated_at: now };
+    const { insertedId } = await collection.insertOne(document);
+    await this.reload();
+    return { _id: insertedId, ...document };
+  }
+
+  /**
+   * Update a window (validated fields only), e.g. end it early
+   * @returns {Promise<object|null>} The updated window, or null if it does not exist
+   */
+  async updateWindow(windowId, fields) {
+    const objectId = MaintenanceService.parseId(windowId);
+    if (!objectId) {
+      return null;
+    }
+    const collection = await this.getCollection();
+    const window = await collection.findOneAndUpdate(
+      { _id: objectId },
+      { $set: { ...fields, updated_at: new Date() } },
+      { returnDocument: "after" }
+    );
+    if (window) {
+      await this.reload();
+    }
+    return window;
+  }
+
+  /**
+   * Delete a window. Alerts it suppressed stay suppressed.
+   * @returns {Promise<boolean>} false if the window does not exist
+   */
+  async deleteWindow(windowId) {
+    const objectId = MaintenanceService.parseId(windowId);
+    if (!objectId) {
+      return false;
+    }
+    const collection = await this.getCollection();
+    const { deletedCount } = await collection.deleteOne({ _id: objectId });
+    if (deletedCount > 0) {
+      await this.reload();
+    }
+    return deletedCount > 0;
+  }
+
+  getStatus() {
+    const now = new Date();
+    return {
+      enabled: config.MAINTENANCE_WINDOWS_ENABLED,
+      active_windows: this.windows.filter((window) => window.starts_at <= now).length,
+      scheduled_windows: this.windows.filter((window) => window.starts_at > now).length,
+      loaded_at: this.loadedAt,
+      reload_ms: config.MAINTENANCE_RELOAD_MS,
+      ingested_alerts_marked: config.INGEST_PERSIST,
+      warning: config.INGEST_PERSIST
+        ? null
+        : "INGEST_PERSIST is false: ingested alerts are stored by an external consumer without the suppressed mark, so /api/alerts lists them and /:id/alerts only shows rule alerts",
+      stats: this.stats,
+    };
+  }
+}
+
+module.exports = MaintenanceService;
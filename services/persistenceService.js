@@ -0,0 +1,222 @@
+const Database = require("../db/database");
+const config = require("../config/config");
+const DeadLetterService = require("./deadLetterService");
+
+// Stream type -> MongoDB collection receiving its records
+const STREAM_COLLECTIONS = {
+  TRAFFIC: config.COLLECTION_NAME,
+  VEHICLE: config.VEHICLE_COLLECTION,
+  INTERSECTION: config.INTERSECTION_COLLECTION,
+  SENSOR: config.SENSOR_HEALTH_COLLECTION,
+  ALERT: config.ALERTS_COLLECTION,
+};
+
+/**
+ * Service for persisting records received on /api/receive to MongoDB.
+ * Records are buffered per stream and written with insertMany once a batch
+ * fills up or the flush interval elapses.
+ */
+class PersistenceService {
+  constructor() {
+    this.enabled = config.INGEST_PERSIST;
+    this.batchSize = config.INGEST_BATCH_SIZE;
+    this.flushIntervalMs = config.INGEST_FLUSH_INTERVAL_MS;
+    this.buffers = new Map(); // stream_type -> [documents]
+    this.flushing = new Map(); // stream_type -> pending flush promise
+    this.timer = null;
+    this.stats = {
+      queued: 0,
+      written: 0,
+      failed: 0,
+      batches: 0,
+      last_flush: null,
+      last_error: null,
+    };
+  }
+
+  static getInstance() {
+    if (!PersistenceService.instance) {
+      PersistenceService.instance = new PersistenceService();
+    }
+    return PersistenceService.instance;
+  }
+
+  /**
+   * Whether received records should be persisted
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Get the collection receiving the records of a stream
+   * @param {string} stream - The stream type
+   * @returns {string|undefined} Collection name
+   */
+  getCollectionName(stream) {
+    return STREAM_COLLECTIONS[stream];
+  }
+
+  /**
+   * Queue a record for writing to the collection of its stream
+   * @param {string} stream - The stream type (TRAFFIC, VEHICLE, etc.)
+   * @param {object} data - The received record
+   * @returns {boolean} true if the record was queued
+   */
+  enqueue(stream, data) {
+    if (!this.enabled || !STREAM_COLLECTIONS[stream]) {
+      return false;
+    }
+
+    const now = new Date();
+    const document = {
+      ...data,
+      received_at: now,
+      _processing_timestamp: now,
+    };
+
+    if (!this.buffers.has(stream)) {
+      this.buffers.set(stream, []);
+    }
+    const buffer = this.buffers.get(stream);
+    buffer.push(document);
+    this.stats.queued++;
+
+    if (buffer.length >= this.batchSize) {
+      this.flush(stream);
+    } else {
+      this.scheduleFlush();
+    }
+
+    return true;
+  }
+
+  /**
+   * Arm the interval timer that flushes partially filled batches
+   */
+  scheduleFlush() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flushAll();
+    }, this.flushIntervalMs);
+
+    // Never keep the process alive just to flush
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Write the buffered records of a stream to MongoDB
+   * @param {string} stream - The stream type
+   * @returns {Promise<number>} Number of documents written
+   */
+  async flush(stream) {
+    // Serialize flushes per stream so batches are written in arrival order
+    const previous = this.flushing.get(stream) || Promise.resolve();
+    const current = previous.then(() => this.writeBatch(stream));
+    this.flushing.set(stream, current);
+
+    try {
+      return await current;
+    } finally {
+      if (this.flushing.get(stream) === current) {
+        this.flushing.delete(stream);
+      }
+    }
+  }
+
+  /**
+   * Take the current buffer of a stream and insert it
+   * @param {string} stream - The stream type
+   * @returns {Promise<number>} Number of documents written
+   */
+  async writeBatch(stream) {
+    const batch = this.buffers.get(stream);
+    if (!batch || batch.length === 0) {
+      return 0;
+    }
+    this.buffers.set(stream, []);
+
+    try {
+      const collection = await Database.getInstance().getCollection(STREAM_COLLECTIONS[stream]);
+      const result = await collection.insertMany(batch, { ordered: false });
+      this.stats.written += result.insertedCount;
+      this.stats.batches++;
+      this.stats.last_flush = new Date().toISOString();
+      return result.insertedCount;
+    } catch (error) {
+      // With ordered: false the successful part of the batch is still written
+      const inserted = error.result?.insertedCount || 0;
+      this.stats.written += inserted;
+      this.stats.failed += batch.length - inserted;
+      this.stats.last_error = error.message;
+      console.error(`Error persisting ${stream} batch of ${batch.length} records:`, error.message);
+
+      // Dead-letter the documents that were not written
+      const writeErrors = Array.isArray(error.writeErrors) ? error.writeErrors : [];
+      const failures = writeErrors.length > 0
+        ? writeErrors.map((writeError) => ({ document: batch[writeError.index], message: writeError.errmsg }))
+        : batch.map((document) => ({ document, message: error.message }));
+      DeadLetterService.getInstance().recordMany(failures.map(({ document, message }) => ({
+        stream,
+        source: "persistence",
+        reason: "persistence_failed",
+        error: message,
+        payload: document,
+        producer_id: document._producer_id,
+      })));
+
+      return inserted;
+    }
+  }
+
+  /**
+   * Flush the buffers of every stream
+   * @returns {Promise<number>} Number of documents written
+   */
+  async flushAll() {
+    const results = await Promise.all(
+      Array.from(this.buffers.keys()).map((stream) => this.flush(stream))
+    );
+    return results.reduce((total, count) => total + count, 0);
+  }
+
+  /**
+   * Stop the flush timer and write whatever is still buffered
+   */
+  async shutdown() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    await this.flushAll();
+  }
+
+  /**
+   * Get persistence statistics
+   */
+  getStats() {
+    const pending = {};
+    this.buffers.forEach((buffer, stream) => {
+      pending[stream] = buffer.length;
+    });
+
+    return {
+      enabled: this.enabled,
+      batch_size: this.batchSize,
+      flush_interval_ms: this.flushIntervalMs,
+      collections: STREAM_COLLECTIONS,
+      pending,
+      ...this.stats,
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
+
+module.exports = PersistenceService;
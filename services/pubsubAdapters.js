@@ -0,0 +1,193 @@
+const os = require("os");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const Database = require("../db/database");
+const config = require("../config/config");
+
+/**
+ * Pub/sub adapters propagating StreamService broadcasts between API instances.
+ *
+ * An adapter exposes start(onMessage), publish(message), stop() and getStats().
+ * Messages are { origin, kind, stream, data } where origin is the publishing
+ * instance id; adapters never hand an instance its own messages back.
+ */
+
+// Bus shared by every in-memory adapter of the process
+const memoryBus = new EventEmitter();
+memoryBus.setMaxListeners(0);
+
+/**
+ * Default adapter: fan-out between StreamService instances of the same process.
+ * With a single instance (the usual deployment) publishing is effectively a no-op.
+ */
+class InMemoryPubSub {
+  constructor({ instanceId }) {
+    this.name = "memory";
+    this.instanceId = instanceId;
+    this.listener = null;
+    this.stats = { published: 0, received: 0, errors: 0 };
+  }
+
+  async start(onMessage) {
+    this.listener = (message) => {
+      if (message.origin !== this.instanceId) {
+        this.stats.received++;
+        onMessage(message);
+      }
+    };
+    memoryBus.on("message", this.listener);
+  }
+
+  publish(message) {
+    this.stats.published++;
+    memoryBus.emit("message", message);
+  }
+
+  async stop() {
+    if (this.listener) {
+      memoryBus.off("message", this.listener);
+      this.listener = null;
+    }
+  }
+
+  getStats() {
+    return { adapter: this.name, instance_id: this.instanceId, ...this.stats };
+  }
+}
+
+/**
+ * Adapter for multiple instances sharing a MongoDB replica set: broadcasts are
+ * inserted into a fan-out collection (expired by a TTL index) and every
+ * instance tails it through a change stream. Change streams need a replica
+ * set; a single-node one (mongod --replSet rs0) is enough for local testing.
+ */
+class MongoChangeStreamPubSub {
+  constructor({ instanceId, collectionName, ttlSeconds }) {
+    this.name = "mongo";
+    this.instanceId = instanceId;
+    this.collectionName = collectionName;
+    this.ttlSeconds = ttlSeconds;
+    this.changeStream = null;
+    this.resumeToken = null;
+    this.restartTimer = null;
+    this.stopped = false;
+    this.stats = { published: 0, received: 0, errors: 0, restarts: 0 };
+  }
+
+  async getCollection() {
+    return Database.getInstance().getCollection(this.collectionName);
+  }
+
+  async start(onMessage) {
+    this.stopped = false;
+    this.onMessage = onMessage;
+    const collection = await this.getCollection();
+    await collection.createIndex({ created_at: 1 }, { expireAfterSeconds: this.ttlSeconds });
+    this.watch(collection);
+  }
+
+  /**
+   * Open the change stream, resuming after the last seen event when restarting
+   */
+  watch(collection) {
+    const pipeline = [
+      { $match: { operationType: "insert", "fullDocument.origin": { $ne: this.instanceId } } },
+    ];
+    const options = this.resumeToken ? { resumeAfter: this.resumeToken } : {};
+    this.changeStream = collection.watch(pipeline, options);
+
+    this.changeStream.on("change", (change) => {
+      this.resumeToken = change._id;
+      this.stats.received++;
+      const { origin, kind, stream, data } = change.fullDocument;
+      try {
+        this.onMessage({ origin, kind, stream, data });
+      } catch (error) {
+        console.error("Error delivering fan-out message:", error.message);
+      }
+    });
+
+    this.changeStream.on("error", (error) => {
+      this.stats.errors++;
+      console.error("Stream fan-out change stream error:", error.message);
+      this.scheduleRestart();
+    });
+  }
+
+  scheduleRestart() {
+    if (this.stopped || this.restartTimer) {
+      return;
+    }
+    this.restartTimer = setTimeout(async () => {
+      this.restartTimer = null;
+      try {
+        await this.changeStream.close().catch(() => {});
+        this.stats.restarts++;
+        this.watch(await this.getCollection());
+      } catch (error) {
+        console.error("Error restarting stream fan-out:", error.message);
+        this.scheduleRestart();
+      }
+    }, 1000);
+    this.restartTimer.unref();
+  }
+
+  /**
+   * Insert a message for the other instances. Fire-and-forget: broadcasts are
+   * synchronous and local clients have already been served.
+   */
+  publish(message) {
+    this.stats.published++;
+    this.getCollection()
+      .then((collection) => collection.insertOne({ ...message, created_at: new Date() }))
+      .catch((error) => {
+        this.stats.errors++;
+        console.error("Error publishing stream fan-out message:", error.message);
+      });
+  }
+
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.restartTimer);
+    if (this.changeStream) {
+      await this.changeStream.close();
+      this.changeStream = null;
+    }
+  }
+
+  getStats() {
+    return {
+      adapter: this.name,
+      instance_id: this.instanceId,
+      collection: this.collectionName,
+      watching: !!this.changeStream && !this.changeStream.closed,
+      ...this.stats,
+    };
+  }
+}
+
+/**
+ * Create the adapter selected by STREAM_PUBSUB
+ * @param {string} [name] - "memory" or "mongo"
+ */
+function createPubSubAdapter(name = config.STREAM_PUBSUB) {
+  const instanceId = config.STREAM_INSTANCE_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString("hex")}`;
+  switch (name) {
+    case "memory":
+      return new InMemoryPubSub({ instanceId });
+    case "mongo":
+      return new MongoChangeStreamPubSub({
+        instanceId,
+        collectionName: config.STREAM_PUBSUB_COLLECTION,
+        ttlSeconds: config.STREAM_PUBSUB_TTL_SECONDS,
+      });
+    default:
+      throw new Error(`Unknown STREAM_PUBSUB adapter: ${name}`);
+  }
+}
+
+module.exports = {
+  InMemoryPubSub,
+  MongoChangeStreamPubSub,
+  createPubSubAdapter,
+};
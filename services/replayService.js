@@ -0,0 +1,426 @@
+const crypto = require("crypto");
+const Database = require("../db/database");
+const config = require("../config/config");
+const StreamService = require("./streamService");
+const { toDateExpression, timeRangeQuery } = require("../utils/timestamps");
+
+// Stream type -> collection replayed from
+const REPLAY_COLLECTIONS = {
+  TRAFFIC: config.COLLECTION_NAME,
+  VEHICLE: config.VEHICLE_COLLECTION,
+  INTERSECTION: config.INTERSECTION_COLLECTION,
+  SENSOR: config.SENSOR_HEALTH_COLLECTION,
+  ALERT: config.ALERTS_COLLECTION,
+};
+
+const DEFAULT_REPLAY_STREAMS = ["TRAFFIC", "VEHICLE", "INTERSECTION", "ALERT"];
+
+/**
+ * Parse a replay speed: "1x", "10x", a positive number, or "max"
+ * @param {string|number} value - Requested speed
+ * @returns {number|null} Speed multiplier (Infinity for max), or null if invalid
+ */
+function parseSpeed(value = "1x") {
+  if (value === "max") {
+    return Infinity;
+  }
+  const speed = Number.parseFloat(String(value).replace(/x$/i, ""));
+  return Number.isFinite(speed) && speed > 0 ? speed : null;
+}
+
+/**
+ * A replay of a stored time range through StreamService. Records of all
+ * replayed collections are merged in timestamp order and broadcast with their
+ * original relative timing, divided by the speed.
+ */
+class ReplaySession {
+  /**
+   * @param {object} options
+   * @param {Date} options.start - Start of the replayed range
+   * @param {Date} options.end - End of the replayed range
+   * @param {number} options.speed - Speed multiplier (Infinity = as fast as possible)
+   * @param {string[]} options.streams - Stream types to replay
+   * @param {object} options.filter - Extra match on every collection (intersection_id, sensor_id)
+   * @param {number|null} options.maxGapMs - Longest pause between two events, in replay time
+   */
+  constructor({ start, end, speed, streams, filter, maxGapMs }) {
+    this.id = crypto.randomUUID();
+    this.start = start;
+    this.end = end;
+    this.speed = speed;
+    this.streams = streams;
+    this.filter = filter;
+    this.maxGapMs = maxGapMs;
+    this.streamService = StreamService.getInstance();
+
+    this.status = "created"; // created | running | paused | completed | stopped | error
+    this.position = start; // replay clock: timestamp of the last broadcast event
+    this.eventsSent = 0;
+    this.eventsByStream = {};
+    this.lastError = null;
+    this.createdAt = new Date();
+    this.updatedAt = new Date();
+
+    this.cursors = [];
+    this.loop = null;
+    this.wakeTimer = null;
+    this.wake = null;
+    this.seekTo = null;
+    this.pendingEvent = null;
+  }
+
+  /**
+   * Open two cursors per stream, sorted by timestamp, from a point in time:
+   * Date timestamps come in index order; the ISO strings of older producers
+   * sort differently from Dates, so they are parsed and sorted on their own.
+   * nextEvent merges them.
+   * @param {Date} from - First timestamp to replay
+   */
+  async openCursors(from) {
+    const db = Database.getInstance();
+    const pipelines = [
+      [
+        { $match: { ...this.filter, timestamp: { $type: "date", $gte: from, $lte: this.end } } },
+        { $sort: { timestamp: 1 } },
+        { $addFields: { _replay_timestamp: "$timestamp" } },
+      ],
+      [
+        { $match: { ...this.filter, ...timeRangeQuery(from, this.end), timestamp: { $type: "string" } } },
+        { $addFields: { _replay_timestamp: toDateExpression("$timestamp") } },
+        { $sort: { _replay_timestamp: 1 } },
+      ],
+    ];
+    const cursors = await Promise.all(this.streams.map(async (stream) => {
+      const collection = await db.getCollection(REPLAY_COLLECTIONS[stream]);
+      return Promise.all(pipelines.map(async (pipeline) => {
+        const cursor = collection.aggregate(pipeline, { allowDiskUse: true });
+        return { stream, cursor, head: await cursor.next() };
+      }));
+    }));
+    this.cursors = cursors.flat();
+  }
+
+  async closeCursors() {
+    const cursors = this.cursors;
+    this.cursors = [];
+    await Promise.all(cursors.map(({ cursor }) => cursor.close().catch(() => {})));
+  }
+
+  /**
+   * Take the earliest record across all cursors (or the one held back by an interruption)
+   * @returns {Promise<object|null>} { stream, record }, or null when the range is exhausted
+   */
+  async nextEvent() {
+    if (this.pendingEvent) {
+      const event = this.pendingEvent;
+      this.pendingEvent = null;
+      return event;
+    }
+
+    let earliest = null;
+    this.cursors.forEach((entry) => {
+      if (entry.head && (!earliest || entry.head._replay_timestamp < earliest.head._replay_timestamp)) {
+        earliest = entry;
+      }
+    });
+    if (!earliest) {
+      return null;
+    }
+
+    const record = earliest.head;
+    earliest.head = await earliest.cursor.next();
+    return { stream: earliest.stream, record };
+  }
+
+  /**
+   * Wait until a wall-clock deadline, or until interrupted by pause, seek or stop
+   * @param {number} ms - Milliseconds to wait
+   */
+  sleep(ms) {
+    return new Promise((resolve) => {
+      this.wake = resolve;
+      this.wakeTimer = setTimeout(resolve, ms);
+    });
+  }
+
+  interrupt() {
+    if (this.wakeTimer) {
+      clearTimeout(this.wakeTimer);
+      this.wakeTimer = null;
+    }
+    if (this.wake) {
+      this.wake();
+      this.wake = null;
+    }
+  }
+
+  /**
+   * Main loop: broadcast events, keeping their spacing relative to an anchor
+   * (wall clock, replay clock) that is reset after every pause and seek
+   */
+  async run() {
+    let anchor = null;
+    let previousTime = null;
+
+    await this.openCursors(this.position);
+
+    while (this.status === "running" || this.status === "paused") {
+      if (this.status === "paused") {
+        await this.sleep(60 * 60 * 1000);
+        anchor = null;
+        continue;
+      }
+
+      if (this.seekTo) {
+        const target = this.seekTo;
+        this.seekTo = null;
+        this.pendingEvent = null;
+        await this.closeCursors();
+        await this.openCursors(target);
+        this.position = target;
+        anchor = null;
+        previousTime = null;
+      }
+
+      const event = await this.nextEvent();
+      if (!event) {
+        this.status = "completed";
+        break;
+      }
+
+      const eventTime = event.record._replay_timestamp.getTime();
+
+      if (this.speed !== Infinity) {
+        // Compress long quiet periods when max_gap_ms is set
+        if (this.maxGapMs !== null && previousTime !== null && eventTime - previousTime > this.maxGapMs && anchor) {
+          anchor.replayTime += eventTime - previousTime - this.maxGapMs;
+        }
+        if (!anchor) {
+          anchor = { wallTime: Date.now(), replayTime: eventTime };
+        }
+
+        const due = anchor.wallTime + (eventTime - anchor.replayTime) / this.speed;
+        const wait = due - Date.now();
+        if (wait > 0) {
+          await this.sleep(wait);
+          if (this.status !== "running" || this.seekTo) {
+            // Interrupted: keep the event for when playback continues
+            this.pendingEvent = event;
+            continue;
+          }
+        }
+      } else if (this.eventsSent % 100 === 0) {
+        // Let HTTP handlers and other sessions run during max-speed replays
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+
+      this.emit(event);
+      previousTime = eventTime;
+    }
+
+    await this.closeCursors();
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Broadcast a stored record, tagged as replayed
+   */
+  emit({ stream, record }) {
+    const { _id, _replay_timestamp, ...data } = record;
+    this.streamService.broadcast(stream, {
+      ...data,
+      _replay: {
+        session_id: this.id,
+        speed: this.speed === Infinity ? "max" : this.speed,
+        original_id: _id ? _id.toString() : null,
+        original_timestamp: _replay_timestamp.toISOString(),
+      },
+    });
+
+    this.position = _replay_timestamp;
+    this.eventsSent++;
+    this.eventsByStream[stream] = (this.eventsByStream[stream] || 0) + 1;
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Start or resume the replay
+   */
+  play() {
+    if (this.status === "paused") {
+      this.status = "running";
+      this.interrupt();
+    } else if (this.status === "created") {
+      this.status = "running";
+      this.loop = this.run().catch((error) => {
+        this.status = "error";
+        this.lastError = error.message;
+        console.error(`Replay session ${this.id} failed:`, error.message);
+        return this.closeCursors();
+      });
+    }
+    this.updatedAt = new Date();
+  }
+
+  pause() {
+    if (this.status === "running") {
+      this.status = "paused";
+      this.interrupt();
+      this.updatedAt = new Date();
+    }
+  }
+
+  /**
+   * Jump to a point in the replayed range
+   * @param {Date} to - New replay position
+   */
+  seek(to) {
+    if (this.status === "created") {
+      this.position = to;
+    } else {
+      this.seekTo = to;
+      this.interrupt();
+    }
+    this.updatedAt = new Date();
+  }
+
+  async stop() {
+    if (["completed", "stopped", "error"].includes(this.status)) {
+      return;
+    }
+    const wasCreated = this.status === "created";
+    this.status = "stopped";
+    this.interrupt();
+    if (!wasCreated) {
+      await this.loop;
+    }
+    this.updatedAt = new Date();
+  }
+
+  isActive() {
+    return this.status === "created" || this.status === "running" || this.status === "paused";
+  }
+
+  toJSON() {
+    const total = this.end.getTime() - this.start.getTime();
+    return {
+      id: this.id,
+      status: this.status,
+      streams: this.streams,
+      filter: this.filter,
+      speed: this.speed === Infinity ? "max" : this.speed,
+      start: this.start.toISOString(),
+      end: this.end.toISOString(),
+      position: this.position.toISOString(),
+      progress: total > 0 ? Math.round(((this.position.getTime() - this.start.getTime()) / total) * 1000) / 1000 : 1,
+      max_gap_ms: this.maxGapMs,
+      events_sent: this.eventsSent,
+      events_by_stream: this.eventsByStream,
+      last_error: this.lastError,
+      created_at: this.createdAt.toISOString(),
+      updated_at: this.updatedAt.toISOString(),
+    };
+  }
+}
+
+/**
+ * Service managing historical replay sessions
+ */
+class ReplayService {
+  constructor() {
+    this.sessions = new Map(); // session id -> ReplaySession
+    this.maxSessions = config.REPLAY_MAX_SESSIONS;
+  }
+
+  static getInstance() {
+    if (!ReplayService.instance) {
+      ReplayService.instance = new ReplayService();
+    }
+    return ReplayService.instance;
+  }
+
+  /**
+   * Create a replay session
+   * @param {object} options - { start, end, speed, streams, intersection_id, sensor_id, max_gap_ms }
+   * @returns {ReplaySession}
+   * @throws {Error} with statusCode 400 on invalid options, 429 when too many sessions are active
+   */
+  createSession(options) {
+    const start = new Date(options.start);
+    const end = new Date(options.end || Date.now());
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) {
+      throw Object.assign(new Error("start and end must be valid timestamps with start <= end"), { statusCode: 400 });
+    }
+
+    const speed = parseSpeed(options.speed);
+    if (speed === null) {
+      throw Object.assign(new Error('speed must be "1x", "10x", "max" or a positive number'), { statusCode: 400 });
+    }
+
+    const streams = options.streams
+      ? [].concat(options.streams).map((stream) => String(stream).toUpperCase())
+      : DEFAULT_REPLAY_STREAMS;
+    const unknown = streams.filter((stream) => !REPLAY_COLLECTIONS[stream]);
+    if (unknown.length > 0) {
+      throw Object.assign(new Error(`Cannot replay streams: ${unknown.join(", ")}`), { statusCode: 400 });
+    }
+
+    const active = Array.from(this.sessions.values()).filter((session) => session.isActive());
+    if (active.length >= this.maxSessions) {
+      throw Object.assign(new Error(`At most ${this.maxSessions} replay sessions can be active`), { statusCode: 429 });
+    }
+
+    // Alerts suppressed by a maintenance window never reached the live stream either
+    const filter = { suppressed: { $ne: true } };
+    if (options.intersection_id) filter.intersection_id = options.intersection_id;
+    if (options.sensor_id) filter.sensor_id = options.sensor_id;
+
+    const maxGapMs = options.max_gap_ms !== undefined ? Number.parseInt(options.max_gap_ms) : null;
+
+    const session = new ReplaySession({
+      start,
+      end,
+      speed,
+      streams,
+      filter,
+      maxGapMs: Number.isFinite(maxGapMs) && maxGapMs >= 0 ? maxGapMs : null,
+    });
+    this.pruneFinished();
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  getSession(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  listSessions() {
+    return Array.from(this.sessions.values()).map((session) => session.toJSON());
+  }
+
+  /**
+   * Stop a session and forget it
+   * @returns {Promise<boolean>} false if the session does not exist
+   */
+  async removeSession(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return false;
+    }
+    await session.stop();
+    this.sessions.delete(id);
+    return true;
+  }
+
+  /**
+   * Keep finished sessions for inspection, but only the most recent ones
+   */
+  pruneFinished() {
+    const finished = Array.from(this.sessions.values()).filter((session) => !session.isActive());
+    finished.slice(0, Math.max(0, finished.length - this.maxSessions)).forEach((session) => {
+      this.sessions.delete(session.id);
+    });
+  }
+}
+
+module.exports = ReplayService;
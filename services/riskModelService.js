@@ -0,0 +1,224 @@
+const { ObjectId } = require("mongodb");
+const Database = require("../db/database");
+const config = require("../config/config");
+const { DEFAULT_RISK_MODEL } = require("../utils/riskAnalysis");
+const { modelDefinition, parseModelRef } = require("../utils/riskModels");
+
+/**
+ * Risk model profiles: the weights, level cut-offs, thresholds and points of
+ * calculateRiskScore, stored so that engineers can tune the scoring without
+ * code changes. The /api/risk endpoints take ?model=name (or name@version);
+ * without it they use RISK_DEFAULT_MODEL, or the built-in model when that is
+ * empty.
+ *
+ * Every save increments the profile's version and keeps a snapshot of it in
+ * the versions collection, so earlier versions can be used or restored.
+ */
+class RiskModelService {
+  constructor() {
+    this.indexesReady = null;
+  }
+
+  static getInstance() {
+    if (!RiskModelService.instance) {
+      RiskModelService.instance = new RiskModelService();
+    }
+    return RiskModelService.instance;
+  }
+
+  async getCollection() {
+    const db = Database.getInstance();
+    const collection = await db.getCollection(config.RISK_MODELS_COLLECTION);
+    if (!this.indexesReady) {
+      // Retried on the next call if index creation fails
+      this.indexesReady = db.getCollection(config.RISK_MODEL_VERSIONS_COLLECTION)
+        .then((versions) => Promise.all([
+          collection.createIndex({ name: 1 }, { unique: true }),
+          versions.createIndex({ model_id: 1, version: -1 }, { unique: true }),
+        ]))
+        .catch((error) => {
+          this.indexesReady = null;
+          throw error;
+        });
+    }
+    await this.indexesReady;
+    return collection;
+  }
+
+  async getVersionsCollection() {
+    await this.getCollection();
+    return Database.getInstance().getCollection(config.RISK_MODEL_VERSIONS_COLLECTION);
+  }
+
+  static parseId(id) {
+    return typeof id === "string" && ObjectId.isValid(id) ? new ObjectId(id) : null;
+  }
+
+  /**
+   * The built-in model, as the profile list shows it
+   */
+  static builtIn() {
+    return { name: "default", built_in: true, version: 1, ...modelDefinition(DEFAULT_RISK_MODEL) };
+  }
+
+  /**
+   * Resolve the model a risk endpoint scores with
+   * @param {string} [value] - ?model= value: name, name@version or id; RISK_DEFAULT_MODEL if empty
+   * @returns {Promise<{model: object, info: object}|null>} null if the model or version does not exist
+   */
+  async resolve(value) {
+    const requested = value || config.RISK_DEFAULT_MODEL;
+    if (!requested || requested === "default") {
+      return { model: DEFAULT_RISK_MODEL, info: { name: "default", version: 1, built_in: true } };
+    }
+
+    const { ref, version } = parseModelRef(requested);
+    const profile = await this.getModel(ref);
+    if (!profile) {
+      return null;
+    }
+    if (version === null || version === profile.version) {
+      return { model: profile, info: { id: profile._id, name: profile.name, version: profile.version } };
+    }
+    const snapshot = await this.getVersion(profile._id.toString(), version);
+    if (!snapshot) {
+      return null;
+    }
+    return { model: snapshot.definition, info: { id: profile._id, name: profile.name, version, latest_version: profile.version } };
+  }
+
+  async listModels() {
+    const collection = await this.getCollection();
+    return collection.find({}).sort({ name: 1 }).toArray();
+  }
+
+  /**
+   * Get a profile by id or by name
+   * @param {string} ref - Profile id or name
+   * @returns {Promise<object|null>}
+   */
+  async getModel(ref) {
+    const collection = await this.getCollection();
+    const objectId = RiskModelService.parseId(ref);
+    return (objectId && (await collection.findOne({ _id: objectId }))) || collection.findOne({ name: ref });
+  }
+
+  /**
+   * Store a validated profile as version 1
+   * @param {object} fields - Output of validateRiskModel
+   * @throws {Error} with statusCode 409 if the name is taken
+   */
+  async createModel({ change_note: changeNote = null, updated_by: updatedBy = null, ...fields }) {
+    const collection = await this.getCollection();
+    const now = new Date();
+    const document = { description: null, ...fields, version: 1, created_at: now, updated_at: now, updated_by: updatedBy };
+    try {
+      const { insertedId } = await collection.insertOne(document);
+      const model = { _id: insertedId, ...document };
+      await this.saveVersion(model, changeNote);
+      return model;
+    } catch (error) {
+      throw RiskModelService.duplicateName(error, fields.name);
+    }
+  }
+
+  /**
+   * Save validated fields as the next version of a profile
+   * @param {string} ref - Profile id or name
+   * @returns {Promise<object|null>} The updated profile, or null if it does not exist
+   * @throws {Error} with statusCode 409 if renamed to a taken name
+   */
+  async updateModel(ref, { change_note: changeNote = null, updated_by: updatedBy = null, ...fields }) {
+    const current = await this.getModel(ref);
+    if (!current) {
+      return null;
+    }
+    const collection = await this.getCollection();
+    let model;
+    try {
+      model = await collection.findOneAndUpdate(
+        { _id: current._id },
+        { $set: { ...fields, updated_at: new Date(), updated_by: updatedBy }, $inc: { version: 1 } },
+        { returnDocument: "after" }
+      );
+    } catch (error) {
+      throw RiskModelService.duplicateName(error, fields.name);
+    }
+    if (model) {
+      await this.saveVersion(model, changeNote);
+    }
+    return model;
+  }
+
+  /**
+   * Save an earlier version's definition as the next version of a profile
+   * @returns {Promise<object|null>} The updated profile, or null if the profile or version does not exist
+   */
+  async restoreVersion(ref, version, { updated_by: updatedBy = null } = {}) {
+    const current = await this.getModel(ref);
+    const snapshot = current && (await this.getVersion(current._id.toString(), version));
+    if (!snapshot) {
+      return null;
+    }
+    return this.updateModel(current._id.toString(), {
+      ...snapshot.definition,
+      change_note: `Restored version ${version}`,
+      updated_by: updatedBy,
+    });
+  }
+
+  async saveVersion(model, changeNote) {
+    const versions = await this.getVersionsCollection();
+    await versions.insertOne({
+      model_id: model._id,
+      name: model.name,
+      version: model.version,
+      definition: modelDefinition(model),
+      change_note: changeNote,
+      updated_by: model.updated_by || null,
+      created_at: model.updated_at,
+    });
+  }
+
+  /**
+   * Versions of a profile, newest first, without their definitions
+   */
+  async listVersions(modelId) {
+    const versions = await this.getVersionsCollection();
+    return versions
+      .find({ model_id: RiskModelService.parseId(modelId) }, { projection: { definition: 0 } })
+      .sort({ version: -1 })
+      .toArray();
+  }
+
+  async getVersion(modelId, version) {
+    const versions = await this.getVersionsCollection();
+    return versions.findOne({ model_id: RiskModelService.parseId(modelId), version });
+  }
+
+  /**
+   * Delete a profile and its versions
+   * @param {string} ref - Profile id or name
+   * @returns {Promise<boolean>} false if the profile does not exist
+   */
+  async deleteModel(ref) {
+    const current = await this.getModel(ref);
+    if (!current) {
+      return false;
+    }
+    const collection = await this.getCollection();
+    const versions = await this.getVersionsCollection();
+    const { deletedCount } = await collection.deleteOne({ _id: current._id });
+    await versions.deleteMany({ model_id: current._id });
+    return deletedCount > 0;
+  }
+
+  static duplicateName(error, name) {
+    if (error.code === 11000) {
+      return Object.assign(new Error(`A risk model named "${name}" already exists`), { statusCode: 409 });
+    }
+    return error;
+  }
+}
+
+module.exports = RiskModelService;
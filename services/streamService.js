@@ -1,4 +1,7 @@
+const crypto = require("crypto");
 const config = require("../config/config");
+const RingBuffer = require("../utils/ringBuffer");
+const { createPubSubAdapter } = require("./pubsubAdapters");
 
 /**
  * Enhanced Service for managing Server-Sent Events (SSE) connections
@@ -6,9 +9,45 @@ const config = require("../config/config");
  */
 class StreamService {
   constructor() {
-    this.clients = config.SSE_CLIENTS;
+    // Own client lists, so that several instances in one process (fan-out) do not share clients
+    this.clients = Object.fromEntries(Object.keys(config.SSE_CLIENTS).map((stream) => [stream, []]));
     // NEW: Intersection-specific client tracking for enhanced Rust simulator
     this.intersectionClients = new Map(); // intersection_id -> { stream_type -> [clients] }
+
+    // Resume support: monotonic event sequences per stream and recent events
+    // kept for clients reconnecting with Last-Event-ID. Event ids are
+    // "<instance id>:<sequence>", so an id from another instance is never
+    // mistaken for one of this instance's events.
+    this.sequences = {}; // stream_type -> last event sequence
+    this.history = {}; // stream_type -> event history
+    // Least recently broadcast first, capped at SSE_INTERSECTION_HISTORY_KEYS intersections
+    this.intersectionHistory = new Map(); // intersection_id -> { stream_type -> event history }
+    this.intersectionHistoryEvictedThrough = {}; // stream_type -> last sequence when a history was dropped
+
+    // Per-client filter predicates (see utils/streamFilter.js)
+    this.clientFilters = new WeakMap(); // client -> (data) => boolean
+
+    // Services observing broadcasts (e.g. windowed aggregates)
+    this.broadcastListeners = [];
+
+    // Backpressure: per-client outbound queues used while a socket is not draining
+    this.clientStates = new WeakMap(); // client -> { queue, blocked, sent, dropped }
+    this.backpressureStats = {
+      dropped: {}, // stream_type -> events dropped for slow clients
+      evicted_clients: 0,
+    };
+    this.heartbeatTimer = null;
+
+    // Connection metadata of SSE clients, listed by the admin API
+    this.clientInfo = new WeakMap(); // res -> { id, transport, remote_address, connected_at }
+    Object.keys(this.clients).forEach((stream) => {
+      this.sequences[stream] = 0;
+      this.history[stream] = this.createHistory(config.SSE_HISTORY_SIZE);
+    });
+
+    // Fan-out of broadcasts to the other API instances
+    this.pubsub = createPubSubAdapter();
+    this.localStreams = new Set(); // stream types computed by every instance itself
   }
 
   static getInstance() {
@@ -18,15 +57,44 @@ class StreamService {
     return StreamService.instance;
   }
 
+  /**
+   * Register an additional stream type (e.g. an aggregate stream)
+   * @param {string} stream - The stream type
+   * @param {object} [options]
+   * @param {boolean} [options.local] - Not fanned out: every instance produces it itself
+   */
+  registerStream(stream, options = {}) {
+    if (options.local) {
+      this.localStreams.add(stream);
+    }
+    if (this.clients[stream]) {
+      return;
+    }
+    this.clients[stream] = [];
+    this.sequences[stream] = 0;
+    this.history[stream] = this.createHistory(config.SSE_HISTORY_SIZE);
+  }
+
+  /**
+   * Observe every broadcast
+   * @param {Function} listener - Called with (stream, data) after each broadcast
+   */
+  onBroadcast(listener) {
+    this.broadcastListeners.push(listener);
+  }
+
   /**
    * Add a new client to the appropriate stream
    * @param {string} stream - The stream type (TRAFFIC, VEHICLE, etc.)
    * @param {object} res - Express response object
+   * @param {object} [options]
+   * @param {Function} [options.filter] - Only send events matching this predicate
    */
-  addClient(stream, res) {
+  addClient(stream, res, options = {}) {
     if (!this.clients[stream]) {
       throw new Error(`Stream type ${stream} not supported`);
     }
+    this.setClientFilter(res, options.filter);
 
     // Set up SSE headers
     this.setupSSE(res);
@@ -41,6 +109,9 @@ class StreamService {
       })}\n\n`
     );
 
+    // Send events missed since the client's Last-Event-ID
+    this.resumeClient(res, stream, this.history[stream]);
+
     // Add client to the list
     this.clients[stream].push(res);
 
@@ -55,8 +126,12 @@ class StreamService {
    * @param {string} stream - The stream type (TRAFFIC, VEHICLE, etc.)
    * @param {string} intersectionId - The intersection ID
    * @param {object} res - Express response object
+   * @param {object} [options]
+   * @param {Function} [options.filter] - Only send events matching this predicate
    */
-  addIntersectionClient(stream, intersectionId, res) {
+  addIntersectionClient(stream, intersectionId, res, options = {}) {
+    this.setClientFilter(res, options.filter);
+
     // Set up SSE headers
     this.setupSSE(res);
 
@@ -87,6 +162,9 @@ class StreamService {
       timestamp: new Date().toISOString()
     })}\n\n`);
 
+    // Send events missed since the client's Last-Event-ID
+    this.resumeClient(res, stream, this.getIntersectionHistory(intersectionId, stream));
+
     // Handle client disconnect
     res.on("close", () => {
       this.removeIntersectionClient(stream, intersectionId, res);
@@ -98,6 +176,15 @@ class StreamService {
    * @param {object} res - Express response object
    */
   setupSSE(res) {
+    if (!this.clientInfo.has(res)) {
+      this.clientInfo.set(res, {
+        id: crypto.randomUUID(),
+        transport: "sse",
+        remote_address: res.req && res.req.socket ? res.req.socket.remoteAddress : null,
+        connected_at: new Date().toISOString(),
+      });
+    }
+
     res.writeHead(200, {
       "Content-Type": "text/event-stream",
       "Cache-Control": "no-cache",
@@ -107,6 +194,481 @@ class StreamService {
     });
   }
 
+  /**
+   * Create an empty event history
+   * @param {number} size - Number of events kept
+   */
+  createHistory(size) {
+    return { events: new RingBuffer(size), evictedThrough: 0 };
+  }
+
+  /**
+   * Get (or create) the event history of an intersection-specific stream.
+   * Past SSE_INTERSECTION_HISTORY_KEYS intersections, the history of the least
+   * recently used one is dropped; clients resuming on it are told of the gap.
+   * @param {string} intersectionId - The intersection ID
+   * @param {string} stream - The stream type
+   */
+  getIntersectionHistory(intersectionId, stream) {
+    let streams = this.intersectionHistory.get(intersectionId);
+    if (streams) {
+      // Re-insert so the intersection moves to the end of the usage order
+      this.intersectionHistory.delete(intersectionId);
+    } else {
+      streams = new Map();
+    }
+    this.intersectionHistory.set(intersectionId, streams);
+
+    if (this.intersectionHistory.size > config.SSE_INTERSECTION_HISTORY_KEYS) {
+      const [oldestId, oldest] = this.intersectionHistory.entries().next().value;
+      this.intersectionHistory.delete(oldestId);
+      oldest.forEach((_, oldestStream) => {
+        this.intersectionHistoryEvictedThrough[oldestStream] = this.sequences[oldestStream] || 0;
+      });
+    }
+
+    if (!streams.has(stream)) {
+      const history = this.createHistory(config.SSE_INTERSECTION_HISTORY_SIZE);
+      // Events before a dropped history may have been this intersection's
+      history.evictedThrough = this.intersectionHistoryEvictedThrough[stream] || 0;
+      streams.set(stream, history);
+    }
+    return streams.get(stream);
+  }
+
+  /**
+   * Allocate the next event sequence of a stream
+   * @param {string} stream - The stream type
+   * @returns {number} Event sequence
+   */
+  nextEventId(stream) {
+    this.sequences[stream] = (this.sequences[stream] || 0) + 1;
+    return this.sequences[stream];
+  }
+
+  /**
+   * Event id sent to clients for an event sequence
+   * @param {number} sequence - Event sequence
+   * @returns {string} "<instance id>:<sequence>"
+   */
+  formatEventId(sequence) {
+    return `${this.pubsub.instanceId}:${sequence}`;
+  }
+
+  /**
+   * Parse an event id sent back by a client
+   * @param {string} id - Event id
+   * @returns {{ instanceId: string, sequence: number }|null} null if it is not an event id
+   */
+  parseEventId(id) {
+    const separator = id.lastIndexOf(":");
+    const sequence = Number(id.slice(separator + 1));
+    if (separator <= 0 || !Number.isInteger(sequence) || sequence < 0) {
+      return null;
+    }
+    return { instanceId: id.slice(0, separator), sequence };
+  }
+
+  /**
+   * Keep a sent event in a history for Last-Event-ID replay
+   * @param {object} history - Event history
+   * @param {number} id - Event sequence
+   * @param {string} payload - Serialized event data
+   */
+  recordEvent(history, id, payload) {
+    const evicted = history.events.push({ id, payload });
+    if (evicted) {
+      history.evictedThrough = evicted.id;
+    }
+  }
+
+  /**
+   * Format an SSE event
+   * @param {number} id - Event sequence
+   * @param {string} payload - Serialized event data
+   */
+  formatEvent(id, payload) {
+    return `id: ${this.formatEventId(id)}\ndata: ${payload}\n\n`;
+  }
+
+  /**
+   * Set or clear the filter predicate of a client
+   * @param {object} client - Express response (SSE) or WebSocket client
+   * @param {Function|null} filter - Predicate on event data, null to receive everything
+   */
+  setClientFilter(client, filter) {
+    if (filter) {
+      this.clientFilters.set(client, filter);
+    } else {
+      this.clientFilters.delete(client);
+    }
+  }
+
+  /**
+   * Deliver an event to a client of either transport, unless the client's filter rejects it
+   * @param {object} client - Express response (SSE) or WebSocket client
+   * @param {string} stream - The stream type
+   * @param {number} id - Event sequence
+   * @param {string} payload - Serialized event data
+   * @param {object} [data] - Event data (parsed from payload if omitted and the client has a filter)
+   */
+  writeEvent(client, stream, id, payload, data = null) {
+    const filter = this.clientFilters.get(client);
+    if (filter && !filter(data || JSON.parse(payload))) {
+      return;
+    }
+
+    if (client.transport === "websocket") {
+      // ws buffers internally; past the limit the event is dropped (or the socket closed)
+      if (client.socket.bufferedAmount > config.WS_MAX_BUFFERED_BYTES) {
+        this.handleSlowClient(client, stream);
+        return;
+      }
+      client.sendEvent(stream, this.formatEventId(id), payload);
+      this.getClientState(client).sent++;
+    } else {
+      this.queueWrite(client, stream, this.formatEvent(id, payload));
+    }
+  }
+
+  /**
+   * Get the backpressure state of a client
+   * @param {object} client - Express response (SSE) or WebSocket client
+   */
+  getClientState(client) {
+    let state = this.clientStates.get(client);
+    if (!state) {
+      state = { queue: [], blocked: false, sent: 0, dropped: 0 };
+      this.clientStates.set(client, state);
+    }
+    return state;
+  }
+
+  /**
+   * Write an SSE chunk, respecting backpressure. Once res.write() reports a full
+   * socket buffer, chunks wait in a bounded per-client queue until "drain".
+   * @param {object} res - Express response object
+   * @param {string} stream - The stream type (for drop counters)
+   * @param {string} chunk - Formatted SSE event
+   */
+  queueWrite(res, stream, chunk) {
+    const state = this.getClientState(res);
+    if (state.evicted) {
+      return;
+    }
+    if (state.blocked) {
+      if (state.queue.length >= config.SSE_CLIENT_QUEUE_LIMIT && !this.handleSlowClient(res, stream)) {
+        return;
+      }
+      state.queue.push({ stream, chunk });
+      return;
+    }
+
+    state.sent++;
+    if (!res.write(chunk)) {
+      state.blocked = true;
+      res.once("drain", () => this.drainQueue(res));
+    }
+  }
+
+  /**
+   * Flush queued chunks after the socket drained
+   * @param {object} res - Express response object
+   */
+  drainQueue(res) {
+    const state = this.getClientState(res);
+    state.blocked = false;
+    while (state.queue.length > 0) {
+      const { chunk } = state.queue.shift();
+      state.sent++;
+      if (!res.write(chunk)) {
+        state.blocked = true;
+        res.once("drain", () => this.drainQueue(res));
+        return;
+      }
+    }
+  }
+
+  /**
+   * Apply the slow-client policy to a client whose queue is full
+   * @param {object} client - Express response (SSE) or WebSocket client
+   * @param {string} stream - The stream type of the event that did not fit
+   * @returns {boolean} true if the new event can still be queued (an older one was dropped)
+   */
+  handleSlowClient(client, stream) {
+    const state = this.getClientState(client);
+
+    if (config.SSE_SLOW_CLIENT_POLICY === "disconnect") {
+      if (!state.evicted) {
+        state.evicted = true;
+        state.queue = [];
+        this.backpressureStats.evicted_clients++;
+        console.warn(`Disconnecting slow ${client.transport || "sse"} stream client`);
+        if (client.transport === "websocket") {
+          client.socket.terminate();
+        } else {
+          client.destroy();
+        }
+      }
+      return false;
+    }
+
+    // drop-oldest: SSE clients lose their oldest queued event, WebSocket clients the new one
+    const dropped = client.transport === "websocket" ? { stream } : state.queue.shift();
+    state.dropped++;
+    this.backpressureStats.dropped[dropped.stream] = (this.backpressureStats.dropped[dropped.stream] || 0) + 1;
+    return client.transport !== "websocket";
+  }
+
+  /**
+   * All connected clients, global and intersection-specific, each once
+   * @returns {Set<object>}
+   */
+  getAllClients() {
+    const clients = new Set();
+    Object.values(this.clients).forEach(list => list.forEach(client => clients.add(client)));
+    this.intersectionClients.forEach(streams => {
+      streams.forEach(list => list.forEach(client => clients.add(client)));
+    });
+    return clients;
+  }
+
+  /**
+   * Identity of a client of either transport
+   * @param {object} client - Express response (SSE) or WebSocket client
+   * @returns {object} { id, transport, remote_address, connected_at, filter }
+   */
+  getClientInfo(client) {
+    if (client.transport === "websocket") {
+      return {
+        id: client.id,
+        transport: "websocket",
+        remote_address: client.remoteAddress,
+        connected_at: client.connectedAt.toISOString(),
+        filter: client.filter,
+      };
+    }
+    const query = client.req && client.req.query;
+    return {
+      ...this.clientInfo.get(client),
+      filter: (query && query.filter) || null,
+    };
+  }
+
+  /**
+   * Describe every connected client with its subscriptions and delivery counters
+   * @returns {object[]}
+   */
+  listClients() {
+    const subscriptions = new Map(); // client -> [{ stream, intersection_id }]
+    const add = (client, stream, intersectionId) => {
+      if (!subscriptions.has(client)) {
+        subscriptions.set(client, []);
+      }
+      subscriptions.get(client).push({ stream, intersection_id: intersectionId });
+    };
+
+    Object.entries(this.clients).forEach(([stream, clients]) => {
+      clients.forEach((client) => add(client, stream, null));
+    });
+    this.intersectionClients.forEach((streams, intersectionId) => {
+      streams.forEach((clients, stream) => clients.forEach((client) => add(client, stream, intersectionId)));
+    });
+
+    return Array.from(subscriptions, ([client, clientSubscriptions]) => {
+      const state = this.getClientState(client);
+      const bytesQueued = client.transport === "websocket"
+        ? client.socket.bufferedAmount
+        : state.queue.reduce((sum, { chunk }) => sum + Buffer.byteLength(chunk), client.writableLength || 0);
+
+      return {
+        ...this.getClientInfo(client),
+        subscriptions: clientSubscriptions,
+        events_sent: state.sent,
+        events_dropped: state.dropped,
+        queued_events: state.queue.length,
+        bytes_queued: bytesQueued,
+        slow: state.blocked,
+      };
+    });
+  }
+
+  /**
+   * Find a connected client by id
+   * @param {string} id - Client id (see getClientInfo)
+   * @returns {object|null} Express response (SSE) or WebSocket client
+   */
+  findClient(id) {
+    for (const client of this.getAllClients()) {
+      if (this.getClientInfo(client).id === id) {
+        return client;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Forcibly disconnect a client, telling it why first
+   * @param {string} id - Client id
+   * @param {string} [reason] - Reason sent in the disconnect notice
+   * @returns {boolean} false if no client has this id
+   */
+  disconnectClient(id, reason = "Disconnected by an administrator") {
+    const client = this.findClient(id);
+    if (!client) {
+      return false;
+    }
+
+    this.writeNotice(client, { type: "disconnect", reason, timestamp: new Date().toISOString() });
+
+    // Drop it from every stream right away instead of waiting for the close event
+    Object.keys(this.clients).forEach((stream) => this.removeClient(stream, client));
+    this.intersectionClients.forEach((streams, intersectionId) => {
+      Array.from(streams.keys()).forEach((stream) => this.removeIntersectionClient(stream, intersectionId, client));
+    });
+
+    if (client.transport === "websocket") {
+      client.socket.close(4000, "Disconnected by an administrator");
+    } else {
+      client.end();
+    }
+    return true;
+  }
+
+  /**
+   * Send a system notice to the clients of every API instance
+   * @param {object} notice - { message, level, streams }
+   * @returns {number} Clients notified on this instance
+   */
+  broadcastNotice(notice) {
+    const recipients = this.deliverNotice(notice);
+    this.publish({ kind: "notice", stream: null, data: notice });
+    return recipients;
+  }
+
+  /**
+   * Send a system notice to the clients connected to this instance
+   * @param {object} notice - { message, level, streams }; streams limits the
+   *   notice to clients subscribed to one of them
+   * @returns {number} Clients notified
+   */
+  deliverNotice({ message, level = "info", streams = null }) {
+    const payload = { type: "system_notice", level, message, timestamp: new Date().toISOString() };
+    const clients = new Set();
+    Object.entries(this.clients).forEach(([stream, list]) => {
+      if (!streams || streams.includes(stream)) list.forEach((client) => clients.add(client));
+    });
+    this.intersectionClients.forEach((intersectionStreams) => {
+      intersectionStreams.forEach((list, stream) => {
+        if (!streams || streams.includes(stream)) list.forEach((client) => clients.add(client));
+      });
+    });
+
+    clients.forEach((client) => {
+      try {
+        this.writeNotice(client, payload);
+      } catch (error) {
+        console.error(`Error sending system notice: ${error.message}`);
+      }
+    });
+    return clients.size;
+  }
+
+  /**
+   * Send heartbeats so idle proxies keep stream connections open: an SSE comment
+   * line (ignored by EventSource) or a WebSocket ping
+   */
+  startHeartbeat() {
+    if (this.heartbeatTimer || config.SSE_HEARTBEAT_MS <= 0) {
+      return;
+    }
+    this.heartbeatTimer = setInterval(() => {
+      const comment = `: heartbeat ${new Date().toISOString()}\n\n`;
+      this.getAllClients().forEach((client) => {
+        try {
+          if (client.transport === "websocket") {
+            client.socket.ping();
+          } else if (!this.getClientState(client).blocked) {
+            client.write(comment);
+          }
+        } catch (error) {
+          console.error(`Error sending heartbeat: ${error.message}`);
+        }
+      });
+    }, config.SSE_HEARTBEAT_MS);
+    this.heartbeatTimer.unref();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Send a control message (connection, resume notice) to a client of either transport
+   * @param {object} client - Express response (SSE) or WebSocket client
+   * @param {object} message - Message without event id
+   */
+  writeNotice(client, message) {
+    if (client.transport === "websocket") {
+      client.send(message);
+    } else {
+      client.write(`data: ${JSON.stringify(message)}\n\n`);
+    }
+  }
+
+  /**
+   * Read the last event id a reconnecting client received, from the
+   * Last-Event-ID header (sent by EventSource) or the lastEventId query parameter
+   * @param {object} res - Express response object
+   * @returns {string|null} null for new connections
+   */
+  getLastEventId(res) {
+    const req = res.req;
+    if (!req || res.transport === "websocket") {
+      return null;
+    }
+    const value = req.get("Last-Event-ID") || (req.query && req.query.lastEventId);
+    return typeof value === "string" && value !== "" ? value : null;
+  }
+
+  /**
+   * Replay the events a reconnecting client missed. A resume notice tells the
+   * client how many events were replayed and whether some were lost because
+   * they are no longer buffered.
+   * @param {object} res - Express response object or WebSocket client
+   * @param {string} stream - The stream type
+   * @param {object} history - Event history to replay from
+   * @param {string|null} [lastEventId] - Defaults to the SSE request's Last-Event-ID
+   */
+  resumeClient(res, stream, history, lastEventId = this.getLastEventId(res)) {
+    if (lastEventId === null) {
+      return;
+    }
+
+    // Ids of another instance (or a restarted one without a fixed
+    // STREAM_INSTANCE_ID) and ids ahead of the sequence come from before a
+    // restart or a move between instances: the whole buffer is replayed
+    const parsed = this.parseEventId(lastEventId);
+    const unknown = !parsed || parsed.instanceId !== this.pubsub.instanceId
+      || parsed.sequence > (this.sequences[stream] || 0);
+    const missed = history.events.toArray().filter((event) => unknown || event.id > parsed.sequence);
+    const gap = unknown || parsed.sequence < history.evictedThrough;
+
+    this.writeNotice(res, {
+      type: "resume",
+      stream_type: stream,
+      last_event_id: lastEventId,
+      replayed: missed.length,
+      gap,
+      timestamp: new Date().toISOString()
+    });
+
+    missed.forEach((event) => {
+      this.writeEvent(res, stream, event.id, event.payload);
+    });
+  }
+
   /**
    * Remove a client from the stream
    * @param {string} stream - The stream type
@@ -148,7 +710,91 @@ class StreamService {
   }
 
   /**
-   * Enhanced broadcast with intersection awareness
+   * Subscribe a WebSocket client to a stream, globally or for one intersection.
+   * WebSocket clients share the SSE client registry, so broadcasts reach both transports.
+   * @param {object} client - WebSocket client
+   * @param {string} stream - The stream type
+   * @param {string|null} intersectionId - Intersection ID, or null for the global stream
+   * @param {string|null} lastEventId - Replay buffered events after this id
+   */
+  subscribe(client, stream, intersectionId = null, lastEventId = null) {
+    if (!this.clients[stream]) {
+      throw new Error(`Stream type ${stream} not supported`);
+    }
+
+    if (intersectionId) {
+      if (!this.intersectionClients.has(intersectionId)) {
+        this.intersectionClients.set(intersectionId, new Map());
+      }
+      const intersectionStreams = this.intersectionClients.get(intersectionId);
+      if (!intersectionStreams.has(stream)) {
+        intersectionStreams.set(stream, []);
+      }
+      if (!intersectionStreams.get(stream).includes(client)) {
+        this.resumeClient(client, stream, this.getIntersectionHistory(intersectionId, stream), lastEventId);
+        intersectionStreams.get(stream).push(client);
+      }
+    } else if (!this.clients[stream].includes(client)) {
+      this.resumeClient(client, stream, this.history[stream], lastEventId);
+      this.clients[stream].push(client);
+    }
+  }
+
+  /**
+   * Unsubscribe a WebSocket client from a stream, globally or for one intersection
+   * @param {object} client - WebSocket client
+   * @param {string} stream - The stream type
+   * @param {string|null} intersectionId - Intersection ID, or null for the global stream
+   */
+  unsubscribe(client, stream, intersectionId = null) {
+    if (intersectionId) {
+      this.removeIntersectionClient(stream, intersectionId, client);
+    } else {
+      this.removeClient(stream, client);
+    }
+  }
+
+  /**
+   * Start receiving broadcasts published by other API instances
+   */
+  async startFanout() {
+    await this.pubsub.start((message) => this.handleRemoteMessage(message));
+  }
+
+  async stopFanout() {
+    await this.pubsub.stop();
+  }
+
+  /**
+   * Publish a broadcast for the other API instances. Never throws: local
+   * clients are served whether or not the fan-out works.
+   * @param {object} message - { kind, stream, data }
+   */
+  publish(message) {
+    try {
+      this.pubsub.publish({ origin: this.pubsub.instanceId, ...message });
+    } catch (error) {
+      console.error(`Error publishing broadcast to other instances: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deliver a broadcast published by another API instance to local clients
+   * @param {object} message - { origin, kind, stream, data }
+   */
+  handleRemoteMessage({ kind, stream, data }) {
+    if (kind === "coordination") {
+      this.deliverCoordination(data.intersection_id, data.coordination);
+    } else if (kind === "notice") {
+      this.deliverNotice(data);
+    } else if (this.clients[stream] && !this.localStreams.has(stream)) {
+      this.deliver(stream, data);
+    }
+  }
+
+  /**
+   * Enhanced broadcast with intersection awareness. Reaches the clients of
+   * every API instance through the pub/sub adapter.
    * @param {string} stream - The stream type
    * @param {object} data - The data to broadcast
    */
@@ -157,6 +803,19 @@ class StreamService {
       return;
     }
 
+    this.deliver(stream, data);
+    if (!this.localStreams.has(stream)) {
+      this.publish({ kind: "broadcast", stream, data });
+    }
+  }
+
+  /**
+   * Send a broadcast to the clients connected to this instance
+   * @param {string} stream - The stream type
+   * @param {object} data - The data to broadcast
+   */
+  deliver(stream, data) {
+
     // Enhanced payload with metadata
     const enhancedPayload = {
       ...data,
@@ -166,11 +825,13 @@ class StreamService {
     };
 
     const payload = JSON.stringify(enhancedPayload);
+    const eventId = this.nextEventId(stream);
+    this.recordEvent(this.history[stream], eventId, payload);
 
-    // Broadcast to global stream clients
+    // Broadcast to global stream clients (SSE and WebSocket)
     this.clients[stream].forEach((client) => {
       try {
-        client.write(`data: ${payload}\n\n`);
+        this.writeEvent(client, stream, eventId, payload, enhancedPayload);
       } catch (error) {
         console.error(`Error broadcasting to client: ${error.message}`);
         this.removeClient(stream, client);
@@ -179,8 +840,16 @@ class StreamService {
 
     // NEW: Broadcast to intersection-specific clients if data has intersection_id
     if (data.intersection_id) {
-      this.broadcastToIntersection(stream, data.intersection_id, enhancedPayload);
+      this.broadcastToIntersection(stream, data.intersection_id, enhancedPayload, eventId);
     }
+
+    this.broadcastListeners.forEach((listener) => {
+      try {
+        listener(stream, enhancedPayload);
+      } catch (error) {
+        console.error(`Error in broadcast listener: ${error.message}`);
+      }
+    });
   }
 
   /**
@@ -188,23 +857,26 @@ class StreamService {
    * @param {string} stream - The stream type
    * @param {string} intersectionId - The intersection ID
    * @param {object} data - The data to broadcast
+   * @param {number} [eventId] - Sequence of the global event this one mirrors
    */
-  broadcastToIntersection(stream, intersectionId, data) {
+  broadcastToIntersection(stream, intersectionId, data, eventId = this.nextEventId(stream)) {
+    const intersectionPayload = {
+      ...data,
+      intersection_specific: true,
+      timestamp: new Date().toISOString()
+    };
+    const payload = JSON.stringify(intersectionPayload);
+    this.recordEvent(this.getIntersectionHistory(intersectionId, stream), eventId, payload);
+
     const intersectionStreams = this.intersectionClients.get(intersectionId);
     if (!intersectionStreams || !intersectionStreams.has(stream)) {
       return;
     }
 
-    const payload = JSON.stringify({
-      ...data,
-      intersection_specific: true,
-      timestamp: new Date().toISOString()
-    });
-
     const clients = intersectionStreams.get(stream);
     clients.forEach((client, index) => {
       try {
-        client.write(`data: ${payload}\n\n`);
+        this.writeEvent(client, stream, eventId, payload, intersectionPayload);
       } catch (error) {
         console.error(`Error broadcasting to intersection client: ${error.message}`);
         // Remove failed client
@@ -230,10 +902,39 @@ class StreamService {
       });
     });
 
+    const transports = { sse: 0, websocket: 0 };
+    const backpressure = { slow_clients: 0, queued_events: 0, dropped_total: 0 };
+    this.getAllClients().forEach(client => {
+      transports[client.transport === "websocket" ? "websocket" : "sse"]++;
+      const state = this.getClientState(client);
+      if (state.blocked) backpressure.slow_clients++;
+      backpressure.queued_events += state.queue.length;
+    });
+    Object.values(this.backpressureStats.dropped).forEach(count => {
+      backpressure.dropped_total += count;
+    });
+
+    const lastEventIds = {};
+    Object.keys(this.sequences).forEach(stream => {
+      lastEventIds[stream] = this.formatEventId(this.sequences[stream]);
+    });
+
     return {
       global_streams: globalStats,
       intersection_streams: intersectionStats,
       total_intersections: this.intersectionClients.size,
+      transports,
+      last_event_ids: lastEventIds,
+      intersection_histories: this.intersectionHistory.size,
+      fanout: this.pubsub.getStats(),
+      backpressure: {
+        policy: config.SSE_SLOW_CLIENT_POLICY,
+        queue_limit: config.SSE_CLIENT_QUEUE_LIMIT,
+        heartbeat_ms: config.SSE_HEARTBEAT_MS,
+        ...backpressure,
+        dropped_events: { ...this.backpressureStats.dropped },
+        evicted_clients: this.backpressureStats.evicted_clients
+      },
       timestamp: new Date().toISOString()
     };
   }
@@ -244,6 +945,20 @@ class StreamService {
    * @param {object} coordinationData - Coordination data
    */
   broadcastCoordination(intersectionId, coordinationData) {
+    this.deliverCoordination(intersectionId, coordinationData);
+    this.publish({
+      kind: "coordination",
+      stream: "COORDINATION",
+      data: { intersection_id: intersectionId, coordination: coordinationData }
+    });
+  }
+
+  /**
+   * Send a coordination update to the clients connected to this instance
+   * @param {string} intersectionId - The intersection ID
+   * @param {object} coordinationData - Coordination data
+   */
+  deliverCoordination(intersectionId, coordinationData) {
     const payload = {
       type: "coordination_update",
       intersection_id: intersectionId,
@@ -254,10 +969,13 @@ class StreamService {
     // Broadcast to all intersection-specific clients
     const intersectionStreams = this.intersectionClients.get(intersectionId);
     if (intersectionStreams) {
+      const serialized = JSON.stringify(payload);
       intersectionStreams.forEach((clients, stream) => {
+        const eventId = this.nextEventId(stream);
+        this.recordEvent(this.getIntersectionHistory(intersectionId, stream), eventId, serialized);
         clients.forEach(client => {
           try {
-            client.write(`data: ${JSON.stringify(payload)}\n\n`);
+            this.writeEvent(client, stream, eventId, serialized, payload);
           } catch (error) {
             console.error(`Error broadcasting coordination update: ${error.message}`);
           }
@@ -267,7 +985,7 @@ class StreamService {
 
     // Also broadcast to global COORDINATION clients if they exist
     if (this.clients.COORDINATION) {
-      this.broadcast("COORDINATION", payload);
+      this.deliver("COORDINATION", payload);
     }
   }
 }
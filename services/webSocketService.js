@@ -0,0 +1,245 @@
+const crypto = require("crypto");
+const { WebSocketServer, WebSocket } = require("ws");
+const config = require("../config/config");
+const StreamService = require("./streamService");
+const AlertService = require("./alertService");
+const { parseFilter } = require("../utils/streamFilter");
+const { adminKeyError } = require("../utils/adminAuth");
+
+/**
+ * A WebSocket connection registered in the StreamService client registry.
+ * StreamService delivers events through sendEvent(), like it writes to SSE responses.
+ */
+class WebSocketClient {
+  constructor(socket, request) {
+    this.transport = "websocket";
+    this.id = crypto.randomUUID();
+    this.socket = socket;
+    this.remoteAddress = request.socket.remoteAddress;
+    this.connectedAt = new Date();
+    this.subscriptions = new Map(); // "STREAM" or "STREAM@intersection_id" -> { stream, intersection_id }
+    this.lastEventIds = {}; // stream -> last event id sent
+    this.filter = null; // filter text, see utils/streamFilter.js
+    this.adminKey = request.headers["x-admin-key"] || null; // for alert acknowledgements
+  }
+
+  /**
+   * Send a broadcast event. An event reaching the client both through a global
+   * and an intersection subscription is only sent once.
+   * @param {string} stream - The stream type
+   * @param {string} id - Event id
+   * @param {string} payload - Serialized event data
+   */
+  sendEvent(stream, id, payload) {
+    if (this.lastEventIds[stream] === id) {
+      return;
+    }
+    this.lastEventIds[stream] = id;
+    this.sendRaw(`{"type":"event","stream":${JSON.stringify(stream)},"id":${JSON.stringify(id)},"data":${payload}}`);
+  }
+
+  /**
+   * Send a control message
+   * @param {object} message - JSON message
+   */
+  send(message) {
+    this.sendRaw(JSON.stringify(message));
+  }
+
+  sendRaw(text) {
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(text);
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      remote_address: this.remoteAddress,
+      connected_at: this.connectedAt.toISOString(),
+      subscriptions: Array.from(this.subscriptions.values()),
+      filter: this.filter,
+    };
+  }
+}
+
+/**
+ * Service exposing the real-time streams over WebSocket. Unlike SSE, one socket
+ * can change its stream and intersection subscriptions without reconnecting,
+ * and acknowledge alerts.
+ *
+ * Client messages (JSON, optional request_id echoed in the reply):
+ *   { action: "subscribe", streams: ["TRAFFIC"], intersection_ids?: ["..."], last_event_id?, filter? }
+ *   { action: "unsubscribe", streams: ["TRAFFIC"], intersection_ids?: ["..."] }
+ *   { action: "ack_alert", alert_id, acknowledged_by?, admin_key? }
+ *   { action: "ping" }
+ */
+class WebSocketService {
+  constructor() {
+    this.streamService = StreamService.getInstance();
+    this.server = null;
+    this.clients = new Set();
+  }
+
+  static getInstance() {
+    if (!WebSocketService.instance) {
+      WebSocketService.instance = new WebSocketService();
+    }
+    return WebSocketService.instance;
+  }
+
+  /**
+   * Accept WebSocket upgrades on the HTTP server
+   * @param {object} httpServer - Node HTTP server returned by app.listen()
+   */
+  attach(httpServer) {
+    this.server = new WebSocketServer({ server: httpServer, path: config.WS_PATH });
+    this.server.on("connection", (socket, request) => this.handleConnection(socket, request));
+  }
+
+  /**
+   * Register a new socket, with initial subscriptions from the query string
+   * (?streams=TRAFFIC,ALERT&intersection_id=...&filter=...)
+   */
+  handleConnection(socket, request) {
+    const client = new WebSocketClient(socket, request);
+    this.clients.add(client);
+
+    socket.on("message", (data) => this.handleMessage(client, data));
+    socket.on("close", () => this.removeClient(client));
+    socket.on("error", (error) => {
+      console.error(`WebSocket client ${client.id} error:`, error.message);
+    });
+
+    client.send({
+      type: "connected",
+      client_id: client.id,
+      streams: Object.keys(this.streamService.clients),
+      timestamp: new Date().toISOString(),
+    });
+
+    const query = new URL(request.url, "http://localhost").searchParams;
+    if (query.get("streams")) {
+      this.handleMessage(client, JSON.stringify({
+        action: "subscribe",
+        streams: query.get("streams").split(","),
+        intersection_ids: query.get("intersection_id") ? query.get("intersection_id").split(",") : undefined,
+        filter: query.get("filter") || undefined,
+      }));
+    }
+  }
+
+  /**
+   * Handle a client message
+   * @param {WebSocketClient} client - Sending client
+   * @param {Buffer|string} data - Raw message
+   */
+  async handleMessage(client, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return client.send({ type: "error", error: "Messages must be JSON" });
+    }
+
+    const requestId = message.request_id;
+    try {
+      switch (message.action) {
+        case "subscribe":
+        case "unsubscribe":
+          return client.send({
+            type: `${message.action}d`,
+            request_id: requestId,
+            subscriptions: this.updateSubscriptions(client, message),
+          });
+        case "ack_alert": {
+          // Like the REST lifecycle endpoints: X-Admin-Key on the upgrade request, or admin_key
+          const rejection = adminKeyError(message.admin_key || client.adminKey);
+          if (rejection) {
+            return client.send({ type: "error", request_id: requestId, error: rejection.body.error, alert_id: message.alert_id });
+          }
+          const alert = await AlertService.getInstance().acknowledge(message.alert_id, {
+            by: message.acknowledged_by || null,
+          });
+          if (!alert) {
+            return client.send({ type: "error", request_id: requestId, error: "Alert not found", alert_id: message.alert_id });
+          }
+          return client.send({ type: "alert_acknowledged", request_id: requestId, alert_id: message.alert_id });
+        }
+        case "ping":
+          return client.send({ type: "pong", request_id: requestId, timestamp: new Date().toISOString() });
+        default:
+          return client.send({ type: "error", request_id: requestId, error: `Unknown action: ${message.action}` });
+      }
+    } catch (error) {
+      client.send({ type: "error", request_id: requestId, error: error.message });
+    }
+  }
+
+  /**
+   * Apply a subscribe or unsubscribe message
+   * @returns {object[]} The client's subscriptions afterwards
+   * @throws {Error} on unknown stream types
+   */
+  updateSubscriptions(client, message) {
+    const streams = [].concat(message.streams || []).map((stream) => String(stream).toUpperCase());
+    if (streams.length === 0) {
+      throw new Error("streams is required");
+    }
+    const unknown = streams.filter((stream) => !this.streamService.clients[stream]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown streams: ${unknown.join(", ")}`);
+    }
+
+    // One filter per socket, applied to all of its subscriptions ("" clears it)
+    if (message.action === "subscribe" && message.filter !== undefined) {
+      const filter = message.filter && typeof message.filter === "object" ? JSON.stringify(message.filter) : message.filter;
+      this.streamService.setClientFilter(client, parseFilter(filter));
+      client.filter = filter || null;
+    }
+
+    const intersectionIds = message.intersection_ids ? [].concat(message.intersection_ids) : [null];
+    const lastEventId = typeof message.last_event_id === "string" && message.last_event_id !== ""
+      ? message.last_event_id
+      : null;
+
+    streams.forEach((stream) => {
+      intersectionIds.forEach((intersectionId) => {
+        const key = intersectionId ? `${stream}@${intersectionId}` : stream;
+        if (message.action === "subscribe") {
+          this.streamService.subscribe(client, stream, intersectionId, lastEventId);
+          client.subscriptions.set(key, { stream, intersection_id: intersectionId });
+        } else {
+          this.streamService.unsubscribe(client, stream, intersectionId);
+          client.subscriptions.delete(key);
+        }
+      });
+    });
+
+    return Array.from(client.subscriptions.values());
+  }
+
+  /**
+   * Drop a closed socket from every stream it was subscribed to
+   */
+  removeClient(client) {
+    client.subscriptions.forEach(({ stream, intersection_id }) => {
+      this.streamService.unsubscribe(client, stream, intersection_id);
+    });
+    client.subscriptions.clear();
+    this.clients.delete(client);
+  }
+
+  getClients() {
+    return Array.from(this.clients).map((client) => client.toJSON());
+  }
+
+  close() {
+    if (this.server) {
+      this.clients.forEach((client) => client.socket.close(1001, "Server shutting down"));
+      this.server.close();
+    }
+  }
+}
+
+module.exports = WebSocketService;
@@ -0,0 +1,450 @@
+const crypto = require("crypto");
+const { ObjectId } = require("mongodb");
+const Database = require("../db/database");
+const config = require("../config/config");
+const { signPayload } = require("../utils/ingestAuth");
+const { matchesWebhook } = require("../utils/webhooks");
+
+const MAX_RESPONSE_BODY = 1000; // characters of the receiver's response kept per attempt
+
+/**
+ * Outbound webhooks: alert events are POSTed to the subscriptions whose
+ * filters match them. Every delivery is stored in the delivery log before it
+ * is sent, so failed deliveries are retried with exponential backoff (also
+ * after a restart, and by any API instance) until WEBHOOK_MAX_ATTEMPTS.
+ *
+ * Deliveries are signed with the subscription's secret, like signed ingest
+ * requests: X-Webhook-Signature is sha256=HMAC("<timestamp>.<body>").
+ *
+ * A subscription whose last WEBHOOK_DISABLE_AFTER_FAILURES deliveries all
+ * failed is disabled; its pending retries then fail too.
+ */
+class WebhookService {
+  constructor() {
+    this.pollTimer = null;
+    this.polling = false;
+    this.indexesReady = null;
+    this.stats = { queued: 0, delivered: 0, retried: 0, failed: 0, disabled: 0, errors: 0 };
+  }
+
+  static getInstance() {
+    if (!WebhookService.instance) {
+      WebhookService.instance = new WebhookService();
+    }
+    return WebhookService.instance;
+  }
+
+  async getCollection() {
+    return Database.getInstance().getCollection(config.WEBHOOKS_COLLECTION);
+  }
+
+  async getDeliveriesCollection() {
+    const collection = await Database.getInstance().getCollection(config.WEBHOOK_DELIVERIES_COLLECTION);
+    if (!this.indexesReady) {
+      // Retried on the next call if index creation fails
+      this.indexesReady = Promise.all([
+        collection.createIndex({ status: 1, next_attempt_at: 1 }),
+        collection.createIndex({ webhook_id: 1, created_at: -1 }),
+        collection.createIndex(
+          { created_at: 1 },
+          { expireAfterSeconds: config.WEBHOOK_DELIVERY_RETENTION_DAYS * 24 * 60 * 60 }
+        ),
+      ]).catch((error) => {
+        this.indexesReady = null;
+        throw error;
+      });
+    }
+    await this.indexesReady;
+    return collection;
+  }
+
+  /**
+   * Start sending due retries
+   */
+  start() {
+    if (this.pollTimer) {
+      return;
+    }
+    this.pollTimer = setInterval(() => {
+      this.processDue().catch((error) => {
+        this.stats.errors++;
+        console.error("Error processing webhook retries:", error.message);
+      });
+    }, config.WEBHOOK_POLL_MS);
+    this.pollTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  static parseId(id) {
+    return typeof id === "string" && ObjectId.isValid(id) ? new ObjectId(id) : null;
+  }
+
+  /**
+   * Subscription as returned by the API: the secret is only returned on creation
+   */
+  static redact(webhook) {
+    const { secret, ...rest } = webhook;
+    return { ...rest, secret_set: !!secret };
+  }
+
+  /**
+   * Queue an alert event for the matching subscriptions. Never throws:
+   * webhook failures must not affect the alert.
+   * @param {string} event - "alert.created" | "alert.updated" | "alert.escalated"
+   * @param {object} alert - The alert, matched against the subscription filters
+   * @param {object} [data] - Event data, the alert by default
+   */
+  notify(event, alert, data = alert) {
+    this.enqueue(event, alert, data).catch((error) => {
+      this.stats.errors++;
+      console.error(`Error queueing ${event} webhooks:`, error.message);
+    });
+  }
+
+  async enqueue(event, alert, data) {
+    const collection = await this.getCollection();
+    const webhooks = await collection.find({ enabled: true, events: event }).toArray();
+    await Promise.all(webhooks
+      .filter((webhook) => matchesWebhook(webhook, event, alert))
+      .map((webhook) => this.createDelivery(webhook, event, data)));
+  }
+
+  /**
+   * Store a delivery and make its first attempt
+   * @param {object} webhook - Stored subscription
+   * @param {string} event - Event name
+   * @param {object} data - Event data
+   * @param {object} [options]
+   * @param {string} [options.eventId] - Event id, kept on redeliveries so receivers can drop duplicates
+   * @param {object} [options.fields] - Extra delivery fields
+   * @returns {Promise<object>} The stored delivery
+   */
+  async createDelivery(webhook, event, data, { eventId = crypto.randomUUID(), fields = {} } = {}) {
+    const deliveries = await this.getDeliveriesCollection();
+    const now = new Date();
+    const delivery = {
+      webhook_id: webhook._id.toString(),
+      webhook_name: webhook.name,
+      url: webhook.url,
+      event,
+      payload: { id: eventId, event, created_at: now.toISOString(), data },
+      status: "pending",
+      attempt_count: 0,
+      attempts: [],
+      next_attempt_at: now,
+      locked_until: this.lockUntil(),
+      last_status_code: null,
+      last_error: null,
+      delivered_at: null,
+      created_at: now,
+      updated_at: now,
+      ...fields,
+    };
+    const { insertedId } = await deliveries.insertOne(delivery);
+    this.stats.queued++;
+
+    const stored = { _id: insertedId, ...delivery };
+    this.attempt(stored).catch((error) => {
+      this.stats.errors++;
+      console.error(`Error delivering webhook ${insertedId}:`, error.message);
+    });
+    return stored;
+  }
+
+  lockUntil() {
+    return new Date(Date.now() + config.WEBHOOK_TIMEOUT_MS + 5000);
+  }
+
+  /**
+   * Claim the deliveries due for a retry and send them
+   */
+  async processDue() {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+    try {
+      const deliveries = await this.getDeliveriesCollection();
+      const claimed = [];
+      for (let i = 0; i < config.WEBHOOK_CONCURRENCY; i++) {
+        const now = new Date();
+        // The lock keeps other instances from sending the same attempt
+        const delivery = await deliveries.findOneAndUpdate(
+          {
+            status: "pending",
+            next_attempt_at: { $lte: now },
+            $or: [{ locked_until: null }, { locked_until: { $lt: now } }],
+          },
+          { $set: { locked_until: this.lockUntil() } },
+          { sort: { next_attempt_at: 1 }, returnDocument: "after" }
+        );
+        if (!delivery) break;
+        claimed.push(delivery);
+      }
+      await Promise.all(claimed.map((delivery) => this.attempt(delivery)));
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Send a claimed delivery once and record the attempt
+   * @param {object} delivery - Stored delivery
+   */
+  async attempt(delivery) {
+    const deliveries = await this.getDeliveriesCollection();
+    const webhook = await (await this.getCollection()).findOne({ _id: new ObjectId(delivery.webhook_id) });
+    const number = delivery.attempt_count + 1;
+    const startedAt = new Date();
+    const result = { attempt: number, at: startedAt, status_code: null, error: null, duration_ms: 0, response_body: null };
+
+    // Pings still go out, to check whether a disabled receiver is back
+    const disabled = webhook && webhook.enabled === false && delivery.event !== "ping";
+    if (!webhook) {
+      result.error = "Webhook was deleted";
+    } else if (disabled) {
+      result.error = "Webhook is disabled";
+    } else {
+      const body = JSON.stringify(delivery.payload);
+      const timestamp = String(Date.now());
+      try {
+        const response = await fetch(webhook.url, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "User-Agent": "traffic-api-webhooks",
+            "X-Webhook-Id": delivery.webhook_id,
+            "X-Webhook-Event": delivery.event,
+            "X-Webhook-Delivery": delivery._id.toString(),
+            "X-Webhook-Timestamp": timestamp,
+            "X-Webhook-Signature": `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+          },
+          body,
+          redirect: "manual",
+          signal: AbortSignal.timeout(config.WEBHOOK_TIMEOUT_MS),
+        });
+        result.status_code = response.status;
+        result.response_body = (await response.text()).slice(0, MAX_RESPONSE_BODY);
+        if (!response.ok) {
+          result.error = `Receiver responded ${response.status}`;
+        }
+      } catch (error) {
+        result.error = error.name === "TimeoutError"
+          ? `No response within ${config.WEBHOOK_TIMEOUT_MS} ms`
+          : error.cause ? `${error.message}: ${error.cause.message}` : error.message;
+      }
+    }
+    result.duration_ms = Date.now() - startedAt.getTime();
+
+    const now = new Date();
+    const update = {
+      attempt_count: number,
+      last_status_code: result.status_code,
+      last_error: result.error,
+      locked_until: null,
+      updated_at: now,
+    };
+    if (!result.error) {
+      Object.assign(update, { status: "delivered", delivered_at: now, next_attempt_at: null });
+      this.stats.delivered++;
+    } else if (!webhook || disabled || number >= config.WEBHOOK_MAX_ATTEMPTS) {
+      Object.assign(update, { status: "failed", next_attempt_at: null });
+      this.stats.failed++;
+    } else {
+      // Exponential backoff: base, 2 x base, 4 x base, ... capped at WEBHOOK_RETRY_MAX_MS
+      const delay = Math.min(config.WEBHOOK_RETRY_BASE_MS * 2 ** (number - 1), config.WEBHOOK_RETRY_MAX_MS);
+      update.next_attempt_at = new Date(now.getTime() + delay);
+      this.stats.retried++;
+    }
+
+    await deliveries.updateOne({ _id: delivery._id }, { $set: update, $push: { attempts: result } });
+    if (webhook && !disabled) {
+      await this.recordOutcome(webhook, update.status);
+    }
+    return { ...delivery, ...update, attempts: [...delivery.attempts, result] };
+  }
+
+  /**
+   * Count the consecutive failed deliveries of a subscription, and disable it
+   * once WEBHOOK_DISABLE_AFTER_FAILURES is reached (0 never disables)
+   * @param {object} webhook - Stored subscription
+   * @param {string} [status] - Delivery status after the attempt; retries change nothing
+   */
+  async recordOutcome(webhook, status) {
+    const collection = await this.getCollection();
+    if (status === "delivered") {
+      if (webhook.consecutive_failures) {
+        await collection.updateOne({ _id: webhook._id }, { $set: { consecutive_failures: 0 } });
+      }
+      return;
+    }
+    if (status !== "failed") {
+      return;
+    }
+
+    const updated = await collection.findOneAndUpdate(
+      { _id: webhook._id },
+      { $inc: { consecutive_failures: 1 } },
+      { returnDocument: "after" }
+    );
+    const limit = config.WEBHOOK_DISABLE_AFTER_FAILURES;
+    if (!updated || limit <= 0 || updated.consecutive_failures < limit) {
+      return;
+    }
+    const now = new Date();
+    const { modifiedCount } = await collection.updateOne(
+      { _id: webhook._id, enabled: true },
+      {
+        $set: {
+          enabled: false,
+          disabled_at: now,
+          disabled_reason: `${updated.consecutive_failures} consecutive deliveries failed`,
+          updated_at: now,
+        },
+      }
+    );
+    if (modifiedCount > 0) {
+      this.stats.disabled++;
+      console.warn(`Webhook ${webhook.name} disabled after ${updated.consecutive_failures} consecutive failed deliveries`);
+    }
+  }
+
+  /**
+   * Send a stored delivery again as a new delivery with the same payload
+   * @param {string} deliveryId - Delivery id
+   * @returns {Promise<object|null>} The new delivery, or null if the delivery does not exist
+   * @throws {Error} with statusCode 409 if its webhook was deleted
+   */
+  async redeliver(deliveryId) {
+    const original = await this.getDelivery(deliveryId);
+    if (!original) {
+      return null;
+    }
+    const webhook = await this.getWebhook(original.webhook_id);
+    if (!webhook) {
+      throw Object.assign(new Error("The webhook of this delivery was deleted"), { statusCode: 409 });
+    }
+    return this.createDelivery(webhook, original.event, original.payload.data, {
+      eventId: original.payload.id,
+      fields: { redelivery_of: original._id.toString() },
+    });
+  }
+
+  /**
+   * Send a ping event to a subscription, whatever its filters
+   * @returns {Promise<object|null>} The delivery, or null if the webhook does not exist
+   */
+  async sendTest(webhookId) {
+    const webhook = await this.getWebhook(webhookId);
+    if (!webhook) {
+      return null;
+    }
+    return this.createDelivery(webhook, "ping", {
+      message: "Test delivery from the traffic API",
+      webhook_id: webhook._id.toString(),
+    });
+  }
+
+  async listWebhooks(filter = {}) {
+    const collection = await this.getCollection();
+    return collection.find(filter).sort({ created_at: 1 }).toArray();
+  }
+
+  async getWebhook(webhookId) {
+    const objectId = WebhookService.parseId(webhookId);
+    if (!objectId) {
+      return null;
+    }
+    const collection = await this.getCollection();
+    return collection.findOne({ _id: objectId });
+  }
+
+  /**
+   * Store a validated subscription
+   * @param {object} webhook - Output of validateWebhook
+   */
+  async createWebhook(webhook) {
+    const collection = await this.getCollection();
+    const now = new Date();
+    const document = { ...webhook, created_at: now, updated_at: now };
+    const { insertedId } = await collection.insertOne(document);
+    return { _id: insertedId, ...document };
+  }
+
+  /**
+   * Update a subscription (validated fields only). Enabling it clears its
+   * failure count.
+   * @returns {Promise<object|null>} The updated subscription, or null if it does not exist
+   */
+  async updateWebhook(webhookId, fields) {
+    const objectId = WebhookService.parseId(webhookId);
+    if (!objectId) {
+      return null;
+    }
+    const collection = await this.getCollection();
+    const reset = fields.enabled === true ? { consecutive_failures: 0, disabled_at: null, disabled_reason: null } : {};
+    return collection.findOneAndUpdate(
+      { _id: objectId },
+      { $set: { ...fields, ...reset, updated_at: new Date() } },
+      { returnDocument: "after" }
+    );
+  }
+
+  /**
+   * Delete a subscription. Its delivery log is kept; pending retries fail.
+   * @returns {Promise<boolean>} false if the subscription does not exist
+   */
+  async deleteWebhook(webhookId) {
+    const objectId = WebhookService.parseId(webhookId);
+    if (!objectId) {
+      return false;
+    }
+    const collection = await this.getCollection();
+    const { deletedCount } = await collection.deleteOne({ _id: objectId });
+    return deletedCount > 0;
+  }
+
+  /**
+   * List deliveries, newest first, without their payload
+   * @param {object} filter - MongoDB filter
+   * @param {object} options - { skip, limit }
+   */
+  async listDeliveries(filter, { skip = 0, limit = 50 } = {}) {
+    const deliveries = await this.getDeliveriesCollection();
+    const [data, total] = await Promise.all([
+      deliveries
+        .find(filter, { projection: { payload: 0 } })
+        .sort({ created_at: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      deliveries.countDocuments(filter),
+    ]);
+    return { data, total };
+  }
+
+  async getDelivery(deliveryId) {
+    const objectId = WebhookService.parseId(deliveryId);
+    if (!objectId) {
+      return null;
+    }
+    const deliveries = await this.getDeliveriesCollection();
+    return deliveries.findOne({ _id: objectId });
+  }
+
+  getStats() {
+    return {
+      enabled: config.WEBHOOKS_ENABLED,
+      max_attempts: config.WEBHOOK_MAX_ATTEMPTS,
+      disable_after_failures: config.WEBHOOK_DISABLE_AFTER_FAILURES,
+      timeout_ms: config.WEBHOOK_TIMEOUT_MS,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = WebhookService;
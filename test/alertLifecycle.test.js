@@ -0,0 +1,75 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const config = require("../config/config");
+const Database = require("../db/database");
+const AlertService = require("../services/alertService");
+const { useMemoryDatabase } = require("./support/memoryDatabase");
+const { useConfig } = require("./support/config");
+
+/**
+ * An alert service on in-memory collections, recording what it broadcasts
+ */
+async function setup(t, alert) {
+  useConfig(t, { WEBHOOKS_ENABLED: false });
+  useMemoryDatabase(t);
+  const service = new AlertService();
+  const broadcasts = [];
+  service.streamService = { broadcast: (stream, data) => broadcasts.push(data) };
+
+  const alerts = await Database.getInstance().getCollection(config.ALERTS_COLLECTION);
+  const { insertedId } = await alerts.insertOne({
+    type: "congestion",
+    severity: "high",
+    timestamp: new Date(Date.now() - 10 * 60000),
+    ...alert,
+  });
+  return { service, broadcasts, alerts, id: insertedId.toString() };
+}
+
+test("an update assigns and changes the status in one write", async (t) => {
+  const { service, broadcasts, alerts, id } = await setup(t, {});
+
+  const alert = await service.update(id, { assignee: "ops-1", status: "acknowledged", by: "ops-lead", note: "On it" });
+
+  assert.strictEqual(alert.assigned_to, "ops-1");
+  assert.strictEqual(AlertService.statusOf(alert), "acknowledged");
+  assert.deepStrictEqual(
+    alert.history.map(({ action, from_status, to_status, note }) => ({ action, from_status, to_status, note })),
+    [
+      { action: "assigned", from_status: "open", to_status: "open", note: undefined },
+      { action: "acknowledged", from_status: "open", to_status: "acknowledged", note: "On it" },
+    ]
+  );
+  assert.deepStrictEqual(broadcasts.map((update) => update.action), ["assigned", "acknowledged"]);
+  assert.strictEqual((await alerts.findOne({})).history.length, 2);
+});
+
+test("a refused status change leaves the assignment untouched", async (t) => {
+  const { service, broadcasts, alerts, id } = await setup(t, { resolved: true, assigned_to: "ops-1" });
+
+  await assert.rejects(
+    service.update(id, { assignee: "ops-2", status: "acknowledged" }),
+    (error) => error.statusCode === 409
+  );
+  await assert.rejects(
+    service.update(id, { assignee: null, status: "open" }),
+    (error) => error.statusCode === 409 && /cannot be unassigned/.test(error.message)
+  );
+
+  const stored = await alerts.findOne({});
+  assert.strictEqual(stored.assigned_to, "ops-1");
+  assert.strictEqual(stored.history, undefined);
+  assert.strictEqual(broadcasts.length, 0);
+});
+
+test("a reopened alert loses its resolution fields", async (t) => {
+  const { service, id } = await setup(t, {});
+
+  await service.resolve(id, { by: "ops-1", resolution_message: "Cleared" });
+  const alert = await service.reopen(id, { by: "ops-1", note: "Back again" });
+
+  assert.strictEqual(AlertService.statusOf(alert), "open");
+  assert.strictEqual(alert.resolution_message, undefined);
+  assert.strictEqual(alert.resolved_at, undefined);
+  assert.deepStrictEqual(alert.history.map((entry) => entry.action), ["resolved", "reopened"]);
+});
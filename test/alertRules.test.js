@@ -0,0 +1,121 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const config = require("../config/config");
+const AlertRuleService = require("../services/alertRuleService");
+const EscalationService = require("../services/escalationService");
+const { validateRule } = require("../utils/alertRules");
+const { useMemoryDatabase } = require("./support/memoryDatabase");
+const { useConfig } = require("./support/config");
+
+const SPEEDING = { name: "Speeding", stream: "TRAFFIC", condition: "speed > 90", consecutive: 2, cooldown: "10m" };
+
+/**
+ * Rules on in-memory collections, with the alert side effects other than
+ * storing and broadcasting turned off. Cleared conditions are recorded.
+ */
+function setup(t) {
+  useConfig(t, {
+    MAINTENANCE_WINDOWS_ENABLED: false,
+    INCIDENTS_ENABLED: false,
+    WEBHOOKS_ENABLED: false,
+    ESCALATION_ENABLED: true,
+    STREAM_FEED_MODE: "push",
+  });
+  const collections = useMemoryDatabase(t);
+  const cleared = [];
+  const previous = EscalationService.instance;
+  EscalationService.instance = { conditionCleared: (rule, location) => cleared.push(location) };
+  t.after(() => {
+    EscalationService.instance = previous;
+  });
+  return { collections, cleared };
+}
+
+/**
+ * A rule service as a freshly started instance would have it
+ */
+function createService(broadcasts = []) {
+  const service = new AlertRuleService();
+  service.streamService = { broadcast: (stream, data) => broadcasts.push(data) };
+  return service;
+}
+
+function reading(speed, sensorId = "S-1") {
+  return { sensor_id: sensorId, speed, timestamp: new Date().toISOString() };
+}
+
+test("a location fires after its streak and not again within the cooldown", async (t) => {
+  setup(t);
+  const service = createService();
+  await service.createRule(validateRule(SPEEDING).rule);
+
+  service.evaluate("TRAFFIC", reading(95));
+  assert.strictEqual(service.stats.fired, 0);
+  service.evaluate("TRAFFIC", reading(97));
+  assert.strictEqual(service.stats.fired, 1);
+
+  // Another location keeps its own streak
+  service.evaluate("TRAFFIC", reading(99, "S-2"));
+  assert.strictEqual(service.stats.fired, 1);
+
+  service.evaluate("TRAFFIC", reading(60));
+  service.evaluate("TRAFFIC", reading(95));
+  service.evaluate("TRAFFIC", reading(96));
+  assert.strictEqual(service.stats.fired, 1);
+  assert.strictEqual(service.stats.suppressed, 1);
+});
+
+test("the firing state outlives a restart", async (t) => {
+  const { collections, cleared } = setup(t);
+  const before = createService();
+  const rule = await before.createRule(validateRule(SPEEDING).rule);
+  before.evaluate("TRAFFIC", reading(95));
+  before.evaluate("TRAFFIC", reading(97));
+  await before.stateWrites;
+
+  const after = createService();
+  await after.reload();
+
+  // The cooldown still holds...
+  after.evaluate("TRAFFIC", reading(98));
+  after.evaluate("TRAFFIC", reading(99));
+  assert.strictEqual(after.stats.fired, 0);
+  assert.strictEqual(after.stats.suppressed, 1);
+
+  // ...and the alert raised before the restart is cleared with its condition
+  after.evaluate("TRAFFIC", reading(60));
+  assert.deepStrictEqual(cleared, ["S-1"]);
+  await after.stateWrites;
+  const [state] = collections.get(config.ALERT_RULE_STATE_COLLECTION).documents;
+  assert.strictEqual(state._id, `${rule._id}|S-1`);
+  assert.strictEqual(state.firing, false);
+
+  // A changed rule starts over
+  await after.updateRule(rule._id.toString(), { consecutive: 3 });
+  assert.strictEqual(collections.get(config.ALERT_RULE_STATE_COLLECTION).documents.length, 0);
+});
+
+test("rule definitions are normalized, and invalid fields reported", () => {
+  const { rule, errors } = validateRule({ ...SPEEDING, stream: "traffic", duration: "5m", name: " Speeding " });
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(
+    rule,
+    {
+      name: "Speeding",
+      stream: "TRAFFIC",
+      condition: "speed > 90",
+      group_by: "sensor_id",
+      consecutive: 2,
+      duration_ms: 5 * 60000,
+      cooldown_ms: 10 * 60000,
+      severity: "medium",
+      enabled: true,
+    }
+  );
+
+  const invalid = validateRule({ name: "", stream: "ALERT", condition: "speed >", consecutive: 0, cooldown: "soon", severity: "urgent" });
+  assert.deepStrictEqual(invalid.errors.map((error) => error.field), ["name", "stream", "condition", "consecutive", "cooldown", "severity"]);
+
+  // A partial update only checks what it changes
+  assert.deepStrictEqual(validateRule({ enabled: false }, { partial: true }), { rule: { enabled: false }, errors: [] });
+});
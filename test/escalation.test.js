@@ -0,0 +1,94 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const config = require("../config/config");
+const Database = require("../db/database");
+const AlertService = require("../services/alertService");
+const EscalationService = require("../services/escalationService");
+const { validatePolicy, policyMatches } = require("../utils/escalationPolicies");
+const { useMemoryDatabase } = require("./support/memoryDatabase");
+const { useConfig } = require("./support/config");
+
+const MINUTE = 60000;
+
+/**
+ * An escalation service on in-memory collections, with a stored policy and
+ * alerts received the given number of minutes ago
+ */
+async function setup(t, policyFields, alerts) {
+  useConfig(t, { WEBHOOKS_ENABLED: false, ESCALATION_MAX_AGE_MS: 24 * 60 * MINUTE });
+  useMemoryDatabase(t);
+  const { policy, errors } = validatePolicy(policyFields);
+  assert.deepStrictEqual(errors, []);
+
+  const database = Database.getInstance();
+  await (await database.getCollection(config.ESCALATION_POLICIES_COLLECTION)).insertOne(policy);
+  const collection = await database.getCollection(config.ALERTS_COLLECTION);
+  for (const { minutesAgo, ...fields } of alerts) {
+    await collection.insertOne({ type: "accident", severity: "critical", received_at: new Date(Date.now() - minutesAgo * MINUTE), ...fields });
+  }
+
+  const service = new EscalationService();
+  service.alertService = new AlertService();
+  service.alertService.streamService = { broadcast: () => {} };
+  return { service, alerts: collection };
+}
+
+test("steps are sorted by delay and need a recipient to escalate", () => {
+  const { policy, errors } = validatePolicy({
+    name: "Critical accidents",
+    severities: ["critical"],
+    steps: [
+      { after: "15m", action: "escalate", notify: " supervisor " },
+      { after: "5m", action: "renotify" },
+    ],
+  });
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(policy.steps, [
+    { after_ms: 5 * MINUTE, action: "renotify" },
+    { after_ms: 15 * MINUTE, action: "escalate", notify: "supervisor" },
+  ]);
+
+  const invalid = validatePolicy({ name: "Broken", severities: ["urgent"], steps: [{ after: "soon", action: "renotify" }, { after: "5m", action: "escalate" }] });
+  assert.deepStrictEqual(invalid.errors.map((error) => error.field), ["severities", "steps[0].after", "steps[1].notify"]);
+  assert.deepStrictEqual(validatePolicy({ name: "Empty" }).errors, [{ field: "steps", message: "at least one step or auto_resolve is required" }]);
+});
+
+test("a policy applies to the severities and types it lists, or to all", () => {
+  const alert = { severity: "high", type: "congestion" };
+  assert.strictEqual(policyMatches({ severities: [], alert_types: [] }, alert), true);
+  assert.strictEqual(policyMatches({ severities: ["high"], alert_types: ["congestion", "accident"] }, alert), true);
+  assert.strictEqual(policyMatches({ severities: ["critical"], alert_types: [] }, alert), false);
+  assert.strictEqual(policyMatches({ severities: [], alert_types: [], enabled: false }, alert), false);
+});
+
+test("each step runs once on the open alerts it is due for", async (t) => {
+  const { service, alerts } = await setup(t, {
+    name: "Critical accidents",
+    severities: ["critical"],
+    steps: [
+      { after: "5m", action: "renotify" },
+      { after: "15m", action: "escalate", notify: "supervisor" },
+    ],
+  }, [
+    { minutesAgo: 20, sensor_id: "late" },
+    { minutesAgo: 10, sensor_id: "due" },
+    { minutesAgo: 1, sensor_id: "recent" },
+    { minutesAgo: 20, sensor_id: "acknowledged", acknowledged: true },
+    { minutesAgo: 20, sensor_id: "minor", severity: "low" },
+  ]);
+
+  await service.run();
+  await service.run();
+
+  const bySensor = Object.fromEntries((await alerts.find({}).toArray()).map((alert) => [alert.sensor_id, alert]));
+  const actions = (alert) => (alert.history || []).map((entry) => entry.action);
+  assert.deepStrictEqual(actions(bySensor.late), ["renotified", "escalated"]);
+  assert.strictEqual(bySensor.late.escalation_level, 1);
+  assert.strictEqual(bySensor.late.escalated_to, "supervisor");
+  assert.deepStrictEqual(actions(bySensor.due), ["renotified"]);
+  assert.strictEqual(bySensor.due.escalation_level, undefined);
+  assert.deepStrictEqual(actions(bySensor.recent), []);
+  assert.deepStrictEqual(actions(bySensor.acknowledged), []);
+  assert.deepStrictEqual(actions(bySensor.minor), []);
+  assert.deepStrictEqual(service.stats, { renotified: 2, escalated: 1, auto_resolved: 0, errors: 0 });
+});
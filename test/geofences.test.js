@@ -0,0 +1,111 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { validateGeofence, containsPoint, geofenceQuery, alertLocation } = require("../utils/geofences");
+
+// An L-shaped area, so the polygon is not convex
+const NORTH_PATROL = validateGeofence({
+  name: "north-patrol",
+  polygon: [[-7.64, 33.59], [-7.62, 33.59], [-7.62, 33.595], [-7.63, 33.595], [-7.63, 33.60], [-7.64, 33.60], [-7.64, 33.59]],
+}).geofence;
+const DOWNTOWN = validateGeofence({ name: "downtown", center: [-7.6356, 33.5912], radius_m: 1500 }).geofence;
+
+/**
+ * Evaluate the aggregation operators of the geofence queries on a document
+ */
+function evaluate(expression, document) {
+  if (typeof expression === "string" && expression.startsWith("$")) {
+    return document[expression.slice(1)];
+  }
+  if (expression === null || typeof expression !== "object") {
+    return expression;
+  }
+  const [[operator, operand]] = Object.entries(expression);
+  if (operator === "$and") {
+    return operand.every((item) => evaluate(item, document));
+  }
+  if (operator === "$cond") {
+    return evaluate(operand[0], document) ? evaluate(operand[1], document) : evaluate(operand[2], document);
+  }
+  const args = (Array.isArray(operand) ? operand : [operand]).map((item) => evaluate(item, document));
+  switch (operator) {
+    case "$add": return args.reduce((sum, value) => sum + value, 0);
+    case "$multiply": return args.reduce((product, value) => product * value, 1);
+    case "$subtract": return args[0] - args[1];
+    case "$divide": return args[0] / args[1];
+    case "$mod": return args[0] % args[1];
+    case "$pow": return args[0] ** args[1];
+    case "$sin": return Math.sin(args[0]);
+    case "$cos": return Math.cos(args[0]);
+    case "$degreesToRadians": return (args[0] * Math.PI) / 180;
+    case "$isNumber": return typeof args[0] === "number";
+    case "$eq": return args[0] === args[1];
+    case "$lt": return args[0] < args[1];
+    case "$lte": return args[0] <= args[1];
+    case "$gte": return args[0] >= args[1];
+    default: throw new Error(`Unsupported expression operator ${operator}`);
+  }
+}
+
+test("points are inside a polygon by the even-odd rule", () => {
+  assert.strictEqual(containsPoint(NORTH_PATROL, -7.635, 33.592), true);
+  assert.strictEqual(containsPoint(NORTH_PATROL, -7.625, 33.592), true);
+  assert.strictEqual(containsPoint(NORTH_PATROL, -7.635, 33.598), true);
+  // In the notch of the L
+  assert.strictEqual(containsPoint(NORTH_PATROL, -7.625, 33.598), false);
+  assert.strictEqual(containsPoint(NORTH_PATROL, -7.65, 33.592), false);
+  assert.strictEqual(containsPoint(NORTH_PATROL, Number.NaN, 33.592), false);
+});
+
+test("points are inside a circle within its radius", () => {
+  // 0.01° of latitude is about 1112 m
+  assert.strictEqual(containsPoint(DOWNTOWN, -7.6356, 33.6012), true);
+  assert.strictEqual(containsPoint(DOWNTOWN, -7.6356, 33.6062), false);
+  // A degree of longitude is shorter: cos(33.59°) * 111 km
+  assert.strictEqual(containsPoint(DOWNTOWN, -7.6356 + 0.016, 33.5912), true);
+  assert.strictEqual(containsPoint(DOWNTOWN, -7.6356 + 0.017, 33.5912), false);
+});
+
+test("the query expression agrees with containsPoint", () => {
+  for (const geofence of [NORTH_PATROL, DOWNTOWN]) {
+    const { $expr } = geofenceQuery(geofence, []);
+    for (let x = -7.66; x <= -7.61; x += 0.0025) {
+      for (let y = 33.57; y <= 33.615; y += 0.0025) {
+        const document = { location_x: x, location_y: y };
+        assert.strictEqual(evaluate($expr, document), containsPoint(geofence, x, y), `${geofence.name} at ${x}, ${y}`);
+      }
+    }
+    assert.strictEqual(evaluate($expr, { location_x: "-7.635", location_y: 33.592 }), false);
+  }
+});
+
+test("alerts without coordinates are placed at their sensor", () => {
+  const sensors = new Map([["S-1", [-7.635, 33.592]]]);
+  assert.deepStrictEqual(alertLocation({ location_x: -7.6, location_y: 33.5, sensor_id: "S-1" }, sensors), [-7.6, 33.5]);
+  assert.deepStrictEqual(alertLocation({ sensor_id: "S-1" }, sensors), [-7.635, 33.592]);
+  assert.strictEqual(alertLocation({ sensor_id: "S-2" }, sensors), null);
+
+  const query = geofenceQuery(DOWNTOWN, ["S-1"]);
+  assert.deepStrictEqual(query.$or[1], { location_x: { $not: { $type: "number" } }, sensor_id: { $in: ["S-1"] } });
+});
+
+test("geofences have either a polygon or a circle", () => {
+  // The closing point is dropped
+  assert.strictEqual(NORTH_PATROL.polygon.length, 6);
+  assert.deepStrictEqual(
+    validateGeofence({ name: "x", polygon: [[0, 0], [1, 1]], center: [0, 0], radius_m: 10 }).errors.map((error) => error.field),
+    ["polygon"]
+  );
+  assert.deepStrictEqual(
+    validateGeofence({ name: "x", polygon: [[0, 0], [1, 1], [0, 0]] }).errors,
+    [{ field: "polygon", message: "must have 3 to 500 distinct points" }]
+  );
+  assert.deepStrictEqual(
+    validateGeofence({ name: "x", center: [200, 0], radius_m: 0 }).errors.map((error) => error.field),
+    ["center", "radius_m"]
+  );
+
+  // Changing the radius keeps the stored center
+  const { geofence, errors } = validateGeofence({ radius_m: 500 }, { partial: true, current: DOWNTOWN });
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(geofence, { shape: "circle", polygon: null, center: [-7.6356, 33.5912], radius_m: 500 });
+});
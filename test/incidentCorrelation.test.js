@@ -0,0 +1,94 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { ObjectId } = require("mongodb");
+const config = require("../config/config");
+const IncidentService = require("../services/incidentService");
+const { useMemoryDatabase } = require("./support/memoryDatabase");
+
+const WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * An incident service on the in-memory collections, recording what it broadcasts
+ */
+function createService(broadcasts = []) {
+  const service = new IncidentService();
+  service.windowMs = WINDOW_MS;
+  service.dedupMs = 60 * 1000;
+  service.streamService = { broadcast: (stream, data) => broadcasts.push(data) };
+  return service;
+}
+
+function alertAt(minutesAgo, fields = {}) {
+  return {
+    type: "congestion",
+    severity: "medium",
+    sensor_id: "S-1",
+    intersection_id: "INT-001",
+    timestamp: new Date(Date.now() - minutesAgo * 60000),
+    ...fields,
+  };
+}
+
+test("instances correlating one location at the same moment join one incident", async (t) => {
+  const collections = useMemoryDatabase(t);
+  // Separate instances do not share the per-location queue
+  const first = createService();
+  const second = createService();
+
+  await Promise.all([
+    first.correlate(alertAt(4, { sensor_id: "S-1" })),
+    second.correlate(alertAt(3, { sensor_id: "S-2" })),
+    first.correlate(alertAt(2, { sensor_id: "S-3", type: "collision", severity: "high" })),
+    second.correlate(alertAt(1, { sensor_id: "S-4" })),
+  ]);
+
+  const incidents = collections.get(config.INCIDENTS_COLLECTION).documents;
+  assert.strictEqual(incidents.length, 1);
+  assert.strictEqual(incidents[0].alert_count, 4);
+  assert.strictEqual(incidents[0].severity, "high");
+  assert.deepStrictEqual(incidents[0].sensor_ids.slice().sort(), ["S-1", "S-2", "S-3", "S-4"]);
+  assert.strictEqual(first.stats.opened + second.stats.opened, 1);
+});
+
+test("incident entries refer to the stored alert, or to its key", async (t) => {
+  useMemoryDatabase(t);
+  const service = createService();
+  const stored = alertAt(2, { _id: new ObjectId() });
+
+  await service.correlate(stored);
+  const incident = await service.correlate(alertAt(1, { sensor_id: "S-2" }), { alertKey: "producer-key-1" });
+
+  assert.strictEqual(incident.alerts[0].alert_id, stored._id.toString());
+  assert.strictEqual(incident.alerts[0].alert_key, `S-1|${stored.timestamp.toISOString()}|congestion`);
+  assert.strictEqual(incident.alerts[1].alert_id, null);
+  assert.strictEqual(incident.alerts[1].alert_key, "producer-key-1");
+});
+
+test("a repeated alert within the dedup window counts as a duplicate", async (t) => {
+  useMemoryDatabase(t);
+  const broadcasts = [];
+  const service = createService(broadcasts);
+
+  await service.correlate(alertAt(2));
+  const incident = await service.correlate(alertAt(1.5));
+
+  assert.strictEqual(incident.alert_count, 2);
+  assert.strictEqual(incident.duplicate_count, 1);
+  assert.strictEqual(incident.alerts.length, 1);
+  assert.strictEqual(incident.alerts[0].duplicates, 1);
+  assert.deepStrictEqual(broadcasts.map((update) => update.action), ["opened", "duplicate"]);
+});
+
+test("an alert after the window closes the quiet incident and opens a new one", async (t) => {
+  const collections = useMemoryDatabase(t);
+  const broadcasts = [];
+  const service = createService(broadcasts);
+
+  await service.correlate(alertAt(60));
+  const incident = await service.correlate(alertAt(1));
+
+  const incidents = collections.get(config.INCIDENTS_COLLECTION).documents;
+  assert.deepStrictEqual(incidents.map((stored) => stored.status), ["closed", "active"]);
+  assert.strictEqual(incident.alert_count, 1);
+  assert.deepStrictEqual(broadcasts.map((update) => update.action), ["opened", "closed", "opened"]);
+});
@@ -0,0 +1,72 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const StreamService = require("../services/streamService");
+const KafkaConsumerService = require("../services/kafkaConsumerService");
+const { InMemoryTransport } = require("../services/kafkaTransports");
+const { serveStream, openStream } = require("./support/sse");
+
+const TOPIC = "traffic-data";
+
+/**
+ * A consumer of the traffic topic on an in-memory transport, stopped after the test
+ */
+async function startConsumer(t) {
+  const transport = new InMemoryTransport();
+  const consumer = new KafkaConsumerService({ transport, topics: { TRAFFIC: TOPIC } });
+  await consumer.start();
+  t.after(() => consumer.stop());
+  return { transport, consumer };
+}
+
+test("a produced record reaches SSE clients and its offset is committed", async (t) => {
+  const server = await serveStream(StreamService.getInstance(), "TRAFFIC");
+  t.after(() => server.close());
+  const { transport, consumer } = await startConsumer(t);
+  const client = await openStream(server.url);
+  t.after(() => client.close());
+
+  const offset = await transport.produce(TOPIC, {
+    sensor_id: "kafka-test-1",
+    timestamp: new Date().toISOString(),
+    density: 42,
+  });
+
+  const event = await client.waitFor((e) => e.data.sensor_id === "kafka-test-1");
+  assert.ok(event.id, "broadcast events carry an event id");
+  assert.strictEqual(event.data.density, 42);
+  assert.strictEqual(event.data.stream_type, "TRAFFIC");
+  assert.strictEqual(consumer.stats.broadcast, 1);
+
+  await consumer.commit();
+  assert.strictEqual(transport.committed.get(TOPIC), Number(offset) + 1);
+  const [lag] = (await consumer.getLag())[TOPIC];
+  assert.deepStrictEqual({ committed: lag.committed, lag: lag.lag }, { committed: 1, lag: 0 });
+});
+
+test("tombstones are skipped and committed past", async (t) => {
+  const { transport, consumer } = await startConsumer(t);
+
+  await transport.produce(TOPIC, null);
+  await transport.produce(TOPIC, { sensor_id: "kafka-test-2", timestamp: new Date().toISOString() });
+
+  assert.strictEqual(consumer.status, "running");
+  assert.strictEqual(consumer.stats.skipped, 1);
+  assert.strictEqual(consumer.stats.broadcast, 1);
+  await consumer.commit();
+  assert.strictEqual(transport.committed.get(TOPIC), 2);
+});
+
+test("a crash shows in the consumer status", async (t) => {
+  const { transport, consumer } = await startConsumer(t);
+
+  transport.crashListener(new Error("Broker went away"), true);
+  assert.strictEqual(consumer.status, "restarting");
+  await transport.produce(TOPIC, { sensor_id: "kafka-test-3", timestamp: new Date().toISOString() });
+  assert.strictEqual(consumer.status, "running");
+
+  transport.crashListener(new Error("Group coordinator not available"), false);
+  const status = await consumer.getStatus();
+  assert.strictEqual(status.status, "crashed");
+  assert.strictEqual(status.last_error, "Group coordinator not available");
+  assert.strictEqual(status.lag, null);
+});
@@ -0,0 +1,57 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { validateMaintenanceWindow, windowCovers } = require("../utils/maintenanceWindows");
+
+const WINDOW = {
+  name: "Sensor replacement at INT-001",
+  intersection_ids: ["INT-001"],
+  sensor_ids: ["S-9"],
+  alert_types: [],
+  starts_at: new Date("2025-06-01T22:00:00Z"),
+  ends_at: new Date("2025-06-02T04:00:00Z"),
+};
+
+test("a window covers the alerts of its targets from its start until its end", () => {
+  const alert = { type: "congestion", intersection_id: "INT-001", sensor_id: "S-1" };
+
+  assert.strictEqual(windowCovers(WINDOW, alert, new Date("2025-06-01T22:00:00Z")), true);
+  assert.strictEqual(windowCovers(WINDOW, alert, new Date("2025-06-01T21:59:59Z")), false);
+  assert.strictEqual(windowCovers(WINDOW, alert, new Date("2025-06-02T04:00:00Z")), false);
+
+  const during = new Date("2025-06-02T01:00:00Z");
+  assert.strictEqual(windowCovers(WINDOW, { ...alert, intersection_id: "INT-002", sensor_id: "S-9" }, during), true);
+  assert.strictEqual(windowCovers(WINDOW, { ...alert, intersection_id: "INT-002" }, during), false);
+  assert.strictEqual(windowCovers({ ...WINDOW, alert_types: ["sensor_offline"] }, alert, during), false);
+  assert.strictEqual(windowCovers({ ...WINDOW, alert_types: ["sensor_offline"] }, { ...alert, type: "sensor_offline" }, during), true);
+});
+
+test("windows need a target and an end after their start", () => {
+  const { window, errors } = validateMaintenanceWindow({
+    name: " Works ",
+    sensor_ids: ["S-1"],
+    starts_at: "2025-06-01T22:00:00Z",
+    ends_at: "2025-06-02T04:00:00Z",
+  });
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(window, {
+    name: "Works",
+    intersection_ids: [],
+    sensor_ids: ["S-1"],
+    alert_types: [],
+    starts_at: new Date("2025-06-01T22:00:00Z"),
+    ends_at: new Date("2025-06-02T04:00:00Z"),
+  });
+
+  const invalid = validateMaintenanceWindow({ name: "Works", starts_at: "2025-06-02T04:00:00Z", ends_at: "2025-06-01T22:00:00Z" });
+  assert.deepStrictEqual(invalid.errors.map((error) => error.field), ["intersection_ids", "ends_at"]);
+});
+
+test("a partial update is checked against the stored window", () => {
+  const moved = validateMaintenanceWindow({ ends_at: "2025-06-01T20:00:00Z" }, { partial: true, current: WINDOW });
+  assert.deepStrictEqual(moved.errors, [{ field: "ends_at", message: "must be after starts_at" }]);
+
+  const untargeted = validateMaintenanceWindow({ intersection_ids: [] }, { partial: true, current: { ...WINDOW, sensor_ids: [] } });
+  assert.deepStrictEqual(untargeted.errors.map((error) => error.field), ["intersection_ids"]);
+
+  assert.deepStrictEqual(validateMaintenanceWindow({ reason: "Delayed" }, { partial: true, current: WINDOW }).errors, []);
+});
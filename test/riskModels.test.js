@@ -0,0 +1,66 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { DEFAULT_RISK_MODEL } = require("../utils/riskAnalysis");
+const { modelDefinition, validateRiskModel, parseModelRef } = require("../utils/riskModels");
+
+const WET_SEASON = {
+  name: "wet-season",
+  weights: { environment: 0.3, incidents: 0.15 },
+  thresholds: { speed: { excessive: 70 } },
+  points: { rain: 30, wet_road: 15 },
+};
+
+test("a profile is merged over the defaults into a complete model", () => {
+  const { model, errors } = validateRiskModel(WET_SEASON);
+  assert.deepStrictEqual(errors, []);
+
+  const expected = modelDefinition(DEFAULT_RISK_MODEL);
+  Object.assign(expected.weights, WET_SEASON.weights);
+  Object.assign(expected.points, WET_SEASON.points);
+  expected.thresholds.speed.excessive = 70;
+  assert.deepStrictEqual(model, { name: "wet-season", ...expected });
+
+  // The defaults themselves are left alone
+  assert.strictEqual(DEFAULT_RISK_MODEL.weights.environment, 0.2);
+  assert.strictEqual(DEFAULT_RISK_MODEL.thresholds.speed.excessive, 80);
+});
+
+test("a partial update applies to the stored profile", () => {
+  const stored = validateRiskModel(WET_SEASON).model;
+  const { model, errors } = validateRiskModel({ points: { fog: 40 }, change_note: "Fog season" }, { partial: true, current: stored });
+
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(model.name, undefined);
+  assert.strictEqual(model.points.fog, 40);
+  assert.strictEqual(model.points.rain, 30);
+  assert.strictEqual(model.weights.environment, 0.3);
+  assert.strictEqual(model.change_note, "Fog season");
+  // The stored profile is not changed in place
+  assert.strictEqual(stored.points.fog, DEFAULT_RISK_MODEL.points.fog);
+});
+
+test("unknown keys, negative values and an inconsistent merged model are rejected", () => {
+  const fields = (body, options) => validateRiskModel(body, options).errors.map((error) => error.field);
+
+  assert.deepStrictEqual(fields({ name: "default" }), ["name"]);
+  assert.deepStrictEqual(fields({ name: "bad name" }), ["name"]);
+  assert.deepStrictEqual(
+    fields({ name: "x", weights: { traffic: -1, typo: 1 }, thresholds: { speed: { limit: 50 }, unknown: {} } }),
+    ["weights.traffic", "weights.typo", "thresholds.speed.limit", "thresholds.unknown"]
+  );
+  assert.deepStrictEqual(
+    fields({ name: "x", weights: { traffic: 0, intersection: 0, environment: 0, incidents: 0 } }),
+    ["weights"]
+  );
+  // Each value is valid alone, but not with the rest of the model
+  assert.deepStrictEqual(fields({ name: "x", levels: { high: 90 } }), ["levels"]);
+  assert.deepStrictEqual(fields({ name: "x", thresholds: { speed: { low: 90 } } }), ["thresholds.speed"]);
+  assert.deepStrictEqual(fields({ name: "x", points: { rain: 150 } }), ["points.rain"]);
+});
+
+test("model references name a profile and optionally a version", () => {
+  assert.deepStrictEqual(parseModelRef("wet-season"), { ref: "wet-season", version: null });
+  assert.deepStrictEqual(parseModelRef(" wet-season@3 "), { ref: "wet-season", version: 3 });
+  assert.deepStrictEqual(parseModelRef("team@home@2"), { ref: "team@home", version: 2 });
+  assert.deepStrictEqual(parseModelRef("wet-season@latest"), { ref: "wet-season@latest", version: null });
+});
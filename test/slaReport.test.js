@@ -0,0 +1,91 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { parseSlaTargets, buildSlaReport } = require("../utils/slaReport");
+
+const MINUTE = 60000;
+const START = new Date("2025-06-01T00:00:00Z");
+const END = new Date("2025-06-03T12:00:00Z");
+const NOW = Date.parse("2025-06-03T12:00:00Z");
+const { targets: TARGETS } = parseSlaTargets("critical:5m/1h,high:15m/4h");
+
+/**
+ * An alert raised `day` days after START plus `minute` minutes, with its
+ * acknowledgement and resolution `acknowledgedAfter`/`resolvedAfter` minutes later
+ */
+function alertAt(day, minute, { acknowledgedAfter, resolvedAfter, ...fields } = {}) {
+  const raisedAt = new Date(START.getTime() + day * 24 * 60 * MINUTE + minute * MINUTE);
+  const later = (minutes) => (minutes === undefined ? undefined : new Date(raisedAt.getTime() + minutes * MINUTE).toISOString());
+  return {
+    raised_at: raisedAt,
+    severity: "critical",
+    type: "accident",
+    intersection_id: "INT-001",
+    acknowledged_at: later(acknowledgedAfter),
+    resolved_at: later(resolvedAfter),
+    resolved: resolvedAfter !== undefined,
+    ...fields,
+  };
+}
+
+test("targets are parsed per severity, and invalid entries reported", () => {
+  assert.deepStrictEqual(TARGETS, {
+    critical: { acknowledge_ms: 5 * MINUTE, resolve_ms: 60 * MINUTE },
+    high: { acknowledge_ms: 15 * MINUTE, resolve_ms: 4 * 60 * MINUTE },
+  });
+  const { targets, errors } = parseSlaTargets("HIGH: 10m/2h, urgent:1m/1h, low:5m");
+  assert.deepStrictEqual(targets, { high: { acknowledge_ms: 10 * MINUTE, resolve_ms: 2 * 60 * MINUTE } });
+  assert.strictEqual(errors.length, 2);
+});
+
+test("alerts handled late or still unhandled after the target breach it", () => {
+  const report = buildSlaReport([
+    alertAt(0, 0, { acknowledgedAfter: 2, resolvedAfter: 30, acknowledged_by: "ops-1" }),
+    alertAt(0, 60, { acknowledgedAfter: 10, resolvedAfter: 90, acknowledged_by: "ops-2" }),
+    // Resolved directly: the resolution is the response
+    alertAt(1, 0, { resolvedAfter: 4, resolved_by: "ops-1" }),
+    // Open for more than a day
+    alertAt(1, 60),
+    // Raised a minute before the report: not late yet
+    alertAt(2, 11 * 60 + 59),
+  ], { targets: TARGETS, start: START, end: END, now: NOW });
+
+  const { summary } = report;
+  assert.strictEqual(summary.alerts, 5);
+  assert.strictEqual(summary.acknowledged, 3);
+  assert.strictEqual(summary.resolved, 3);
+  assert.strictEqual(summary.open, 2);
+  assert.deepStrictEqual(summary.breaches, { acknowledge: 2, resolve: 2 });
+  assert.deepStrictEqual(summary.compliance_percent, { acknowledge: 50, resolve: 50 });
+  assert.strictEqual(summary.time_to_acknowledge.count, 3);
+  assert.strictEqual(summary.time_to_acknowledge.p50_minutes, 4);
+  assert.strictEqual(summary.time_to_acknowledge.max_minutes, 10);
+  assert.strictEqual(summary.time_to_resolve.max_minutes, 90);
+
+  assert.deepStrictEqual(report.by_operator.map(({ key, alerts }) => [key, alerts]), [["ops-1", 2], ["ops-2", 1]]);
+  assert.deepStrictEqual(report.targets.critical, { acknowledge_minutes: 5, resolve_minutes: 60 });
+});
+
+test("the daily trend has a point for every day of the period", () => {
+  const report = buildSlaReport([
+    alertAt(0, 10, { acknowledgedAfter: 1, resolvedAfter: 10 }),
+    alertAt(2, 10, { severity: "low", acknowledgedAfter: 1 }),
+  ], { targets: TARGETS, start: START, end: END, now: NOW });
+
+  assert.deepStrictEqual(report.daily.map(({ date, alerts }) => [date, alerts]), [
+    ["2025-06-01", 1],
+    ["2025-06-02", 0],
+    ["2025-06-03", 1],
+  ]);
+  // No target for low alerts
+  assert.deepStrictEqual(report.daily[2].compliance_percent, { acknowledge: null, resolve: null });
+  assert.deepStrictEqual(report.by_severity.map(({ key }) => key), ["critical", "low"]);
+});
+
+test("imported alerts count their resolution time in minutes", () => {
+  const report = buildSlaReport([
+    { ...alertAt(0, 0), resolved: true, resolution_time: 45, severity: "high" },
+  ], { targets: TARGETS, start: START, end: END, now: NOW });
+
+  assert.strictEqual(report.summary.time_to_resolve.max_minutes, 45);
+  assert.deepStrictEqual(report.summary.compliance_percent, { acknowledge: null, resolve: 100 });
+});
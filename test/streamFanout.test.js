@@ -0,0 +1,113 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const net = require("net");
+const { spawn } = require("child_process");
+const StreamService = require("../services/streamService");
+const IngestService = require("../services/ingestService");
+const { serveStream, openStream } = require("./support/sse");
+
+test("a record ingested on one instance reaches the clients of another", async (t) => {
+  // IngestService broadcasts through the singleton; a second instance has its own adapter
+  const first = StreamService.getInstance();
+  const second = new StreamService();
+  await first.startFanout();
+  await second.startFanout();
+  t.after(() => Promise.all([first.stopFanout(), second.stopFanout()]));
+  assert.notStrictEqual(first.pubsub.instanceId, second.pubsub.instanceId);
+
+  const server = await serveStream(second, "TRAFFIC");
+  t.after(() => server.close());
+  const client = await openStream(server.url);
+  t.after(() => client.close());
+
+  const result = IngestService.getInstance().ingest("TRAFFIC", {
+    sensor_id: "fanout-test-1",
+    timestamp: new Date().toISOString(),
+    density: 17,
+  });
+  assert.strictEqual(result.accepted, true);
+
+  const event = await client.waitFor((e) => e.data.sensor_id === "fanout-test-1");
+  assert.strictEqual(event.data.density, 17);
+  // Delivered with an id of the instance the client is connected to
+  assert.ok(event.id.startsWith(`${second.pubsub.instanceId}:`));
+  assert.strictEqual(second.pubsub.getStats().received, 1);
+});
+
+/**
+ * A free local port
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start the API in a child process and wait until its traffic stream accepts clients
+ * @returns {Promise<{ url: string, client: object }>} Base URL and an open TRAFFIC stream
+ */
+async function startInstance(t, env) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: path.join(__dirname, ".."),
+    env: { ...process.env, ...env, PORT: String(port) },
+    stdio: "ignore",
+  });
+  t.after(() => child.kill("SIGTERM"));
+
+  const url = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + 15000;
+  for (;;) {
+    try {
+      const client = await openStream(`${url}/api/traffic/stream`);
+      t.after(() => client.close());
+      return { url, client };
+    } catch (error) {
+      if (Date.now() > deadline || child.exitCode !== null) {
+        throw new Error(`API instance on port ${port} did not start: ${error.message}`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, 250));
+    }
+  }
+}
+
+// The mongo adapter needs a replica set, e.g.
+// TEST_MONGO_REPLSET_URI=mongodb://localhost:27017/?replicaSet=rs0 npm test
+test(
+  "two API processes on the mongo adapter share broadcasts",
+  { skip: !process.env.TEST_MONGO_REPLSET_URI && "set TEST_MONGO_REPLSET_URI to a replica set" },
+  async (t) => {
+    const env = {
+      MONGO_URI: process.env.TEST_MONGO_REPLSET_URI,
+      DB_NAME: process.env.TEST_MONGO_DB_NAME || "traffic_fanout_test",
+      STREAM_PUBSUB: "mongo",
+      INGEST_PRODUCER_SECRETS: "",
+      INGEST_AUTH_ENABLED: "false",
+      KAFKA_ENABLED: "false",
+    };
+    const [first, second] = await Promise.all([startInstance(t, env), startInstance(t, env)]);
+
+    const sensorId = `fanout-test-${Date.now()}`;
+    const response = await fetch(`${first.url}/api/receive/traffic`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ sensor_id: sensorId, timestamp: new Date().toISOString(), density: 23 }),
+    });
+    assert.strictEqual(response.status, 200);
+
+    const [local, remote] = await Promise.all([
+      first.client.waitFor((e) => e.data.sensor_id === sensorId, 5000),
+      second.client.waitFor((e) => e.data.sensor_id === sensorId, 5000),
+    ]);
+    assert.strictEqual(remote.data.density, 23);
+    assert.notStrictEqual(local.id.split(":")[0], remote.id.split(":")[0]);
+  }
+);
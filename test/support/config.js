@@ -0,0 +1,16 @@
+const config = require("../../config/config");
+
+/**
+ * Set config values for the rest of a test (config is read at call time)
+ * @param {object} t - Test context
+ * @param {object} values - Config keys and their test values
+ */
+function useConfig(t, values) {
+  const previous = Object.fromEntries(Object.keys(values).map((key) => [key, config[key]]));
+  Object.assign(config, values);
+  t.after(() => Object.assign(config, previous));
+}
+
+module.exports = {
+  useConfig,
+};
@@ -0,0 +1,279 @@
+const { ObjectId } = require("mongodb");
+const Database = require("../../db/database");
+
+/**
+ * Deep copy keeping ObjectIds and dates (structuredClone turns ObjectIds into plain objects)
+ */
+function clone(value) {
+  if (value instanceof ObjectId) {
+    return new ObjectId(value.toHexString());
+  }
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value !== null && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+/**
+ * Equality the way MongoDB compares ObjectIds, dates and null (which also
+ * matches a missing field)
+ */
+function equals(actual, expected) {
+  if (expected === null) {
+    return actual === null || actual === undefined;
+  }
+  if (expected instanceof ObjectId || expected instanceof Date) {
+    return actual !== undefined && actual !== null && actual.toString() === expected.toString();
+  }
+  return actual === expected;
+}
+
+function matchesCondition(actual, condition) {
+  const isOperators = condition !== null && typeof condition === "object" &&
+    !(condition instanceof ObjectId) && !(condition instanceof Date) &&
+    Object.keys(condition).every((key) => key.startsWith("$"));
+  if (!isOperators) {
+    // Array fields match if any element does
+    return Array.isArray(actual) ? actual.some((item) => equals(item, condition)) : equals(actual, condition);
+  }
+  return Object.entries(condition).every(([operator, value]) => {
+    switch (operator) {
+      case "$lte": return actual !== null && actual !== undefined && actual <= value;
+      case "$lt": return actual !== null && actual !== undefined && actual < value;
+      case "$gte": return actual !== null && actual !== undefined && actual >= value;
+      case "$gt": return actual !== null && actual !== undefined && actual > value;
+      case "$ne": return Array.isArray(actual) ? !actual.some((item) => equals(item, value)) : !equals(actual, value);
+      case "$in": return value.some((item) => equals(actual, item));
+      case "$exists": return (actual !== undefined) === value;
+      default: throw new Error(`Unsupported query operator ${operator}`);
+    }
+  });
+}
+
+function matches(document, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === "$or") {
+      return condition.some((branch) => matches(document, branch));
+    }
+    return matchesCondition(document[field], condition);
+  });
+}
+
+/**
+ * Set a field, or the elements of an array field matched by an arrayFilters
+ * identifier ("alerts.$[entry].duplicates")
+ */
+function updateField(document, field, arrayFilters, apply) {
+  const match = field.match(/^(\w+)\.\$\[(\w+)\]\.(\w+)$/);
+  if (!match) {
+    document[field] = apply(document[field]);
+    return;
+  }
+  const [, arrayField, identifier, elementField] = match;
+  const condition = Object.assign({}, ...arrayFilters.map((filter) => Object.fromEntries(
+    Object.entries(filter)
+      .filter(([key]) => key.startsWith(`${identifier}.`))
+      .map(([key, value]) => [key.slice(identifier.length + 1), value])
+  )));
+  (document[arrayField] || [])
+    .filter((element) => matches(element, condition))
+    .forEach((element) => {
+      element[elementField] = apply(element[elementField]);
+    });
+}
+
+function applyUpdate(document, update, { arrayFilters = [], inserting = false } = {}) {
+  Object.entries(update).forEach(([operator, fields]) => {
+    if (operator === "$setOnInsert" && !inserting) {
+      return;
+    }
+    Object.entries(fields).forEach(([field, value]) => {
+      switch (operator) {
+        case "$set":
+        case "$setOnInsert":
+          updateField(document, field, arrayFilters, () => clone(value));
+          break;
+        case "$inc":
+          updateField(document, field, arrayFilters, (current) => (current || 0) + value);
+          break;
+        case "$push": {
+          const each = value !== null && typeof value === "object" && "$each" in value;
+          const items = (each ? value.$each : [value]).map(clone);
+          const pushed = [...(document[field] || []), ...items];
+          document[field] = each && value.$slice !== undefined ? pushed.slice(value.$slice) : pushed;
+          break;
+        }
+        case "$addToSet":
+          document[field] = document[field] || [];
+          if (!document[field].some((item) => equals(item, value))) {
+            document[field].push(clone(value));
+          }
+          break;
+        case "$unset": delete document[field]; break;
+        default: throw new Error(`Unsupported update operator ${operator}`);
+      }
+    });
+  });
+}
+
+function sortBy(documents, sort) {
+  return documents.sort((a, b) => {
+    for (const [field, direction] of Object.entries(sort)) {
+      if (a[field] < b[field]) return -direction;
+      if (a[field] > b[field]) return direction;
+    }
+    return 0;
+  });
+}
+
+/**
+ * The part of a MongoDB collection the services use, kept in memory.
+ * Documents are cloned in and out so callers cannot change stored state.
+ */
+class MemoryCollection {
+  constructor() {
+    this.documents = [];
+    this.indexes = [];
+  }
+
+  async createIndex(keys, options = {}) {
+    this.indexes.push({ keys, options });
+  }
+
+  find(filter = {}) {
+    let results = this.documents.filter((document) => matches(document, filter));
+    const cursor = {
+      sort: (sort) => {
+        results = sortBy(results, sort);
+        return cursor;
+      },
+      skip: (count) => {
+        results = results.slice(count);
+        return cursor;
+      },
+      limit: (count) => {
+        results = count ? results.slice(0, count) : results;
+        return cursor;
+      },
+      toArray: async () => results.map((document) => clone(document)),
+    };
+    return cursor;
+  }
+
+  async findOne(filter = {}) {
+    const document = this.documents.find((candidate) => matches(candidate, filter));
+    return document ? clone(document) : null;
+  }
+
+  async countDocuments(filter = {}) {
+    return this.documents.filter((document) => matches(document, filter)).length;
+  }
+
+  async insertOne(document) {
+    const stored = clone({ _id: new ObjectId(), ...document });
+    this.checkUnique(stored);
+    this.documents.push(stored);
+    return { insertedId: stored._id };
+  }
+
+  /**
+   * Throw the duplicate key error of MongoDB if a unique index already holds the document's key
+   */
+  checkUnique(document, except = null) {
+    this.indexes
+      .filter(({ options }) => options.unique)
+      .forEach(({ keys, options }) => {
+        const filter = options.partialFilterExpression || {};
+        if (!matches(document, filter)) {
+          return;
+        }
+        const fields = Object.keys(keys);
+        const taken = this.documents.some((other) => other !== except && matches(other, filter) &&
+          fields.every((field) => equals(other[field], document[field] === undefined ? null : document[field])));
+        if (taken) {
+          throw Object.assign(new Error(`E11000 duplicate key error (${fields.join(", ")})`), { code: 11000 });
+        }
+      });
+  }
+
+  async updateOne(filter, update, { upsert = false } = {}) {
+    const { lastErrorObject } = await this.findOneAndUpdate(filter, update, { upsert, includeResultMetadata: true });
+    const matched = lastErrorObject.updatedExisting ? 1 : 0;
+    return { matchedCount: matched, modifiedCount: matched, upsertedCount: lastErrorObject.upserted ? 1 : 0 };
+  }
+
+  async findOneAndUpdate(filter, update, { sort, returnDocument = "before", upsert = false, arrayFilters, includeResultMetadata = false } = {}) {
+    let candidates = this.documents.filter((document) => matches(document, filter));
+    if (sort) {
+      candidates = sortBy(candidates, sort);
+    }
+    const document = candidates[0];
+    const result = (value, lastErrorObject) => (includeResultMetadata ? { value, lastErrorObject, ok: 1 } : value);
+
+    if (!document) {
+      if (!upsert) {
+        return result(null, { n: 0, updatedExisting: false });
+      }
+      // The equality conditions of the filter are copied into the new document
+      const inserted = Object.fromEntries(Object.entries(filter).filter(([field, condition]) =>
+        !field.startsWith("$") && !(condition !== null && typeof condition === "object" &&
+          !(condition instanceof ObjectId) && !(condition instanceof Date))
+      ));
+      inserted._id = inserted._id || new ObjectId();
+      applyUpdate(inserted, update, { arrayFilters, inserting: true });
+      await this.insertOne(inserted);
+      return result(returnDocument === "after" ? clone(inserted) : null, { n: 1, updatedExisting: false, upserted: inserted._id });
+    }
+
+    const before = clone(document);
+    applyUpdate(document, update, { arrayFilters });
+    return result(returnDocument === "after" ? clone(document) : before, { n: 1, updatedExisting: true });
+  }
+
+  async deleteOne(filter) {
+    const index = this.documents.findIndex((document) => matches(document, filter));
+    if (index !== -1) {
+      this.documents.splice(index, 1);
+    }
+    return { deletedCount: index === -1 ? 0 : 1 };
+  }
+
+  async deleteMany(filter = {}) {
+    const count = this.documents.length;
+    this.documents = this.documents.filter((document) => !matches(document, filter));
+    return { deletedCount: count - this.documents.length };
+  }
+}
+
+/**
+ * Point Database.getInstance() at in-memory collections for the rest of a test
+ * @param {object} t - Test context
+ * @returns {Map<string, MemoryCollection>} Collections by name, created on first use
+ */
+function useMemoryDatabase(t) {
+  const collections = new Map();
+  const previous = Database.instance;
+  Database.instance = {
+    getCollection: async (name) => {
+      if (!collections.has(name)) {
+        collections.set(name, new MemoryCollection());
+      }
+      return collections.get(name);
+    },
+  };
+  t.after(() => {
+    Database.instance = previous;
+  });
+  return collections;
+}
+
+module.exports = {
+  MemoryCollection,
+  useMemoryDatabase,
+};
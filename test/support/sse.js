@@ -0,0 +1,96 @@
+const http = require("http");
+const express = require("express");
+
+/**
+ * Serve a stream of a StreamService instance on a random local port, the way
+ * the /stream routes do
+ * @param {object} streamService - StreamService instance
+ * @param {string} stream - The stream type
+ * @returns {Promise<{ url: string, close: Function }>}
+ */
+function serveStream(streamService, stream) {
+  const app = express();
+  app.get("/stream", (req, res) => streamService.addClient(stream, res));
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/stream`,
+        close: () => new Promise((done) => {
+          server.closeAllConnections();
+          server.close(done);
+        }),
+      });
+    });
+  });
+}
+
+/**
+ * Open an SSE stream and collect its events
+ * @param {string} url - Stream URL
+ * @returns {Promise<object>} Resolved once the connection message arrived:
+ *   { events, waitFor(predicate, timeoutMs), close() } where events are { id, data }
+ */
+function openStream(url) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const waiters = [];
+    let buffer = "";
+
+    const notify = () => {
+      waiters.slice().forEach((waiter) => {
+        const event = events.find(waiter.predicate);
+        if (event) {
+          clearTimeout(waiter.timer);
+          waiters.splice(waiters.indexOf(waiter), 1);
+          waiter.resolve(event);
+        }
+      });
+    };
+
+    const client = {
+      events,
+      waitFor(predicate, timeoutMs = 2000) {
+        return new Promise((resolveEvent, rejectEvent) => {
+          const waiter = { predicate, resolve: resolveEvent };
+          waiter.timer = setTimeout(() => {
+            waiters.splice(waiters.indexOf(waiter), 1);
+            rejectEvent(new Error(`No matching event within ${timeoutMs} ms`));
+          }, timeoutMs);
+          waiters.push(waiter);
+          notify();
+        });
+      },
+      close: () => request.destroy(),
+    };
+
+    const request = http.get(url, (res) => {
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf("\n\n")) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const event = { id: null, data: null };
+          block.split("\n").forEach((line) => {
+            if (line.startsWith("id: ")) event.id = line.slice(4);
+            if (line.startsWith("data: ")) event.data = JSON.parse(line.slice(6));
+          });
+          if (event.data) {
+            events.push(event);
+          }
+        }
+        notify();
+      });
+      res.on("error", () => {});
+      client.waitFor((event) => event.id === null && event.data.message !== undefined).then(() => resolve(client), reject);
+    });
+    request.on("error", reject);
+  });
+}
+
+module.exports = {
+  serveStream,
+  openStream,
+};
@@ -0,0 +1,162 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const crypto = require("crypto");
+const config = require("../config/config");
+const WebhookService = require("../services/webhookService");
+const { useMemoryDatabase } = require("./support/memoryDatabase");
+const { useConfig } = require("./support/config");
+
+const SECRET = "test-webhook-secret";
+
+/**
+ * A local stand-in receiver answering each request with the next status in
+ * `statuses` (the last one repeats)
+ * @returns {Promise<{ url: string, requests: object[], close: Function }>}
+ */
+function startReceiver(t, statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+      res.end("ok");
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      t.after(() => new Promise((done) => {
+        server.closeAllConnections();
+        server.close(done);
+      }));
+      resolve({ url: `http://127.0.0.1:${server.address().port}/hook`, requests });
+    });
+  });
+}
+
+/**
+ * Wait until a stored document passes a check
+ * @returns {Promise<object>} The document
+ */
+async function waitForDocument(collection, id, check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const document = await collection.findOne({ _id: id });
+    if (check(document)) {
+      return document;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Document ${id} did not reach the expected state within ${timeoutMs} ms`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Wait until a delivery has made the given number of attempts
+ */
+function waitForAttempts(deliveries, id, count) {
+  return waitForDocument(deliveries, id, (delivery) => delivery.attempt_count >= count);
+}
+
+/**
+ * A webhook service on in-memory collections, with a subscription to `url`
+ */
+async function setup(t, url) {
+  const collections = useMemoryDatabase(t);
+  const service = new WebhookService();
+  const webhook = await service.createWebhook({
+    name: "test-receiver",
+    url,
+    secret: SECRET,
+    events: ["alert.created"],
+    enabled: true,
+  });
+  const deliveries = await service.getDeliveriesCollection();
+  return { service, webhook, deliveries, webhooks: collections.get(config.WEBHOOKS_COLLECTION) };
+}
+
+test("deliveries are signed with the subscription secret", async (t) => {
+  const receiver = await startReceiver(t, [200]);
+  const { service, webhook, deliveries } = await setup(t, receiver.url);
+
+  const alert = { _id: "alert-1", type: "congestion", severity: "high" };
+  const stored = await service.createDelivery(webhook, "alert.created", alert);
+  const delivery = await waitForAttempts(deliveries, stored._id, 1);
+
+  assert.strictEqual(delivery.status, "delivered");
+  assert.strictEqual(receiver.requests.length, 1);
+  const { headers, body } = receiver.requests[0];
+  const expected = crypto
+    .createHmac("sha256", SECRET)
+    .update(`${headers["x-webhook-timestamp"]}.${body}`)
+    .digest("hex");
+  assert.strictEqual(headers["x-webhook-signature"], `sha256=${expected}`);
+  assert.strictEqual(headers["x-webhook-event"], "alert.created");
+  assert.strictEqual(headers["x-webhook-delivery"], stored._id.toString());
+  assert.strictEqual(JSON.parse(body).data.type, "congestion");
+});
+
+test("failed deliveries are retried with exponential backoff", async (t) => {
+  useConfig(t, { WEBHOOK_RETRY_BASE_MS: 100, WEBHOOK_RETRY_MAX_MS: 1000, WEBHOOK_MAX_ATTEMPTS: 5 });
+  const receiver = await startReceiver(t, [503, 500, 200]);
+  const { service, webhook, deliveries } = await setup(t, receiver.url);
+
+  const stored = await service.createDelivery(webhook, "alert.created", { _id: "alert-2" });
+  let delivery = await waitForAttempts(deliveries, stored._id, 1);
+  assert.strictEqual(delivery.status, "pending");
+  assert.strictEqual(delivery.last_error, "Receiver responded 503");
+  assert.strictEqual(delivery.next_attempt_at - delivery.updated_at, 100);
+
+  // Not due yet
+  await service.processDue();
+  assert.strictEqual(receiver.requests.length, 1);
+
+  await new Promise((resolve) => setTimeout(resolve, 105));
+  await service.processDue();
+  delivery = await deliveries.findOne({ _id: stored._id });
+  assert.strictEqual(delivery.attempt_count, 2);
+  assert.strictEqual(delivery.next_attempt_at - delivery.updated_at, 200);
+
+  await new Promise((resolve) => setTimeout(resolve, 205));
+  await service.processDue();
+  delivery = await deliveries.findOne({ _id: stored._id });
+  assert.strictEqual(delivery.status, "delivered");
+  assert.deepStrictEqual(delivery.attempts.map((a) => a.status_code), [503, 500, 200]);
+  assert.strictEqual(receiver.requests.length, 3);
+  // A retry is the same event
+  assert.strictEqual(new Set(receiver.requests.map((r) => r.headers["x-webhook-delivery"])).size, 1);
+});
+
+test("a subscription is disabled after consecutive failed deliveries", async (t) => {
+  useConfig(t, { WEBHOOK_MAX_ATTEMPTS: 1, WEBHOOK_DISABLE_AFTER_FAILURES: 2 });
+  const receiver = await startReceiver(t, [500]);
+  const { service, webhook, deliveries, webhooks } = await setup(t, receiver.url);
+
+  for (const id of ["alert-3", "alert-4"]) {
+    const stored = await service.createDelivery(webhook, "alert.created", { _id: id });
+    const delivery = await waitForAttempts(deliveries, stored._id, 1);
+    assert.strictEqual(delivery.status, "failed");
+  }
+  let stored = await waitForDocument(webhooks, webhook._id, (document) => document.enabled === false);
+  assert.strictEqual(stored.consecutive_failures, 2);
+  assert.ok(stored.disabled_at instanceof Date);
+  assert.strictEqual(service.stats.disabled, 1);
+
+  // Disabled: nothing is queued, and deliveries already created fail without a request
+  await service.enqueue("alert.created", { _id: "alert-5" }, { _id: "alert-5" });
+  assert.strictEqual(await deliveries.countDocuments({}), 2);
+  const pending = await service.createDelivery(stored, "alert.created", { _id: "alert-6" });
+  const delivery = await waitForAttempts(deliveries, pending._id, 1);
+  assert.strictEqual(delivery.last_error, "Webhook is disabled");
+  assert.strictEqual(receiver.requests.length, 2);
+
+  stored = await service.updateWebhook(webhook._id.toString(), { enabled: true });
+  assert.strictEqual(stored.consecutive_failures, 0);
+  assert.strictEqual(stored.disabled_reason, null);
+});
@@ -0,0 +1,56 @@
+/**
+ * Admin Authentication for Traffic Data API
+ *
+ * Admin endpoints require the shared key configured in ADMIN_API_KEY:
+ *
+ *   X-Admin-Key: <key>
+ *
+ * Without ADMIN_API_KEY the admin endpoints are open, like ingest is without
+ * producer secrets; set it in any shared deployment.
+ */
+
+const crypto = require('crypto')
+const config = require('../config/config')
+
+/**
+ * Constant-time comparison of two keys
+ */
+function keysMatch(expected, received) {
+  const a = crypto.createHash('sha256').update(expected).digest()
+  const b = crypto.createHash('sha256').update(received).digest()
+  return crypto.timingSafeEqual(a, b)
+}
+
+/**
+ * Check an admin key, in or outside Express (e.g. a WebSocket message)
+ * @param {string|undefined} key - Key sent by the client
+ * @returns {object|null} null if allowed, else { status, body } of the rejection
+ */
+function adminKeyError(key) {
+  if (!config.ADMIN_API_KEY) {
+    return null
+  }
+  if (!key) {
+    return { status: 401, body: { error: 'Admin key required', details: 'X-Admin-Key header is required' } }
+  }
+  if (!keysMatch(config.ADMIN_API_KEY, key)) {
+    return { status: 403, body: { error: 'Invalid admin key' } }
+  }
+  return null
+}
+
+/**
+ * Express middleware checking the admin key. Does nothing unless ADMIN_API_KEY is set.
+ */
+function requireAdminKey(req, res, next) {
+  const rejection = adminKeyError(req.get('X-Admin-Key'))
+  if (rejection) {
+    return res.status(rejection.status).json(rejection.body)
+  }
+  next()
+}
+
+module.exports = {
+  adminKeyError,
+  requireAdminKey
+}
@@ -0,0 +1,117 @@
+/**
+ * Alert Rule Definitions for Traffic Data API
+ *
+ * Rules stored in the alert_rules collection (see services/alertRuleService.js):
+ *
+ *   {
+ *     name: 'Speeding',
+ *     stream: 'TRAFFIC',              // TRAFFIC | VEHICLE | INTERSECTION | SENSOR
+ *     condition: 'speed > 90',        // stream filter expression or JSON predicate
+ *     group_by: 'sensor_id',          // location field streaks and cooldowns are kept per
+ *     consecutive: 3,                 // optional: matching records in a row
+ *     duration: '5m',                 // optional: condition held for this long
+ *     cooldown: '10m',                // minimum time between alerts per location
+ *     severity: 'high',
+ *     alert_type: 'speeding',
+ *     message: 'Speed above 90 km/h'
+ *   }
+ */
+
+const config = require('../config/config')
+const { parseFilter } = require('./streamFilter')
+const { parseDuration } = require('./statistics')
+
+// Streams whose records rules can watch (alerts themselves are not, so rules cannot feed each other)
+const RULE_STREAMS = ['TRAFFIC', 'VEHICLE', 'INTERSECTION', 'SENSOR']
+const SEVERITIES = ['low', 'medium', 'high', 'critical']
+
+/**
+ * Validate a rule definition and normalize its fields
+ * @param {object} body - Rule fields from a request
+ * @param {object} [options]
+ * @param {boolean} [options.partial] - Only validate the fields present (PATCH)
+ * @returns {{ rule: object, errors: object[] }}
+ */
+function validateRule(body, { partial = false } = {}) {
+  const errors = []
+  const rule = {}
+  const has = (field) => body[field] !== undefined
+  const fail = (field, message) => errors.push({ field, message })
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { rule, errors: [{ field: null, message: 'Rule must be a JSON object' }] }
+  }
+
+  if (has('name') || !partial) {
+    if (typeof body.name !== 'string' || body.name.trim() === '') fail('name', 'is required')
+    else rule.name = body.name.trim()
+  }
+
+  if (has('stream') || !partial) {
+    const stream = typeof body.stream === 'string' ? body.stream.toUpperCase() : null
+    if (!RULE_STREAMS.includes(stream)) fail('stream', `must be one of ${RULE_STREAMS.join(', ')}`)
+    else rule.stream = stream
+  }
+
+  if (has('condition') || !partial) {
+    const condition = body.condition
+    if (condition === undefined || condition === null || condition === '') {
+      fail('condition', 'is required')
+    } else {
+      try {
+        parseFilter(typeof condition === 'object' ? JSON.stringify(condition) : condition)
+        rule.condition = condition
+      } catch (error) {
+        fail('condition', error.message)
+      }
+    }
+  }
+
+  if (has('group_by')) {
+    if (typeof body.group_by !== 'string' || body.group_by.trim() === '') fail('group_by', 'must be a field name')
+    else rule.group_by = body.group_by.trim()
+  } else if (!partial) {
+    rule.group_by = 'sensor_id'
+  }
+
+  if (has('consecutive') && body.consecutive !== null) {
+    if (!Number.isInteger(body.consecutive) || body.consecutive < 1) fail('consecutive', 'must be a positive integer')
+    else rule.consecutive = body.consecutive
+  } else if (has('consecutive') || !partial) {
+    rule.consecutive = null
+  }
+
+  ['duration', 'cooldown'].forEach((field) => {
+    if (has(field) && body[field] !== null) {
+      const ms = parseDuration(body[field])
+      if (!ms) fail(field, 'must be a duration such as "30s", "5m" or milliseconds')
+      else rule[`${field}_ms`] = ms
+    } else if (has(field) || !partial) {
+      rule[`${field}_ms`] = field === 'cooldown' ? config.ALERT_RULE_DEFAULT_COOLDOWN_MS : null
+    }
+  })
+
+  if (has('severity') || !partial) {
+    const severity = body.severity === undefined ? 'medium' : body.severity
+    if (!SEVERITIES.includes(severity)) fail('severity', `must be one of ${SEVERITIES.join(', ')}`)
+    else rule.severity = severity
+  }
+
+  ['alert_type', 'message', 'description'].forEach((field) => {
+    if (has(field) && body[field] !== null && typeof body[field] !== 'string') fail(field, 'must be a string')
+    else if (has(field)) rule[field] = body[field]
+  })
+
+  if (has('enabled') || !partial) {
+    if (has('enabled') && typeof body.enabled !== 'boolean') fail('enabled', 'must be a boolean')
+    else rule.enabled = has('enabled') ? body.enabled : true
+  }
+
+  return { rule, errors }
+}
+
+module.exports = {
+  RULE_STREAMS,
+  SEVERITIES,
+  validateRule
+}
@@ -0,0 +1,127 @@
+/**
+ * Escalation Policy Definitions for Traffic Data API
+ *
+ * Policies stored in the escalation_policies collection (see services/escalationService.js):
+ *
+ *   {
+ *     name: 'Critical accidents',
+ *     severities: ['critical'],           // optional filters, empty = all
+ *     alert_types: ['accident'],
+ *     steps: [
+ *       { after: '5m', action: 'renotify' },
+ *       { after: '15m', action: 'escalate', notify: 'supervisor' }
+ *     ],
+ *     auto_resolve: true                  // resolve rule alerts once their condition clears
+ *   }
+ *
+ * Steps run on alerts still open (not acknowledged) that long after they were received.
+ */
+
+const { parseDuration } = require('./statistics')
+const { SEVERITIES } = require('./alertRules')
+
+const ESCALATION_ACTIONS = ['renotify', 'escalate']
+const MAX_STEPS = 10
+
+/**
+ * Validate an escalation policy and normalize its fields
+ * @param {object} body - Policy fields from a request
+ * @param {object} [options]
+ * @param {boolean} [options.partial] - Only validate the fields present (PATCH)
+ * @returns {{ policy: object, errors: object[] }}
+ */
+function validatePolicy(body, { partial = false } = {}) {
+  const errors = []
+  const policy = {}
+  const fail = (field, message) => errors.push({ field, message })
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { policy, errors: [{ field: null, message: 'Escalation policy must be a JSON object' }] }
+  }
+  const has = (field) => body[field] !== undefined
+
+  if (has('name') || !partial) {
+    if (typeof body.name !== 'string' || body.name.trim() === '') fail('name', 'is required')
+    else policy.name = body.name.trim()
+  }
+
+  ['severities', 'alert_types'].forEach((field) => {
+    if (has(field) && body[field] !== null) {
+      const values = body[field]
+      if (!Array.isArray(values) || !values.every((value) => typeof value === 'string' && value !== '')) {
+        fail(field, 'must be a list of strings')
+      } else if (field === 'severities' && !values.every((value) => SEVERITIES.includes(value))) {
+        fail(field, `must only contain ${SEVERITIES.join(', ')}`)
+      } else {
+        policy[field] = values
+      }
+    } else if (has(field) || !partial) {
+      policy[field] = []
+    }
+  })
+
+  if (has('steps') || !partial) {
+    const steps = has('steps') ? body.steps : []
+    if (!Array.isArray(steps) || steps.length > MAX_STEPS) {
+      fail('steps', `must be a list of at most ${MAX_STEPS} steps`)
+    } else {
+      const normalized = []
+      steps.forEach((step, index) => {
+        const field = `steps[${index}]`
+        if (!step || typeof step !== 'object') return fail(field, 'must be an object')
+        const afterMs = parseDuration(step.after)
+        if (!afterMs) return fail(`${field}.after`, 'must be a duration such as "5m" or milliseconds')
+        if (!ESCALATION_ACTIONS.includes(step.action)) return fail(`${field}.action`, `must be one of ${ESCALATION_ACTIONS.join(', ')}`)
+        if (step.action === 'escalate' && (typeof step.notify !== 'string' || step.notify.trim() === '')) {
+          return fail(`${field}.notify`, 'is required to escalate, e.g. "supervisor"')
+        }
+        normalized.push({
+          after_ms: afterMs,
+          action: step.action,
+          ...(step.notify ? { notify: String(step.notify).trim() } : {})
+        })
+      })
+      policy.steps = normalized.sort((a, b) => a.after_ms - b.after_ms)
+    }
+  }
+
+  if (has('auto_resolve') || !partial) {
+    if (has('auto_resolve') && typeof body.auto_resolve !== 'boolean') fail('auto_resolve', 'must be a boolean')
+    else policy.auto_resolve = has('auto_resolve') ? body.auto_resolve : false
+  }
+
+  if (!partial && errors.length === 0 && policy.steps.length === 0 && !policy.auto_resolve) {
+    fail('steps', 'at least one step or auto_resolve is required')
+  }
+
+  if (has('description')) {
+    if (body.description !== null && typeof body.description !== 'string') fail('description', 'must be a string')
+    else policy.description = body.description
+  }
+
+  if (has('enabled') || !partial) {
+    if (has('enabled') && typeof body.enabled !== 'boolean') fail('enabled', 'must be a boolean')
+    else policy.enabled = has('enabled') ? body.enabled : true
+  }
+
+  return { policy, errors }
+}
+
+/**
+ * Whether a policy applies to an alert
+ * @param {object} policy - Stored policy
+ * @param {object} alert - The alert
+ * @returns {boolean}
+ */
+function policyMatches(policy, alert) {
+  const allows = (values, value) => !values || values.length === 0 || values.includes(value)
+  return policy.enabled !== false &&
+    allows(policy.severities, alert.severity) &&
+    allows(policy.alert_types, alert.type)
+}
+
+module.exports = {
+  ESCALATION_ACTIONS,
+  validatePolicy,
+  policyMatches
+}
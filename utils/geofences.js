@@ -0,0 +1,237 @@
+/**
+ * Alert Geofences for Traffic Data API
+ *
+ * Named areas stored in the alert_geofences collection (see services/geofenceService.js),
+ * either a polygon or a radius around a point. Coordinates are
+ * [longitude, latitude], the order of location_x/location_y:
+ *
+ *   { name: 'north-patrol', polygon: [[-7.64, 33.59], [-7.62, 33.59], [-7.62, 33.60], [-7.64, 33.60]] }
+ *   { name: 'downtown', center: [-7.6356, 33.5912], radius_m: 1500 }
+ *
+ * An alert is inside a geofence when its location_x/location_y is, or, for
+ * alerts without coordinates, when its sensor's location is.
+ */
+
+const EARTH_RADIUS_M = 6371008.8
+const MAX_POLYGON_POINTS = 500
+const MAX_RADIUS_M = 100000
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180
+
+const isPoint = (value) => Array.isArray(value) && value.length === 2 &&
+  Number.isFinite(value[0]) && Number.isFinite(value[1]) &&
+  Math.abs(value[0]) <= 180 && Math.abs(value[1]) <= 90
+
+/**
+ * Validate a geofence and normalize its fields. A geofence has either a
+ * polygon or a center and radius_m; setting one clears the other.
+ * @param {object} body - Geofence fields from a request
+ * @param {object} [options]
+ * @param {boolean} [options.partial] - Only validate the fields present (PATCH)
+ * @param {object} [options.current] - Stored geofence a partial update applies to
+ * @returns {{ geofence: object, errors: object[] }}
+ */
+function validateGeofence(body, { partial = false, current = {} } = {}) {
+  const errors = []
+  const geofence = {}
+  const fail = (field, message) => errors.push({ field, message })
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { geofence, errors: [{ field: null, message: 'Geofence must be a JSON object' }] }
+  }
+  const has = (field) => body[field] !== undefined && body[field] !== null
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !/^[\w.\- ]{1,100}$/.test(body.name.trim())) {
+      fail('name', 'is required: up to 100 letters, digits, spaces, dots, dashes or underscores')
+    } else {
+      geofence.name = body.name.trim()
+    }
+  }
+
+  if (has('polygon') && (has('center') || has('radius_m'))) {
+    fail('polygon', 'give either a polygon or a center and radius_m, not both')
+  } else if (has('polygon')) {
+    let points = body.polygon
+    if (!Array.isArray(points) || !points.every(isPoint)) {
+      fail('polygon', 'must be a list of [longitude, latitude] points')
+    } else {
+      // A closed ring repeats its first point
+      const [first, last] = [points[0], points[points.length - 1]]
+      if (points.length > 1 && first[0] === last[0] && first[1] === last[1]) points = points.slice(0, -1)
+      if (points.length < 3 || points.length > MAX_POLYGON_POINTS) {
+        fail('polygon', `must have 3 to ${MAX_POLYGON_POINTS} distinct points`)
+      } else {
+        Object.assign(geofence, { shape: 'polygon', polygon: points, center: null, radius_m: null })
+      }
+    }
+  } else if (has('center') || has('radius_m') || !partial) {
+    // A partial update may move the center or change the radius of a circle
+    const circle = current.shape === 'circle' ? current : {}
+    const center = has('center') ? body.center : circle.center
+    const radius = has('radius_m') ? body.radius_m : circle.radius_m
+    if (!isPoint(center)) {
+      fail('center', 'must be a [longitude, latitude] point, or give a polygon')
+    }
+    if (typeof radius !== 'number' || !(radius > 0) || radius > MAX_RADIUS_M) {
+      fail('radius_m', `must be a number of meters up to ${MAX_RADIUS_M}`)
+    }
+    if (isPoint(center) && radius > 0 && radius <= MAX_RADIUS_M) {
+      Object.assign(geofence, { shape: 'circle', polygon: null, center, radius_m: radius })
+    }
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') fail('description', 'must be a string')
+    else geofence.description = body.description
+  }
+
+  if (body.created_by !== undefined && !partial) {
+    if (body.created_by !== null && typeof body.created_by !== 'string') fail('created_by', 'must be a string')
+    else geofence.created_by = body.created_by
+  }
+
+  return { geofence, errors }
+}
+
+/**
+ * Polygon edges that can cross a horizontal ray, as x = a + b * y over [ymin, ymax)
+ */
+function polygonEdges(polygon) {
+  return polygon
+    .map((point, index) => [point, polygon[(index + 1) % polygon.length]])
+    .filter(([[, yi], [, yj]]) => yi !== yj)
+    .map(([[xi, yi], [xj, yj]]) => {
+      const b = (xj - xi) / (yj - yi)
+      return { ymin: Math.min(yi, yj), ymax: Math.max(yi, yj), a: xi - b * yi, b }
+    })
+}
+
+/**
+ * Haversine threshold: a point is within radius_m of the center when
+ * sin²(Δlat/2) + cos(lat0)·cos(lat)·sin²(Δlon/2) <= sin²(radius_m / 2R)
+ */
+const haversineLimit = (radius) => Math.sin(radius / (2 * EARTH_RADIUS_M)) ** 2
+
+/**
+ * Whether a point is inside a geofence
+ * @param {object} geofence - Stored geofence
+ * @param {number} x - Longitude
+ * @param {number} y - Latitude
+ * @returns {boolean}
+ */
+function containsPoint(geofence, x, y) {
+  if (!Number.isFinite(x) || !Number.isFinite(y)) return false
+  if (geofence.shape === 'polygon') {
+    // Even-odd rule: a ray towards +x crosses the boundary an odd number of times
+    const crossings = polygonEdges(geofence.polygon)
+      .filter((edge) => y >= edge.ymin && y < edge.ymax && x < edge.a + edge.b * y).length
+    return crossings % 2 === 1
+  }
+  const [x0, y0] = geofence.center
+  const h = Math.sin(toRadians(y - y0) / 2) ** 2 +
+    Math.cos(toRadians(y0)) * Math.cos(toRadians(y)) * Math.sin(toRadians(x - x0) / 2) ** 2
+  return h <= haversineLimit(geofence.radius_m)
+}
+
+/**
+ * Bounding box of a geofence, { minX, maxX, minY, maxY }
+ */
+function boundingBox(geofence) {
+  if (geofence.shape === 'polygon') {
+    const xs = geofence.polygon.map(([x]) => x)
+    const ys = geofence.polygon.map(([, y]) => y)
+    return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) }
+  }
+  const [x0, y0] = geofence.center
+  const dy = (geofence.radius_m / EARTH_RADIUS_M) * (180 / Math.PI)
+  const cos = Math.cos(toRadians(Math.min(90, Math.abs(y0) + dy)))
+  const dx = cos > 0.01 ? dy / cos : 180
+  return { minX: x0 - dx, maxX: x0 + dx, minY: y0 - dy, maxY: y0 + dy }
+}
+
+/**
+ * Aggregation expression for containsPoint on the location_x/location_y fields
+ */
+function containsExpression(geofence) {
+  const x = '$location_x'
+  const y = '$location_y'
+  if (geofence.shape === 'polygon') {
+    const crossings = polygonEdges(geofence.polygon).map((edge) => ({
+      $cond: [
+        {
+          $and: [
+            { $gte: [y, edge.ymin] },
+            { $lt: [y, edge.ymax] },
+            { $lt: [x, { $add: [edge.a, { $multiply: [edge.b, y] }] }] }
+          ]
+        },
+        1,
+        0
+      ]
+    }))
+    return { $eq: [{ $mod: [{ $add: crossings }, 2] }, 1] }
+  }
+  const [x0, y0] = geofence.center
+  const halfSin = (delta) => ({ $pow: [{ $sin: { $divide: [delta, 2] } }, 2] })
+  return {
+    $lte: [
+      {
+        $add: [
+          halfSin({ $subtract: [{ $degreesToRadians: y }, toRadians(y0)] }),
+          {
+            $multiply: [
+              Math.cos(toRadians(y0)),
+              { $cos: { $degreesToRadians: y } },
+              halfSin({ $subtract: [{ $degreesToRadians: x }, toRadians(x0)] })
+            ]
+          }
+        ]
+      },
+      haversineLimit(geofence.radius_m)
+    ]
+  }
+}
+
+/**
+ * MongoDB query matching the alerts inside a geofence
+ * @param {object} geofence - Stored geofence
+ * @param {string[]} sensorIds - Sensors located inside it, for alerts without coordinates
+ * @returns {object} Query
+ */
+function geofenceQuery(geofence, sensorIds) {
+  const box = boundingBox(geofence)
+  const located = {
+    location_x: { $type: 'number', $gte: box.minX, $lte: box.maxX },
+    location_y: { $type: 'number', $gte: box.minY, $lte: box.maxY },
+    // $and short-circuits, so the trigonometry only sees numbers
+    $expr: { $and: [{ $isNumber: '$location_x' }, { $isNumber: '$location_y' }, containsExpression(geofence)] }
+  }
+  if (sensorIds.length === 0) return located
+  return {
+    $or: [
+      located,
+      { location_x: { $not: { $type: 'number' } }, sensor_id: { $in: sensorIds } }
+    ]
+  }
+}
+
+/**
+ * Location of an alert: its own coordinates, or its sensor's
+ * @param {object} alert - The alert
+ * @param {Map} sensorLocations - sensor_id -> [longitude, latitude]
+ * @returns {number[]|null} [longitude, latitude]
+ */
+function alertLocation(alert, sensorLocations) {
+  if (typeof alert.location_x === 'number') {
+    return typeof alert.location_y === 'number' ? [alert.location_x, alert.location_y] : null
+  }
+  return (alert.sensor_id && sensorLocations.get(alert.sensor_id)) || null
+}
+
+module.exports = {
+  validateGeofence,
+  containsPoint,
+  geofenceQuery,
+  alertLocation
+}
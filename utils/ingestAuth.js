@@ -0,0 +1,129 @@
+/**
+ * Ingest Authentication for Traffic Data API
+ *
+ * Requests to /api/receive are signed by their producer with a shared secret:
+ *
+ *   X-Producer-Id: <producer id>
+ *   X-Timestamp:   <epoch milliseconds>
+ *   X-Signature:   sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ *
+ * Requests with a missing or wrong signature, an unknown producer, or a
+ * timestamp outside the replay window are rejected with 401. So is a signature
+ * already accepted within the window: a captured request cannot be sent again,
+ * and producer retries must be signed with a fresh timestamp.
+ */
+
+const crypto = require('crypto')
+const config = require('../config/config')
+
+// Accepted "producer:signature" pairs -> time (ms) their timestamp leaves the replay window
+const seenSignatures = new Map()
+
+/**
+ * body-parser `verify` hook keeping the raw body for signature checks
+ */
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf
+}
+
+/**
+ * Compute the signature of a request
+ * @param {string} secret - Producer shared secret
+ * @param {string|number} timestamp - Value of the X-Timestamp header
+ * @param {Buffer|string} body - Raw request body
+ * @returns {string} Hex encoded HMAC-SHA256
+ */
+function signPayload(secret, timestamp, body = '') {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(body)
+    .digest('hex')
+}
+
+/**
+ * Constant-time comparison of two hex signatures
+ */
+function signaturesMatch(expected, received) {
+  const a = Buffer.from(expected, 'hex')
+  const b = Buffer.from(received, 'hex')
+  return a.length === b.length && a.length > 0 && crypto.timingSafeEqual(a, b)
+}
+
+/**
+ * Remember an accepted signature until its timestamp leaves the replay window
+ * @param {string} key - "producer:signature"
+ * @param {number} sentAt - Request timestamp (ms)
+ * @returns {boolean} false if the signature was already accepted
+ */
+function rememberSignature(key, sentAt) {
+  const now = Date.now()
+  const expiresAt = seenSignatures.get(key)
+  if (expiresAt !== undefined && expiresAt >= now) {
+    return false
+  }
+
+  // Roughly in expiry order: drop expired entries from the front
+  for (const [seenKey, seenExpiresAt] of seenSignatures) {
+    if (seenExpiresAt >= now) break
+    seenSignatures.delete(seenKey)
+  }
+  seenSignatures.set(key, sentAt + config.INGEST_REPLAY_WINDOW_MS)
+  return true
+}
+
+/**
+ * Express middleware verifying producer signatures. Sets req.producerId on success.
+ * Does nothing unless ingest authentication is enabled.
+ */
+function requireSignedIngest(req, res, next) {
+  if (!config.INGEST_AUTH_ENABLED) {
+    return next()
+  }
+
+  const producerId = req.get('X-Producer-Id')
+  const timestamp = req.get('X-Timestamp')
+  const signatureHeader = req.get('X-Signature')
+
+  if (!producerId || !timestamp || !signatureHeader) {
+    return res.status(401).json({
+      error: 'Unsigned ingest request',
+      details: 'X-Producer-Id, X-Timestamp and X-Signature headers are required'
+    })
+  }
+
+  const secret = config.INGEST_PRODUCER_SECRETS[producerId]
+  if (!secret) {
+    return res.status(401).json({ error: 'Unknown producer', producer_id: producerId })
+  }
+
+  const sentAt = Number(timestamp)
+  if (!Number.isFinite(sentAt) || Math.abs(Date.now() - sentAt) > config.INGEST_REPLAY_WINDOW_MS) {
+    return res.status(401).json({
+      error: 'Stale or invalid ingest timestamp',
+      details: `X-Timestamp must be epoch milliseconds within ${config.INGEST_REPLAY_WINDOW_MS} ms of server time`
+    })
+  }
+
+  const received = signatureHeader.replace(/^sha256=/, '')
+  const expected = signPayload(secret, timestamp, req.rawBody || '')
+  if (!signaturesMatch(expected, received)) {
+    return res.status(401).json({ error: 'Invalid ingest signature', producer_id: producerId })
+  }
+  if (!rememberSignature(`${producerId}:${received.toLowerCase()}`, sentAt)) {
+    return res.status(401).json({
+      error: 'Replayed ingest request',
+      details: 'This signature was already accepted; sign retries with a new X-Timestamp',
+      producer_id: producerId
+    })
+  }
+
+  req.producerId = producerId
+  next()
+}
+
+module.exports = {
+  captureRawBody,
+  signPayload,
+  requireSignedIngest
+}
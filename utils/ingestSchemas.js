@@ -0,0 +1,358 @@
+/**
+ * Ingest Schemas for Traffic Data API
+ *
+ * Per-stream schemas for records arriving on /api/receive. Validation checks
+ * field types and ranges, coerces timestamps to real Dates and stamps the
+ * schema_version, so every stored record has the same shape regardless of
+ * the producer that sent it.
+ */
+
+const SENSOR_DIRECTIONS = ['north', 'south', 'east', 'west']
+const SEVERITIES = ['low', 'medium', 'high', 'critical']
+const LEVELS = ['low', 'medium', 'high']
+
+const count = { type: 'integer', min: 0 }
+const percentage = { type: 'number', min: 0, max: 100 }
+const ratio = { type: 'number', min: 0, max: 1 }
+const longitude = { type: 'number', min: -180, max: 180 }
+const latitude = { type: 'number', min: -90, max: 90 }
+
+const WEATHER_STATE = {
+  type: 'object',
+  fields: {
+    conditions: { type: 'string' },
+    temperature: { type: 'number', min: -60, max: 60 },
+    humidity: percentage,
+    wind_speed: { type: 'number', min: 0, max: 300 },
+    visibility: { type: 'string' },
+    road_condition: { type: 'string' }
+  }
+}
+
+/**
+ * Schema definitions keyed by stream type
+ *
+ * required       - fields that must be present
+ * fields         - type and range of each known field (unknown fields pass through)
+ * enhancedFields - intersection coordination fields; a record carrying
+ *                  intersection_id and any of them is "enhanced"
+ * version / enhancedVersion - schema_version stamped on legacy / enhanced records
+ * naturalKey     - fields identifying the same reading when a producer resends it
+ */
+const SCHEMAS = {
+  TRAFFIC: {
+    version: '1.0',
+    enhancedVersion: '2.0',
+    required: ['sensor_id', 'timestamp'],
+    fields: {
+      sensor_id: { type: 'string' },
+      timestamp: { type: 'date' },
+      location_id: { type: 'string' },
+      location_x: longitude,
+      location_y: latitude,
+      density: percentage,
+      travel_time: { type: 'number', min: 0 },
+      vehicle_number: count,
+      speed: { type: 'number', min: 0, max: 300 },
+      pedestrian_count: count,
+      bicycle_count: count,
+      heavy_vehicle_count: count,
+      vehicle_type_distribution: { type: 'object' },
+      temperature: { type: 'number', min: -60, max: 60 },
+      humidity: percentage,
+      wind_speed: { type: 'number', min: 0, max: 300 },
+      air_quality_index: { type: 'number', min: 0, max: 500 },
+      congestion_level: { type: 'string' },
+      incident_detected: { type: 'boolean' },
+      red_light_violations: count,
+      near_miss_events: count,
+      roadwork_detected: { type: 'boolean' },
+      illegal_parking_cases: count,
+      intersection_id: { type: 'string' },
+      sensor_direction: { type: 'string', values: SENSOR_DIRECTIONS },
+      coordinated_weather: WEATHER_STATE,
+      traffic_light_phase: { type: 'string' },
+      vehicle_flow_rate: { type: 'number', min: 0 },
+      queue_propagation_factor: ratio
+    },
+    enhancedFields: ['sensor_direction', 'coordinated_weather', 'vehicle_flow_rate', 'traffic_light_phase'],
+    naturalKey: ['sensor_id', 'timestamp']
+  },
+
+  VEHICLE: {
+    version: '1.0',
+    required: ['sensor_id', 'timestamp'],
+    fields: {
+      id: { type: 'string' },
+      sensor_id: { type: 'string' },
+      timestamp: { type: 'date' },
+      speed_kmh: { type: 'number', min: 0, max: 300 },
+      length_dm: { type: 'number', min: 0, max: 300 },
+      vehicle_class: { type: 'string' },
+      occupancy_s: { type: 'number', min: 0 },
+      time_gap_s: { type: 'number', min: 0 },
+      status: { type: 'integer', min: 0, max: 255 },
+      counter: count,
+      intersection_id: { type: 'string' },
+      sensor_direction: { type: 'string', values: SENSOR_DIRECTIONS }
+    },
+    enhancedFields: [],
+    naturalKey: ['sensor_id', 'timestamp', 'counter', 'id']
+  },
+
+  INTERSECTION: {
+    version: '1.0',
+    enhancedVersion: '2.0',
+    required: ['sensor_id', 'timestamp'],
+    fields: {
+      sensor_id: { type: 'string' },
+      timestamp: { type: 'date' },
+      intersection_id: { type: 'string' },
+      stopped_vehicles_count: count,
+      average_wait_time: { type: 'number', min: 0 },
+      queue_length_by_lane: { type: 'object' },
+      left_turn_count: count,
+      right_turn_count: count,
+      average_speed_by_direction: { type: 'object' },
+      lane_occupancy: percentage,
+      intersection_blocking_vehicles: count,
+      traffic_light_compliance_rate: percentage,
+      risky_behavior_detected: { type: 'boolean' },
+      near_miss_incidents: count,
+      collision_count: count,
+      sudden_braking_events: count,
+      wrong_way_vehicles: count,
+      illegal_parking_detected: { type: 'boolean' },
+      pedestrians_crossing: count,
+      jaywalking_pedestrians: count,
+      cyclists_crossing: count,
+      ambient_light_level: { type: 'number', min: 0 },
+      fog_or_smoke_detected: { type: 'boolean' },
+      intersection_congestion_level: { type: 'string', values: LEVELS },
+      intersection_crossing_time: { type: 'number', min: 0 },
+      coordinated_light_status: { type: 'string' },
+      phase_time_remaining: { type: 'number', min: 0 },
+      intersection_efficiency: ratio,
+      total_intersection_vehicles: count
+    },
+    enhancedFields: [
+      'coordinated_light_status',
+      'intersection_efficiency',
+      'total_intersection_vehicles',
+      'phase_time_remaining'
+    ],
+    naturalKey: ['sensor_id', 'intersection_id', 'timestamp']
+  },
+
+  SENSOR: {
+    version: '1.0',
+    required: ['sensor_id', 'timestamp'],
+    fields: {
+      sensor_id: { type: 'string' },
+      timestamp: { type: 'date' },
+      battery_level: percentage,
+      temperature_c: { type: 'number', min: -60, max: 120 },
+      hw_fault: { type: 'boolean' },
+      low_voltage: { type: 'boolean' },
+      uptime_s: { type: 'number', min: 0 },
+      message_count: count,
+      intersection_id: { type: 'string' }
+    },
+    enhancedFields: [],
+    naturalKey: ['sensor_id', 'timestamp']
+  },
+
+  ALERT: {
+    version: '1.0',
+    required: ['type', 'timestamp'],
+    fields: {
+      type: { type: 'string' },
+      timestamp: { type: 'date' },
+      sensor_id: { type: 'string' },
+      severity: { type: 'string', values: SEVERITIES },
+      message: { type: 'string' },
+      location_id: { type: 'string' },
+      location_x: longitude,
+      location_y: latitude,
+      intersection_id: { type: 'string' },
+      resolved: { type: 'boolean' },
+      resolution_time: { type: 'number', min: 0 },
+      vehicle_data: { type: 'object' }
+    },
+    enhancedFields: [],
+    naturalKey: ['sensor_id', 'timestamp', 'type']
+  },
+
+  COORDINATION: {
+    version: '1.0',
+    required: ['intersection_id'],
+    fields: {
+      intersection_id: { type: 'string' },
+      coordination_state: { type: 'object' },
+      message_type: { type: 'string' },
+      timestamp: { type: 'date' }
+    },
+    enhancedFields: [],
+    // Coordination summaries are periodic snapshots, only an explicit key dedupes them
+    naturalKey: []
+  }
+}
+
+/**
+ * Coerce a timestamp-like value to a Date
+ * @param {*} value - Date, ISO string or epoch milliseconds
+ * @returns {Date|null} The Date, or null if the value is not a valid timestamp
+ */
+function toDate(value) {
+  let date = null
+  if (value instanceof Date) {
+    date = value
+  } else if (typeof value === 'string' && value.trim() !== '') {
+    date = new Date(value)
+  } else if (typeof value === 'number' && Number.isFinite(value)) {
+    date = new Date(value)
+  }
+
+  return date && !Number.isNaN(date.getTime()) ? date : null
+}
+
+/**
+ * Check a single value against its field spec
+ * @param {string} path - Dotted field path used in error messages
+ * @param {*} value - Value to check
+ * @param {Object} spec - Field spec ({ type, min, max, values, fields })
+ * @param {Array} errors - Collected field errors
+ * @returns {*} The normalized value
+ */
+function checkField(path, value, spec, errors) {
+  switch (spec.type) {
+    case 'date': {
+      const date = toDate(value)
+      if (!date) {
+        errors.push({ field: path, message: 'must be an ISO 8601 timestamp or epoch milliseconds', value })
+        return value
+      }
+      return date
+    }
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push({ field: path, message: 'must be a string', value })
+      } else if (spec.values && !spec.values.includes(value)) {
+        errors.push({ field: path, message: `must be one of: ${spec.values.join(', ')}`, value })
+      }
+      return value
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push({ field: path, message: 'must be a boolean', value })
+      }
+      return value
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push({ field: path, message: 'must be a number', value })
+      } else if (spec.type === 'integer' && !Number.isInteger(value)) {
+        errors.push({ field: path, message: 'must be an integer', value })
+      } else if (spec.min !== undefined && value < spec.min) {
+        errors.push({ field: path, message: `must be >= ${spec.min}`, value })
+      } else if (spec.max !== undefined && value > spec.max) {
+        errors.push({ field: path, message: `must be <= ${spec.max}`, value })
+      }
+      return value
+    case 'object':
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push({ field: path, message: 'must be an object', value })
+        return value
+      }
+      return spec.fields ? checkFields(path, value, spec.fields, errors) : value
+    default:
+      return value
+  }
+}
+
+/**
+ * Check every known field of an object, leaving unknown fields untouched
+ * @returns {Object} Copy of the object with normalized values
+ */
+function checkFields(prefix, data, fields, errors) {
+  const normalized = { ...data }
+  Object.keys(fields).forEach(name => {
+    // null is accepted for optional fields, producers use it for "not measured"
+    if (data[name] === undefined || data[name] === null) return
+    const path = prefix ? `${prefix}.${name}` : name
+    normalized[name] = checkField(path, data[name], fields[name], errors)
+  })
+  return normalized
+}
+
+/**
+ * Validate and normalize a received record
+ * @param {string} stream - The stream type (TRAFFIC, VEHICLE, etc.)
+ * @param {Object} data - The received record
+ * @returns {Object} { valid, errors, record, enhanced }
+ */
+function validateRecord(stream, data) {
+  const schema = SCHEMAS[stream]
+  if (!schema) {
+    return {
+      valid: false,
+      errors: [{ field: null, message: `Stream type ${stream} has no schema` }],
+      record: null,
+      enhanced: false
+    }
+  }
+
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return {
+      valid: false,
+      errors: [{ field: null, message: 'record must be a JSON object' }],
+      record: null,
+      enhanced: false
+    }
+  }
+
+  const errors = []
+  schema.required.forEach(name => {
+    if (data[name] === undefined || data[name] === null || data[name] === '') {
+      errors.push({ field: name, message: 'is required' })
+    }
+  })
+
+  const record = checkFields('', data, schema.fields, errors)
+
+  const enhanced = !!(record.intersection_id && schema.enhancedFields.some(name =>
+    record[name] !== undefined && record[name] !== null
+  ))
+  record.schema_version = enhanced && schema.enhancedVersion ? schema.enhancedVersion : schema.version
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    record,
+    enhanced
+  }
+}
+
+/**
+ * Build the natural deduplication key of a validated record
+ * @param {string} stream - The stream type
+ * @param {Object} record - Validated record
+ * @returns {string|null} Key, or null if the stream has no natural key
+ */
+function naturalKey(stream, record) {
+  const fields = SCHEMAS[stream]?.naturalKey || []
+  if (fields.length === 0) return null
+
+  const parts = fields.map(name => {
+    const value = record[name]
+    if (value === undefined || value === null) return ''
+    return value instanceof Date ? value.toISOString() : String(value)
+  })
+  return parts.some(part => part !== '') ? parts.join('|') : null
+}
+
+module.exports = {
+  SCHEMAS,
+  toDate,
+  validateRecord,
+  naturalKey
+}
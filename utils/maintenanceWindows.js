@@ -0,0 +1,104 @@
+/**
+ * Maintenance Window Definitions for Traffic Data API
+ *
+ * Windows stored in the maintenance_windows collection (see services/maintenanceService.js):
+ *
+ *   {
+ *     name: 'Sensor replacement at INT-001',
+ *     intersection_ids: ['INT-001'],      // and/or sensor_ids: at least one target
+ *     sensor_ids: [],
+ *     alert_types: [],                    // optional, empty = every type
+ *     starts_at: '2025-06-01T22:00:00Z',
+ *     ends_at: '2025-06-02T04:00:00Z',
+ *     reason: 'Planned works'
+ *   }
+ *
+ * Alerts of a target raised while a window is open are stored as suppressed.
+ */
+
+/**
+ * Validate a maintenance window and normalize its fields
+ * @param {object} body - Window fields from a request
+ * @param {object} [options]
+ * @param {boolean} [options.partial] - Only validate the fields present (PATCH)
+ * @param {object} [options.current] - Stored window a partial update applies to
+ * @returns {{ window: object, errors: object[] }}
+ */
+function validateMaintenanceWindow(body, { partial = false, current = {} } = {}) {
+  const errors = []
+  const window = {}
+  const fail = (field, message) => errors.push({ field, message })
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { window, errors: [{ field: null, message: 'Maintenance window must be a JSON object' }] }
+  }
+  const has = (field) => body[field] !== undefined
+
+  if (has('name') || !partial) {
+    if (typeof body.name !== 'string' || body.name.trim() === '') fail('name', 'is required')
+    else window.name = body.name.trim()
+  }
+
+  ['intersection_ids', 'sensor_ids', 'alert_types'].forEach((field) => {
+    if (has(field) && body[field] !== null) {
+      const values = body[field]
+      if (!Array.isArray(values) || !values.every((value) => typeof value === 'string' && value !== '')) {
+        fail(field, 'must be a list of strings')
+      } else {
+        window[field] = values
+      }
+    } else if (has(field) || !partial) {
+      window[field] = []
+    }
+  })
+
+  const targets = (field) => (window[field] !== undefined ? window[field] : current[field] || [])
+  if (targets('intersection_ids').length === 0 && targets('sensor_ids').length === 0 &&
+      !errors.some((error) => error.field === 'intersection_ids' || error.field === 'sensor_ids')) {
+    fail('intersection_ids', 'at least one intersection or sensor is required')
+  }
+
+  ['starts_at', 'ends_at'].forEach((field) => {
+    if (has(field) || !partial) {
+      const date = new Date(body[field])
+      if (!has(field) || body[field] === null || Number.isNaN(date.getTime())) fail(field, 'must be a date')
+      else window[field] = date
+    }
+  })
+
+  const startsAt = window.starts_at || current.starts_at
+  const endsAt = window.ends_at || current.ends_at
+  if (startsAt && endsAt && startsAt >= endsAt) {
+    fail('ends_at', 'must be after starts_at')
+  }
+
+  if (has('reason')) {
+    if (body.reason !== null && typeof body.reason !== 'string') fail('reason', 'must be a string')
+    else window.reason = body.reason
+  }
+
+  if (has('created_by') && !partial) {
+    if (body.created_by !== null && typeof body.created_by !== 'string') fail('created_by', 'must be a string')
+    else window.created_by = body.created_by
+  }
+
+  return { window, errors }
+}
+
+/**
+ * Whether a maintenance window covers an alert raised at a given time
+ * @param {object} window - Stored window
+ * @param {object} alert - The alert
+ * @param {Date} time - When the alert was raised
+ * @returns {boolean}
+ */
+function windowCovers(window, alert, time) {
+  return time >= window.starts_at && time < window.ends_at &&
+    (window.intersection_ids.includes(alert.intersection_id) || window.sensor_ids.includes(alert.sensor_id)) &&
+    (!window.alert_types || window.alert_types.length === 0 || window.alert_types.includes(alert.type))
+}
+
+module.exports = {
+  validateMaintenanceWindow,
+  windowCovers
+}
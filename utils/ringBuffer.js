@@ -0,0 +1,50 @@
+/**
+ * Fixed-size Ring Buffer for Traffic Data API
+ *
+ * Keeps the most recent `capacity` items; pushing into a full buffer
+ * overwrites the oldest item.
+ */
+
+class RingBuffer {
+  /**
+   * @param {number} capacity - Maximum number of items kept
+   */
+  constructor(capacity) {
+    this.capacity = Math.max(1, capacity)
+    this.items = new Array(this.capacity)
+    this.start = 0
+    this.size = 0
+  }
+
+  /**
+   * Append an item
+   * @param {*} item - Item to store
+   * @returns {*} The overwritten oldest item, or undefined if the buffer was not full
+   */
+  push(item) {
+    if (this.size < this.capacity) {
+      this.items[(this.start + this.size) % this.capacity] = item
+      this.size++
+      return undefined
+    }
+
+    const evicted = this.items[this.start]
+    this.items[this.start] = item
+    this.start = (this.start + 1) % this.capacity
+    return evicted
+  }
+
+  /**
+   * Items from oldest to newest
+   * @returns {Array}
+   */
+  toArray() {
+    const result = []
+    for (let i = 0; i < this.size; i++) {
+      result.push(this.items[(this.start + i) % this.capacity])
+    }
+    return result
+  }
+}
+
+module.exports = RingBuffer
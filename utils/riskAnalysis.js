@@ -6,31 +6,91 @@
  * to calculate real-time risk scores and identify patterns
  */
 
+/**
+ * Default risk model: category weights, the score cut-offs of the risk
+ * levels, the thresholds of each factor and the points a factor adds to its
+ * category. Stored risk models (see services/riskModelService.js) override it.
+ */
+const DEFAULT_RISK_MODEL = {
+  weights: {
+    traffic: 0.35,
+    intersection: 0.25,
+    environment: 0.20,
+    incidents: 0.20
+  },
+  levels: {
+    critical: 80,
+    high: 60,
+    medium: 40
+  },
+  thresholds: {
+    speed: { very_low: 10, low: 20, excessive: 80 },                 // km/h
+    density: { high: 80, medium: 60 },
+    stopped_vehicles: { high: 40, medium: 25 },
+    wait_time: { excessive: 90, high: 60 },                            // seconds
+    sudden_braking: { frequent: 5, some: 2 },
+    compliance_rate: { poor: 80, medium: 90 },                         // percent
+    temperature: { freezing: 0, heat: 35 },                            // °C
+    near_miss: { high: 3 },
+    recent_alerts: { window_minutes: 60, multiple: 5, some: 2 }
+  },
+  points: {
+    very_low_speed: 25,
+    low_speed: 15,
+    excessive_speed: 20,
+    high_density: 20,
+    medium_density: 10,
+    high_congestion: 15,
+    medium_congestion: 8,
+    active_incident: 30,
+    near_miss_event: 8,
+    near_miss_events_max: 25,
+    high_stopped_vehicles: 20,
+    medium_stopped_vehicles: 10,
+    excessive_wait_time: 15,
+    high_wait_time: 8,
+    risky_behavior: 25,
+    frequent_braking: 15,
+    some_braking: 8,
+    active_collisions: 40,
+    wrong_way_vehicles: 30,
+    poor_compliance: 20,
+    medium_compliance: 10,
+    rain: 20,
+    winter_weather: 30,
+    fog: 25,
+    poor_visibility: 20,
+    freezing_temperature: 15,
+    extreme_heat: 10,
+    wet_road: 10,
+    hazardous_road: 25,
+    multiple_recent_alerts: 25,
+    some_recent_alerts: 15,
+    high_severity_alerts: 20
+  }
+}
+
 /**
  * Calculate comprehensive risk score based on multiple data sources
  * @param {Object} trafficData - Traffic metrics data
  * @param {Object} intersectionData - Intersection-specific data
  * @param {Object} environmentData - Weather and environmental factors
  * @param {Array} alertsData - Recent alerts data
+ * @param {Object} model - Risk model (weights, levels, thresholds, points), DEFAULT_RISK_MODEL if omitted
  * @returns {Object} Risk analysis result with score and factors
  */
-function calculateRiskScore(trafficData, intersectionData = null, environmentData = null, alertsData = []) {
+function calculateRiskScore(trafficData, intersectionData = null, environmentData = null, alertsData = [], model = DEFAULT_RISK_MODEL) {
   let riskScore = 0
   const riskFactors = []
-  const weights = {
-    traffic: 0.35,
-    intersection: 0.25,
-    environment: 0.20,
-    incidents: 0.20
-  }
+  const { weights, levels, thresholds: t, points } = model
 
-  // === TRAFFIC RISK FACTORS (35% weight) ===
+  // === TRAFFIC RISK FACTORS ===
   let trafficRisk = 0
 
   // Speed-related risk
   if (trafficData.speed !== undefined && trafficData.speed !== null) {
-    if (trafficData.speed < 10) {
-      trafficRisk += 25
+    if (trafficData.speed < t.speed.very_low) {
+      trafficRisk += points.very_low_speed
       riskFactors.push({
         category: 'traffic',
         factor: 'very_low_speed',
@@ -38,8 +98,8 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
         value: trafficData.speed,
         description: `Extremely low speed (${trafficData.speed} km/h) indicates severe congestion`
       })
-    } else if (trafficData.speed < 20) {
-      trafficRisk += 15
+    } else if (trafficData.speed < t.speed.low) {
+      trafficRisk += points.low_speed
       riskFactors.push({
         category: 'traffic',
         factor: 'low_speed',
@@ -47,8 +107,8 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
         value: trafficData.speed,
         description: `Low speed (${trafficData.speed} km/h) indicates congestion`
       })
-    } else if (trafficData.speed > 80) {
-      trafficRisk += 20
+    } else if (trafficData.speed > t.speed.excessive) {
+      trafficRisk += points.excessive_speed
       riskFactors.push({
         category: 'traffic',
         factor: 'excessive_speed',
@@ -61,8 +121,8 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
 
   // Density and congestion risk
   if (trafficData.density !== undefined && trafficData.density !== null) {
-    if (trafficData.density > 80) {
-      trafficRisk += 20
+    if (trafficData.density > t.density.high) {
+      trafficRisk += points.high_density
       riskFactors.push({
         category: 'traffic',
         factor: 'high_density',
@@ -70,8 +130,8 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
         value: trafficData.density,
         description: `High traffic density (${trafficData.density}) increases collision risk`
       })
-    } else if (trafficData.density > 60) {
-      trafficRisk += 10
+    } else if (trafficData.density > t.density.medium) {
+      trafficRisk += points.medium_density
       riskFactors.push({
         category: 'traffic',
         factor: 'medium_density',
@@ -87,7 +147,7 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
     switch (trafficData.congestion_level.toLowerCase()) {
       case 'high':
       case 'critical':
-        trafficRisk += 15
+        trafficRisk += points.high_congestion
         riskFactors.push({
           category: 'traffic',
           factor: 'high_congestion',
@@ -97,7 +157,7 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
         })
         break
       case 'medium':
-        trafficRisk += 8
+        trafficRisk += points.medium_congestion
         riskFactors.push({
           category: 'traffic',
           factor: 'medium_congestion',
@@ -111,7 +171,7 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
 
   // Incident detection risk
   if (trafficData.incident_detected === true) {
-    trafficRisk += 30
+    trafficRisk += points.active_incident
     riskFactors.push({
       category: 'traffic',
       factor: 'active_incident',
@@ -123,23 +183,23 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
 
   // Near miss events
   if (trafficData.near_miss_events > 0) {
-    trafficRisk += Math.min(trafficData.near_miss_events * 8, 25)
+    trafficRisk += Math.min(trafficData.near_miss_events * points.near_miss_event, points.near_miss_events_max)
     riskFactors.push({
       category: 'traffic',
       factor: 'near_miss_events',
-      severity: trafficData.near_miss_events > 3 ? 'high' : 'medium',
+      severity: trafficData.near_miss_events > t.near_miss.high ? 'high' : 'medium',
       value: trafficData.near_miss_events,
       description: `${trafficData.near_miss_events} near miss events indicate dangerous conditions`
     })
   }
 
-  // === INTERSECTION RISK FACTORS (25% weight) ===
+  // === INTERSECTION RISK FACTORS ===
   let intersectionRisk = 0
 
   if (intersectionData) {
     // Stopped vehicles risk
-    if (intersectionData.stopped_vehicles_count > 40) {
-      intersectionRisk += 20
+    if (intersectionData.stopped_vehicles_count > t.stopped_vehicles.high) {
+      intersectionRisk += points.high_stopped_vehicles
       riskFactors.push({
         category: 'intersection',
         factor: 'high_stopped_vehicles',
@@ -147,8 +207,8 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
         value: intersectionData.stopped_vehicles_count,
         description: `High number of stopped vehicles (${intersectionData.stopped_vehicles_count}) creates congestion risk`
       })
-    } else if (intersectionData.stopped_vehicles_count > 25) {
-      intersectionRisk += 10
+    } else if (intersectionData.stopped_vehicles_count > t.stopped_vehicles.medium) {
+      intersectionRisk += points.medium_stopped_vehicles
       riskFactors.push({
         category: 'intersection',
         factor: 'medium_stopped_vehicles',
@@ -159,8 +219,8 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
     }
 
     // Average wait time risk
-    if (intersectionData.average_wait_time > 90) {
-      intersectionRisk += 15
+    if (intersectionData.average_wait_time > t.wait_time.excessive) {
+      intersectionRisk += points.excessive_wait_time
       riskFactors.push({
         category: 'intersection',
         factor: 'excessive_wait_time',
@@ -168,8 +228,8 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
         value: intersectionData.average_wait_time,
         description: `Excessive wait time (${intersectionData.average_wait_time}s) indicates poor traffic flow`
       })
-    } else if (intersectionData.average_wait_time > 60) {
-      intersectionRisk += 8
+    } else if (intersectionData.average_wait_time > t.wait_time.high) {
+      intersectionRisk += points.high_wait_time
       riskFactors.push({
         category: 'intersection',
         factor: 'high_wait_time',
@@ -181,7 +241,7 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
 
     // Risky behavior detection
     if (intersectionData.risky_behavior_detected === true) {
-      intersectionRisk += 25
+      intersectionRisk += points.risky_behavior
       riskFactors.push({
         category: 'intersection',
         factor: 'risky_behavior',
@@ -192,8 +252,8 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
     }
 
     // Sudden braking events
-    if (intersectionData.sudden_braking_events > 5) {
-      intersectionRisk += 15
+    if (intersectionData.sudden_braking_events > t.sudden_braking.frequent) {
+      intersectionRisk += points.frequent_braking
       riskFactors.push({
         category: 'intersection',
         factor: 'frequent_braking',
@@ -201,8 +261,8 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
         value: intersectionData.sudden_braking_events,
         description: `${intersectionData.sudden_braking_events} sudden braking events indicate dangerous conditions`
       })
-    } else if (intersectionData.sudden_braking_events > 2) {
-      intersectionRisk += 8
+    } else if (intersectionData.sudden_braking_events > t.sudden_braking.some) {
+      intersectionRisk += points.some_braking
       riskFactors.push({
         category: 'intersection',
         factor: 'some_braking',
@@ -214,7 +274,7 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
 
     // Collision count
     if (intersectionData.collision_count > 0) {
-      intersectionRisk += 40
+      intersectionRisk += points.active_collisions
       riskFactors.push({
         category: 'intersection',
         factor: 'active_collisions',
@@ -226,7 +286,7 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
 
     // Wrong way vehicles
     if (intersectionData.wrong_way_vehicles > 0) {
-      intersectionRisk += 30
+      intersectionRisk += points.wrong_way_vehicles
       riskFactors.push({
         category: 'intersection',
         factor: 'wrong_way_vehicles',
@@ -237,8 +297,8 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
     }
 
     // Traffic light compliance
-    if (intersectionData.traffic_light_compliance_rate < 80) {
-      intersectionRisk += 20
+    if (intersectionData.traffic_light_compliance_rate < t.compliance_rate.poor) {
+      intersectionRisk += points.poor_compliance
       riskFactors.push({
         category: 'intersection',
         factor: 'poor_compliance',
@@ -246,8 +306,8 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
         value: intersectionData.traffic_light_compliance_rate,
         description: `Low traffic light compliance (${intersectionData.traffic_light_compliance_rate}%) increases accident risk`
       })
-    } else if (intersectionData.traffic_light_compliance_rate < 90) {
-      intersectionRisk += 10
+    } else if (intersectionData.traffic_light_compliance_rate < t.compliance_rate.medium) {
+      intersectionRisk += points.medium_compliance
       riskFactors.push({
         category: 'intersection',
         factor: 'medium_compliance',
@@ -258,7 +318,7 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
     }
   }
 
-  // === ENVIRONMENTAL RISK FACTORS (20% weight) ===
+  // === ENVIRONMENTAL RISK FACTORS ===
   let environmentRisk = 0
 
   // Weather conditions
@@ -271,7 +331,7 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
     switch (weatherConditions.toLowerCase()) {
       case 'rain':
       case 'heavy_rain':
-        environmentRisk += 20
+        environmentRisk += points.rain
         riskFactors.push({
           category: 'environment',
           factor: 'rain',
@@ -283,7 +343,7 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
       case 'snow':
       case 'ice':
       case 'sleet':
-        environmentRisk += 30
+        environmentRisk += points.winter_weather
         riskFactors.push({
           category: 'environment',
           factor: 'winter_weather',
@@ -293,7 +353,7 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
         })
         break
       case 'fog':
-        environmentRisk += 25
+        environmentRisk += points.fog
         riskFactors.push({
           category: 'environment',
           factor: 'fog',
@@ -311,7 +371,7 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
                      trafficData?.visibility === 'poor'
 
   if (fogDetected === true) {
-    environmentRisk += 20
+    environmentRisk += points.poor_visibility
     riskFactors.push({
       category: 'environment',
       factor: 'poor_visibility',
@@ -324,8 +384,8 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
   // Temperature extremes
   if (environmentData?.temperature || trafficData?.temperature) {
     const temp = environmentData?.temperature || trafficData?.temperature
-    if (temp < 0) {
-      environmentRisk += 15
+    if (temp < t.temperature.freezing) {
+      environmentRisk += points.freezing_temperature
       riskFactors.push({
         category: 'environment',
         factor: 'freezing_temperature',
@@ -333,8 +393,8 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
         value: temp,
         description: `Freezing temperature (${temp}°C) may cause ice formation`
       })
-    } else if (temp > 35) {
-      environmentRisk += 10
+    } else if (temp > t.temperature.heat) {
+      environmentRisk += points.extreme_heat
       riskFactors.push({
         category: 'environment',
         factor: 'extreme_heat',
@@ -352,7 +412,7 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
   if (roadCondition) {
     switch (roadCondition.toLowerCase()) {
       case 'wet':
-        environmentRisk += 10
+        environmentRisk += points.wet_road
         riskFactors.push({
           category: 'environment',
           factor: 'wet_road',
@@ -363,7 +423,7 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
         break
       case 'icy':
       case 'snowy':
-        environmentRisk += 25
+        environmentRisk += points.hazardous_road
         riskFactors.push({
           category: 'environment',
           factor: 'hazardous_road',
@@ -375,7 +435,7 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
     }
   }
 
-  // === INCIDENT HISTORY RISK FACTORS (20% weight) ===
+  // === INCIDENT HISTORY RISK FACTORS ===
   let incidentRisk = 0
 
   if (alertsData && alertsData.length > 0) {
@@ -384,20 +444,20 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
       const alertTime = new Date(alert.timestamp)
       const now = new Date()
       const timeDiff = (now - alertTime) / (1000 * 60) // minutes
-      return timeDiff <= 60 // alerts within last hour
+      return timeDiff <= t.recent_alerts.window_minutes // alerts within the recent window
     })
 
-    if (recentAlerts.length > 5) {
-      incidentRisk += 25
+    if (recentAlerts.length > t.recent_alerts.multiple) {
+      incidentRisk += points.multiple_recent_alerts
       riskFactors.push({
         category: 'incidents',
         factor: 'multiple_recent_alerts',
         severity: 'high',
         value: recentAlerts.length,
-        description: `${recentAlerts.length} alerts in the last hour indicate high activity area`
+        description: `${recentAlerts.length} alerts in the last ${t.recent_alerts.window_minutes} minutes indicate high activity area`
       })
-    } else if (recentAlerts.length > 2) {
-      incidentRisk += 15
+    } else if (recentAlerts.length > t.recent_alerts.some) {
+      incidentRisk += points.some_recent_alerts
       riskFactors.push({
         category: 'incidents',
         factor: 'some_recent_alerts',
@@ -413,7 +473,7 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
     )
 
     if (highSeverityAlerts.length > 0) {
-      incidentRisk += 20
+      incidentRisk += points.high_severity_alerts
       riskFactors.push({
         category: 'incidents',
         factor: 'high_severity_alerts',
@@ -435,9 +495,9 @@ function calculateRiskScore(trafficData, intersectionData = null, environmentDat
 
   // Determine risk level
   let riskLevel = 'low'
-  if (riskScore >= 80) riskLevel = 'critical'
-  else if (riskScore >= 60) riskLevel = 'high'
-  else if (riskScore >= 40) riskLevel = 'medium'
+  if (riskScore >= levels.critical) riskLevel = 'critical'
+  else if (riskScore >= levels.high) riskLevel = 'high'
+  else if (riskScore >= levels.medium) riskLevel = 'medium'
 
   return {
     riskScore: Math.round(riskScore * 100) / 100,
@@ -609,6 +669,7 @@ function analyzeRiskPatterns(historicalData) {
 }
 
 module.exports = {
+  DEFAULT_RISK_MODEL,
   calculateRiskScore,
   calculateRiskScoreV1,
   identifyRiskFactors,
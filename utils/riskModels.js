@@ -0,0 +1,161 @@
+/**
+ * Risk Model Profiles for Traffic Data API
+ *
+ * Profiles stored in the risk_models collection (see services/riskModelService.js)
+ * tune calculateRiskScore without code changes. A profile overrides any part
+ * of DEFAULT_RISK_MODEL; what it leaves out keeps the default:
+ *
+ *   {
+ *     name: 'wet-season',
+ *     weights: { environment: 0.3, incidents: 0.15 },
+ *     thresholds: { speed: { excessive: 70 } },
+ *     points: { rain: 30, wet_road: 15 }
+ *   }
+ *
+ * The stored profile is the complete model, so later changes to the defaults
+ * do not change how existing profiles score.
+ */
+
+const { DEFAULT_RISK_MODEL } = require('./riskAnalysis')
+
+const SECTIONS = ['weights', 'levels', 'points']
+
+// Threshold pairs that must stay ordered: [group, lower, higher]
+const ORDERED_THRESHOLDS = [
+  ['speed', 'very_low', 'low'],
+  ['speed', 'low', 'excessive'],
+  ['density', 'medium', 'high'],
+  ['stopped_vehicles', 'medium', 'high'],
+  ['wait_time', 'high', 'excessive'],
+  ['sudden_braking', 'some', 'frequent'],
+  ['compliance_rate', 'poor', 'medium'],
+  ['temperature', 'freezing', 'heat'],
+  ['recent_alerts', 'some', 'multiple']
+]
+
+/**
+ * The definition of a model: the parts calculateRiskScore reads
+ * @param {object} model - Stored profile or DEFAULT_RISK_MODEL
+ */
+function modelDefinition(model) {
+  return {
+    weights: { ...model.weights },
+    levels: { ...model.levels },
+    thresholds: Object.fromEntries(Object.entries(model.thresholds).map(([group, values]) => [group, { ...values }])),
+    points: { ...model.points }
+  }
+}
+
+/**
+ * Validate a risk model profile and merge it over its base: the defaults, or
+ * for a partial update the stored profile
+ * @param {object} body - Profile fields from a request
+ * @param {object} [options]
+ * @param {boolean} [options.partial] - Only change the fields present (PATCH)
+ * @param {object} [options.current] - Stored profile a partial update applies to
+ * @returns {{ model: object, errors: object[] }} model holds name, description and the complete definition
+ */
+function validateRiskModel(body, { partial = false, current = null } = {}) {
+  const errors = []
+  const model = {}
+  const fail = (field, message) => errors.push({ field, message })
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { model, errors: [{ field: null, message: 'Risk model must be a JSON object' }] }
+  }
+  const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value)
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !/^[\w.-]{1,64}$/.test(body.name)) {
+      fail('name', 'is required: up to 64 letters, digits, dots, dashes or underscores')
+    } else if (body.name === 'default') {
+      fail('name', '"default" is the built-in model')
+    } else {
+      model.name = body.name
+    }
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') fail('description', 'must be a string')
+    else model.description = body.description
+  }
+
+  const definition = modelDefinition(partial && current ? current : DEFAULT_RISK_MODEL)
+
+  SECTIONS.forEach((section) => {
+    if (body[section] === undefined) return
+    if (!isObject(body[section])) return fail(section, 'must be an object')
+    Object.entries(body[section]).forEach(([key, value]) => {
+      if (!(key in DEFAULT_RISK_MODEL[section])) fail(`${section}.${key}`, 'is not a known key')
+      else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) fail(`${section}.${key}`, 'must be a number >= 0')
+      else definition[section][key] = value
+    })
+  })
+
+  if (body.thresholds !== undefined) {
+    if (!isObject(body.thresholds)) {
+      fail('thresholds', 'must be an object')
+    } else {
+      Object.entries(body.thresholds).forEach(([group, values]) => {
+        if (!(group in DEFAULT_RISK_MODEL.thresholds)) return fail(`thresholds.${group}`, 'is not a known threshold group')
+        if (!isObject(values)) return fail(`thresholds.${group}`, 'must be an object')
+        Object.entries(values).forEach(([key, value]) => {
+          if (!(key in DEFAULT_RISK_MODEL.thresholds[group])) fail(`thresholds.${group}.${key}`, 'is not a known threshold')
+          else if (typeof value !== 'number' || !Number.isFinite(value)) fail(`thresholds.${group}.${key}`, 'must be a number')
+          else definition.thresholds[group][key] = value
+        })
+      })
+    }
+  }
+
+  // Checks on the merged model
+  const { weights, levels, thresholds, points } = definition
+  if (Object.values(weights).reduce((sum, weight) => sum + weight, 0) <= 0) {
+    fail('weights', 'at least one weight must be above 0')
+  }
+  if (!(levels.medium < levels.high && levels.high < levels.critical && levels.critical <= 100)) {
+    fail('levels', 'must be ordered medium < high < critical <= 100')
+  }
+  Object.entries(points).forEach(([key, value]) => {
+    if (value > 100) fail(`points.${key}`, 'must be at most 100')
+  })
+  ORDERED_THRESHOLDS.forEach(([group, lower, higher]) => {
+    if (!(thresholds[group][lower] < thresholds[group][higher])) {
+      fail(`thresholds.${group}`, `${lower} must be below ${higher}`)
+    }
+  })
+  if (!(thresholds.recent_alerts.window_minutes > 0)) {
+    fail('thresholds.recent_alerts.window_minutes', 'must be above 0')
+  }
+
+  Object.assign(model, definition)
+
+  if (body.change_note !== undefined) {
+    if (body.change_note !== null && typeof body.change_note !== 'string') fail('change_note', 'must be a string')
+    else model.change_note = body.change_note
+  }
+  if (body.updated_by !== undefined) {
+    if (body.updated_by !== null && typeof body.updated_by !== 'string') fail('updated_by', 'must be a string')
+    else model.updated_by = body.updated_by
+  }
+
+  return { model, errors }
+}
+
+/**
+ * Parse a ?model= reference: "name", "name@version" or an id, optionally "@version"
+ * @param {string} value
+ * @returns {{ ref: string, version: number|null }}
+ */
+function parseModelRef(value) {
+  const match = /^(.+?)@(\d+)$/.exec(String(value).trim())
+  return match
+    ? { ref: match[1], version: Number.parseInt(match[2]) }
+    : { ref: String(value).trim(), version: null }
+}
+
+module.exports = {
+  modelDefinition,
+  validateRiskModel,
+  parseModelRef
+}
@@ -0,0 +1,215 @@
+/**
+ * Alert SLA Reporting for Traffic Data API
+ *
+ * Response times of alerts measured against targets per severity:
+ *
+ *   time to acknowledge: from the alert's timestamp to its acknowledgement
+ *                        (or its resolution, for alerts resolved directly)
+ *   time to resolve:     from the alert's timestamp to its resolution
+ *
+ * Targets are written "severity:acknowledge/resolve", e.g.
+ * "critical:5m/1h,high:15m/4h". An alert breaches a target when it was
+ * handled late, or is still unhandled after the target has passed.
+ */
+
+const { percentile, mean, round, parseDuration } = require('./statistics')
+const { SEVERITIES } = require('./alertRules')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const MAX_TREND_DAYS = 366
+
+/**
+ * Parse SLA targets
+ * @param {string} value - "critical:5m/1h,high:15m/4h,..."
+ * @returns {{ targets: object, errors: string[] }} targets keyed by severity: { acknowledge_ms, resolve_ms }
+ */
+function parseSlaTargets(value = '') {
+  const targets = {}
+  const errors = []
+  String(value).split(',').map((entry) => entry.trim()).filter(Boolean).forEach((entry) => {
+    const match = /^([a-z]+)\s*:\s*([^/]+)\/(.+)$/i.exec(entry)
+    const severity = match && match[1].toLowerCase()
+    const acknowledgeMs = match && parseDuration(match[2])
+    const resolveMs = match && parseDuration(match[3])
+    if (!match || !SEVERITIES.includes(severity) || !acknowledgeMs || !resolveMs) {
+      errors.push(`Invalid SLA target "${entry}", expected severity:acknowledge/resolve such as critical:5m/1h`)
+    } else {
+      targets[severity] = { acknowledge_ms: acknowledgeMs, resolve_ms: resolveMs }
+    }
+  })
+  return { targets, errors }
+}
+
+const toDate = (value) => {
+  if (value === null || value === undefined) return null
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+/**
+ * Response times and SLA outcome of one alert
+ * @param {object} alert - Alert with raised_at (Date) and its lifecycle fields
+ * @param {object} targets - Parsed targets
+ * @param {number} now - Epoch milliseconds the report is computed at
+ */
+function measureAlert(alert, targets, now) {
+  const raisedAt = alert.raised_at.getTime()
+  const acknowledgedAt = toDate(alert.acknowledged_at)
+  const resolvedAt = toDate(alert.resolved_at)
+  const resolved = alert.resolved === true
+  const respondedAt = acknowledgedAt || resolvedAt
+
+  const acknowledgeMs = respondedAt ? Math.max(0, respondedAt.getTime() - raisedAt) : null
+  let resolveMs = null
+  if (resolvedAt) {
+    resolveMs = Math.max(0, resolvedAt.getTime() - raisedAt)
+  } else if (resolved && typeof alert.resolution_time === 'number') {
+    // Imported alerts only carry their resolution time, in minutes
+    resolveMs = alert.resolution_time * 60000
+  }
+
+  const responded = respondedAt !== null || resolved
+  const target = targets[alert.severity] || null
+  const outcome = (elapsedMs, done, limitMs) => {
+    if (!target) return null
+    if (elapsedMs !== null) return elapsedMs <= limitMs ? 'met' : 'breached'
+    if (done) return null // handled, but when is unknown
+    return now - raisedAt > limitMs ? 'breached' : null
+  }
+
+  return {
+    responded,
+    resolved,
+    acknowledgeMs,
+    resolveMs,
+    acknowledge: target && outcome(acknowledgeMs, responded, target.acknowledge_ms),
+    resolve: target && outcome(resolveMs, resolved, target.resolve_ms),
+    // The operator who responded first
+    operator: alert.acknowledged_by || alert.resolved_by || null
+  }
+}
+
+function createBucket() {
+  return {
+    alerts: 0,
+    responded: 0,
+    resolved: 0,
+    acknowledgeMs: [],
+    resolveMs: [],
+    acknowledge: { met: 0, breached: 0 },
+    resolve: { met: 0, breached: 0 }
+  }
+}
+
+function addToBucket(bucket, measured) {
+  bucket.alerts++
+  if (measured.responded) bucket.responded++
+  if (measured.resolved) bucket.resolved++
+  if (measured.acknowledgeMs !== null) bucket.acknowledgeMs.push(measured.acknowledgeMs)
+  if (measured.resolveMs !== null) bucket.resolveMs.push(measured.resolveMs)
+  if (measured.acknowledge) bucket.acknowledge[measured.acknowledge]++
+  if (measured.resolve) bucket.resolve[measured.resolve]++
+}
+
+const minutes = (ms) => (ms === null ? null : round(ms / 60000))
+const compliance = ({ met, breached }) => (met + breached === 0 ? null : round((met / (met + breached)) * 100, 1))
+
+function distribution(values) {
+  return {
+    count: values.length,
+    mean_minutes: minutes(mean(values)),
+    p50_minutes: minutes(percentile(values, 50)),
+    p90_minutes: minutes(percentile(values, 90)),
+    p95_minutes: minutes(percentile(values, 95)),
+    max_minutes: values.length > 0 ? minutes(values.reduce((max, value) => Math.max(max, value), 0)) : null
+  }
+}
+
+function summarizeBucket(bucket) {
+  return {
+    alerts: bucket.alerts,
+    acknowledged: bucket.responded,
+    resolved: bucket.resolved,
+    open: bucket.alerts - bucket.resolved,
+    time_to_acknowledge: distribution(bucket.acknowledgeMs),
+    time_to_resolve: distribution(bucket.resolveMs),
+    breaches: { acknowledge: bucket.acknowledge.breached, resolve: bucket.resolve.breached },
+    compliance_percent: { acknowledge: compliance(bucket.acknowledge), resolve: compliance(bucket.resolve) }
+  }
+}
+
+/**
+ * Build the SLA report of a set of alerts
+ * @param {object[]} alerts - Alerts with raised_at (Date), severity, type, intersection_id and lifecycle fields
+ * @param {object} options
+ * @param {object} options.targets - Parsed targets
+ * @param {Date} options.start - Report period
+ * @param {Date} options.end
+ * @param {number} [options.groupLimit] - Groups listed per dimension, largest first
+ * @param {number} [options.now] - Epoch milliseconds, for unhandled alerts
+ * @returns {object} Summary, breakdowns by severity, type, intersection and operator, and a daily trend
+ */
+function buildSlaReport(alerts, { targets, start, end, groupLimit = 20, now = Date.now() }) {
+  const summary = createBucket()
+  const dimensions = { severity: new Map(), type: new Map(), intersection: new Map(), operator: new Map() }
+  const days = new Map()
+
+  const addTo = (map, key, measured) => {
+    if (key === null || key === undefined || key === '') return
+    if (!map.has(key)) map.set(key, createBucket())
+    addToBucket(map.get(key), measured)
+  }
+
+  alerts.forEach((alert) => {
+    const measured = measureAlert(alert, targets, now)
+    addToBucket(summary, measured)
+    addTo(dimensions.severity, alert.severity, measured)
+    addTo(dimensions.type, alert.type, measured)
+    addTo(dimensions.intersection, alert.intersection_id, measured)
+    addTo(dimensions.operator, measured.operator, measured)
+    addTo(days, alert.raised_at.toISOString().slice(0, 10), measured)
+  })
+
+  const groups = (map) => Array.from(map.entries())
+    .sort((a, b) => b[1].alerts - a[1].alerts)
+    .slice(0, groupLimit)
+    .map(([key, bucket]) => ({ key, ...summarizeBucket(bucket) }))
+
+  // One point per UTC day of the period, empty days included
+  const daily = []
+  const firstDay = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate())
+  for (let day = firstDay; day <= end.getTime() && daily.length < MAX_TREND_DAYS; day += DAY_MS) {
+    const date = new Date(day).toISOString().slice(0, 10)
+    const bucket = days.get(date) || createBucket()
+    daily.push({
+      date,
+      alerts: bucket.alerts,
+      acknowledged: bucket.responded,
+      resolved: bucket.resolved,
+      acknowledge_breaches: bucket.acknowledge.breached,
+      resolve_breaches: bucket.resolve.breached,
+      time_to_acknowledge_p50_minutes: minutes(percentile(bucket.acknowledgeMs, 50)),
+      time_to_resolve_p50_minutes: minutes(percentile(bucket.resolveMs, 50)),
+      compliance_percent: { acknowledge: compliance(bucket.acknowledge), resolve: compliance(bucket.resolve) }
+    })
+  }
+
+  return {
+    period: { start: start.toISOString(), end: end.toISOString() },
+    targets: Object.fromEntries(Object.entries(targets).map(([severity, target]) => [severity, {
+      acknowledge_minutes: minutes(target.acknowledge_ms),
+      resolve_minutes: minutes(target.resolve_ms)
+    }])),
+    summary: summarizeBucket(summary),
+    by_severity: groups(dimensions.severity),
+    by_type: groups(dimensions.type),
+    by_intersection: groups(dimensions.intersection),
+    by_operator: groups(dimensions.operator),
+    daily
+  }
+}
+
+module.exports = {
+  parseSlaTargets,
+  buildSlaReport
+}
@@ -0,0 +1,58 @@
+/**
+ * Statistics Helpers for Traffic Data API
+ */
+
+/**
+ * Percentile of a list of numbers, with linear interpolation between ranks
+ * @param {number[]} values - Samples (need not be sorted)
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number|null} null for an empty list
+ */
+function percentile(values, p) {
+  if (values.length === 0) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  const rank = (p / 100) * (sorted.length - 1)
+  const lower = Math.floor(rank)
+  const upper = Math.ceil(rank)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower)
+}
+
+/**
+ * Arithmetic mean
+ * @param {number[]} values - Samples
+ * @returns {number|null} null for an empty list
+ */
+function mean(values) {
+  if (values.length === 0) return null
+  return values.reduce((sum, value) => sum + value, 0) / values.length
+}
+
+/**
+ * Round to a number of decimals, passing null through
+ */
+function round(value, decimals = 2) {
+  if (value === null || value === undefined) return null
+  const factor = 10 ** decimals
+  return Math.round(value * factor) / factor
+}
+
+/**
+ * Parse a duration such as "10s", "1m", "2h" or "500ms" to milliseconds
+ * @param {string|number} value - Duration (plain numbers are milliseconds)
+ * @returns {number|null} null if the duration cannot be parsed
+ */
+function parseDuration(value) {
+  if (typeof value === 'number') return value > 0 ? value : null
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?\s*$/i.exec(String(value || ''))
+  if (!match) return null
+  const units = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }
+  const ms = Number(match[1]) * units[(match[2] || 'ms').toLowerCase()]
+  return ms > 0 ? ms : null
+}
+
+module.exports = {
+  percentile,
+  mean,
+  round,
+  parseDuration
+}
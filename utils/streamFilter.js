@@ -0,0 +1,357 @@
+/**
+ * Stream Filter Expressions for Traffic Data API
+ *
+ * Stream clients can pass ?filter= to only receive matching events, either as
+ * an expression:
+ *
+ *   speed>80 AND sensor_direction=north
+ *   (severity=high OR severity=critical) AND NOT resolved=true
+ *   sensor_direction IN (north, south) AND coordinated_weather.conditions~rain
+ *
+ * or as a JSON predicate with MongoDB-style operators:
+ *
+ *   {"speed": {"$gt": 80}, "$or": [{"severity": "high"}, {"severity": "critical"}]}
+ *
+ * Fields are dot paths into the event data. String comparisons ignore case;
+ * ~ matches a substring. Filters compile once to a predicate function that
+ * StreamService evaluates per client before writing an event.
+ */
+
+const MAX_FILTER_LENGTH = 2000
+
+const JSON_OPERATORS = {
+  $eq: '=',
+  $ne: '!=',
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<=',
+  $contains: '~'
+}
+
+/**
+ * Error raised for malformed filters
+ */
+class FilterError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'FilterError'
+    this.statusCode = 400
+  }
+}
+
+/**
+ * Read a dot-path field from event data
+ */
+function getField(data, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data)
+}
+
+function normalize(value) {
+  return typeof value === 'string' ? value.toLowerCase() : value
+}
+
+/**
+ * Compare an event value against a filter value
+ * @param {*} actual - Value in the event
+ * @param {string} operator - =, ==, !=, >, >=, <, <= or ~
+ * @param {*} expected - Value in the filter
+ * @returns {boolean}
+ */
+function compare(actual, operator, expected) {
+  switch (operator) {
+    case '=':
+    case '==':
+      if (expected === null) return actual === null || actual === undefined
+      if (typeof expected === 'number') return actual !== null && actual !== '' && Number(actual) === expected
+      return normalize(actual) === normalize(expected)
+    case '!=':
+      return !compare(actual, '=', expected)
+    case '~':
+      return actual !== null && actual !== undefined &&
+        String(actual).toLowerCase().includes(String(expected).toLowerCase())
+    default: {
+      if (actual === null || actual === undefined || actual === '') return false
+      const a = Number(actual)
+      const b = Number(expected)
+      if (Number.isNaN(a) || Number.isNaN(b)) return false
+      if (operator === '>') return a > b
+      if (operator === '>=') return a >= b
+      if (operator === '<') return a < b
+      return a <= b
+    }
+  }
+}
+
+/**
+ * Split an expression into tokens
+ */
+function tokenize(expression) {
+  const pattern = /\s*(?:(\(|\)|,)|(>=|<=|!=|==|=|>|<|~)|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|([^\s()=!<>~,'"]+))/y
+  const tokens = []
+  let match
+  pattern.lastIndex = 0
+  while (pattern.lastIndex < expression.length) {
+    const position = pattern.lastIndex
+    match = pattern.exec(expression)
+    if (!match) {
+      if (expression.slice(position).trim() === '') break
+      throw new FilterError(`Unexpected character at position ${position}: "${expression.slice(position).trim()[0]}"`)
+    }
+    if (match[1]) tokens.push({ type: 'punct', value: match[1] })
+    else if (match[2]) tokens.push({ type: 'op', value: match[2] })
+    else if (match[3] !== undefined) tokens.push({ type: 'string', value: match[3].replace(/\\(.)/g, '$1') })
+    else if (match[4] !== undefined) tokens.push({ type: 'string', value: match[4].replace(/\\(.)/g, '$1') })
+    else if (match[5]) tokens.push({ type: 'word', value: match[5] })
+  }
+  return tokens
+}
+
+/**
+ * Convert a literal token to a value (numbers, booleans and null for bare words)
+ */
+function literal(token) {
+  if (token.type === 'string') return token.value
+  if (/^(true|false)$/i.test(token.value)) return token.value.toLowerCase() === 'true'
+  if (/^null$/i.test(token.value)) return null
+  const number = Number(token.value)
+  return token.value !== '' && !Number.isNaN(number) ? number : token.value
+}
+
+/**
+ * Recursive descent parser for filter expressions
+ */
+function parseExpression(expression) {
+  const tokens = tokenize(expression)
+  let position = 0
+
+  const peek = () => tokens[position]
+  const isKeyword = (token, keyword) => token && token.type === 'word' && token.value.toUpperCase() === keyword
+  const expect = (value) => {
+    const token = tokens[position++]
+    if (!token || token.value !== value) {
+      throw new FilterError(`Expected "${value}"${token ? ` but found "${token.value}"` : ' at end of filter'}`)
+    }
+  }
+
+  function parseOr() {
+    let left = parseAnd()
+    while (isKeyword(peek(), 'OR')) {
+      position++
+      const a = left
+      const b = parseAnd()
+      left = (data) => a(data) || b(data)
+    }
+    return left
+  }
+
+  function parseAnd() {
+    let left = parseNot()
+    while (isKeyword(peek(), 'AND')) {
+      position++
+      const a = left
+      const b = parseNot()
+      left = (data) => a(data) && b(data)
+    }
+    return left
+  }
+
+  function parseNot() {
+    if (isKeyword(peek(), 'NOT')) {
+      position++
+      const inner = parseNot()
+      return (data) => !inner(data)
+    }
+    return parsePrimary()
+  }
+
+  function parsePrimary() {
+    const token = peek()
+    if (!token) {
+      throw new FilterError('Unexpected end of filter')
+    }
+    if (token.value === '(' && token.type === 'punct') {
+      position++
+      const inner = parseOr()
+      expect(')')
+      return inner
+    }
+    return parseComparison()
+  }
+
+  function parseComparison() {
+    const field = tokens[position++]
+    if (field.type !== 'word') {
+      throw new FilterError(`Expected a field name but found "${field.value}"`)
+    }
+
+    const operator = tokens[position++]
+    if (isKeyword(operator, 'IN')) {
+      expect('(')
+      const values = []
+      for (;;) {
+        const token = tokens[position++]
+        if (!token || token.type === 'punct' || token.type === 'op') {
+          throw new FilterError(`Expected a value in IN list for "${field.value}"`)
+        }
+        values.push(literal(token))
+        if (!peek() || peek().type !== 'punct' || peek().value !== ',') break
+        position++
+      }
+      expect(')')
+      return (data) => {
+        const actual = getField(data, field.value)
+        return values.some((value) => compare(actual, '=', value))
+      }
+    }
+
+    if (!operator || operator.type !== 'op') {
+      throw new FilterError(`Expected a comparison operator after "${field.value}"`)
+    }
+
+    const valueToken = tokens[position++]
+    if (!valueToken || valueToken.type === 'punct' || valueToken.type === 'op') {
+      throw new FilterError(`Expected a value after "${field.value}${operator.value}"`)
+    }
+
+    const value = literal(valueToken)
+    return (data) => compare(getField(data, field.value), operator.value, value)
+  }
+
+  const predicate = parseOr()
+  if (position < tokens.length) {
+    throw new FilterError(`Unexpected "${tokens[position].value}" in filter`)
+  }
+  return predicate
+}
+
+/**
+ * Compile a JSON predicate ({ field: value | { $op: value }, $and, $or, $not })
+ */
+function compileJsonPredicate(predicate) {
+  if (!predicate || typeof predicate !== 'object' || Array.isArray(predicate)) {
+    throw new FilterError('JSON filter must be an object')
+  }
+
+  const checks = Object.entries(predicate).map(([key, condition]) => {
+    if (key === '$and' || key === '$or') {
+      if (!Array.isArray(condition) || condition.length === 0) {
+        throw new FilterError(`${key} must be a non-empty array`)
+      }
+      const parts = condition.map(compileJsonPredicate)
+      return key === '$and'
+        ? (data) => parts.every((part) => part(data))
+        : (data) => parts.some((part) => part(data))
+    }
+    if (key === '$not') {
+      const inner = compileJsonPredicate(condition)
+      return (data) => !inner(data)
+    }
+    if (key.startsWith('$')) {
+      throw new FilterError(`Unknown operator ${key}`)
+    }
+
+    // Plain value: equality
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+      return (data) => compare(getField(data, key), '=', condition)
+    }
+
+    const fieldChecks = Object.entries(condition).map(([operator, expected]) => {
+      if (JSON_OPERATORS[operator]) {
+        return (value) => compare(value, JSON_OPERATORS[operator], expected)
+      }
+      if (operator === '$in' || operator === '$nin') {
+        if (!Array.isArray(expected)) {
+          throw new FilterError(`${operator} on "${key}" must be an array`)
+        }
+        const found = (value) => expected.some((item) => compare(value, '=', item))
+        return operator === '$in' ? found : (value) => !found(value)
+      }
+      if (operator === '$exists') {
+        return (value) => (value !== undefined && value !== null) === !!expected
+      }
+      throw new FilterError(`Unknown operator ${operator} on "${key}"`)
+    })
+    return (data) => {
+      const value = getField(data, key)
+      return fieldChecks.every((check) => check(value))
+    }
+  })
+
+  return (data) => checks.every((check) => check(data))
+}
+
+/**
+ * Compile a filter expression or JSON predicate
+ * @param {string} filter - Filter text
+ * @returns {Function|null} Predicate (data) => boolean, or null for an empty filter
+ * @throws {FilterError} If the filter is malformed
+ */
+function parseFilter(filter) {
+  if (filter === undefined || filter === null || String(filter).trim() === '') {
+    return null
+  }
+
+  const text = String(filter).trim()
+  if (text.length > MAX_FILTER_LENGTH) {
+    throw new FilterError(`Filter is longer than ${MAX_FILTER_LENGTH} characters`)
+  }
+
+  if (text.startsWith('{')) {
+    let predicate
+    try {
+      predicate = JSON.parse(text)
+    } catch (error) {
+      throw new FilterError(`Invalid JSON filter: ${error.message}`)
+    }
+    return compileJsonPredicate(predicate)
+  }
+
+  return parseExpression(text)
+}
+
+/**
+ * Combine predicates with AND, skipping empty ones
+ * @param {...(Function|null)} predicates
+ * @returns {Function|null}
+ */
+function combineFilters(...predicates) {
+  const active = predicates.filter(Boolean)
+  if (active.length === 0) return null
+  if (active.length === 1) return active[0]
+  return (data) => active.every((predicate) => predicate(data))
+}
+
+/**
+ * Predicate matching events whose field equals a value (case-insensitive for strings)
+ * @param {string} field - Dot path
+ * @param {*} value - Expected value; empty values give no predicate
+ * @returns {Function|null}
+ */
+function fieldEquals(field, value) {
+  if (value === undefined || value === null || value === '') return null
+  return (data) => compare(getField(data, field), '=', value)
+}
+
+/**
+ * Express middleware compiling ?filter= into req.streamFilter, replying 400 if malformed
+ */
+function parseStreamFilter(req, res, next) {
+  try {
+    req.streamFilter = parseFilter(req.query.filter)
+    next()
+  } catch (error) {
+    if (error instanceof FilterError) {
+      return res.status(400).json({ error: 'Invalid stream filter', details: error.message })
+    }
+    next(error)
+  }
+}
+
+module.exports = {
+  FilterError,
+  parseFilter,
+  combineFilters,
+  fieldEquals,
+  parseStreamFilter
+}
@@ -0,0 +1,66 @@
+/**
+ * Timestamp Helpers for Traffic Data API
+ *
+ * Older producers stored timestamps as ISO strings while the ingest pipeline
+ * stores real Dates; these helpers let queries treat both the same way.
+ * String timestamps are parsed before they are compared, so offsets and
+ * other formats $dateFromString understands compare as the instant they name.
+ */
+
+/**
+ * Aggregation expression converting a string or Date field to a Date
+ * @param {string} field - Field path expression, e.g. "$timestamp"
+ * @returns {Object} $switch expression (null for missing or unparseable values)
+ */
+function toDateExpression(field = '$timestamp') {
+  return {
+    $switch: {
+      branches: [
+        {
+          case: { $eq: [{ $type: field }, 'date'] },
+          then: field
+        },
+        {
+          case: { $eq: [{ $type: field }, 'string'] },
+          then: { $dateFromString: { dateString: field, onError: null, onNull: null } }
+        }
+      ],
+      default: null
+    }
+  }
+}
+
+/**
+ * Query matching a time range on a field holding Dates or date strings. Dates
+ * are compared with index bounds; strings are parsed in an $expr, so only the
+ * $type part of their branch uses an index. Unparseable strings never match.
+ * @param {Date|null} start - Inclusive start
+ * @param {Date|null} end - Inclusive end
+ * @param {string} field - Field name
+ * @returns {Object} Query ({} when neither bound is given)
+ */
+function timeRangeQuery(start, end, field = 'timestamp') {
+  if (!start && !end) return {}
+  const dates = { $type: 'date' }
+  const parsed = toDateExpression(`$${field}`)
+  const bounds = [{ $ne: [parsed, null] }]
+  if (start) {
+    dates.$gte = start
+    bounds.push({ $gte: [parsed, start] })
+  }
+  if (end) {
+    dates.$lte = end
+    bounds.push({ $lte: [parsed, end] })
+  }
+  return {
+    $or: [
+      { [field]: dates },
+      { [field]: { $type: 'string' }, $expr: { $and: bounds } }
+    ]
+  }
+}
+
+module.exports = {
+  toDateExpression,
+  timeRangeQuery
+}
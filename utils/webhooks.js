@@ -0,0 +1,125 @@
+/**
+ * Webhook Subscriptions for Traffic Data API
+ *
+ * Subscriptions stored in the webhooks collection (see services/webhookService.js):
+ *
+ *   {
+ *     name: 'On-call pager',
+ *     url: 'https://pager.example.com/hooks/traffic',
+ *     events: ['alert.created'],          // alert.created | alert.updated | alert.escalated
+ *     severities: ['high', 'critical'],   // optional filters, empty = all
+ *     alert_types: ['accident'],
+ *     intersection_ids: ['INT-001'],
+ *     secret: '...'                       // generated when omitted
+ *   }
+ *
+ * Deliveries are POSTed as JSON and signed like signed ingest requests:
+ *
+ *   X-Webhook-Timestamp: <epoch milliseconds>
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ */
+
+const crypto = require('crypto')
+const { SEVERITIES } = require('./alertRules')
+
+const WEBHOOK_EVENTS = ['alert.created', 'alert.updated', 'alert.escalated']
+
+/**
+ * Validate a webhook subscription and normalize its fields
+ * @param {object} body - Subscription fields from a request
+ * @param {object} [options]
+ * @param {boolean} [options.partial] - Only validate the fields present (PATCH)
+ * @returns {{ webhook: object, errors: object[] }}
+ */
+function validateWebhook(body, { partial = false } = {}) {
+  const errors = []
+  const webhook = {}
+  const fail = (field, message) => errors.push({ field, message })
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { webhook, errors: [{ field: null, message: 'Webhook must be a JSON object' }] }
+  }
+  const has = (field) => body[field] !== undefined
+
+  if (has('name') || !partial) {
+    if (typeof body.name !== 'string' || body.name.trim() === '') fail('name', 'is required')
+    else webhook.name = body.name.trim()
+  }
+
+  if (has('url') || !partial) {
+    let url = null
+    try {
+      url = new URL(body.url)
+    } catch (error) {
+      // reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) fail('url', 'must be an http or https URL')
+    else webhook.url = url.toString()
+  }
+
+  if (has('events') || !partial) {
+    const events = has('events') ? body.events : ['alert.created']
+    if (!Array.isArray(events) || events.length === 0 || !events.every((event) => WEBHOOK_EVENTS.includes(event))) {
+      fail('events', `must be a non-empty list of ${WEBHOOK_EVENTS.join(', ')}`)
+    } else {
+      webhook.events = Array.from(new Set(events))
+    }
+  }
+
+  // Filters: a missing or empty list matches everything
+  ['severities', 'alert_types', 'intersection_ids'].forEach((field) => {
+    if (has(field) && body[field] !== null) {
+      const values = body[field]
+      if (!Array.isArray(values) || !values.every((value) => typeof value === 'string' && value !== '')) {
+        fail(field, 'must be a list of strings')
+      } else if (field === 'severities' && !values.every((value) => SEVERITIES.includes(value))) {
+        fail(field, `must only contain ${SEVERITIES.join(', ')}`)
+      } else {
+        webhook[field] = values
+      }
+    } else if (has(field) || !partial) {
+      webhook[field] = []
+    }
+  })
+
+  if (has('secret')) {
+    if (typeof body.secret !== 'string' || body.secret.length < 16) fail('secret', 'must be a string of at least 16 characters')
+    else webhook.secret = body.secret
+  } else if (!partial) {
+    webhook.secret = crypto.randomBytes(24).toString('hex')
+  }
+
+  if (has('description')) {
+    if (body.description !== null && typeof body.description !== 'string') fail('description', 'must be a string')
+    else webhook.description = body.description
+  }
+
+  if (has('enabled') || !partial) {
+    if (has('enabled') && typeof body.enabled !== 'boolean') fail('enabled', 'must be a boolean')
+    else webhook.enabled = has('enabled') ? body.enabled : true
+  }
+
+  return { webhook, errors }
+}
+
+/**
+ * Whether a subscription wants an event about an alert
+ * @param {object} webhook - Stored subscription
+ * @param {string} event - Event name
+ * @param {object} alert - The alert
+ * @returns {boolean}
+ */
+function matchesWebhook(webhook, event, alert) {
+  const allows = (values, value) => !values || values.length === 0 || values.includes(value)
+  return webhook.enabled !== false &&
+    webhook.events.includes(event) &&
+    allows(webhook.severities, alert.severity) &&
+    allows(webhook.alert_types, alert.type) &&
+    allows(webhook.intersection_ids, alert.intersection_id)
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  validateWebhook,
+  matchesWebhook
+}